@@ -137,6 +137,61 @@ chrome.runtime.onMessage.addListener(async (msg, sender, sendResponse) => {
   }
 })
 
+/**
+ * Parse { text, intent, language } suggestions from a model response.
+ * Compact copy of src/lib/suggestions.js, since this worker loads without a bundler;
+ * falls back to '---' separated text for models that ignore the JSON instruction
+ */
+function parseSuggestions(text) {
+  const intents = ['agree', 'disagree', 'clarify']
+  let items = null
+
+  const unfenced = text.replace(/```(?:json)?/gi, '')
+  const start = unfenced.search(/[[{]/)
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'))
+  if (start !== -1 && end > start) {
+    try {
+      const json = JSON.parse(unfenced.slice(start, end + 1))
+      items = Array.isArray(json) ? json : json.suggestions
+    } catch (e) {
+      items = null
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    items = text.split('---')
+  }
+
+  return items
+    .map((item, index) => ({
+      text: String(typeof item === 'string' ? item : item?.text || '').trim(),
+      intent: intents.includes(item?.intent) ? item.intent : intents[index] || 'clarify',
+      language: typeof item?.language === 'string' ? item.language : null
+    }))
+    .filter(suggestion => suggestion.text.length > 0)
+    .slice(0, 3) // Ensure max 3 suggestions
+}
+
+/**
+ * Fill in a user's prompt template from the options page.
+ * Compact copy of renderPromptTemplate in src/lib/prompt_templates.js
+ */
+function renderPromptTemplate(template, variables) {
+  const fallbacks = {
+    tone: 'semi-formal',
+    toneGuide: '',
+    groupChat: '',
+    writingStyle: '',
+    language: 'the EXACT SAME language as the last message',
+    platform: 'a chat app',
+    contactName: 'the other person',
+    count: '3'
+  }
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    variables[name] ? String(variables[name]) : name in fallbacks ? fallbacks[name] : placeholder
+  )
+}
+
 /**
  * Handle suggestion generation requests
  */
@@ -157,7 +212,10 @@ async function handleGetSuggestions(msg, sendResponse) {
       return
     }
 
-    const systemPrompt = `You are a helpful assistant. Provide 2-3 short reply suggestions to the last message in a ${tone} tone. Each suggestion should be concise (1-2 sentences max) and contextually appropriate. Separate each suggestion with '---'.`
+    const { promptTemplate, replyLanguage } = await chrome.storage.sync.get(['promptTemplate', 'replyLanguage'])
+    const systemPrompt = promptTemplate
+      ? renderPromptTemplate(promptTemplate, { tone, language: replyLanguage, platform: msg.platform, contactName: msg.contactName, count: 3 })
+      : `You are a helpful assistant. Provide 3 short reply suggestions to the last message in a ${tone} tone, in the same language as that message: one that agrees, one that disagrees, one that asks for clarification. Each suggestion should be concise (1-2 sentences max) and contextually appropriate. Only output JSON: {"suggestions": [{"text": "...", "intent": "agree|disagree|clarify", "language": "<ISO 639-1 code>"}]}`
 
     let suggestions
     switch (provider.toLowerCase()) {
@@ -180,12 +238,7 @@ async function handleGetSuggestions(msg, sendResponse) {
     }
 
     if (suggestions.success) {
-      // Parse suggestions by splitting on '---'
-      const parsedSuggestions = suggestions.data
-        .split('---')
-        .map(s => s.trim())
-        .filter(s => s.length > 0)
-        .slice(0, 3) // Ensure max 3 suggestions
+      const parsedSuggestions = parseSuggestions(suggestions.data)
 
       sendResponse({
         type: 'SUGGESTIONS_READY',
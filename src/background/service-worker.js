@@ -3,11 +3,23 @@
  * Orchestrates tab capture, message routing, and state management
  */
 
-import { streamLLMSuggestions } from '../lib/llm_service.js'
+import { getLLMSuggestions, streamLLMSuggestions, fitContextToProvider } from '../lib/llm_service.js'
+import { formatStreamingPreview } from '../lib/suggestions.js'
+import { getToneProfiles, getDefaultTone, getSummarizeOlderMessages, saveRecentTranscript, clearLegacyTranscripts } from '../lib/storage.js'
+import { mergeContext } from '../lib/context_merger.js'
+import { MEMORY_CATEGORIES, getMemoryNotes, addMemoryNote, removeMemoryNote } from '../lib/conversation_memory.js'
+import { refreshConversationSummary } from '../lib/conversation_summary.js'
+import { installLocalOnlyFetchGuard } from '../lib/local_only.js'
+import { appendLiveSegment, formatLiveTranscript } from '../lib/live_transcript.js'
+import { startTranscriptSession, endTranscriptSession, saveTranscriptSessionSummary } from '../lib/transcript_store.js'
+import { summarizeMeeting } from '../lib/meeting_summary.js'
 
 // Ensure service worker stays active
 console.log('🚀 Service Worker starting...')
 
+// Second line of defence behind llm_service: in local-only mode nothing but localhost is reachable
+installLocalOnlyFetchGuard(self)
+
 // Keep service worker alive by responding to any message
 chrome.runtime.onStartup.addListener(() => {
   console.log('🔄 Service Worker started on browser startup')
@@ -20,6 +32,15 @@ chrome.runtime.onInstalled.addListener(() => {
 // Track capturing tabs for lifecycle management
 const capturingTabs = new Set()
 
+// Chat tabs the user asked to show the live transcript in, besides the captured tab
+const transcriptForwardTabs = new Set()
+
+// Rolling transcript of the current capture and the tab it comes from
+let liveSegments = []
+let captureSource = null
+// Transcript store session the current capture is saved to
+let captureSessionId = null
+
 /**
  * Ensure offscreen document exists for audio capture
  */
@@ -55,6 +76,11 @@ async function startCapture(tab) {
 
     // Track this tab
     capturingTabs.add(tab.id)
+    liveSegments = []
+    const { session } = await startTranscriptSession({ tabId: tab.id, title: tab.title, url: tab.url })
+    captureSessionId = session?.id ?? null
+    // The panel asks for the meeting summary of this session
+    captureSource = { tabId: tab.id, title: tab.title || '', sessionId: captureSessionId }
   } catch (error) {
     console.error('Failed to start capture:', error)
     // Reset badge on error
@@ -71,6 +97,16 @@ async function stopCapture(tabId) {
     target: 'offscreen'
   })
   
+  // Let the panels know the transcript won't grow any more, while the captured tab is still tracked
+  if (liveSegments.length > 0) {
+    broadcastLiveTranscript({ ended: true })
+  }
+  
+  if (captureSessionId !== null && (!tabId || tabId === captureSource?.tabId)) {
+    endTranscriptSession(captureSessionId)
+    captureSessionId = null
+  }
+  
   if (tabId) {
     capturingTabs.delete(tabId)
     chrome.action.setBadgeText({ text: '', tabId: tabId })
@@ -81,6 +117,37 @@ async function stopCapture(tabId) {
   }
 }
 
+/**
+ * Capture session whose transcript may go into suggestions requested from a tab
+ * Only the captured tab and the chat tabs the user forwarded the transcript to get it
+ * @param {number} [tabId]
+ * @returns {number|null}
+ */
+function getTranscriptSessionForTab(tabId) {
+  if (tabId === undefined || !captureSource) return null
+  if (tabId !== captureSource.tabId && !transcriptForwardTabs.has(tabId)) return null
+  return captureSource.sessionId
+}
+
+/**
+ * Send the rolling transcript to the captured tab and the chat tabs it is forwarded to
+ * @param {Object} [extra] - Added to the message, e.g. { latest } or { ended: true }
+ * @param {Array<number>} [tabIds] - Only these tabs
+ */
+function broadcastLiveTranscript(extra = {}, tabIds = [...new Set([...capturingTabs, ...transcriptForwardTabs])]) {
+  const message = {
+    type: 'LIVE_TRANSCRIPT_UPDATE',
+    transcript: formatLiveTranscript(liveSegments),
+    segments: liveSegments,
+    source: captureSource,
+    ...extra
+  }
+  for (const tabId of tabIds) {
+    // Tabs without the content script (or still loading) simply miss this update
+    chrome.tabs.sendMessage(tabId, message).catch(() => {})
+  }
+}
+
 // Main action click handler with robust state management
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -116,7 +183,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     console.log('📝 Message content:', JSON.stringify(msg, null, 2))
     
     // Handle LLM suggestion requests from content scripts asynchronously
-    handleGetSuggestions(msg, sendResponse).catch(error => {
+    handleGetSuggestions(msg, sendResponse, sender.tab?.id).catch(error => {
       console.error('❌ Unhandled error in handleGetSuggestions:', error)
     })
     
@@ -124,6 +191,45 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true
   }
   
+  if (msg.type === 'GET_TONE_PROFILES') {
+    // Content scripts can't import storage.js, so the panel's tone list comes from here
+    ;(async () => {
+      try {
+        sendResponse({ success: true, profiles: await getToneProfiles(), defaultTone: await getDefaultTone() })
+      } catch (error) {
+        console.error('Failed to load tone profiles:', error)
+        sendResponse({ success: false, error: error.message })
+      }
+    })()
+    return true
+  }
+  
+  if (msg.type === 'GET_MEMORY' || msg.type === 'ADD_MEMORY' || msg.type === 'DELETE_MEMORY') {
+    // Memory notes for the conversation open in the panel
+    handleMemoryMessage(msg).then(sendResponse).catch(error => {
+      console.error('Memory request failed:', error)
+      sendResponse({ success: false, error: error.message })
+    })
+    return true
+  }
+  
+  if (msg.type === 'SUMMARIZE_MEETING') {
+    // "Summarise meeting" in the panel, for the session its live transcript comes from
+    summarizeMeeting(msg.sessionId, msg.provider).then(sendResponse).catch(error => {
+      console.error('Meeting summary failed:', error)
+      sendResponse({ success: false, error: error.message })
+    })
+    return true
+  }
+  
+  if (msg.type === 'SAVE_MEETING_SUMMARY') {
+    saveTranscriptSessionSummary(msg.sessionId, msg.summary).then(sendResponse).catch(error => {
+      console.error('Saving meeting summary failed:', error)
+      sendResponse({ success: false, error: error.message })
+    })
+    return true
+  }
+  
   if (msg.type === 'PING') {
     console.log('🏓 Received PING, sending PONG')
     const pongResponse = { type: 'PONG', message: 'Service worker is active' }
@@ -155,17 +261,39 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   
   if (msg.type === 'TRANSCRIPT_READY') {
     console.log('Transcription:', msg.transcript)
-    // Save transcript for context merging (simplified version) - async, no response needed
-    ;(async () => {
-      try {
-        const transcripts = (await chrome.storage.sync.get('recentTranscripts')).recentTranscripts || []
-        transcripts.unshift({ transcript: msg.transcript, timestamp: Date.now() })
-        const trimmed = transcripts.slice(0, 10)
-        await chrome.storage.sync.set({ recentTranscripts: trimmed })
-      } catch (error) {
-        console.error('Failed to save transcript:', error)
+    liveSegments = appendLiveSegment(liveSegments, msg.transcript)
+    broadcastLiveTranscript({ latest: msg.transcript })
+    // Save transcript for context merging - async, no response needed
+    saveRecentTranscript(msg.transcript, msg.startedAt ?? Date.now(), {
+      sessionId: captureSessionId,
+      tabId: captureSource?.tabId,
+      duration: msg.duration
+    })
+    return false
+  }
+  
+  if (msg.type === 'GET_TRANSCRIPT_FORWARDING') {
+    // For the popup's "Show live transcript here" switch
+    sendResponse({
+      success: true,
+      forwarding: transcriptForwardTabs.has(msg.tabId),
+      capturing: capturingTabs.size > 0,
+      source: captureSource
+    })
+    return false
+  }
+  
+  if (msg.type === 'SET_TRANSCRIPT_FORWARDING') {
+    if (msg.enabled) {
+      transcriptForwardTabs.add(msg.tabId)
+      // Catch the tab up on what was said so far
+      if (liveSegments.length > 0) {
+        broadcastLiveTranscript({}, [msg.tabId])
       }
-    })()
+    } else {
+      transcriptForwardTabs.delete(msg.tabId)
+    }
+    sendResponse({ success: true })
     return false
   }
   
@@ -182,10 +310,56 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return false
 })
 
+/**
+ * Read or change the memory notes of a conversation
+ * @param {Object} msg - { type, conversation: { platform, conversationId, title }, text, category, noteId }
+ * @returns {Promise<{success: boolean, notes?: Array, categories?: Object, error?: string}>}
+ */
+async function handleMemoryMessage(msg) {
+  const { conversation } = msg
+  if (msg.type === 'ADD_MEMORY') {
+    const result = await addMemoryNote(conversation, msg.text, msg.category)
+    if (!result.success) return result
+  } else if (msg.type === 'DELETE_MEMORY') {
+    const result = await removeMemoryNote(conversation, msg.noteId)
+    if (!result.success) return result
+  }
+  return { success: true, notes: await getMemoryNotes(conversation), categories: MEMORY_CATEGORIES }
+}
+
+/**
+ * Add voice transcripts and the conversation's memory notes to the chat messages,
+ * then keep as many of the newest messages as fit the token budget
+ * With summarising on, the messages left out are folded into the conversation's summary first
+ * @param {Object} msg - Suggestion request with context, provider, platform and conversationId
+ * @param {Object} [options] - { signal, tabId }: AbortSignal that cancels the summary request, and
+ *   the tab asking, which decides whether the call transcript is included
+ * @returns {Promise<{context: Array, contextInfo: Object}>} Context to send to the provider, and
+ *   { included, total, truncated, tokens, budget, summarized } for the panel
+ */
+async function buildRequestContext(msg, { signal, tabId } = {}) {
+  const conversation = { platform: msg.platform, conversationId: msg.conversationId }
+  const voice = { transcriptSessionId: getTranscriptSessionForTab(tabId) }
+  let merged = await mergeContext(msg.context || [], undefined, conversation, voice)
+  let window = await fitContextToProvider(merged, msg.provider)
+
+  if (window.included < window.total && await getSummarizeOlderMessages() &&
+      await refreshConversationSummary(conversation, merged, window, msg.provider, { signal })) {
+    merged = await mergeContext(msg.context || [], undefined, conversation, voice)
+    window = await fitContextToProvider(merged, msg.provider)
+  }
+
+  const { messages, ...contextInfo } = window
+  return {
+    context: messages,
+    contextInfo: { ...contextInfo, summarized: messages.some(m => m.source === 'summary') }
+  }
+}
+
 /**
  * Handle LLM suggestion requests
  */
-async function handleGetSuggestions(msg, sendResponse) {
+async function handleGetSuggestions(msg, sendResponse, tabId) {
   // This function is called asynchronously, so we need to track if response was sent
   let responseSent = false
   
@@ -205,16 +379,17 @@ async function handleGetSuggestions(msg, sendResponse) {
         console.error('Failed to send timeout response:', e)
       }
     }
-  }, 10000) // 10 second timeout
+  }, 30000) // 30 second timeout, leaves room for retries and the fallback chain
   
   try {
     console.log('🔍 handleGetSuggestions called with:', msg)
-    const { context, tone, provider } = msg
-    console.log('📝 Extracted parameters:', { context, tone, provider })
+    const { tone, provider, platform, contactName, participants, replyTo } = msg
+    const { context, contextInfo } = await buildRequestContext(msg, { tabId })
+    console.log('📝 Extracted parameters:', { context, tone, provider, platform })
     
     console.log('🚀 About to call getLLMSuggestions...')
     // Call the real LLM service
-    const result = await getLLMSuggestions(context, tone, provider)
+    const result = await getLLMSuggestions(context, tone, provider, { platform, contactName, participants, replyTo })
     console.log('✅ getLLMSuggestions completed:', result)
     
     if (!responseSent) {
@@ -222,6 +397,10 @@ async function handleGetSuggestions(msg, sendResponse) {
         type: 'SUGGESTIONS_READY',
         success: result.success,
         suggestions: result.suggestions,
+        providerName: result.providerName,
+        fallback: result.fallback,
+        attempts: result.attempts,
+        contextInfo,
         error: result.error
       }
       console.log('📤 Sending response:', response)
@@ -252,376 +431,9 @@ async function handleGetSuggestions(msg, sendResponse) {
   }
 }
 
-// Inlined LLM Service Functions
-async function getLLMSuggestions(context, tone, provider) {
-  try {
-    let apiKey // Will be undefined for 'local'
-
-    // Only get API key if it's not a local provider
-    if (provider !== 'local') {
-      apiKey = await getKey(provider)
-      if (!apiKey) {
-        return { success: false, error: 'API key not found. Please configure your API key in the options page.' }
-      }
-    }
-
-    const systemPrompt = `You are a helpful assistant that generates reply suggestions for chat conversations. 
-
-IMPORTANT: The last message in the conversation is what you need to reply to. Generate REPLY suggestions, NOT continuations.
-
-CRITICAL RULES:
-1. ALWAYS respond in the EXACT SAME language as the last message
-2. Generate exactly 3 diverse REPLY suggestions (not continuations of your own message)
-3. Each suggestion must be 1-2 sentences long
-4. Separate each suggestion with exactly "---" (three dashes)
-5. Provide one suggestion that agrees/confirms with the last message
-6. Provide one suggestion that disagrees or offers an alternative perspective
-7. Provide one suggestion that is neutral, asks a question, or seeks clarification
-8. Use a ${tone} tone
-9. DO NOT include the word "suggestion" or any explanation in your response
-10. ONLY output the 3 suggestions separated by "---"
-
-Example:
-If last message is: "Спасибо" (Thank you)
-Good replies: "Не за что" / "Пожалуйста" / "Рад был помочь"
-Bad: "за понимание" (this is a continuation, not a reply)
-
-Format: [first suggestion]---[second suggestion]---[third suggestion]`
-
-    let suggestions
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        suggestions = await callOpenAI(context, systemPrompt, apiKey)
-        break
-      case 'anthropic':
-        suggestions = await callAnthropic(context, systemPrompt, apiKey)
-        break
-      case 'google':
-        suggestions = await callGoogle(context, systemPrompt, apiKey)
-        break
-      case 'local':
-        suggestions = await callLocalLLM(context, systemPrompt)
-        break
-      default:
-        return { success: false, error: `Unsupported provider: ${provider}` }
-    }
-
-    if (suggestions.success) {
-      // Parse suggestions by splitting on '---'
-      const parsedSuggestions = suggestions.data
-        .split('---')
-        .map(s => s.trim())
-        .filter(s => s.length > 0)
-        .slice(0, 3) // Ensure max 3 suggestions
-
-      return { success: true, suggestions: parsedSuggestions }
-    } else {
-      return { success: false, error: suggestions.error }
-    }
-  } catch (error) {
-    console.error('LLM service error:', error)
-    return { success: false, error: `Unexpected error: ${error.message}` }
-  }
-}
-
-// Inlined Storage Functions
-async function getKey(provider) {
-  try {
-    const result = await chrome.storage.local.get(`api_key_${provider}`)
-    return result[`api_key_${provider}`] || null
-  } catch (error) {
-    console.error('Failed to get API key:', error)
-    return null
-  }
-}
-
-// Inlined LLM API Functions
-async function callOpenAI(context, systemPrompt, apiKey) {
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ]
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: messages,
-        max_tokens: 500,
-        temperature: 0.7
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `OpenAI API error (${response.status})`
-      
-      if (response.status === 401) {
-        errorMessage = 'Invalid API key. Please check your OpenAI API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const data = await response.json()
-    const content = data.choices?.[0]?.message?.content
-
-    if (!content) {
-      return { success: false, error: 'No response content received from OpenAI' }
-    }
-
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Network error: ${error.message}` }
-  }
-}
-
-async function callAnthropic(context, systemPrompt, apiKey) {
-  try {
-    const messages = context.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }))
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: messages
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Anthropic API error (${response.status})`
-      
-      if (response.status === 401) {
-        errorMessage = 'Invalid API key. Please check your Anthropic API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const data = await response.json()
-    const content = data.content?.[0]?.text
-
-    if (!content) {
-      return { success: false, error: 'No response content received from Anthropic' }
-    }
-
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Network error: ${error.message}` }
-  }
-}
-
-async function callGoogle(context, systemPrompt, apiKey) {
-  try {
-    // Gemini requires alternating user/model roles
-    const contents = []
-    
-    // Add system instructions if provided
-    if (systemPrompt) {
-      contents.push({ role: "user", parts: [{ text: systemPrompt }] })
-      contents.push({ role: "model", parts: [{ text: "Okay, I understand the instructions." }] })
-    }
-
-    // Add conversation history
-    context.forEach(msg => {
-      contents.push({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })
-    })
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents,
-        generationConfig: {
-          maxOutputTokens: 300,
-          temperature: 0.7
-        }
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Google API error (${response.status})`
-      
-      if (response.status === 400) {
-        errorMessage = 'Invalid API key. Please check your Google AI API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const data = await response.json()
-    
-    // Handle potential safety blocks
-    if (data.candidates?.[0]?.finishReason === 'SAFETY') {
-      return { success: false, error: 'Google API blocked the response due to safety settings.' }
-    }
-    
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text
-
-    if (!content) {
-      return { success: false, error: 'No response content received from Google Gemini' }
-    }
-
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Google API Network error: ${error.message}` }
-  }
-}
-
-async function callLocalLLM(context, systemPrompt) {
-  try {
-    // Convert context from {text, role} to {content, role} format expected by Ollama
-    // Only use the last 3 messages to avoid confusing the model
-    const recentMessages = context.slice(-3)
-    
-    console.log('📝 Context messages:', recentMessages)
-    
-    // If there are no messages, return empty suggestions
-    if (recentMessages.length === 0) {
-      return { success: true, data: 'No conversation to reply to.' }
-    }
-    
-    const formattedContext = recentMessages.map(msg => ({
-      role: msg.role,
-      content: msg.text || msg.content
-    }))
-    
-    console.log('📝 Using last 3 messages from context:', formattedContext)
-    
-    // Build conversation string for the system prompt
-    const conversationText = formattedContext.map((msg, idx) => {
-      const role = msg.role === 'user' ? 'User' : 'Assistant'
-      return `${idx + 1}. ${role}: ${msg.content}`
-    }).join('\n')
-    
-    // Add conversation context to the prompt
-    const enhancedPrompt = `${systemPrompt}
-
-CONVERSATION HISTORY:
-${conversationText}
-
-Your task: Generate reply suggestions for the LAST message in the conversation above.`
-    
-    // Resolve model preference: session override -> default -> fallback
-    let modelName = 'llama3:latest'
-    try {
-      const { defaultLocalModel } = await chrome.storage.sync.get(['defaultLocalModel'])
-      const localStore = await chrome.storage.local.get(['sessionLocalModel'])
-      modelName = localStore.sessionLocalModel || defaultLocalModel || modelName
-    } catch (e) {
-      // ignore storage errors
-    }
-
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...formattedContext
-    ]
-
-    console.log('🌐 Making request to Ollama API...')
-    console.log('📝 Request payload:', JSON.stringify({
-        model: modelName,
-        messages: messages,
-        max_tokens: 500,
-        temperature: 0.9,
-        stream: false
-    }, null, 2))
-    
-    const response = await fetch('http://localhost:11434/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-        // No 'Authorization' header needed for local Ollama
-      },
-      mode: 'cors', // Explicitly set CORS mode
-      body: JSON.stringify({
-        model: modelName,
-        messages: messages,
-        max_tokens: 500,
-        temperature: 0.9,
-        stream: false // Ensure streaming is off
-      })
-    })
-    
-    console.log('📡 Response status:', response.status)
-    console.log('📡 Response ok:', response.ok)
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Local LLM API error (HTTP ${response.status})`
-      
-      if (response.status === 403) {
-        errorMessage = 'Ollama blocked the request due to CORS. Try: OLLAMA_ORIGINS="*" ollama serve'
-      } else if (response.status === 404) {
-        errorMessage = `Model not found. Check the model name: ${modelName}`
-      } else if (response.status === 400) {
-        errorMessage = `Model not found. Check the model name: ${modelName}`
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const data = await response.json()
-    console.log('📦 Ollama response data:', JSON.stringify(data, null, 2))
-    
-    const content = data.choices?.[0]?.message?.content
-
-    if (!content || content.trim().length === 0) {
-      console.log('❌ No content found in response. Full response:', data)
-      return { success: false, error: 'Model returned empty response. Try regenerating or use a different tone.' }
-    }
-
-    console.log('✅ Content extracted:', content)
-    return { success: true, data: content }
-  } catch (error) {
-    // This catch block will trigger if the server isn't running at all
-    if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
-      return { success: false, error: 'Connection refused. Is your local LLM server (Ollama) running at http://localhost:11434?' }
-    }
-    if (error.message.includes('CORS') || error.message.includes('cors')) {
-      return { success: false, error: 'CORS error. Try: OLLAMA_ORIGINS="*" ollama serve' }
-    }
-    return { success: false, error: `Local LLM Network error: ${error.message}` }
-  }
-}
-
 // Lifecycle management - automatically stop capture when tabs are closed or navigate
 chrome.tabs.onRemoved.addListener((tabId) => {
+  transcriptForwardTabs.delete(tabId)
   if (capturingTabs.has(tabId)) {
     stopCapture(tabId)
   }
@@ -640,6 +452,8 @@ chrome.runtime.onInstalled.addListener((details) => {
     console.log('AI Consul Lite installed')
   } else if (details.reason === 'update') {
     console.log('AI Consul Lite updated')
+    // Transcripts moved to the local transcript store
+    clearLegacyTranscripts()
   }
 })
 
@@ -652,40 +466,92 @@ chrome.runtime.onConnect.addListener((port) => {
   
   if (port.name === 'STREAM_SUGGESTIONS') {
     let accumulatedText = ''
+    // Suggestions already sent as SUGGESTION_READY, left out of the progress preview
+    let readyCount = 0
+    // Aborting this stops the provider fetch so we stop reading (and paying for) tokens
+    let abortController = null
     
     port.onMessage.addListener(async (msg) => {
       if (msg.type === 'START_STREAM') {
         console.log('📡 Starting streaming request:', msg)
-        const { context, tone, provider } = msg
+        const { tone, provider, platform, contactName, participants, replyTo } = msg
+        
+        // A new request on the same port replaces the one in flight
+        if (abortController) {
+          abortController.abort()
+        }
+        const controller = new AbortController()
+        abortController = controller
+        accumulatedText = ''
+        readyCount = 0
         
         try {
+          // Stop also cancels a summary update still running before the first chunk
+          const { context, contextInfo } = await buildRequestContext(msg, { signal: controller.signal, tabId: port.sender?.tab?.id })
+          if (controller.signal.aborted) return
+          
+          // How much of the conversation the model gets to see
+          port.postMessage({
+            type: 'CONTEXT_INFO',
+            ...contextInfo
+          })
+          
           // Send chunks as they arrive
           const result = await streamLLMSuggestions(
             context,
             tone,
             provider,
             (chunk) => {
+              if (controller.signal.aborted) return
               accumulatedText += chunk
               port.postMessage({
                 type: 'CHUNK',
                 chunk: chunk,
-                accumulated: accumulatedText
+                // The raw output is JSON; show just the reply texts still being written
+                accumulated: formatStreamingPreview(accumulatedText, readyCount)
               })
+            },
+            {
+              signal: controller.signal,
+              platform,
+              contactName,
+              participants,
+              replyTo,
+              // Each suggestion becomes a clickable card as soon as it is complete
+              onSuggestion: (suggestion, index) => {
+                if (controller.signal.aborted) return
+                readyCount = Math.max(readyCount, index + 1)
+                port.postMessage({
+                  type: 'SUGGESTION_READY',
+                  suggestion,
+                  index
+                })
+              },
+              // Let the panel show that we're waiting on a rate limit rather than stuck
+              onRetry: (info) => {
+                if (controller.signal.aborted) return
+                port.postMessage({
+                  type: 'RETRY',
+                  ...info
+                })
+              }
             }
           )
           
+          if (controller.signal.aborted) {
+            // Cancelled or the port went away; nobody is waiting for a result
+            console.log('🛑 Stream cancelled')
+            return
+          }
+          
           if (result.success) {
-            // Parse accumulated text into suggestions
-            const parsedSuggestions = accumulatedText
-              .split('---')
-              .map(s => s.trim())
-              .filter(s => s.length > 0)
-              .slice(0, 3)
-            
             port.postMessage({
               type: 'COMPLETE',
               success: true,
-              suggestions: parsedSuggestions
+              suggestions: result.suggestions,
+              providerName: result.providerName,
+              fallback: result.fallback,
+              attempts: result.attempts
             })
           } else {
             port.postMessage({
@@ -694,17 +560,32 @@ chrome.runtime.onConnect.addListener((port) => {
             })
           }
         } catch (error) {
+          if (controller.signal.aborted) return
           console.error('❌ Streaming error:', error)
           port.postMessage({
             type: 'ERROR',
             error: error.message || 'Unknown streaming error'
           })
+        } finally {
+          if (abortController === controller) {
+            abortController = null
+          }
+        }
+      } else if (msg.type === 'CANCEL_STREAM') {
+        console.log('🛑 Cancel requested')
+        if (abortController) {
+          abortController.abort()
+          abortController = null
         }
       }
     })
     
     port.onDisconnect.addListener(() => {
       console.log('🔌 Port disconnected')
+      if (abortController) {
+        abortController.abort()
+        abortController = null
+      }
       accumulatedText = ''
     })
   }
@@ -42,6 +42,24 @@ function getAdapter(hostname) {
         // Their incoming messages should be 'user' role
         return isOutgoing ? 'assistant' : 'user'
       },
+      getMessageTime: (element) => parseWhatsAppMeta(element.querySelector('[data-pre-plain-text]')?.getAttribute('data-pre-plain-text'))?.sentAt ?? null,
+      getSenderName: (element) => parseWhatsAppMeta(element.querySelector('[data-pre-plain-text]')?.getAttribute('data-pre-plain-text'))?.sender ?? null,
+      // The URL doesn't change between chats, so use the contact name in the conversation header
+      getConversationId: () => {
+        const title = document.querySelector('#main header span[title]')?.getAttribute('title')
+        return title ? `chat:${title}` : null
+      },
+      getConversationTitle: () => document.querySelector('#main header span[title]')?.getAttribute('title') || null,
+      getParticipants: () => {
+        // Groups list their members under the name, e.g. "Anna, Ben, You"
+        const spans = document.querySelectorAll('#main header span[title]')
+        const members = spans[1]?.getAttribute('title')
+        if (members && members.includes(',')) {
+          return members.split(',').map(name => name.trim()).filter(name => name && name !== 'You')
+        }
+        const title = spans[0]?.getAttribute('title')
+        return title ? [title] : []
+      },
       insertText: (inputField, text) => {
         try {
           console.log('📝 WhatsApp insertText called with:', text)
@@ -80,6 +98,17 @@ function getAdapter(hostname) {
         // Their incoming messages should be 'user' role
         return element.classList.contains('message-out') ? 'assistant' : 'user'
       },
+      getMessageTime: (element) => fromUnixSeconds(element.closest('[data-timestamp]')?.dataset.timestamp),
+      getSenderName: (element) => element.querySelector('.peer-title, .name')?.textContent.trim() || null,
+      // web.telegram.org/k/#-1001234567 or /a/#@username
+      getConversationId: () => window.location.hash.match(/#(@?-?\w+)/)?.[1] || null,
+      getConversationTitle: () => {
+        const title = document.querySelector('.chat-info .peer-title') || document.querySelector('.ChatInfo .fullName')
+        return title?.textContent.trim() || null
+      },
+      getParticipants() {
+        return participantsFrom('.message .peer-title', this.getConversationTitle())
+      },
       insertText: (inputField, text) => {
         inputField.textContent = text
         inputField.dispatchEvent(new Event('input', { bubbles: true }))
@@ -96,6 +125,17 @@ function getAdapter(hostname) {
         // Their incoming messages should be 'user' role
         return element.classList.contains('c-message--sent') ? 'assistant' : 'user'
       },
+      getMessageTime: (element) => fromUnixSeconds(element.querySelector('[data-ts]')?.getAttribute('data-ts')),
+      getSenderName: (element) => element.querySelector('[data-qa="message_sender_name"]')?.textContent.trim() || null,
+      // app.slack.com/client/<team>/<channel>
+      getConversationId: () => {
+        const match = window.location.pathname.match(/\/client\/(\w+)\/(\w+)/)
+        return match ? `${match[1]}/${match[2]}` : null
+      },
+      getConversationTitle: () => document.querySelector('[data-qa="channel_name"]')?.textContent.trim() || null,
+      getParticipants() {
+        return participantsFrom('[data-qa="message_sender_name"]', this.getConversationTitle())
+      },
       insertText: (inputField, text) => {
         inputField.value = text
         inputField.dispatchEvent(new Event('input', { bubbles: true }))
@@ -107,6 +147,55 @@ function getAdapter(hostname) {
   return adapters[hostname] || null
 }
 
+/**
+ * Milliseconds for a Unix time in seconds, as Slack and Telegram put in data attributes
+ */
+function fromUnixSeconds(value) {
+  const seconds = parseFloat(value)
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null
+}
+
+/**
+ * Read WhatsApp's data-pre-plain-text, e.g. "[10:32, 12/5/2024] Anna: "
+ * The date is written in the user's locale; day and month are told apart by value where possible
+ */
+function parseWhatsAppMeta(value) {
+  const match = value?.match(/^\[([^,\]]+),\s*([^\]]+)\]\s*(.*?):\s*$/)
+  if (!match) return null
+  
+  const [, time, date, sender] = match
+  const clock = time.match(/(\d{1,2}):(\d{2})\s*([AaPp])?/)
+  const parts = date.split(/[./-]/).map(part => parseInt(part, 10))
+  if (!clock || parts.length !== 3 || parts.some(Number.isNaN)) {
+    return { sentAt: null, sender: sender.trim() || null }
+  }
+  
+  let year, month, day
+  if (parts[0] > 31) {
+    [year, month, day] = parts
+  } else {
+    const [first, second] = parts
+    const monthFirst = first > 12 ? false : second > 12 ? true : /^en-US$/i.test(navigator.language)
+    month = monthFirst ? first : second
+    day = monthFirst ? second : first
+    year = parts[2] < 100 ? 2000 + parts[2] : parts[2]
+  }
+  
+  let hours = parseInt(clock[1], 10)
+  const meridiem = clock[3]?.toLowerCase()
+  if (meridiem === 'p' && hours < 12) hours += 12
+  if (meridiem === 'a' && hours === 12) hours = 0
+  
+  return {
+    sentAt: new Date(year, month - 1, day, hours, parseInt(clock[2], 10)).getTime(),
+    sender: sender.trim() || null
+  }
+}
+
+/**
+ * Get the last messages with the sender and time shown on the page
+ * sentAt is null when the page shows no time; timestamp is sentAt or an estimate, for ordering
+ */
 function getRecentMessages(adapter, limit = 10) {
   const messages = []
   const messageElements = document.querySelectorAll(adapter.messageSelector)
@@ -117,20 +206,362 @@ function getRecentMessages(adapter, limit = 10) {
     const role = adapter.getMessageRole(element)
     
     if (text) {
-      messages.push({ text, role })
+      // Slack and Telegram show the name and time once per run of messages from one person
+      const previous = messages[messages.length - 1]
+      const sentAt = adapter.getMessageTime(element)
+      messages.push({
+        text,
+        role,
+        sender: adapter.getSenderName(element) || (previous?.role === role ? previous.sender : null),
+        sentAt,
+        timestamp: sentAt ?? previous?.timestamp ?? null
+      })
+    }
+  }
+  
+  // Messages before the first known time take the next known time, or now
+  let next = Date.now()
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].timestamp === null) {
+      messages[i].timestamp = next
+    } else {
+      next = messages[i].timestamp
     }
   }
   
   return messages
 }
 
+/**
+ * Names of the people who wrote the visible messages, falling back to the chat title
+ */
+function participantsFrom(senderSelector, title) {
+  const names = Array.from(document.querySelectorAll(senderSelector))
+    .map(element => element.textContent.trim())
+    .filter(Boolean)
+  const unique = [...new Set(names)]
+  if (unique.length > 0) return unique
+  return title ? [title] : []
+}
+
+/**
+ * Describe the conversation open in the page
+ */
+function getConversation(adapter) {
+  return {
+    platform: adapter.name,
+    conversationId: adapter.getConversationId(),
+    title: adapter.getConversationTitle(),
+    participants: adapter.getParticipants()
+  }
+}
+
+/**
+ * Name of the person the user is replying to in a one-to-one chat; group chats have none
+ */
+function getContactName(conversation) {
+  if (conversation.participants.length > 1) return null
+  return conversation.title || conversation.participants[0] || null
+}
+
+/**
+ * Call back when the user switches to another conversation
+ * Watches URL and DOM changes; moments where no conversation can be identified are ignored
+ * @returns {Function} Stops watching
+ */
+function onConversationChange(adapter, callback, { debounceMs = 300 } = {}) {
+  let currentId = adapter.getConversationId()
+  let timer = null
+  
+  const check = () => {
+    timer = null
+    const conversationId = adapter.getConversationId()
+    if (!conversationId || conversationId === currentId) return
+    
+    const previousId = currentId
+    currentId = conversationId
+    callback(getConversation(adapter), previousId)
+  }
+  
+  const schedule = () => {
+    if (!timer) timer = setTimeout(check, debounceMs)
+  }
+  
+  const observer = new MutationObserver(schedule)
+  observer.observe(document.body, { childList: true, subtree: true })
+  window.addEventListener('popstate', schedule)
+  window.addEventListener('hashchange', schedule)
+  
+  return () => {
+    observer.disconnect()
+    window.removeEventListener('popstate', schedule)
+    window.removeEventListener('hashchange', schedule)
+    clearTimeout(timer)
+  }
+}
+
 function hasChatInterface(adapter) {
   return document.querySelector(adapter.inputSelector) !== null
 }
 
+// Badge colours for suggestion intents
+const INTENT_COLORS = {
+  agree: '#1e8e3e',
+  disagree: '#d93025',
+  clarify: '#4688F1'
+}
+
+// Messages read from the page; the service worker keeps as many as fit the token budget
+const MAX_SCRAPED_MESSAGES = 40
+
+/**
+ * Describe how much of the conversation was sent, e.g. "Context: 12 of 30 messages (~1,850 of 2,000 tokens)"
+ */
+function formatContextInfo(info) {
+  const shortened = info.truncated > 0 ? `, ${info.truncated} shortened` : ''
+  const summary = info.summarized ? ' + summary of earlier messages' : ''
+  return `Context: ${info.included} of ${info.total} messages${summary} (~${info.tokens.toLocaleString()} of ${info.budget.toLocaleString()} tokens${shortened})`
+}
+
+/**
+ * Clock time of a transcript chunk, e.g. "14:05:32"
+ */
+function formatTranscriptTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+}
+
+/**
+ * Meeting summary from the service worker as panel HTML: summary, decisions, action items and open questions
+ */
+function formatMeetingSummaryHtml(summary) {
+  const heading = (text) => `<div style="font-weight: 600; color: #333; margin: 10px 0 4px;">${text}</div>`
+  const list = (items) => `<ul style="margin: 0; padding-left: 18px;">${items.map(item => `<li style="margin-bottom: 2px;">${item}</li>`).join('')}</ul>`
+  const none = '<div style="color: #999; font-style: italic;">None</div>'
+  const actionItems = summary.actionItems.map(item => {
+    const details = [item.owner ? escapeHtml(item.owner) : 'No owner named', item.due ? `due ${escapeHtml(item.due)}` : null]
+      .filter(Boolean)
+      .join(', ')
+    return `${escapeHtml(item.task)} <span style="color: #666;">(${details})</span>`
+  })
+  return `
+    ${heading('Summary')}<div>${escapeHtml(summary.summary || '')}</div>
+    ${heading('Decisions')}${summary.decisions.length > 0 ? list(summary.decisions.map(escapeHtml)) : none}
+    ${heading('Action items')}${actionItems.length > 0 ? list(actionItems) : none}
+    ${heading('Open questions')}${summary.openQuestions.length > 0 ? list(summary.openQuestions.map(escapeHtml)) : none}
+  `
+}
+
+/**
+ * Escape model output before putting it into innerHTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// Live transcript of the captured call, with the meeting summary actions; shared by both panels
+const TRANSCRIPT_SECTION_HTML = `
+      <div id="transcript-section" style="
+        margin-bottom: 20px;
+        padding: 12px;
+        background: #f8f9fa;
+        border-radius: 8px;
+        border: 1px solid #e9ecef;
+        display: none;
+      ">
+        <div style="display: flex; align-items: center; margin-bottom: 8px;">
+          <span id="transcript-badge" style="
+            background: #4688F1;
+            color: white;
+            padding: 4px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            font-weight: 500;
+            margin-right: 8px;
+          ">🎤 LIVE</span>
+          <span id="transcript-source" style="font-size: 12px; color: #666;">Voice Transcription</span>
+        </div>
+        <div id="transcript-text" style="
+          font-size: 14px;
+          line-height: 1.4;
+          color: #333;
+          min-height: 20px;
+          max-height: 140px;
+          overflow-y: auto;
+        "></div>
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <button id="summarize-meeting-btn" style="
+            padding: 6px 10px;
+            background: white;
+            color: #4688F1;
+            border: 1px solid #4688F1;
+            border-radius: 6px;
+            font-size: 12px;
+            cursor: pointer;
+          ">📝 Summarise meeting</button>
+          <button id="save-meeting-summary-btn" style="
+            padding: 6px 10px;
+            background: white;
+            color: #1e8e3e;
+            border: 1px solid #1e8e3e;
+            border-radius: 6px;
+            font-size: 12px;
+            cursor: pointer;
+            display: none;
+          ">Save with session</button>
+        </div>
+        <div id="meeting-summary" style="
+          margin-top: 8px;
+          font-size: 13px;
+          line-height: 1.4;
+          color: #333;
+          max-height: 260px;
+          overflow-y: auto;
+          display: none;
+        "></div>
+      </div>
+`
+
+/**
+ * Wire up the transcript section: follow LIVE_TRANSCRIPT_UPDATEs and summarise or save the session they belong to
+ */
+function mountTranscriptSection(shadowRoot) {
+  const transcriptSection = shadowRoot.getElementById('transcript-section')
+  const transcriptText = shadowRoot.getElementById('transcript-text')
+  const transcriptBadge = shadowRoot.getElementById('transcript-badge')
+  const transcriptSource = shadowRoot.getElementById('transcript-source')
+  const summarizeMeetingBtn = shadowRoot.getElementById('summarize-meeting-btn')
+  const saveMeetingSummaryBtn = shadowRoot.getElementById('save-meeting-summary-btn')
+  const meetingSummary = shadowRoot.getElementById('meeting-summary')
+  
+  // Meeting summary of the captured call, in the provider selected for suggestions
+  let meetingSessionId = null
+  let pendingMeetingSummary = null
+  summarizeMeetingBtn.addEventListener('click', async () => {
+    if (!meetingSessionId) return
+    summarizeMeetingBtn.disabled = true
+    summarizeMeetingBtn.textContent = '⏳ Summarising...'
+    saveMeetingSummaryBtn.style.display = 'none'
+    meetingSummary.style.display = 'none'
+    try {
+      const { defaultProvider } = await chrome.storage.sync.get('defaultProvider')
+      const response = await chrome.runtime.sendMessage({
+        type: 'SUMMARIZE_MEETING',
+        sessionId: meetingSessionId,
+        provider: defaultProvider || 'openai'
+      })
+      if (response?.success) {
+        pendingMeetingSummary = response.summary
+        meetingSummary.innerHTML = formatMeetingSummaryHtml(response.summary)
+        saveMeetingSummaryBtn.textContent = 'Save with session'
+        saveMeetingSummaryBtn.disabled = false
+        saveMeetingSummaryBtn.style.display = 'inline-block'
+      } else {
+        meetingSummary.innerHTML = `<div style="color: #d93025;">${escapeHtml(response?.error || 'Could not summarise the meeting.')}</div>`
+      }
+    } catch (error) {
+      console.error('❌ Failed to summarise meeting:', error)
+      meetingSummary.innerHTML = '<div style="color: #d93025;">Could not summarise the meeting. Please try again.</div>'
+    } finally {
+      meetingSummary.style.display = 'block'
+      summarizeMeetingBtn.disabled = false
+      summarizeMeetingBtn.textContent = '📝 Summarise meeting'
+    }
+  })
+  
+  saveMeetingSummaryBtn.addEventListener('click', async () => {
+    if (!pendingMeetingSummary) return
+    saveMeetingSummaryBtn.disabled = true
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_MEETING_SUMMARY',
+      sessionId: meetingSessionId,
+      summary: pendingMeetingSummary
+    }).catch(error => ({ success: false, error: error.message }))
+    saveMeetingSummaryBtn.textContent = response?.success ? '✓ Saved' : 'Save failed, retry'
+    saveMeetingSummaryBtn.disabled = !!response?.success
+  })
+  
+  // Set up transcript update callback
+  setTranscriptUpdateCallback((update) => {
+    const segments = update.segments || []
+    if (segments.length === 0) {
+      transcriptSection.style.display = 'none'
+      return
+    }
+    
+    transcriptSection.style.display = 'block'
+    transcriptBadge.textContent = update.ended ? 'ENDED' : '🎤 LIVE'
+    transcriptBadge.style.background = update.ended ? '#999' : '#4688F1'
+    transcriptSource.textContent = update.source?.title ? `Voice Transcription · ${update.source.title}` : 'Voice Transcription'
+    // A new capture starts a new session; an earlier summary doesn't belong to it
+    if (update.source?.sessionId !== meetingSessionId) {
+      meetingSessionId = update.source?.sessionId ?? null
+      pendingMeetingSummary = null
+      meetingSummary.style.display = 'none'
+      saveMeetingSummaryBtn.style.display = 'none'
+    }
+    summarizeMeetingBtn.style.display = meetingSessionId ? 'inline-block' : 'none'
+    
+    // Follow the new text, unless the user scrolled up to read something
+    const atBottom = transcriptText.scrollHeight - transcriptText.scrollTop - transcriptText.clientHeight < 20
+    transcriptText.innerHTML = segments.map(segment => `
+      <div style="margin-bottom: 4px;">
+        <span style="font-size: 11px; color: #999; margin-right: 6px;">${formatTranscriptTime(segment.timestamp)}</span>${escapeHtml(segment.text)}
+      </div>
+    `).join('')
+    if (atBottom) {
+      transcriptText.scrollTop = transcriptText.scrollHeight
+    }
+  })
+}
+
+/**
+ * Panel with only the live transcript, for call tabs (Meet, Zoom) and other pages without a chat adapter
+ */
+function mountTranscriptPanel(shadowRoot, { onClose }) {
+  shadowRoot.innerHTML = `
+    <div style="
+      width: 100%;
+      background: white;
+      border-radius: 12px;
+      padding: 16px;
+      box-sizing: border-box;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    ">
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+        <h3 style="margin: 0; color: #333; font-size: 16px;">AI Consul Lite</h3>
+        <button id="close-btn" style="
+          background: #f0f0f0;
+          border: none;
+          border-radius: 50%;
+          width: 26px;
+          height: 26px;
+          cursor: pointer;
+          font-size: 14px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        ">×</button>
+      </div>
+      ${TRANSCRIPT_SECTION_HTML}
+    </div>
+  `
+  
+  shadowRoot.getElementById('close-btn').addEventListener('click', () => {
+    clearTranscriptUpdateCallback()
+    onClose()
+  })
+  
+  mountTranscriptSection(shadowRoot)
+}
+
 // Inlined React UI mounting function (simplified)
 function mountReplyPanel(shadowRoot, props) {
-  const { onGenerate, onClose, onInsert } = props
+  const { onGenerate, onClose, onInsert, conversation, selectedText, replyTargets } = props
   
   // Create a simple HTML structure instead of React
   const panelHTML = `
@@ -144,7 +575,20 @@ function mountReplyPanel(shadowRoot, props) {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
     ">
       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-        <h3 style="margin: 0; color: #333; font-size: 18px;">AI Consul Lite</h3>
+        <h3 style="margin: 0; color: #333; font-size: 18px;">
+          AI Consul Lite
+          <span id="local-only-badge" title="Only Ollama and localhost endpoints are used" style="
+            display: none;
+            margin-left: 6px;
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: #e6f4ea;
+            color: #1e8e3e;
+            font-size: 11px;
+            font-weight: 600;
+            vertical-align: middle;
+          ">Local only</span>
+        </h3>
         <button id="close-btn" style="
           background: #f0f0f0;
           border: none;
@@ -159,36 +603,7 @@ function mountReplyPanel(shadowRoot, props) {
         ">×</button>
       </div>
       
-      <!-- Live Transcript Section -->
-      <div id="transcript-section" style="
-        margin-bottom: 20px;
-        padding: 12px;
-        background: #f8f9fa;
-        border-radius: 8px;
-        border: 1px solid #e9ecef;
-        display: none;
-      ">
-        <div style="display: flex; align-items: center; margin-bottom: 8px;">
-          <span style="
-            background: #4688F1;
-            color: white;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 12px;
-            font-weight: 500;
-            margin-right: 8px;
-          ">🎤 LIVE</span>
-          <span style="font-size: 12px; color: #666;">Voice Transcription</span>
-        </div>
-        <div id="transcript-text" style="
-          font-size: 14px;
-          line-height: 1.4;
-          color: #333;
-          min-height: 20px;
-          font-style: italic;
-          color: #666;
-        ">No live transcription yet...</div>
-      </div>
+      ${TRANSCRIPT_SECTION_HTML}
       
       <div style="margin-bottom: 20px;">
         <label style="display: block; margin-bottom: 8px; font-weight: 500; color: #555;">Tone:</label>
@@ -199,13 +614,59 @@ function mountReplyPanel(shadowRoot, props) {
           border-radius: 6px;
           font-size: 14px;
         ">
-          <option value="professional">Professional</option>
-          <option value="casual">Casual</option>
-          <option value="friendly">Friendly</option>
-          <option value="formal">Formal</option>
+          <option value="semi-formal">Semi-formal</option>
         </select>
       </div>
       
+      <!-- Group chats: whose message to answer -->
+      <div id="reply-target-section" style="margin-bottom: 20px; display: none;">
+        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: #555;">Reply to:</label>
+        <select id="reply-target-select" style="
+          width: 100%;
+          padding: 8px 12px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          font-size: 14px;
+        "></select>
+      </div>
+      
+      <!-- Memory notes about this conversation, sent with every request for it -->
+      <div id="memory-section" style="margin-bottom: 20px;">
+        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: #555;">Remember for this chat:</label>
+        <ul id="memory-list" style="
+          list-style: none;
+          margin: 0 0 8px;
+          padding: 0;
+          font-size: 13px;
+          color: #333;
+        "></ul>
+        <div style="display: flex; gap: 6px;">
+          <select id="memory-category" style="
+            padding: 6px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 12px;
+          "></select>
+          <input id="memory-input" type="text" placeholder="e.g. Prefers Spanish" style="
+            flex: 1;
+            min-width: 0;
+            padding: 6px 8px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 13px;
+          ">
+          <button id="remember-btn" style="
+            padding: 6px 10px;
+            background: white;
+            color: #4688F1;
+            border: 1px solid #4688F1;
+            border-radius: 6px;
+            font-size: 12px;
+            cursor: pointer;
+          ">Remember</button>
+        </div>
+      </div>
+      
       <div style="margin-bottom: 20px;">
         <button id="generate-btn" style="
           width: 100%;
@@ -218,6 +679,19 @@ function mountReplyPanel(shadowRoot, props) {
           font-weight: 500;
           cursor: pointer;
         ">Generate Suggestions</button>
+        <button id="stop-btn" style="
+          width: 100%;
+          margin-top: 8px;
+          padding: 8px;
+          background: white;
+          color: #d93025;
+          border: 1px solid #d93025;
+          border-radius: 6px;
+          font-size: 13px;
+          font-weight: 500;
+          cursor: pointer;
+          display: none;
+        ">Stop</button>
       </div>
       
       <!-- Streaming progress display -->
@@ -247,6 +721,22 @@ function mountReplyPanel(shadowRoot, props) {
       ">
         <p style="margin: 0; color: #666; font-style: italic;">Click "Generate Suggestions" to get AI-powered replies</p>
       </div>
+      
+      <!-- Which provider answered (may differ from the default when the fallback chain kicked in) -->
+      <div id="provider-info" style="
+        margin-top: 8px;
+        font-size: 12px;
+        color: #888;
+        display: none;
+      "></div>
+      
+      <!-- How much of the conversation fit the token budget -->
+      <div id="context-info" style="
+        margin-top: 4px;
+        font-size: 12px;
+        color: #888;
+        display: none;
+      "></div>
     </div>
   `
   
@@ -255,83 +745,236 @@ function mountReplyPanel(shadowRoot, props) {
   // Add event listeners
   const closeBtn = shadowRoot.getElementById('close-btn')
   const generateBtn = shadowRoot.getElementById('generate-btn')
+  const stopBtn = shadowRoot.getElementById('stop-btn')
   const suggestionsDiv = shadowRoot.getElementById('suggestions')
   const streamingProgress = shadowRoot.getElementById('streaming-progress')
   const streamingText = shadowRoot.getElementById('streaming-text')
-  const transcriptSection = shadowRoot.getElementById('transcript-section')
-  const transcriptText = shadowRoot.getElementById('transcript-text')
+  const providerInfo = shadowRoot.getElementById('provider-info')
+  const contextInfo = shadowRoot.getElementById('context-info')
+  const memoryList = shadowRoot.getElementById('memory-list')
+  const memoryCategory = shadowRoot.getElementById('memory-category')
+  const memoryInput = shadowRoot.getElementById('memory-input')
+  const rememberBtn = shadowRoot.getElementById('remember-btn')
+  const replyTargetSection = shadowRoot.getElementById('reply-target-section')
+  const replyTargetSelect = shadowRoot.getElementById('reply-target-select')
+  const localOnlyBadge = shadowRoot.getElementById('local-only-badge')
+  
+  // Make it obvious when nothing is allowed to leave the machine
+  chrome.storage.sync.get('localOnlyMode').then(({ localOnlyMode }) => {
+    localOnlyBadge.style.display = localOnlyMode ? 'inline-block' : 'none'
+  }).catch(error => {
+    console.warn('Could not read local-only mode:', error)
+  })
   
   closeBtn.addEventListener('click', () => {
+    cancelActiveStream()
     clearTranscriptUpdateCallback()
     onClose()
   })
   
-  // Set up transcript update callback
-  setTranscriptUpdateCallback((transcript) => {
-    if (transcript && transcript.trim()) {
-      transcriptSection.style.display = 'block'
-      transcriptText.textContent = transcript
-      transcriptText.style.fontStyle = 'normal'
-      transcriptText.style.color = '#333'
-    } else {
-      transcriptSection.style.display = 'none'
+  stopBtn.addEventListener('click', () => {
+    cancelActiveStream()
+  })
+  
+  // Group chats: answer the latest message from someone else unless the user picks another
+  replyTarget = null
+  if (replyTargets?.length > 0) {
+    replyTargetSelect.innerHTML = replyTargets.map((target, index) => {
+      const preview = target.text.length > 50 ? `${target.text.slice(0, 50)}…` : target.text
+      return `<option value="${index}">${escapeHtml(target.sender)}: ${escapeHtml(preview)}</option>`
+    }).join('')
+    replyTargetSelect.value = String(replyTargets.length - 1)
+    replyTarget = replyTargets[replyTargets.length - 1]
+    replyTargetSection.style.display = 'block'
+    
+    replyTargetSelect.addEventListener('change', () => {
+      replyTarget = replyTargets[Number(replyTargetSelect.value)]
+    })
+  }
+  
+  /**
+   * Show the conversation's memory notes; each can be deleted
+   */
+  const renderMemory = (notes, categories) => {
+    if (categories && memoryCategory.options.length === 0) {
+      memoryCategory.innerHTML = Object.entries(categories).map(([value, label]) => `
+        <option value="${escapeHtml(value)}">${escapeHtml(label)}</option>
+      `).join('')
+      memoryCategory.value = 'note'
     }
+    memoryList.innerHTML = notes.map(note => `
+      <li style="display: flex; gap: 6px; align-items: flex-start; margin-bottom: 4px;">
+        <span style="flex: 1;"><strong>${escapeHtml(categories?.[note.category] || note.category)}:</strong> ${escapeHtml(note.text)}</span>
+        <button class="forget-btn" data-id="${escapeHtml(note.id)}" title="Forget" style="
+          background: none;
+          border: none;
+          color: #999;
+          cursor: pointer;
+          font-size: 14px;
+        ">×</button>
+      </li>
+    `).join('')
+    memoryList.querySelectorAll('.forget-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        sendMemoryMessage({ type: 'DELETE_MEMORY', conversation, noteId: button.dataset.id })
+          .then(response => renderMemory(response.notes, categories))
+          .catch(error => console.error('❌ Failed to delete memory note:', error))
+      })
+    })
+  }
+  
+  if (conversation?.conversationId) {
+    // Text selected on the page when the panel opened is what the user wants remembered
+    memoryInput.value = selectedText || ''
+    sendMemoryMessage({ type: 'GET_MEMORY', conversation })
+      .then(response => renderMemory(response.notes, response.categories))
+      .catch(error => console.error('❌ Failed to load memory notes:', error))
+    
+    rememberBtn.addEventListener('click', () => {
+      if (!memoryInput.value.trim()) return
+      sendMemoryMessage({ type: 'ADD_MEMORY', conversation, text: memoryInput.value, category: memoryCategory.value })
+        .then(response => {
+          memoryInput.value = ''
+          renderMemory(response.notes, response.categories)
+        })
+        .catch(error => console.error('❌ Failed to save memory note:', error))
+    })
+  } else {
+    shadowRoot.getElementById('memory-section').style.display = 'none'
+  }
+  
+  // Fill the tone list with the built-in and user-defined tone profiles
+  const toneSelect = shadowRoot.getElementById('tone-select')
+  loadToneProfiles().then(({ profiles, defaultTone }) => {
+    if (profiles.length === 0) return
+    toneSelect.innerHTML = profiles.map(profile => `
+      <option value="${escapeHtml(profile.id)}" title="${escapeHtml(profile.description || '')}">${escapeHtml(profile.name)}</option>
+    `).join('')
+    toneSelect.value = profiles.some(profile => profile.id === defaultTone) ? defaultTone : profiles[0].id
   })
   
+  // The selected tone becomes the default, as in the React panel
+  toneSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ defaultTone: toneSelect.value }).catch(error => {
+      console.error('Failed to save default tone:', error)
+    })
+  })
+  
+  mountTranscriptSection(shadowRoot)
+  
+  /**
+   * Render suggestion cards; items are { text, intent, language } or plain strings (status messages)
+   */
+  const renderSuggestions = (suggestions) => {
+    const items = suggestions.map(suggestion => typeof suggestion === 'string' ? { text: suggestion } : suggestion)
+    
+    suggestionsDiv.innerHTML = items.map((suggestion, index) => `
+      <div class="suggestion-item" style="
+        margin-bottom: 12px;
+        padding: 12px;
+        background: white;
+        border-radius: 6px;
+        border: 1px solid #e0e0e0;
+        cursor: pointer;
+        transition: all 0.2s;
+      " data-index="${index}">
+        ${suggestion.intent ? `<span style="
+          display: inline-block;
+          margin-bottom: 6px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          background: ${INTENT_COLORS[suggestion.intent] || '#666'};
+          color: white;
+          font-size: 11px;
+          text-transform: uppercase;
+        ">${escapeHtml(suggestion.intent)}</span>` : ''}
+        <p style="margin: 0; font-size: 14px; line-height: 1.4; color: #333333;">${escapeHtml(suggestion.text)}</p>
+      </div>
+    `).join('')
+    
+    // Add click listeners to suggestions
+    suggestionsDiv.querySelectorAll('.suggestion-item').forEach((element, index) => {
+      element.addEventListener('mouseenter', () => {
+        element.style.background = '#f5f5f5'
+        element.style.borderColor = '#007bff'
+      })
+      element.addEventListener('mouseleave', () => {
+        element.style.background = 'white'
+        element.style.borderColor = '#e0e0e0'
+      })
+      element.addEventListener('click', () => {
+        // Cards are clickable while later suggestions are still streaming
+        cancelActiveStream()
+        onInsert(items[index].text)
+        onClose()
+      })
+    })
+  }
+  
   generateBtn.addEventListener('click', async () => {
-    const toneSelect = shadowRoot.getElementById('tone-select')
-    const selectedTone = toneSelect?.value || 'professional'
+    const selectedTone = toneSelect.value || 'semi-formal'
+    
+    // Clicking Generate again replaces the stream in flight
+    cancelActiveStream()
+    stopBtn.style.display = 'block'
+    providerInfo.style.display = 'none'
+    contextInfo.style.display = 'none'
+    const readySuggestions = []
+    const showContextInfo = (info) => {
+      contextInfo.textContent = formatContextInfo(info)
+      contextInfo.style.display = 'block'
+    }
     
     // Try streaming first, fallback to regular generation
     try {
       await handleGenerateSuggestionsStreaming(
         selectedTone,
         (chunk, accumulated) => {
-          // Show streaming progress
-          streamingProgress.style.display = 'block'
+          // Show the suggestion still being written; finished ones are already cards
+          streamingProgress.style.display = accumulated ? 'block' : 'none'
           streamingText.textContent = accumulated
         },
-        (suggestions) => {
+        (suggestions, answeredBy) => {
           // Hide streaming progress
           streamingProgress.style.display = 'none'
+          stopBtn.style.display = 'none'
           
-          // Display suggestions
-          suggestionsDiv.innerHTML = suggestions.map((suggestion, index) => `
-            <div class="suggestion-item" style="
-              margin-bottom: 12px;
-              padding: 12px;
-              background: white;
-              border-radius: 6px;
-              border: 1px solid #e0e0e0;
-              cursor: pointer;
-              transition: all 0.2s;
-            " data-index="${index}">
-              <p style="margin: 0; font-size: 14px; line-height: 1.4; color: #333333;">${suggestion}</p>
-            </div>
-          `).join('')
+          if (answeredBy?.providerName) {
+            const notes = []
+            if (answeredBy.fallback) notes.push('fallback')
+            if (answeredBy.attempts > 1) notes.push(`${answeredBy.attempts} attempts`)
+            providerInfo.textContent = notes.length > 0
+              ? `Answered by ${answeredBy.providerName} (${notes.join(', ')})`
+              : `Answered by ${answeredBy.providerName}`
+            providerInfo.style.display = 'block'
+          }
           
-          // Add click listeners to suggestions
-          suggestionsDiv.querySelectorAll('.suggestion-item').forEach((element, index) => {
-            element.addEventListener('mouseenter', () => {
-              element.style.background = '#f5f5f5'
-              element.style.borderColor = '#007bff'
-            })
-            element.addEventListener('mouseleave', () => {
-              element.style.background = 'white'
-              element.style.borderColor = '#e0e0e0'
-            })
-            element.addEventListener('click', () => {
-              const suggestionText = suggestions[index]
-              onInsert(suggestionText)
-              onClose()
-            })
-          })
+          // Display suggestions
+          renderSuggestions(suggestions)
         },
         (error) => {
           // Hide streaming progress on error
           streamingProgress.style.display = 'none'
-          suggestionsDiv.innerHTML = `<p style="color: red; margin: 0;">Error: ${error}</p>`
-        }
+          stopBtn.style.display = 'none'
+          suggestionsDiv.innerHTML = `<p style="color: red; margin: 0;">Error: ${escapeHtml(error)}</p>`
+        },
+        () => {
+          // Stopped by the user, closing the panel or a new Generate click
+          streamingProgress.style.display = 'none'
+          stopBtn.style.display = 'none'
+          suggestionsDiv.innerHTML = '<p style="margin: 0; color: #666; font-style: italic;">Generation stopped.</p>'
+        },
+        (retry) => {
+          // Provider is rate limited or failing; say so instead of looking stuck
+          streamingProgress.style.display = 'block'
+          streamingText.textContent = `${retry.providerName} is busy (HTTP ${retry.status}), retrying in ${Math.ceil(retry.delayMs / 1000)}s (retry ${retry.retry} of ${retry.maxRetries})...`
+        },
+        (suggestion, index) => {
+          // Show each suggestion as soon as it is complete; COMPLETE re-renders the final list
+          readySuggestions[index] = suggestion
+          renderSuggestions(readySuggestions.filter(Boolean))
+        },
+        showContextInfo
       )
     } catch (streamingError) {
       // Fallback to non-streaming generation
@@ -340,39 +983,10 @@ function mountReplyPanel(shadowRoot, props) {
       generateBtn.disabled = true
       
       try {
-        const suggestions = await onGenerate()
-        suggestionsDiv.innerHTML = suggestions.map((suggestion, index) => `
-          <div class="suggestion-item" style="
-            margin-bottom: 12px;
-            padding: 12px;
-            background: white;
-            border-radius: 6px;
-            border: 1px solid #e0e0e0;
-            cursor: pointer;
-            transition: all 0.2s;
-          " data-index="${index}">
-            <p style="margin: 0; font-size: 14px; line-height: 1.4; color: #333333;">${suggestion}</p>
-          </div>
-        `).join('')
-        
-        // Add click listeners to suggestions
-        suggestionsDiv.querySelectorAll('.suggestion-item').forEach((element, index) => {
-          element.addEventListener('mouseenter', () => {
-            element.style.background = '#f5f5f5'
-            element.style.borderColor = '#007bff'
-          })
-          element.addEventListener('mouseleave', () => {
-            element.style.background = 'white'
-            element.style.borderColor = '#e0e0e0'
-          })
-          element.addEventListener('click', () => {
-            const suggestionText = suggestions[index]
-            onInsert(suggestionText)
-            onClose()
-          })
-        })
+        const suggestions = await onGenerate(showContextInfo)
+        renderSuggestions(suggestions)
       } catch (error) {
-        suggestionsDiv.innerHTML = `<p style="color: red; margin: 0;">Error: ${error.message}</p>`
+        suggestionsDiv.innerHTML = `<p style="color: red; margin: 0;">Error: ${escapeHtml(error.message)}</p>`
       } finally {
         generateBtn.textContent = 'Generate Suggestions'
         generateBtn.disabled = false
@@ -386,6 +1000,12 @@ let isExtensionActive = false
 let currentAdapter = null
 let aiIcon = null
 let replyPanel = null
+let activeStream = null // { cancel } for the suggestion stream in flight
+let stopWatchingConversation = null
+let replyTarget = null // { sender, text } picked in the panel of a group chat
+let transcriptOnlyMode = false // No chat adapter for this site: only show the live transcript
+let transcriptPanel = null
+let dismissedTranscriptSession // Session whose transcript panel the user closed; undefined until then
 
 /**
  * Initialize the content script
@@ -413,7 +1033,10 @@ async function initialize() {
   // Get platform adapter
   currentAdapter = getAdapter(hostname)
   if (!currentAdapter) {
-    console.log('❌ No adapter found for hostname:', hostname)
+    // Call pages (Meet, Zoom) have no chat to answer, but still show the transcript of a capture
+    console.log('🎤 No chat adapter for hostname, showing the live transcript only:', hostname)
+    transcriptOnlyMode = true
+    if (liveTranscript) showTranscriptPanel(liveTranscript)
     return
   }
 
@@ -422,6 +1045,25 @@ async function initialize() {
 
   // Start monitoring for chat interface
   monitorForChatInterface()
+  
+  // Suggestions and memory notes belong to one chat, so close the panel when the user opens another
+  if (stopWatchingConversation) stopWatchingConversation()
+  stopWatchingConversation = onConversationChange(currentAdapter, handleConversationChange)
+}
+
+/**
+ * Reset the panel after a chat switch; reopening it loads the new conversation
+ */
+function handleConversationChange(conversation, previousConversationId) {
+  console.log('💬 Conversation changed:', previousConversationId, '→', conversation.conversationId)
+  
+  if (replyPanel) {
+    cancelActiveStream()
+    clearTranscriptUpdateCallback()
+    replyPanel.remove()
+    replyPanel = null
+  }
+  replyTarget = null
 }
 
 /**
@@ -753,6 +1395,7 @@ function toggleReplyPanel() {
     if (replyPanel) {
       console.log('🗑️ Closing existing panel...')
       // Close existing panel
+      cancelActiveStream()
       replyPanel.remove()
       replyPanel = null
       console.log('✅ Panel closed successfully')
@@ -813,6 +1456,14 @@ function toggleReplyPanel() {
     }
     
     console.log('📍 Final position:', { topPosition, leftPosition, transform })
+    
+    // Captured before the panel takes focus, for the "Remember" box
+    const selectedText = window.getSelection()?.toString().trim() || ''
+    
+    // In group chats the user picks whose message to answer
+    const conversation = getConversation(currentAdapter)
+    const incoming = getRecentMessages(currentAdapter, 10).filter(msg => msg.role === 'user' && msg.sender)
+    const isGroup = conversation.participants.length > 1 || new Set(incoming.map(msg => msg.sender)).size > 1
   
     shadowHost.style.cssText = `
       position: fixed;
@@ -822,6 +1473,7 @@ function toggleReplyPanel() {
       z-index: 10001;
       width: 400px;
       max-height: 500px;
+      overflow-y: auto;
       background: white;
       border-radius: 12px;
       box-shadow: 0 8px 32px rgba(0,0,0,0.3);
@@ -849,7 +1501,10 @@ function toggleReplyPanel() {
             replyPanel = null
           }
         },
-        onInsert: insertText
+        onInsert: insertText,
+        conversation,
+        selectedText,
+        replyTargets: isGroup ? incoming.map(({ sender, text }) => ({ sender, text })) : []
       })
       console.log('✅ UI mounted successfully')
     } catch (error) {
@@ -883,21 +1538,94 @@ function toggleReplyPanel() {
   }
 }
 
+/**
+ * Send a GET_MEMORY / ADD_MEMORY / DELETE_MEMORY request to the service worker
+ * @returns {Promise<{notes: Array, categories: Object}>} Rejects if the request failed
+ */
+async function sendMemoryMessage(msg) {
+  const response = await chrome.runtime.sendMessage(msg)
+  if (!response?.success) {
+    throw new Error(response?.error || 'Service worker not available')
+  }
+  return response
+}
+
+/**
+ * Ask the service worker for the tone profiles and the default tone
+ * @returns {Promise<{profiles: Array, defaultTone: string}>} No profiles if the service worker is unavailable
+ */
+async function loadToneProfiles() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TONE_PROFILES' })
+    if (response?.success) {
+      return { profiles: response.profiles, defaultTone: response.defaultTone }
+    }
+  } catch (error) {
+    console.error('❌ Failed to load tone profiles:', error)
+  }
+  return { profiles: [], defaultTone: 'semi-formal' }
+}
+
+/**
+ * Cancel the suggestion stream in flight, if any
+ */
+function cancelActiveStream() {
+  if (activeStream) {
+    activeStream.cancel()
+  }
+}
+
 /**
  * Handle streaming suggestion generation via port connection
+ * Only one stream runs at a time; starting a new one cancels the previous one
  */
-async function handleGenerateSuggestionsStreaming(tone, onChunk, onComplete, onError) {
+async function handleGenerateSuggestionsStreaming(tone, onChunk, onComplete, onError, onCancel, onRetry, onSuggestion, onContextInfo) {
+  cancelActiveStream()
+  
   return new Promise((resolve, reject) => {
+    let port = null
+    
+    const stream = {
+      cancel: () => {
+        console.log('🛑 Cancelling suggestion stream')
+        activeStream = null
+        if (port) {
+          try {
+            // Ask the service worker to abort the fetch, then drop the port
+            port.postMessage({ type: 'CANCEL_STREAM' })
+            port.disconnect()
+          } catch (error) {
+            // Port already disconnected, the service worker aborts on disconnect anyway
+          }
+        }
+        if (onCancel) {
+          onCancel()
+        }
+        // Resolve rather than reject so the caller doesn't fall back to a non-streaming request
+        resolve()
+      }
+    }
+    activeStream = stream
+    
+    const finish = () => {
+      if (activeStream === stream) {
+        activeStream = null
+      }
+    }
+    
     try {
       // Get recent messages for context
-      const recentMessages = getRecentMessages(currentAdapter, 5)
+      const recentMessages = getRecentMessages(currentAdapter, MAX_SCRAPED_MESSAGES)
       
       // Get provider from storage
       chrome.storage.sync.get(['defaultProvider']).then((settings) => {
+        // Cancelled before we got as far as connecting
+        if (activeStream !== stream) return
+        
         const provider = settings.defaultProvider || 'openai'
         
         // Connect to service worker via port
-        const port = chrome.runtime.connect({ name: 'STREAM_SUGGESTIONS' })
+        port = chrome.runtime.connect({ name: 'STREAM_SUGGESTIONS' })
         
         let accumulatedText = ''
         
@@ -905,11 +1633,29 @@ async function handleGenerateSuggestionsStreaming(tone, onChunk, onComplete, onE
           if (msg.type === 'CHUNK') {
             accumulatedText = msg.accumulated
             onChunk(msg.chunk, msg.accumulated)
+          } else if (msg.type === 'RETRY') {
+            if (onRetry) {
+              onRetry(msg)
+            }
+          } else if (msg.type === 'CONTEXT_INFO') {
+            if (onContextInfo) {
+              onContextInfo(msg)
+            }
+          } else if (msg.type === 'SUGGESTION_READY') {
+            if (onSuggestion) {
+              onSuggestion(msg.suggestion, msg.index)
+            }
           } else if (msg.type === 'COMPLETE') {
+            finish()
             port.disconnect()
-            onComplete(msg.suggestions || [])
+            onComplete(msg.suggestions || [], {
+              providerName: msg.providerName,
+              fallback: msg.fallback,
+              attempts: msg.attempts
+            })
             resolve()
           } else if (msg.type === 'ERROR') {
+            finish()
             port.disconnect()
             onError(msg.error || 'Streaming failed')
             reject(new Error(msg.error))
@@ -918,23 +1664,32 @@ async function handleGenerateSuggestionsStreaming(tone, onChunk, onComplete, onE
         
         port.onDisconnect.addListener(() => {
           if (chrome.runtime.lastError) {
+            finish()
             onError(chrome.runtime.lastError.message || 'Port disconnected')
             reject(new Error(chrome.runtime.lastError.message))
           }
         })
         
         // Send start message
+        const conversation = getConversation(currentAdapter)
         port.postMessage({
           type: 'START_STREAM',
           context: recentMessages,
           tone: tone,
-          provider: provider
+          provider: provider,
+          platform: currentAdapter.name,
+          conversationId: conversation.conversationId,
+          contactName: getContactName(conversation),
+          participants: conversation.participants,
+          replyTo: replyTarget
         })
       }).catch((error) => {
+        finish()
         onError(error.message || 'Failed to start streaming')
         reject(error)
       })
     } catch (error) {
+      finish()
       onError(error.message || 'Failed to start streaming')
       reject(error)
     }
@@ -944,12 +1699,12 @@ async function handleGenerateSuggestionsStreaming(tone, onChunk, onComplete, onE
 /**
  * Handle suggestion generation
  */
-async function handleGenerateSuggestions() {
+async function handleGenerateSuggestions(onContextInfo) {
   console.log('🔄 Generating suggestions...')
   
   try {
     // Get recent messages for context
-    const recentMessages = getRecentMessages(currentAdapter, 5)
+    const recentMessages = getRecentMessages(currentAdapter, MAX_SCRAPED_MESSAGES)
     console.log('📝 Recent messages:', recentMessages)
     console.log('🔍 Current adapter:', currentAdapter)
     console.log('🎯 Message selector:', currentAdapter?.messageSelector)
@@ -969,7 +1724,7 @@ async function handleGenerateSuggestions() {
     
     // Get tone and provider from storage
     const settings = await chrome.storage.sync.get(['defaultTone', 'defaultProvider'])
-    const selectedTone = settings.defaultTone || 'professional'
+    const selectedTone = settings.defaultTone || 'semi-formal'
     const provider = settings.defaultProvider || 'openai'
     
     console.log('⚙️ Settings:', { selectedTone, provider })
@@ -992,11 +1747,17 @@ async function handleGenerateSuggestions() {
       return ['Service worker not available. Please reload the extension.']
     }
     
+    const conversation = getConversation(currentAdapter)
     const response = await chrome.runtime.sendMessage({
       type: 'GET_SUGGESTIONS',
       context: recentMessages,
       tone: selectedTone,
-      provider: provider
+      provider: provider,
+      platform: currentAdapter.name,
+      conversationId: conversation.conversationId,
+      contactName: getContactName(conversation),
+      participants: conversation.participants,
+      replyTo: replyTarget
     })
     
     console.log('✅ Suggestions received:', response)
@@ -1004,6 +1765,9 @@ async function handleGenerateSuggestions() {
     console.log('🔍 Response.suggestions:', response?.suggestions)
     console.log('🔍 Response.success:', response?.success)
     console.log('🔍 Response.error:', response?.error)
+    if (response?.contextInfo && onContextInfo) {
+      onContextInfo(response.contextInfo)
+    }
     return response.suggestions || ['No suggestions available']
     
   } catch (error) {
@@ -1033,21 +1797,61 @@ function insertText(text) {
   return result
 }
 
-// Live transcript state
-let liveTranscript = ''
+// Live transcript state: the latest LIVE_TRANSCRIPT_UPDATE, with the rolling window of segments
+let liveTranscript = null
 let transcriptUpdateCallback = null
 
 /**
  * Update the live transcript display
+ * @param {Object} update - { transcript, segments: [{ text, timestamp }], source: { tabId, title }, latest, ended }
  */
-function updateTranscriptUI(transcript) {
-  console.log('🎤 Live transcript update:', transcript)
-  liveTranscript = transcript
+function updateTranscriptUI(update) {
+  console.log('🎤 Live transcript update:', update.latest || update.transcript)
+  liveTranscript = update
   
   // If we have a callback (UI is open), call it
   if (transcriptUpdateCallback) {
-    transcriptUpdateCallback(transcript)
+    transcriptUpdateCallback(update)
   }
+  
+  if (transcriptOnlyMode) {
+    showTranscriptPanel(update)
+  }
+}
+
+/**
+ * Open the transcript-only panel once a transcript arrives, unless the user closed it for this session
+ */
+function showTranscriptPanel(update) {
+  if (transcriptPanel || !update.segments?.length) return
+  if ((update.source?.sessionId ?? null) === dismissedTranscriptSession) return
+  
+  const shadowHost = document.createElement('div')
+  shadowHost.id = 'ai-consul-transcript-panel'
+  shadowHost.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    z-index: 10001;
+    width: 360px;
+    max-height: 500px;
+    overflow-y: auto;
+    background: white;
+    border-radius: 12px;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+    border: 1px solid #e0e0e0;
+  `
+  const shadowRoot = shadowHost.attachShadow({ mode: 'open' })
+  transcriptPanel = shadowHost
+  
+  mountTranscriptPanel(shadowRoot, {
+    onClose: () => {
+      dismissedTranscriptSession = liveTranscript?.source?.sessionId ?? null
+      transcriptPanel.remove()
+      transcriptPanel = null
+    }
+  })
+  document.body.appendChild(shadowHost)
 }
 
 /**
@@ -1073,8 +1877,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   console.log('📨 Content script received message:', msg)
   
   if (msg.type === 'LIVE_TRANSCRIPT_UPDATE') {
-    console.log('🎤 Received live transcript:', msg.transcript)
-    updateTranscriptUI(msg.transcript)
+    updateTranscriptUI(msg)
     sendResponse({ success: true })
     return true // Keep message channel open for async response
   }
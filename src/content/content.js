@@ -1,9 +1,13 @@
 /**
  * Content Script for AI Consul Lite
  * Handles chat detection, UI injection, and context scraping
+ *
+ * @deprecated The manifest loads content/content-simple.js, which has the shipped reply panel.
+ * This React variant lacks the reply-to picker, context info, memory notes and local-only badge;
+ * fix bugs here if needed, but add new panel features to content-simple.js only.
  */
 
-import { getAdapter, getRecentMessages, hasChatInterface } from '../lib/platform_adapter.js'
+import { getAdapter, getRecentMessages, hasChatInterface, getConversation, getContactName, onConversationChange } from '../lib/platform_adapter.js'
 import { mountReplyPanel } from '../ui/index.jsx'
 
 // State management
@@ -11,6 +15,8 @@ let isExtensionActive = false
 let currentAdapter = null
 let aiIcon = null
 let replyPanel = null
+let stopWatchingConversation = null
+let streamPort = null
 
 /**
  * Initialize the content script
@@ -42,6 +48,23 @@ async function initialize() {
 
   // Start monitoring for chat interface
   monitorForChatInterface()
+
+  // Suggestions belong to one chat, so close the panel when the user opens another
+  if (stopWatchingConversation) stopWatchingConversation()
+  stopWatchingConversation = onConversationChange(currentAdapter, handleConversationChange)
+}
+
+/**
+ * Reset the panel after a chat switch; reopening it loads the new conversation
+ */
+function handleConversationChange(conversation, previousConversationId) {
+  console.log('💬 Conversation changed:', previousConversationId, '→', conversation.conversationId)
+
+  if (replyPanel) {
+    handleCancelStreaming()
+    replyPanel.remove()
+    replyPanel = null
+  }
 }
 
 /**
@@ -449,11 +472,13 @@ function toggleReplyPanel() {
 
     // Mount React UI
     console.log('⚛️ Mounting React UI...')
-    replyPanel = shadowRoot
+    replyPanel = shadowHost  // Store the shadow host, not the shadow root
     
     try {
       mountReplyPanel(shadowRoot, {
         onGenerate: handleGenerateSuggestions,
+        onGenerateStreaming: handleGenerateStreaming,
+        onCancelStreaming: handleCancelStreaming,
         onClose: () => {
           console.log('🚪 Panel close callback triggered')
           if (replyPanel) {
@@ -480,6 +505,7 @@ function toggleReplyPanel() {
       console.log('🖱️ Click outside detected:', event.target)
       if (replyPanel && !shadowHost.contains(event.target)) {
         console.log('🚪 Closing panel due to outside click')
+        handleCancelStreaming()
         replyPanel.remove()
         replyPanel = null
         document.removeEventListener('click', handleClickOutside)
@@ -516,7 +542,8 @@ function toggleReplyPanel() {
 async function handleGenerateSuggestions(tone) {
   try {
     // Get recent messages
-    const messages = getRecentMessages(currentAdapter, 5)
+    // The service worker keeps as many as fit the token budget
+    const messages = getRecentMessages(currentAdapter, 40)
     
     if (messages.length === 0) {
       throw new Error('No recent messages found')
@@ -527,11 +554,16 @@ async function handleGenerateSuggestions(tone) {
     const provider = providerResult.defaultProvider || 'openai'
 
     // Send request to background script
+    const conversation = getConversation(currentAdapter)
     const response = await chrome.runtime.sendMessage({
       type: 'GET_SUGGESTIONS',
       context: messages,
       tone: tone,
-      provider: provider
+      provider: provider,
+      platform: currentAdapter.name,
+      conversationId: conversation.conversationId,
+      contactName: getContactName(conversation),
+      participants: conversation.participants
     })
 
     if (response.success) {
@@ -545,6 +577,90 @@ async function handleGenerateSuggestions(tone) {
   }
 }
 
+/**
+ * Stream suggestions over a STREAM_SUGGESTIONS port, replacing any stream still running
+ * Returns once the request is sent; the panel hears the rest through its callbacks
+ * @param {string} tone - Tone profile id
+ * @param {Object} callbacks - { onChunk, onSuggestion, onRetry, onComplete, onError } from the reply panel
+ */
+async function handleGenerateStreaming(tone, { onChunk, onSuggestion, onRetry, onComplete, onError }) {
+  handleCancelStreaming()
+
+  // The service worker keeps as many as fit the token budget
+  const messages = getRecentMessages(currentAdapter, 40)
+  if (messages.length === 0) {
+    throw new Error('No recent messages found')
+  }
+
+  const providerResult = await chrome.storage.sync.get('defaultProvider')
+  const provider = providerResult.defaultProvider || 'openai'
+
+  const port = chrome.runtime.connect({ name: 'STREAM_SUGGESTIONS' })
+  streamPort = port
+  const finish = () => {
+    if (streamPort === port) {
+      streamPort = null
+    }
+    port.disconnect()
+  }
+
+  port.onMessage.addListener((msg) => {
+    if (msg.type === 'CHUNK') {
+      onChunk(msg.chunk, msg.accumulated)
+    } else if (msg.type === 'SUGGESTION_READY') {
+      // Each suggestion becomes a card as soon as it is complete
+      onSuggestion(msg.suggestion, msg.index)
+    } else if (msg.type === 'RETRY') {
+      onRetry(msg)
+    } else if (msg.type === 'COMPLETE') {
+      finish()
+      onComplete(msg.suggestions || [], {
+        providerName: msg.providerName,
+        fallback: msg.fallback,
+        attempts: msg.attempts
+      })
+    } else if (msg.type === 'ERROR') {
+      finish()
+      onError(msg.error || 'Streaming failed')
+    }
+  })
+
+  port.onDisconnect.addListener(() => {
+    // Finished and cancelled streams have already let go of the port
+    if (streamPort !== port) return
+    streamPort = null
+    onError(chrome.runtime.lastError?.message || 'Lost the connection to the extension')
+  })
+
+  const conversation = getConversation(currentAdapter)
+  port.postMessage({
+    type: 'START_STREAM',
+    context: messages,
+    tone: tone,
+    provider: provider,
+    platform: currentAdapter.name,
+    conversationId: conversation.conversationId,
+    contactName: getContactName(conversation),
+    participants: conversation.participants
+  })
+}
+
+/**
+ * Stop the suggestion stream in flight, if any; the service worker aborts the provider request
+ */
+function handleCancelStreaming() {
+  if (!streamPort) return
+
+  const port = streamPort
+  streamPort = null
+  try {
+    port.postMessage({ type: 'CANCEL_STREAM' })
+    port.disconnect()
+  } catch (error) {
+    // Port already disconnected, the service worker aborts on disconnect anyway
+  }
+}
+
 /**
  * Insert text into the chat input
  */
@@ -583,6 +699,11 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
  */
 function cleanup() {
   isExtensionActive = false
+
+  if (stopWatchingConversation) {
+    stopWatchingConversation()
+    stopWatchingConversation = null
+  }
   
   if (aiIcon) {
     aiIcon.remove()
@@ -590,6 +711,7 @@ function cleanup() {
   }
   
   if (replyPanel) {
+    handleCancelStreaming()
     replyPanel.remove()
     replyPanel = null
   }
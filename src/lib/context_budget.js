@@ -0,0 +1,128 @@
+/**
+ * Context Budget for AI Consul Lite
+ * Fits the conversation into a token budget instead of a fixed number of messages:
+ * newest messages first, oversized ones shortened, memory notes and the running summary always kept
+ */
+
+export const DEFAULT_CONTEXT_BUDGET = 2000
+export const MIN_CONTEXT_BUDGET = 200
+export const MAX_CONTEXT_BUDGET = 32000
+
+export const TRUNCATION_MARKER = ' [...truncated]'
+
+// Context sources that are always sent, ahead of the chat messages
+export const PINNED_SOURCES = ['memory', 'summary']
+
+const DEFAULT_CHARS_PER_TOKEN = 4
+
+// Role and formatting tokens every chat message costs on top of its text
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+// The newest message gets at least this much, even when pinned messages fill the budget
+const MIN_MESSAGE_TOKENS = 25
+
+// Left free in the model's window for the system prompt and the reply
+const RESERVED_TOKENS = 1000
+
+// Ideographs are usually a token each; other non-ASCII text takes about two characters per token
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu
+const NON_ASCII = /[^\x00-\x7F]/g
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @param {number} [charsPerToken] - Characters per token of the provider's tokenizer, for ASCII text
+ * @returns {number}
+ */
+export function estimateTokens(text, charsPerToken = DEFAULT_CHARS_PER_TOKEN) {
+  if (!text) return 0
+  const cjk = (text.match(CJK) || []).length
+  const otherNonAscii = (text.match(NON_ASCII) || []).length - cjk
+  const ascii = text.length - cjk - otherNonAscii
+  return Math.ceil(cjk + otherNonAscii / 2 + ascii / charsPerToken)
+}
+
+/**
+ * The budget to use for a provider and model: the user's budget, but never more than fits the model
+ * @param {number} budget - Budget from the settings
+ * @param {Object} [provider] - Provider definition (see providers/index.js)
+ * @param {string} [model] - Model id
+ * @returns {number}
+ */
+export function resolveTokenBudget(budget, provider, model) {
+  const window = provider?.contextWindow ? provider.contextWindow(model || '') : Infinity
+  return Math.max(MIN_CONTEXT_BUDGET, Math.min(budget, window - RESERVED_TOKENS))
+}
+
+/**
+ * Shorten a text to about maxTokens, ending it with TRUNCATION_MARKER
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Tokens the result may use, marker included
+ * @param {number} [charsPerToken] - Characters per token of the provider's tokenizer
+ * @returns {string} The text unchanged if it already fits
+ */
+export function truncateToTokens(text, maxTokens, charsPerToken = DEFAULT_CHARS_PER_TOKEN) {
+  const tokens = estimateTokens(text, charsPerToken)
+  if (tokens <= maxTokens) return text
+
+  const available = Math.max(0, maxTokens - estimateTokens(TRUNCATION_MARKER, charsPerToken))
+  let length = Math.floor(text.length * available / tokens)
+  while (length > 0 && estimateTokens(text.slice(0, length), charsPerToken) > available) {
+    length = Math.floor(length * 0.9)
+  }
+  return `${text.slice(0, length).trimEnd()}${TRUNCATION_MARKER}`
+}
+
+/**
+ * Whether a context message is always sent (memory notes, the summary of older messages)
+ * @param {Object} msg - Context message
+ * @returns {boolean}
+ */
+export function isPinnedMessage(msg) {
+  return PINNED_SOURCES.includes(msg.source)
+}
+
+/**
+ * Pick the newest messages that fit the budget
+ * Pinned messages (see PINNED_SOURCES) are always kept and count against the budget first. Messages longer than a quarter
+ * of the budget are shortened, and the newest message is always sent, shortened if it must be.
+ * Filling stops at the first older message that doesn't fit, so there are no gaps
+ * @param {Array} messages - Context, oldest first, with content (or text)
+ * @param {Object} [options] - { budget, charsPerToken }
+ * @returns {{messages: Array, included: number, total: number, truncated: number, tokens: number, budget: number}}
+ *   included, total and truncated count chat messages, not pinned ones
+ */
+export function buildContextWindow(messages, options = {}) {
+  const { budget = DEFAULT_CONTEXT_BUDGET, charsPerToken = DEFAULT_CHARS_PER_TOKEN } = options
+  const cost = text => estimateTokens(text, charsPerToken) + MESSAGE_OVERHEAD_TOKENS
+  const maxMessageTokens = Math.max(MIN_CONTEXT_BUDGET / 2, Math.floor(budget / 4))
+
+  const pinned = messages.filter(isPinnedMessage)
+  const chat = messages.filter(msg => !isPinnedMessage(msg))
+
+  let tokens = pinned.reduce((sum, msg) => sum + cost(msg.content || msg.text), 0)
+  let truncated = 0
+  const included = []
+
+  for (let i = chat.length - 1; i >= 0; i--) {
+    const text = chat[i].content || chat[i].text || ''
+    const room = budget - tokens - MESSAGE_OVERHEAD_TOKENS
+    const limit = included.length === 0 ? Math.min(maxMessageTokens, Math.max(room, MIN_MESSAGE_TOKENS)) : maxMessageTokens
+    const fitted = truncateToTokens(text, limit, charsPerToken)
+
+    if (included.length > 0 && tokens + cost(fitted) > budget) break
+
+    if (fitted !== text) truncated++
+    included.unshift(fitted === text ? chat[i] : { ...chat[i], content: fitted, truncated: true })
+    tokens += cost(fitted)
+  }
+
+  return {
+    messages: [...pinned, ...included],
+    included: included.length,
+    total: chat.length,
+    truncated,
+    tokens,
+    budget
+  }
+}
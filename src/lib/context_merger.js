@@ -1,20 +1,58 @@
 /**
  * Context Merger for AI Consul Lite
- * Handles merging text chat context with voice transcripts
+ * Handles merging text chat context with voice transcripts, conversation memory and the summary of older messages
  */
 
 import { getRecentTranscripts } from './storage.js'
+import { getMemoryNotes, formatMemoryForContext } from './conversation_memory.js'
+import { getSummaryMessage } from './conversation_summary.js'
 
 /**
- * Merge text chat context with recent voice transcripts
- * @param {Array} textMessages - Array of text message objects
+ * Merge text chat context with recent voice transcripts, the conversation's memory notes and,
+ * when summarising is on, the summary of messages older than the token budget
+ * @param {Array} textMessages - Array of text message objects ({ role, content } or { role, text })
  * @param {number} maxTranscriptAge - Maximum age of transcripts to include (ms)
+ * @param {Object} [conversation] - { platform, conversationId } whose notes and summary to include
+ * @param {Object} [options] - { transcriptSessionId } capture session whose transcript belongs with this chat;
+ *   without one no voice transcript is merged, so one call's audio doesn't reach an unrelated chat
  * @returns {Array} Merged context array
  */
-export async function mergeContext(textMessages, maxTranscriptAge = 300000) { // 5 minutes default
+export async function mergeContext(textMessages, maxTranscriptAge = 300000, conversation = null, options = {}) { // 5 minutes default
+  // Content scripts send { role, text }
+  const messages = textMessages.map(msg => msg.content === undefined && msg.text !== undefined
+    ? { ...msg, content: msg.text }
+    : msg)
+
+  const merged = await mergeTranscripts(messages, maxTranscriptAge, options.transcriptSessionId)
+
+  // Notes, then the summary, go first; the token budget always keeps them
+  const pinned = []
+  try {
+    const memory = formatMemoryForContext(await getMemoryNotes(conversation))
+    if (memory) pinned.push(memory)
+  } catch (error) {
+    console.error('Failed to load conversation memory:', error)
+  }
+  try {
+    const summary = await getSummaryMessage(conversation)
+    if (summary) pinned.push(summary)
+  } catch (error) {
+    console.error('Failed to load conversation summary:', error)
+  }
+  return [...pinned, ...merged]
+}
+
+/**
+ * Interleave recent voice transcripts with the text messages
+ */
+async function mergeTranscripts(textMessages, maxTranscriptAge, sessionId) {
+  if (sessionId === undefined || sessionId === null) {
+    return textMessages
+  }
+
   try {
-    // Get recent transcripts
-    const recentTranscripts = await getRecentTranscripts(maxTranscriptAge)
+    // Recent segments of the capture session from the local transcript store, oldest first
+    const recentTranscripts = await getRecentTranscripts(maxTranscriptAge, { sessionId })
     
     if (recentTranscripts.length === 0) {
       return textMessages
@@ -42,10 +80,10 @@ export async function mergeContext(textMessages, maxTranscriptAge = 300000) { //
     }
     
     // Sort by timestamp (oldest first)
+    // How many of them fit is decided by the token budget (see context_budget.js)
     mergedContext.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
     
-    // Return last 10 messages to keep context manageable
-    return mergedContext.slice(-10)
+    return mergedContext
   } catch (error) {
     console.error('Failed to merge context:', error)
     return textMessages
@@ -65,7 +103,7 @@ export function formatContextForLLM(context) {
 }
 
 /**
- * Check if voice transcription is active and recent
+ * Check if voice transcription is active and recent, i.e. the transcript store got a segment lately
  * @param {number} maxAge - Maximum age for recent transcripts (ms)
  * @returns {Promise<boolean>} True if voice is active and recent
  */
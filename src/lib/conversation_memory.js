@@ -0,0 +1,117 @@
+/**
+ * Conversation Memory for AI Consul Lite
+ * Notes about a contact (relationship, preferred language, open commitments) saved per
+ * platform + conversation and added to the context of that conversation only
+ */
+
+import { getConversationMemory, saveConversationMemory } from './storage.js'
+
+export const MEMORY_CATEGORIES = {
+  relationship: 'Relationship',
+  language: 'Preferred language',
+  commitment: 'Open commitment',
+  note: 'Note'
+}
+
+// Keeps one chat's notes from crowding out the conversation itself
+const MAX_NOTES_PER_CONVERSATION = 30
+const MAX_NOTE_LENGTH = 500
+
+/**
+ * Storage key for a conversation
+ * @param {string} platform - Platform name, e.g. "WhatsApp"
+ * @param {string} conversationId - Platform-specific conversation identifier
+ * @returns {string|null} Null when the conversation can't be identified
+ */
+export function getMemoryKey(platform, conversationId) {
+  if (!platform || !conversationId) return null
+  return `${platform}:${conversationId}`
+}
+
+/**
+ * Notes saved for a conversation, oldest first
+ * @param {{platform: string, conversationId: string}} conversation
+ * @returns {Promise<Array<{id: string, text: string, category: string, createdAt: number}>>}
+ */
+export async function getMemoryNotes(conversation) {
+  const key = getMemoryKey(conversation?.platform, conversation?.conversationId)
+  if (!key) return []
+  const memory = await getConversationMemory()
+  return memory[key]?.notes || []
+}
+
+/**
+ * Save a note for a conversation
+ * @param {{platform: string, conversationId: string, title?: string}} conversation
+ * @param {string} text - The fact to remember
+ * @param {string} [category] - One of MEMORY_CATEGORIES
+ * @returns {Promise<{success: boolean, note?: Object, error?: string}>}
+ */
+export async function addMemoryNote(conversation, text, category = 'note') {
+  const key = getMemoryKey(conversation?.platform, conversation?.conversationId)
+  if (!key) {
+    return { success: false, error: 'This conversation could not be identified' }
+  }
+
+  const trimmed = (text || '').trim().slice(0, MAX_NOTE_LENGTH)
+  if (!trimmed) {
+    return { success: false, error: 'Nothing to remember' }
+  }
+
+  const memory = await getConversationMemory()
+  const entry = memory[key] || { notes: [] }
+  const note = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    text: trimmed,
+    category: MEMORY_CATEGORIES[category] ? category : 'note',
+    createdAt: Date.now()
+  }
+
+  memory[key] = {
+    ...entry,
+    title: conversation.title || entry.title || null,
+    notes: [...entry.notes, note].slice(-MAX_NOTES_PER_CONVERSATION),
+    updatedAt: Date.now()
+  }
+
+  const result = await saveConversationMemory(memory)
+  return result.success ? { success: true, note } : result
+}
+
+/**
+ * Delete a note from a conversation
+ * @param {{platform: string, conversationId: string}} conversation
+ * @param {string} noteId - Note id
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function removeMemoryNote(conversation, noteId) {
+  const key = getMemoryKey(conversation?.platform, conversation?.conversationId)
+  const memory = await getConversationMemory()
+  if (!key || !memory[key]) {
+    return { success: true }
+  }
+
+  const notes = memory[key].notes.filter(note => note.id !== noteId)
+  if (notes.length === 0) {
+    delete memory[key]
+  } else {
+    memory[key] = { ...memory[key], notes, updatedAt: Date.now() }
+  }
+  return await saveConversationMemory(memory)
+}
+
+/**
+ * Turn a conversation's notes into a context message for the model
+ * @param {Array} notes - From getMemoryNotes
+ * @returns {Object|null} { role, content, source: 'memory' }, or null without notes
+ */
+export function formatMemoryForContext(notes) {
+  if (!notes || notes.length === 0) return null
+
+  const lines = notes.map(note => `- ${MEMORY_CATEGORIES[note.category] || MEMORY_CATEGORIES.note}: ${note.text}`)
+  return {
+    role: 'user',
+    content: `[MEMORY NOTES] Facts the user saved about this conversation. Use them when relevant, never quote them:\n${lines.join('\n')}`,
+    source: 'memory'
+  }
+}
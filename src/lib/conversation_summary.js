@@ -0,0 +1,148 @@
+/**
+ * Conversation Summary for AI Consul Lite
+ * Keeps a running summary of the messages that no longer fit the token budget, per platform +
+ * conversation, so commitments made early in a long thread still reach the model
+ */
+
+import { getConversationSummaries, saveConversationSummaries, getSummarizeOlderMessages } from './storage.js'
+import { getMemoryKey } from './conversation_memory.js'
+import { isPinnedMessage, truncateToTokens } from './context_budget.js'
+import { callProvider } from './llm_service.js'
+
+export const SUMMARY_SYSTEM_PROMPT = `You keep a running summary of a chat conversation for someone who will help the user write their next reply.
+Update the current summary with the new messages. Keep promises and commitments (who owes what, by when), decisions, dates, open questions and facts about the people; drop small talk.
+The user's own messages are labelled "Me". Answer with the updated summary only, as short bullet points, at most 150 words.`
+
+// Summaries are generated, so stale ones are dropped rather than kept forever
+const MAX_SUMMARIES = 100
+const MAX_SUMMARY_LENGTH = 2000
+
+// One message can't take over the summary request
+const MAX_SUMMARIZED_MESSAGE_TOKENS = 200
+
+// Requests for the same conversation share one summary update
+const pendingUpdates = new Map()
+
+/**
+ * Summary saved for a conversation
+ * @param {{platform: string, conversationId: string}} conversation
+ * @returns {Promise<{summary: string, lastMessage: string, messageCount: number, updatedAt: number}|null>}
+ */
+export async function getConversationSummary(conversation) {
+  const key = getMemoryKey(conversation?.platform, conversation?.conversationId)
+  if (!key) return null
+  const summaries = await getConversationSummaries()
+  return summaries[key] || null
+}
+
+/**
+ * Turn a conversation's summary into a context message for the model
+ * @param {Object} entry - From getConversationSummary
+ * @returns {Object|null} { role, content, source: 'summary' }, or null without a summary
+ */
+export function formatSummaryForContext(entry) {
+  if (!entry?.summary) return null
+
+  return {
+    role: 'user',
+    content: `[EARLIER MESSAGES] Summary of the part of this conversation before the messages below:\n${entry.summary}`,
+    source: 'summary'
+  }
+}
+
+/**
+ * The context message with the conversation's summary, when the mode is on
+ * @param {{platform: string, conversationId: string}} conversation
+ * @returns {Promise<Object|null>}
+ */
+export async function getSummaryMessage(conversation) {
+  if (!(await getSummarizeOlderMessages())) return null
+  return formatSummaryForContext(await getConversationSummary(conversation))
+}
+
+/**
+ * Identify a message across requests by what the page shows
+ * Gap-filled timestamps change between scrapes, so only the page's own time is used
+ * @param {Object} msg - Context message
+ * @returns {string}
+ */
+export function fingerprintMessage(msg) {
+  const text = `${msg.role}|${msg.sender || ''}|${msg.sentAt || ''}|${msg.content || msg.text || ''}`
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0
+  }
+  return `${hash.toString(36)}:${text.length}`
+}
+
+/**
+ * Fold the messages that didn't fit the context window into the conversation's summary
+ * Only messages newer than the last one already summarised are sent, together with the current summary
+ * @param {{platform: string, conversationId: string, title?: string}} conversation
+ * @param {Array} context - Merged context, oldest first
+ * @param {{included: number, total: number}} window - From buildContextWindow for that context
+ * @param {string} providerId - Selected LLM provider id; local Ollama works too
+ * @param {Object} [options] - { signal } AbortSignal that cancels the summary request
+ * @returns {Promise<boolean>} Whether the summary changed
+ */
+export async function refreshConversationSummary(conversation, context, window, providerId, { signal } = {}) {
+  const key = getMemoryKey(conversation?.platform, conversation?.conversationId)
+  const droppedCount = window.total - window.included
+  if (!key || droppedCount <= 0) return false
+
+  if (!pendingUpdates.has(key)) {
+    const update = updateSummary(key, conversation, context, droppedCount, providerId, signal)
+      .finally(() => pendingUpdates.delete(key))
+    pendingUpdates.set(key, update)
+  }
+  return pendingUpdates.get(key)
+}
+
+async function updateSummary(key, conversation, context, droppedCount, providerId, signal) {
+  const chat = context.filter(msg => !isPinnedMessage(msg))
+  const entry = (await getConversationSummaries())[key]
+
+  // Messages up to the last summarised one are covered; if it scrolled off the page, all are new
+  const covered = entry ? chat.findLastIndex(msg => fingerprintMessage(msg) === entry.lastMessage) : -1
+  if (covered >= droppedCount - 1) return false
+  const pending = chat.slice(covered + 1, droppedCount)
+
+  const result = await callProvider(providerId, [{
+    role: 'user',
+    content: formatSummaryRequest(entry?.summary, pending)
+  }], SUMMARY_SYSTEM_PROMPT, { maxTokens: 400, temperature: 0.2, signal })
+
+  if (signal?.aborted) return false
+  if (!result.success || !result.data?.trim()) {
+    console.warn('Failed to summarise older messages:', result.error)
+    return false
+  }
+
+  // Read again: another conversation may have been saved while the provider was answering
+  const summaries = await getConversationSummaries()
+  summaries[key] = {
+    title: conversation.title || entry?.title || null,
+    summary: result.data.trim().slice(0, MAX_SUMMARY_LENGTH),
+    lastMessage: fingerprintMessage(pending[pending.length - 1]),
+    messageCount: (entry?.messageCount || 0) + pending.length,
+    updatedAt: Date.now()
+  }
+
+  const newest = Object.entries(summaries)
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_SUMMARIES)
+  const saved = await saveConversationSummaries(Object.fromEntries(newest))
+  return saved.success
+}
+
+/**
+ * The user message asking for the summary update
+ */
+function formatSummaryRequest(summary, messages) {
+  const lines = messages.map(msg => {
+    const speaker = msg.role === 'assistant' ? 'Me' : msg.sender || 'Them'
+    const text = truncateToTokens(msg.content || msg.text || '', MAX_SUMMARIZED_MESSAGE_TOKENS)
+    return `${speaker}: ${text}`
+  })
+  return `Current summary:\n${summary || '(none yet)'}\n\nNew messages:\n${lines.join('\n')}`
+}
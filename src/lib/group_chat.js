@@ -0,0 +1,59 @@
+/**
+ * Group Chat support for AI Consul Lite
+ * Detects multi-party conversations and tells the model who said what and whose message to answer
+ */
+
+// Long messages are cut in the prompt; the full text is in the conversation anyway
+const MAX_QUOTED_LENGTH = 300
+
+/**
+ * Names of the other people who wrote in the conversation, in order of appearance
+ * @param {Array} context - Messages with role and sender
+ * @returns {Array<string>}
+ */
+export function getSpeakers(context) {
+  const names = context
+    .filter(msg => msg.role === 'user' && msg.sender && !msg.source)
+    .map(msg => msg.sender)
+  return [...new Set(names)]
+}
+
+/**
+ * Whether more than one other person takes part in the conversation
+ * @param {Array} context - Messages with role and sender
+ * @param {Array<string>} [participants] - From the adapter's getParticipants()
+ * @returns {boolean}
+ */
+export function isGroupConversation(context, participants = []) {
+  return participants.length > 1 || getSpeakers(context).length > 1
+}
+
+/**
+ * Describe a group conversation for the system prompt
+ * @param {Array} context - Messages with role, content (or text) and sender
+ * @param {Object} [options] - { participants, replyTo: { sender, text } picked in the panel };
+ *   without replyTo the last message from someone else is answered
+ * @returns {string} Empty for one-to-one conversations
+ */
+export function describeGroupConversation(context, options = {}) {
+  const { participants = [], replyTo } = options
+  if (!isGroupConversation(context, participants)) return ''
+
+  const names = [...new Set([...participants, ...getSpeakers(context)])]
+  const lines = [
+    `This is a group chat between the user and ${names.join(', ')}.`,
+    'Messages from other people are labelled with the sender\'s name; the user\'s own messages are not labelled.'
+  ]
+
+  const last = [...context].reverse().find(msg => msg.role === 'user' && msg.sender && !msg.source)
+  const target = replyTo?.text ? replyTo : last && { sender: last.sender, text: last.content || last.text }
+  if (target) {
+    const quoted = target.text.length > MAX_QUOTED_LENGTH ? `${target.text.slice(0, MAX_QUOTED_LENGTH)}...` : target.text
+    const sender = target.sender || 'another participant'
+    lines.push(`Reply to this message from ${sender}, even if it is not the last one: "${quoted}"`)
+    lines.push(`Write as the user speaking in the group. Mention ${sender} by name only when it is unclear who the reply is for.`)
+  }
+
+  lines.push('Do not answer messages meant for other people, and do not start the reply text with a name label.')
+  return lines.join('\n')
+}
@@ -0,0 +1,37 @@
+/**
+ * Live Transcript for AI Consul Lite
+ * Rolling window of the transcript chunks of the current capture, forwarded to the panel
+ * so it shows a scrolling transcript instead of only the latest chunk
+ */
+
+// The panel shows the last few minutes; older text is still in the transcript store
+export const MAX_LIVE_SEGMENTS = 60
+export const MAX_LIVE_CHARACTERS = 6000
+
+/**
+ * Add a transcript chunk to the rolling window
+ * @param {Array<{text: string, timestamp: number}>} segments - Current window, oldest first
+ * @param {string} text - Newly transcribed chunk
+ * @param {number} [timestamp] - When the chunk was transcribed
+ * @returns {Array<{text: string, timestamp: number}>} New window; unchanged for empty chunks
+ */
+export function appendLiveSegment(segments, text, timestamp = Date.now()) {
+  const trimmed = (text || '').trim()
+  if (!trimmed) return segments
+
+  const next = [...segments, { text: trimmed, timestamp }].slice(-MAX_LIVE_SEGMENTS)
+  let characters = next.reduce((sum, segment) => sum + segment.text.length, 0)
+  while (next.length > 1 && characters > MAX_LIVE_CHARACTERS) {
+    characters -= next.shift().text.length
+  }
+  return next
+}
+
+/**
+ * The window as one text, for places that show a single line
+ * @param {Array<{text: string}>} segments
+ * @returns {string}
+ */
+export function formatLiveTranscript(segments) {
+  return segments.map(segment => segment.text).join(' ')
+}
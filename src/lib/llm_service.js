@@ -1,350 +1,347 @@
 /**
  * LLM Service for AI Consul Lite
- * Handles direct API calls to OpenAI, Anthropic, and Google Gemini
+ * Dispatches suggestion requests to the providers in the provider registry
  * Includes streaming support for all providers
  */
 
-import { getKey, saveKey } from './storage.js'
-import { streamOpenAI, streamAnthropic, streamGoogle, streamLocalLLM } from './streaming.js'
+import { getKey, getModelPreference, getFallbackProviders, getRetrySettings, getPromptTemplate, getReplyLanguage, getToneProfiles, getContextBudget, getRedactionEnabled, getRedactionTerms, getLocalOnlyMode } from './storage.js'
+import { getProvider } from './providers/index.js'
+import { buildSuggestionSystemPrompt, parseSuggestions, createSuggestionStreamParser } from './suggestions.js'
+import { findToneProfile, DEFAULT_TEMPERATURE } from './tone_profiles.js'
+import { learnWritingStyle, getWritingStyleGuide } from './style_profile.js'
+import { describeGroupConversation } from './group_chat.js'
+import { buildContextWindow, resolveTokenBudget } from './context_budget.js'
+import { createRedactor, createStreamRestorer } from './redaction.js'
 
 /**
- * Get AI reply suggestions from the specified LLM provider
- * @param {Array} context - Array of message objects with role and content
- * @param {string} tone - Tone for the response (formal, semi-formal, friendly, slang)
- * @param {string} provider - LLM provider (openai, anthropic, google, local)
- * @returns {Promise<{success: boolean, suggestions?: Array<string>, error?: string}>}
+ * Normalize context messages to { role, content }
+ * Content scripts send { role, text }, everything else uses { role, content }
+ * @param {Array} context - Array of message objects
+ * @returns {Array} Array of { role, content }
  */
-export async function getLLMSuggestions(context, tone, provider) {
-  try {
-    let apiKey // Will be undefined for 'local'
+function normalizeContext(context) {
+  return context.map(msg => ({
+    role: msg.role,
+    content: formatMessageContent(msg)
+  }))
+}
 
-    // Only get API key if it's not a local provider
-    if (provider !== 'local') {
-      apiKey = await getKey(provider)
-      if (!apiKey) {
-        return { success: false, error: 'API key not found. Please configure your API key in the options page.' }
-      }
-    }
+/**
+ * Prefix a message with the time and sender shown on the page, e.g. "[2024-05-12 10:32] Anna: See you"
+ * Only the other side's messages get a sender; the user's own messages are the assistant's turns
+ * @param {Object} msg - Message with content (or text), and optionally sentAt and sender
+ * @returns {string}
+ */
+function formatMessageContent(msg) {
+  const content = msg.content || msg.text
+  const time = msg.sentAt ? `[${formatMessageTime(msg.sentAt)}] ` : ''
+  const sender = msg.sender && msg.role === 'user' ? `${msg.sender}: ` : ''
+  return `${time}${sender}${content}`
+}
 
-    const systemPrompt = `You are a helpful assistant. Provide 2-3 short reply suggestions to the last message in a ${tone} tone. Each suggestion should be concise (1-2 sentences max) and contextually appropriate. Separate each suggestion with '---'.`
-
-    let suggestions
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        suggestions = await callOpenAI(context, systemPrompt, apiKey)
-        break
-      case 'anthropic':
-        suggestions = await callAnthropic(context, systemPrompt, apiKey)
-        break
-      case 'google':
-        suggestions = await callGoogle(context, systemPrompt, apiKey)
-        break
-      case 'local':
-        suggestions = await callLocalLLM(context, systemPrompt)
-        break
-      default:
-        return { success: false, error: `Unsupported provider: ${provider}` }
-    }
+/**
+ * Local date and time as "YYYY-MM-DD HH:MM"
+ */
+function formatMessageTime(timestamp) {
+  const date = new Date(timestamp)
+  const pad = n => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
 
-    if (suggestions.success) {
-      // Parse suggestions by splitting on '---'
-      const parsedSuggestions = suggestions.data
-        .split('---')
-        .map(s => s.trim())
-        .filter(s => s.length > 0)
-        .slice(0, 3) // Ensure max 3 suggestions
-
-      return { success: true, suggestions: parsedSuggestions }
-    } else {
-      return { success: false, error: suggestions.error }
+/**
+ * Build the suggestion request from the user's template, reply language, tone profile and writing style
+ * @param {Array} context - Conversation; the user's own messages feed the style profile when enabled
+ * @param {string} tone - Tone profile id
+ * @param {Object} [options] - { platform, contactName, participants, replyTo } describing the conversation;
+ *   replyTo ({ sender, text }) is the group chat message the user picked to answer
+ * @returns {Promise<{systemPrompt: string, temperature: number}>}
+ */
+async function buildSuggestionRequest(context, tone, options = {}) {
+  await learnWritingStyle(options.platform, context)
+
+  const template = await getPromptTemplate()
+  const language = await getReplyLanguage()
+  const profile = findToneProfile(tone, await getToneProfiles())
+  const systemPrompt = buildSuggestionSystemPrompt(profile, {
+    template,
+    language,
+    platform: options.platform,
+    contactName: options.replyTo?.sender || options.contactName,
+    groupChat: describeGroupConversation(context, { participants: options.participants, replyTo: options.replyTo }),
+    writingStyle: await getWritingStyleGuide(options.platform)
+  })
+  return { systemPrompt, temperature: profile.temperature ?? DEFAULT_TEMPERATURE }
+}
+
+/**
+ * Build the request.retry options for a provider and count the attempts it makes
+ * @param {Object} provider - Provider definition
+ * @param {Function} [onRetry] - Called with { retry, maxRetries, status, delayMs, provider, providerName }
+ * @returns {Promise<{retry: Object, getAttempts: Function}>}
+ */
+async function trackRetries(provider, onRetry) {
+  let attempts = 1
+  const retry = {
+    ...(await getRetrySettings()),
+    onRetry: (info) => {
+      attempts = info.retry + 1
+      if (onRetry) {
+        onRetry({ ...info, provider: provider.id, providerName: provider.name })
+      }
     }
-  } catch (error) {
-    console.error('LLM service error:', error)
-    return { success: false, error: `Unexpected error: ${error.message}` }
   }
+  return { retry, getAttempts: () => attempts }
 }
 
 /**
- * Call OpenAI API
+ * Resolve everything needed to call a provider: definition, API key, model and settings
+ * Every request goes through here, so this is where local-only mode turns cloud providers away
+ * @param {string} providerId - LLM provider id
+ * @param {Object} [overrides] - { apiKey, settings } to use instead of the stored values
+ * @returns {Promise<{success: boolean, provider?: Object, apiKey?: string, model?: string, settings?: Object, error?: string}>}
  */
-async function callOpenAI(context, systemPrompt, apiKey) {
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ]
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: messages,
-        max_tokens: 300,
-        temperature: 0.7
-      })
-    })
+async function resolveProvider(providerId, overrides = {}) {
+  const provider = getProvider(providerId)
+  if (!provider) {
+    return { success: false, error: `Unsupported provider: ${providerId}` }
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `OpenAI API error (${response.status})`
-      
-      if (response.status === 401) {
-        errorMessage = 'Invalid API key. Please check your OpenAI API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
+  const settings = {
+    ...(provider.resolveSettings ? await provider.resolveSettings() : {}),
+    ...overrides.settings
+  }
 
-    const data = await response.json()
-    const content = data.choices?.[0]?.message?.content
+  // Needs the settings: a custom endpoint on localhost is fine
+  if (!provider.runsLocally?.(settings) && await getLocalOnlyMode()) {
+    return { success: false, error: `Local-only mode is on, so ${provider.name} can't be used. Switch to Ollama or a custom endpoint on localhost.` }
+  }
 
-    if (!content) {
-      return { success: false, error: 'No response content received from OpenAI' }
+  let apiKey // Stays undefined for providers that don't need a key
+  if (provider.requiresKey || provider.keyOptional) {
+    apiKey = overrides.apiKey !== undefined ? overrides.apiKey : await getKey(provider.id)
+    if (!apiKey && provider.requiresKey) {
+      return { success: false, error: 'API key not found. Please configure your API key in the options page.' }
     }
-
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Network error: ${error.message}` }
   }
+
+  const model = settings.model ||
+    (provider.resolveModel ? await provider.resolveModel() : (await getModelPreference(provider.id)) || provider.defaultModel)
+
+  return { success: true, provider, apiKey: apiKey || undefined, model, settings }
 }
 
 /**
- * Call Anthropic API
+ * Redactor for a request, or null when redaction is off or the provider runs on this machine
+ * @param {Object} provider - Provider definition
+ * @param {Object} settings - Resolved provider settings
+ * @returns {Promise<Object|null>} See createRedactor
  */
-async function callAnthropic(context, systemPrompt, apiKey) {
-  try {
-    const messages = context.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }))
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 300,
-        system: systemPrompt,
-        messages: messages
-      })
-    })
+async function resolveRedactor(provider, settings) {
+  if (provider.runsLocally?.(settings) || !(await getRedactionEnabled())) return null
+  return createRedactor({ terms: await getRedactionTerms() })
+}
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Anthropic API error (${response.status})`
-      
-      if (response.status === 401) {
-        errorMessage = 'Invalid API key. Please check your Anthropic API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
+/**
+ * Send a single non-streaming request to a provider
+ * @param {string} providerId - LLM provider id
+ * @param {Array} context - Array of message objects with role and content (or text)
+ * @param {string} systemPrompt - System prompt for the LLM
+ * @param {Object} [options] - { apiKey, settings, maxTokens, temperature, responseFormat, onRetry, signal };
+ *   signal is an AbortSignal that cancels the request
+ * @returns {Promise<{success: boolean, data?: string, attempts?: number, error?: string}>}
+ */
+export async function callProvider(providerId, context, systemPrompt, options = {}) {
+  const resolved = await resolveProvider(providerId, options)
+  if (!resolved.success) {
+    return { success: false, error: resolved.error }
+  }
 
-    const data = await response.json()
-    const content = data.content?.[0]?.text
+  const { provider, apiKey, model, settings } = resolved
+  const { retry, getAttempts } = await trackRetries(provider, options.onRetry)
+  const redactor = await resolveRedactor(provider, settings)
+  const result = await provider.call({
+    ...settings,
+    context: normalizeContext(redactor ? redactor.redactMessages(context) : context),
+    systemPrompt: redactor ? redactor.redact(systemPrompt) : systemPrompt,
+    apiKey,
+    model,
+    maxTokens: options.maxTokens || 300,
+    temperature: options.temperature ?? 0.7,
+    responseFormat: options.responseFormat,
+    signal: options.signal,
+    retry
+  })
+
+  // The reply refers to the placeholders; put the real details back before anyone sees it
+  if (redactor && result.success) {
+    return { ...result, data: redactor.restore(result.data), attempts: getAttempts() }
+  }
+  return { ...result, attempts: getAttempts() }
+}
 
-    if (!content) {
-      return { success: false, error: 'No response content received from Anthropic' }
-    }
+/**
+ * Build the ordered list of providers to try: the requested provider first,
+ * then the fallback chain configured in the options page
+ * @param {string} providerId - Selected LLM provider id
+ * @returns {Promise<Array<string>>} Provider ids without duplicates
+ */
+export async function resolveProviderChain(providerId) {
+  const fallbacks = (await getFallbackProviders()) || []
+  return [providerId, ...fallbacks]
+    .filter((id, index, chain) => id && chain.indexOf(id) === index)
+}
 
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Network error: ${error.message}` }
+/**
+ * Combine the errors of every provider that was tried into one message
+ * @param {Array<{provider: string, error: string}>} failures
+ * @returns {string}
+ */
+function describeFailures(failures) {
+  if (failures.length === 1) {
+    return failures[0].error
   }
+  const details = failures
+    .map(({ provider, error }) => `${getProvider(provider)?.name || provider}: ${error}`)
+    .join('; ')
+  return `All providers failed. ${details}`
 }
 
 /**
- * Call Google Gemini API - FIXED VERSION
+ * Tag a successful result with the provider that produced it
  */
-async function callGoogle(context, systemPrompt, apiKey) {
-  try {
-    // Gemini requires alternating user/model roles
-    const contents = []
-    
-    // Add system instructions if provided
-    if (systemPrompt) {
-      contents.push({ role: "user", parts: [{ text: systemPrompt }] })
-      contents.push({ role: "model", parts: [{ text: "Okay, I understand the instructions." }] })
+function answeredBy(result, providerId, failures) {
+  return {
+    ...result,
+    provider: providerId,
+    providerName: getProvider(providerId).name,
+    fallback: failures.length > 0
+  }
+}
+
+/**
+ * Send a non-streaming request, moving down the fallback chain when a provider fails
+ * (rate limits, network errors, missing keys, ...)
+ * @param {string} providerId - Selected LLM provider id
+ * @param {Array} context - Array of message objects with role and content (or text)
+ * @param {string} systemPrompt - System prompt for the LLM
+ * @param {Object} [options] - Same options as callProvider
+ * @returns {Promise<{success: boolean, data?: string, provider?: string, providerName?: string, fallback?: boolean, attempts?: number, error?: string}>}
+ */
+export async function callWithFallback(providerId, context, systemPrompt, options = {}) {
+  const chain = await resolveProviderChain(providerId)
+  const failures = []
+
+  for (const id of chain) {
+    const result = await callProvider(id, context, systemPrompt, options)
+    if (result.success) {
+      return answeredBy(result, id, failures)
     }
 
-    // Add conversation history
-    context.forEach(msg => {
-      contents.push({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })
-    })
+    console.warn(`Provider ${id} failed:`, result.error)
+    failures.push({ provider: id, error: result.error })
+  }
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents,
-        generationConfig: {
-          maxOutputTokens: 300,
-          temperature: 0.7
-        }
-      })
-    })
+  return { success: false, error: describeFailures(failures) }
+}
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Google API error (${response.status})`
-      
-      if (response.status === 400) {
-        errorMessage = 'Invalid API key. Please check your Google AI API key.'
-      } else if (response.status === 429) {
-        errorMessage = 'Rate limit exceeded. Please try again later.'
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
+/**
+ * A token budget, limited to what fits the provider's selected model
+ * @param {number} budget - Tokens wanted
+ * @param {string} providerId - LLM provider id
+ * @returns {Promise<{budget: number, provider: Object|null}>}
+ */
+export async function resolveProviderBudget(budget, providerId) {
+  const provider = getProvider(providerId)
+  let model = null
+  if (provider) {
+    model = provider.resolveModel ? await provider.resolveModel() : (await getModelPreference(provider.id)) || provider.defaultModel
+  }
+  return { budget: resolveTokenBudget(budget, provider, model), provider: provider || null }
+}
 
-    const data = await response.json()
-    
-    // Handle potential safety blocks
-    if (data.candidates?.[0]?.finishReason === 'SAFETY') {
-      return { success: false, error: 'Google API blocked the response due to safety settings.' }
-    }
-    
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text
+/**
+ * Fit the conversation into the user's token budget, sized for the provider's tokenizer and model
+ * Fallback providers get the same messages, so the budget is set by the selected provider
+ * @param {Array} context - Merged context, oldest first
+ * @param {string} providerId - Selected LLM provider id
+ * @returns {Promise<{messages: Array, included: number, total: number, truncated: number, tokens: number, budget: number}>}
+ */
+export async function fitContextToProvider(context, providerId) {
+  const { budget, provider } = await resolveProviderBudget(await getContextBudget(), providerId)
+  return buildContextWindow(context, { budget, charsPerToken: provider?.charsPerToken })
+}
 
-    if (!content) {
-      return { success: false, error: 'No response content received from Google Gemini' }
-    }
+/**
+ * List the models a provider offers, for the model picker in the options page
+ * @param {string} providerId - LLM provider id
+ * @param {Object} [options] - { apiKey, settings } to use instead of the stored values
+ * @returns {Promise<{success: boolean, models?: Array<string>, error?: string}>}
+ */
+export async function listProviderModels(providerId, options = {}) {
+  const resolved = await resolveProvider(providerId, options)
+  if (!resolved.success) {
+    return { success: false, error: resolved.error }
+  }
 
-    return { success: true, data: content }
-  } catch (error) {
-    return { success: false, error: `Google API Network error: ${error.message}` }
+  const { provider, apiKey, settings } = resolved
+  if (!provider.listModels) {
+    return { success: false, error: `${provider.name} does not support listing models` }
   }
+
+  return provider.listModels({ ...settings, apiKey })
 }
 
 /**
- * Call Local LLM (Ollama) API
+ * Get AI reply suggestions from the specified LLM provider
  * @param {Array} context - Array of message objects with role and content
- * @param {string} systemPrompt - System prompt for the LLM
- * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ * @param {string} tone - Tone profile id (formal, semi-formal, friendly, slang or a user-defined profile)
+ * @param {string} provider - LLM provider (openai, anthropic, google, local)
+ * @param {Object} [options] - { platform, contactName, participants, replyTo } filled into the prompt template
+ * @returns {Promise<{success: boolean, suggestions?: Array<{text: string, intent: string, language: string|null}>, provider?: string, providerName?: string, fallback?: boolean, attempts?: number, error?: string}>}
  */
-async function callLocalLLM(context, systemPrompt) {
+export async function getLLMSuggestions(context, tone, provider, options = {}) {
   try {
-    // Resolve model preference: session override -> default -> fallback
-    let modelName = 'llama3:latest'
-    try {
-      const { defaultLocalModel } = await chrome.storage.sync.get(['defaultLocalModel'])
-      const localStore = await chrome.storage.local.get(['sessionLocalModel'])
-      modelName = localStore.sessionLocalModel || defaultLocalModel || modelName
-    } catch (e) {
-      // Ignore storage errors and keep fallback model
-    }
+    const { systemPrompt, temperature } = await buildSuggestionRequest(context, tone, options)
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ]
-
-    const response = await fetch('http://localhost:11434/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-        // No 'Authorization' header needed for local Ollama
-      },
-      mode: 'cors', // Explicitly set CORS mode
-      body: JSON.stringify({
-        model: modelName,
-        messages: messages,
-        max_tokens: 300,
-        temperature: 0.7,
-        stream: false // Ensure streaming is off
-      })
+    const suggestions = await callWithFallback(provider, context, systemPrompt, {
+      maxTokens: 500,
+      temperature,
+      responseFormat: 'json'
     })
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Local LLM API error (HTTP ${response.status})`
-      
-      if (response.status === 403) {
-        errorMessage = 'Ollama blocked the request due to CORS. Try: OLLAMA_ORIGINS="*" ollama serve'
-      } else if (response.status === 404) {
-        errorMessage = `Model not found. Check the model name: ${modelName}`
-      } else if (response.status === 400) {
-        errorMessage = `Model not found. Check the model name: ${modelName}`
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
+    if (suggestions.success) {
+      return {
+        success: true,
+        suggestions: parseSuggestions(suggestions.data),
+        provider: suggestions.provider,
+        providerName: suggestions.providerName,
+        fallback: suggestions.fallback,
+        attempts: suggestions.attempts
       }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const data = await response.json()
-    const content = data.choices?.[0]?.message?.content
-
-    if (!content) {
-      return { success: false, error: 'No response content received from Local LLM' }
+    } else {
+      return { success: false, error: suggestions.error }
     }
-
-    return { success: true, data: content }
   } catch (error) {
-    // This catch block will trigger if the server isn't running at all
-    if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
-      return { success: false, error: 'Connection refused. Is your local LLM server (Ollama) running at http://localhost:11434?' }
-    }
-    if (error.message.includes('CORS') || error.message.includes('cors')) {
-      return { success: false, error: 'CORS error. Try: OLLAMA_ORIGINS="*" ollama serve' }
-    }
-    return { success: false, error: `Local LLM Network error: ${error.message}` }
+    console.error('LLM service error:', error)
+    return { success: false, error: `Unexpected error: ${error.message}` }
   }
 }
 
 /**
- * Test API key validity - IMPROVED VERSION
+ * Test API key validity
  * @param {string} provider - Provider to test
- * @param {string} apiKey - API key to test
+ * @param {string} apiKeyToTest - API key to test (ignored for providers without keys)
+ * @param {Object} [settings] - Unsaved provider settings to test with (e.g. baseUrl, model, headers)
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function testApiKey(provider, apiKeyToTest) {
+export async function testApiKey(provider, apiKeyToTest, settings) {
   const testContext = [{ role: 'user', content: 'Hello, this is a test message.' }]
   const systemPrompt = 'Respond concisely.'
-  
+
   try {
-    let result
-    // Call the specific function directly with the key without modifying storage
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        result = await callOpenAI(testContext, systemPrompt, apiKeyToTest)
-        break
-      case 'anthropic':
-        result = await callAnthropic(testContext, systemPrompt, apiKeyToTest)
-        break
-      case 'google':
-        result = await callGoogle(testContext, systemPrompt, apiKeyToTest)
-        break
-      case 'local':
-        result = await callLocalLLM(testContext, systemPrompt)
-        break
-      default:
-        return { success: false, error: `Unsupported provider: ${provider}` }
-    }
-    
+    // Call the provider directly with the key without modifying storage
+    const result = await callProvider(provider, testContext, systemPrompt, { apiKey: apiKeyToTest, settings })
+
     // Return based on whether the API call itself succeeded
     return { success: result.success, error: result.error }
   } catch (error) {
@@ -354,85 +351,96 @@ export async function testApiKey(provider, apiKeyToTest) {
 
 /**
  * Stream AI reply suggestions from the specified LLM provider
+ * Falls back to the next provider in the chain only while nothing has been streamed yet
  * @param {Array} context - Array of message objects with role and content
- * @param {string} tone - Tone for the response (formal, semi-formal, friendly, slang)
+ * @param {string} tone - Tone profile id (formal, semi-formal, friendly, slang or a user-defined profile)
  * @param {string} provider - LLM provider (openai, anthropic, google, local)
  * @param {Function} onChunk - Callback function that receives incremental text chunks
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @param {Object} [options] - { signal, onRetry, onSuggestion, platform, contactName, participants, replyTo } AbortSignal that cancels
+ *   the request, retry notifications, a callback receiving (suggestion, index) as soon as each suggestion is
+ *   complete, and the conversation details filled into the prompt template
+ * @returns {Promise<{success: boolean, suggestions?: Array<{text: string, intent: string, language: string|null}>, provider?: string, providerName?: string, fallback?: boolean, attempts?: number, cancelled?: boolean, error?: string}>}
  */
-export async function streamLLMSuggestions(context, tone, provider, onChunk) {
+export async function streamLLMSuggestions(context, tone, provider, onChunk, options = {}) {
+  const { signal, onRetry, onSuggestion } = options
+
   try {
-    let apiKey // Will be undefined for 'local'
+    const { systemPrompt, temperature } = await buildSuggestionRequest(context, tone, options)
+
+    const chain = await resolveProviderChain(provider)
+    const failures = []
+    let accumulatedText = ''
+    const suggestionParser = createSuggestionStreamParser((suggestion, index) => {
+      if (onSuggestion && !signal?.aborted) {
+        onSuggestion(suggestion, index)
+      }
+    })
 
-    // Only get API key if it's not a local provider
-    if (provider !== 'local') {
-      apiKey = await getKey(provider)
-      if (!apiKey) {
-        return { success: false, error: 'API key not found. Please configure your API key in the options page.' }
+    for (const id of chain) {
+      const resolved = await resolveProvider(id)
+      if (!resolved.success) {
+        failures.push({ provider: id, error: resolved.error })
+        continue
       }
-    }
 
-    // Use the same enhanced system prompt as non-streaming version
-    const systemPrompt = `You are a helpful assistant that generates reply suggestions for chat conversations. 
-
-IMPORTANT: The last message in the conversation is what you need to reply to. Generate REPLY suggestions, NOT continuations.
-
-CRITICAL RULES:
-1. ALWAYS respond in the EXACT SAME language as the last message
-2. Generate exactly 3 diverse REPLY suggestions (not continuations of your own message)
-3. Each suggestion must be 1-2 sentences long
-4. Separate each suggestion with exactly "---" (three dashes)
-5. Provide one suggestion that agrees/confirms with the last message
-6. Provide one suggestion that disagrees or offers an alternative perspective
-7. Provide one suggestion that is neutral, asks a question, or seeks clarification
-8. Use a ${tone} tone
-9. DO NOT include the word "suggestion" or any explanation in your response
-10. ONLY output the 3 suggestions separated by "---"
-
-Example:
-If last message is: "Спасибо" (Thank you)
-Good replies: "Не за что" / "Пожалуйста" / "Рад был помочь"
-Bad: "за понимание" (this is a continuation, not a reply)
-
-Format: [first suggestion]---[second suggestion]---[third suggestion]`
-
-    // Format context to match streaming API expectations
-    const formattedContext = context.map(msg => ({
-      role: msg.role,
-      content: msg.text || msg.content
-    }))
-
-    let result
-    switch (provider.toLowerCase()) {
-      case 'openai':
-        result = await streamOpenAI(formattedContext, systemPrompt, apiKey, onChunk)
-        break
-      case 'anthropic':
-        result = await streamAnthropic(formattedContext, systemPrompt, apiKey, onChunk)
-        break
-      case 'google':
-        result = await streamGoogle(formattedContext, systemPrompt, apiKey, onChunk)
-        break
-      case 'local':
-        // Resolve model name for local provider
-        let modelName = 'llama3:latest'
-        try {
-          const { defaultLocalModel } = await chrome.storage.sync.get(['defaultLocalModel'])
-          const localStore = await chrome.storage.local.get(['sessionLocalModel'])
-          modelName = localStore.sessionLocalModel || defaultLocalModel || modelName
-        } catch (e) {
-          // Ignore storage errors and keep fallback model
-        }
-        result = await streamLocalLLM(formattedContext, systemPrompt, modelName, onChunk)
-        break
-      default:
-        return { success: false, error: `Unsupported provider: ${provider}` }
+      // Retries happen before the response body is read, so they never replay streamed text
+      const { retry, getAttempts } = await trackRetries(resolved.provider, onRetry)
+      const redactor = await resolveRedactor(resolved.provider, resolved.settings)
+      // Placeholders are restored as they stream in; one split across chunks waits for the rest
+      const restorer = redactor && createStreamRestorer(redactor)
+      const emit = (text) => {
+        if (!text) return
+        accumulatedText += text
+        // Report finished suggestions first so the progress text can leave them out
+        suggestionParser.push(text)
+        onChunk(text)
+      }
+      const result = await resolved.provider.stream({
+        ...resolved.settings,
+        context: normalizeContext(redactor ? redactor.redactMessages(context) : context),
+        systemPrompt: redactor ? redactor.redact(systemPrompt) : systemPrompt,
+        apiKey: resolved.apiKey,
+        model: resolved.model,
+        maxTokens: 500,
+        temperature,
+        onChunk: (chunk) => emit(restorer ? restorer.push(chunk) : chunk),
+        signal,
+        retry,
+        responseFormat: 'json'
+      })
+
+      // Providers report an aborted fetch as a network error
+      if (signal?.aborted) {
+        return { success: false, cancelled: true, error: 'Request cancelled' }
+      }
+      if (restorer) {
+        emit(restorer.flush())
+      }
+
+      if (result.success) {
+        suggestionParser.end()
+        return answeredBy({
+          ...result,
+          suggestions: parseSuggestions(accumulatedText),
+          attempts: getAttempts()
+        }, id, failures)
+      }
+
+      // Text already shown to the user can't be taken back, so don't switch providers mid-answer
+      if (accumulatedText) {
+        return result
+      }
+
+      console.warn(`Provider ${id} failed:`, result.error)
+      failures.push({ provider: id, error: result.error })
     }
 
-    return result
+    return { success: false, error: describeFailures(failures) }
   } catch (error) {
+    if (signal?.aborted) {
+      return { success: false, cancelled: true, error: 'Request cancelled' }
+    }
     console.error('LLM streaming error:', error)
     return { success: false, error: `Unexpected error: ${error.message}` }
   }
 }
-
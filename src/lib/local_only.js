@@ -0,0 +1,54 @@
+/**
+ * Local-only Mode for AI Consul Lite
+ * When it's on, no conversation data leaves the machine: cloud providers are refused (see llm_service.js)
+ * and the service worker's fetch only reaches localhost
+ */
+
+import { getLocalOnlyMode } from './storage.js'
+
+// Extension resources and in-memory data never leave the browser
+const INTERNAL_PROTOCOLS = ['chrome-extension:', 'data:', 'blob:']
+
+/**
+ * Whether a URL points at this machine
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+export function isLocalhostUrl(url) {
+  try {
+    const { hostname } = new URL(url)
+    return hostname === 'localhost' || hostname === '[::1]' || /^127(?:\.\d{1,3}){3}$/.test(hostname)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Whether a request may be made while local-only mode is on
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+export function isAllowedInLocalOnlyMode(url) {
+  try {
+    return INTERNAL_PROTOCOLS.includes(new URL(url).protocol) || isLocalhostUrl(url)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Make fetch in this scope refuse anything but localhost while local-only mode is on
+ * Blocked requests fail like a network error, so providers report them the usual way
+ * @param {Object} [scope] - Global object whose fetch to wrap (the service worker's self)
+ */
+export function installLocalOnlyFetchGuard(scope = globalThis) {
+  const originalFetch = scope.fetch
+
+  scope.fetch = async (input, init) => {
+    const url = new URL(typeof input === 'string' ? input : input?.url ?? String(input), scope.location?.href).href
+    if (!isAllowedInLocalOnlyMode(url) && await getLocalOnlyMode()) {
+      throw new TypeError(`Blocked by local-only mode: ${new URL(url).host}`)
+    }
+    return originalFetch.call(scope, input, init)
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Meeting Summary for AI Consul Lite
+ * Runs a captured call's transcript through the selected provider for a summary, decisions,
+ * action items with owners and open questions
+ */
+
+import { getTranscriptSession, getTranscriptSegments } from './transcript_store.js'
+import { formatOffset } from './transcript_export.js'
+import { estimateTokens } from './context_budget.js'
+import { callProvider, resolveProviderBudget } from './llm_service.js'
+
+export const MEETING_SUMMARY_SYSTEM_PROMPT = `You summarise meeting transcripts. The transcript comes from speech recognition, so it has no speaker names unless people say them, and it may contain recognition errors.
+Answer with a JSON object only, in the language of the meeting:
+{"summary": "3-5 sentences on what the meeting was about and its outcome",
+ "decisions": ["each decision that was made"],
+ "actionItems": [{"task": "what has to be done", "owner": "who will do it, or null if nobody was named", "due": "deadline if one was mentioned, else null"}],
+ "openQuestions": ["questions that were raised but not answered"]}
+Only include what was actually said; use empty lists when there is nothing to report.`
+
+// Most calls fit; longer ones are shortened in the middle so the opening and the wrap-up both stay
+const MAX_MEETING_TRANSCRIPT_TOKENS = 12000
+
+/**
+ * The transcript as "[mm:ss] text" lines, within the token budget
+ * @param {Object} session - { startedAt }
+ * @param {Array} segments - The session's segments, oldest first
+ * @param {number} [maxTokens]
+ * @returns {string}
+ */
+export function formatMeetingTranscript(session, segments, maxTokens = MAX_MEETING_TRANSCRIPT_TOKENS) {
+  const lines = segments.map(segment => `[${formatOffset(segment.timestamp - session.startedAt)}] ${segment.text}`)
+  if (estimateTokens(lines.join('\n')) <= maxTokens) return lines.join('\n')
+
+  // Take lines from both ends, each half of the budget
+  const take = (from) => {
+    const kept = []
+    let tokens = 0
+    for (const line of from) {
+      tokens += estimateTokens(line) + 1
+      if (tokens > maxTokens / 2) break
+      kept.push(line)
+    }
+    return kept
+  }
+  const head = take(lines)
+  const tail = take([...lines].reverse()).reverse()
+  const skipped = lines.length - head.length - tail.length
+  return [...head, `[... ${skipped} parts of the call left out ...]`, ...tail].join('\n')
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value.map(item => String(item ?? '').trim()).filter(Boolean) : []
+}
+
+function toNullableText(value) {
+  const text = typeof value === 'string' ? value.trim() : ''
+  return text && !/^(null|none|n\/a|unknown)$/i.test(text) ? text : null
+}
+
+/**
+ * Read the model's answer; models without JSON mode sometimes wrap it in text or a code fence
+ * @param {string} text - Raw model output
+ * @returns {{summary: string, decisions: Array<string>, actionItems: Array<{task: string, owner: string|null, due: string|null}>, openQuestions: Array<string>}|null}
+ *   null when no JSON object can be found
+ */
+export function parseMeetingSummary(text) {
+  const start = text?.indexOf('{') ?? -1
+  const end = text?.lastIndexOf('}') ?? -1
+  if (start === -1 || end <= start) return null
+
+  let data
+  try {
+    data = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return null
+  }
+
+  const actionItems = (Array.isArray(data.actionItems) ? data.actionItems : [])
+    .map(item => typeof item === 'string'
+      ? { task: item.trim(), owner: null, due: null }
+      : { task: String(item?.task ?? '').trim(), owner: toNullableText(item?.owner), due: toNullableText(item?.due) })
+    .filter(item => item.task)
+
+  return {
+    summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+    decisions: toList(data.decisions),
+    actionItems,
+    openQuestions: toList(data.openQuestions)
+  }
+}
+
+/**
+ * Summarise a captured session with the selected provider
+ * @param {number} sessionId - Transcript store session
+ * @param {string} providerId - Selected LLM provider id; local Ollama works too
+ * @returns {Promise<{success: boolean, summary?: Object, error?: string}>} summary is
+ *   { summary, decisions, actionItems, openQuestions, provider, createdAt }
+ */
+export async function summarizeMeeting(sessionId, providerId) {
+  const session = await getTranscriptSession(sessionId)
+  if (!session) return { success: false, error: 'This call transcript no longer exists.' }
+  const segments = await getTranscriptSegments({ sessionId })
+  if (segments.length === 0) return { success: false, error: 'Nothing has been transcribed in this call yet.' }
+
+  const { budget } = await resolveProviderBudget(MAX_MEETING_TRANSCRIPT_TOKENS, providerId)
+  const result = await callProvider(providerId, [{
+    role: 'user',
+    content: `Meeting: ${session.name}\n\nTranscript:\n${formatMeetingTranscript(session, segments, budget)}`
+  }], MEETING_SUMMARY_SYSTEM_PROMPT, { maxTokens: 1000, temperature: 0.2, responseFormat: 'json' })
+
+  if (!result.success) return { success: false, error: result.error }
+
+  const summary = parseMeetingSummary(result.data)
+  if (!summary) return { success: false, error: 'The model did not return a summary. Please try again.' }
+  return { success: true, summary: { ...summary, provider: providerId, createdAt: Date.now() } }
+}
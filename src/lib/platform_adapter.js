@@ -29,6 +29,110 @@ export function getAdapter(hostname) {
   }
 }
 
+/**
+ * Join the capture groups of the first match of a pattern against the URL path and hash
+ * @param {RegExp} pattern - Pattern with one or more capture groups
+ * @returns {string|null} Null when the URL doesn't match
+ */
+function matchLocation(pattern) {
+  const match = `${window.location.pathname}${window.location.hash}`.match(pattern)
+  return match ? match.slice(1).join('/') : null
+}
+
+/**
+ * Trimmed text of the first element matching a selector
+ */
+function textOf(selector) {
+  return document.querySelector(selector)?.textContent?.trim() || null
+}
+
+/**
+ * Names of the people who wrote the visible messages, falling back to the chat title
+ * @param {string} senderSelector - Selector for message sender names
+ * @param {string|null} title - Conversation title
+ * @returns {Array<string>} Distinct names in page order
+ */
+function participantsFrom(senderSelector, title) {
+  const names = Array.from(document.querySelectorAll(senderSelector))
+    .map(element => element.textContent.trim())
+    .filter(Boolean)
+  const unique = [...new Set(names)]
+  if (unique.length > 0) return unique
+  return title ? [title] : []
+}
+
+/**
+ * Milliseconds for a Unix time in seconds, as Slack and Telegram put in data attributes
+ */
+function fromUnixSeconds(value) {
+  const seconds = parseFloat(value)
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null
+}
+
+/**
+ * Parse a clock time such as "10:32", "22:32" or "10:32 PM"
+ * Without a day, the time is taken as today's, or yesterday's if that would be in the future
+ * @param {string} text - Text containing the time
+ * @param {Date} [day] - Day the time belongs to
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function parseClockTime(text, day) {
+  const match = text?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp])?/)
+  if (!match) return null
+
+  let hours = parseInt(match[1], 10)
+  const meridiem = match[4]?.toLowerCase()
+  if (meridiem === 'p' && hours < 12) hours += 12
+  if (meridiem === 'a' && hours === 12) hours = 0
+
+  const date = new Date(day || Date.now())
+  date.setHours(hours, parseInt(match[2], 10), parseInt(match[3] || '0', 10), 0)
+  if (!day && date.getTime() > Date.now()) {
+    date.setDate(date.getDate() - 1)
+  }
+  return date.getTime()
+}
+
+/**
+ * Read WhatsApp's data-pre-plain-text, e.g. "[10:32, 12/5/2024] Anna: "
+ * The date is written in the user's locale; day and month are told apart by value where possible
+ * @param {string} value - Attribute value
+ * @returns {{sentAt: number|null, sender: string|null}|null}
+ */
+function parseWhatsAppMeta(value) {
+  const match = value?.match(/^\[([^,\]]+),\s*([^\]]+)\]\s*(.*?):\s*$/)
+  if (!match) return null
+
+  const [, time, date, sender] = match
+  const parts = date.split(/[./-]/).map(part => parseInt(part, 10))
+  if (parts.length !== 3 || parts.some(Number.isNaN)) {
+    return { sentAt: null, sender: sender.trim() || null }
+  }
+
+  let year, month, day
+  if (parts[0] > 31) {
+    [year, month, day] = parts
+  } else {
+    const [first, second] = parts
+    const monthFirst = first > 12 ? false : second > 12 ? true : /^en-US$/i.test(navigator.language)
+    month = monthFirst ? first : second
+    day = monthFirst ? second : first
+    year = parts[2] < 100 ? 2000 + parts[2] : parts[2]
+  }
+
+  return {
+    sentAt: parseClockTime(time, new Date(year, month - 1, day)),
+    sender: sender.trim() || null
+  }
+}
+
+/**
+ * Trimmed text of the first element inside a node matching a selector
+ */
+function textIn(node, selector) {
+  return node.querySelector(selector)?.textContent?.trim() || null
+}
+
 // WhatsApp Web Adapter - Updated for current WhatsApp Web structure
 const whatsappAdapter = {
   name: 'WhatsApp',
@@ -71,6 +175,36 @@ const whatsappAdapter = {
     return isOutgoing ? 'assistant' : 'user'
   },
   
+  getMessageTime(node) {
+    const meta = node.querySelector('[data-pre-plain-text]')?.getAttribute('data-pre-plain-text')
+    return parseWhatsAppMeta(meta)?.sentAt ?? null
+  },
+  
+  getSenderName(node) {
+    const meta = node.querySelector('[data-pre-plain-text]')?.getAttribute('data-pre-plain-text')
+    return parseWhatsAppMeta(meta)?.sender ?? null
+  },
+  
+  // The URL is the same for every chat, so the contact or group name in the header identifies it
+  getConversationId() {
+    const title = this.getConversationTitle()
+    return title ? `chat:${title}` : null
+  },
+  
+  getConversationTitle() {
+    return document.querySelector('#main header span[title]')?.getAttribute('title') || null
+  },
+  
+  getParticipants() {
+    // Groups list their members under the name, e.g. "Anna, Ben, You"
+    const members = document.querySelectorAll('#main header span[title]')[1]?.getAttribute('title')
+    if (members && members.includes(',')) {
+      return members.split(',').map(name => name.trim()).filter(name => name && name !== 'You')
+    }
+    const title = this.getConversationTitle()
+    return title ? [title] : []
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -112,6 +246,27 @@ const telegramAdapter = {
     return node.classList.contains('message-out') ? 'assistant' : 'user'
   },
   
+  getMessageTime(node) {
+    return fromUnixSeconds(node.closest('[data-timestamp]')?.dataset.timestamp)
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '.peer-title, .name')
+  },
+  
+  // web.telegram.org/k/#-1001234567 or /a/#@username
+  getConversationId() {
+    return matchLocation(/#(@?-?\w+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('.chat-info .peer-title') || textOf('.ChatInfo .fullName')
+  },
+  
+  getParticipants() {
+    return participantsFrom('.messages-container .message .peer-title', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -141,6 +296,27 @@ const slackAdapter = {
     return node.querySelector('[data-qa="message"]') ? 'assistant' : 'user'
   },
   
+  getMessageTime(node) {
+    return fromUnixSeconds(node.querySelector('[data-ts]')?.getAttribute('data-ts'))
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '[data-qa="message_sender_name"]')
+  },
+  
+  // app.slack.com/client/<team>/<channel>
+  getConversationId() {
+    return matchLocation(/\/client\/(\w+)\/(\w+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('[data-qa="channel_name"]')
+  },
+  
+  getParticipants() {
+    return participantsFrom('[data-qa="message_sender_name"]', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -168,6 +344,28 @@ const discordAdapter = {
     return node.classList.contains('message-2qnXI6') && node.querySelector('[class*="messageContent"]') ? 'assistant' : 'user'
   },
   
+  getMessageTime(node) {
+    const time = Date.parse(node.querySelector('time[datetime]')?.getAttribute('datetime'))
+    return Number.isNaN(time) ? null : time
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '[id^="message-username-"]')
+  },
+  
+  // discord.com/channels/<guild or @me>/<channel>
+  getConversationId() {
+    return matchLocation(/\/channels\/(@me|\d+)\/(\d+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('section[aria-label="Channel header"] h1') || textOf('[class*="title-"] h1')
+  },
+  
+  getParticipants() {
+    return participantsFrom('[id^="message-username-"]', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -195,6 +393,28 @@ const linkedinAdapter = {
     return node.classList.contains('message--sent') ? 'assistant' : 'user'
   },
   
+  // Only the clock time is shown
+  getMessageTime(node) {
+    return parseClockTime(textIn(node, 'time, .msg-s-message-group__timestamp'))
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '.msg-s-message-group__name')
+  },
+  
+  // www.linkedin.com/messaging/thread/<id>/
+  getConversationId() {
+    return matchLocation(/\/messaging\/thread\/([^/]+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('.msg-entity-lockup__entity-title') || textOf('#thread-detail-jump-target')
+  },
+  
+  getParticipants() {
+    return participantsFrom('.msg-s-message-group__name', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -222,6 +442,28 @@ const messengerAdapter = {
     return node.classList.contains('message--sent') ? 'assistant' : 'user'
   },
   
+  // Messenger only shows times between groups of messages, not on the messages themselves
+  getMessageTime() {
+    return null
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '[data-testid="message_sender"]')
+  },
+  
+  // www.messenger.com/t/<id>, or /e2ee/t/<id> for encrypted chats
+  getConversationId() {
+    return matchLocation(/\/t\/([^/]+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('[role="main"] h1') || textOf('[role="main"] h2')
+  },
+  
+  getParticipants() {
+    return participantsFrom('[data-testid="message_group"] [data-testid="message_sender"]', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -249,6 +491,28 @@ const googleChatAdapter = {
     return node.classList.contains('message--sent') ? 'assistant' : 'user'
   },
   
+  getMessageTime(node) {
+    const time = parseInt(node.closest('[data-absolute-timestamp]')?.dataset.absoluteTimestamp, 10)
+    return Number.isNaN(time) ? null : time
+  },
+  
+  getSenderName(node) {
+    return textIn(node, '[data-testid="message-sender"]')
+  },
+  
+  // chat.google.com/room/<id> and /dm/<id>, or #chat/space/<id> when embedded in Gmail
+  getConversationId() {
+    return matchLocation(/\/(room|dm|space)\/([\w-]+)/)
+  },
+  
+  getConversationTitle() {
+    return textOf('[data-testid="chat-title"]') || textOf('[role="main"] [role="heading"][aria-level="1"]')
+  },
+  
+  getParticipants() {
+    return participantsFrom('[data-testid="message-sender"]', this.getConversationTitle())
+  },
+  
   insertText(text) {
     const input = document.querySelector(this.inputSelector)
     if (input) {
@@ -263,7 +527,8 @@ const googleChatAdapter = {
  * Get the last N messages from the current chat
  * @param {Object} adapter - Platform adapter object
  * @param {number} count - Number of messages to retrieve (default: 5)
- * @returns {Array} Array of message objects with role and content
+ * @returns {Array} Array of { role, content, sender, sentAt, timestamp }; sentAt is the time shown
+ *   on the page (null if there is none), timestamp is sentAt or an estimate, for ordering
  */
 export function getRecentMessages(adapter, count = 5) {
   const messageElements = document.querySelectorAll(adapter.messageSelector)
@@ -280,12 +545,40 @@ export function getRecentMessages(adapter, count = 5) {
       messages.push({
         role: role,
         content: text,
-        timestamp: Date.now() // Approximate timestamp
+        sender: adapter.getSenderName(element),
+        sentAt: adapter.getMessageTime(element)
       })
     }
   }
   
-  return messages
+  return fillMessageGaps(messages)
+}
+
+/**
+ * Fill in sender names and timestamps the page doesn't show on every message
+ * Slack, Discord and Telegram print them once per run of messages from one person, so the
+ * rest of the run takes them from its neighbours. With no times at all, messages are stamped
+ * with the current time, which keeps them in page order when sorted
+ * @param {Array} messages - Messages in page order, with sender and sentAt
+ * @returns {Array} Messages with sender and timestamp filled in where possible
+ */
+function fillMessageGaps(messages) {
+  const filled = []
+  for (const msg of messages) {
+    const previous = filled[filled.length - 1]
+    const sender = msg.sender || (previous?.role === msg.role ? previous.sender : null)
+    filled.push({ ...msg, sender, timestamp: msg.sentAt ?? previous?.timestamp ?? null })
+  }
+  
+  let next = Date.now()
+  for (let i = filled.length - 1; i >= 0; i--) {
+    if (filled[i].timestamp === null) {
+      filled[i].timestamp = next
+    } else {
+      next = filled[i].timestamp
+    }
+  }
+  return filled
 }
 
 /**
@@ -296,3 +589,68 @@ export function getRecentMessages(adapter, count = 5) {
 export function hasChatInterface(adapter) {
   return document.querySelector(adapter.inputSelector) !== null
 }
+
+/**
+ * Describe the conversation open in the page
+ * @param {Object} adapter - Platform adapter object
+ * @returns {{platform: string, conversationId: string|null, title: string|null, participants: Array<string>}}
+ */
+export function getConversation(adapter) {
+  return {
+    platform: adapter.name,
+    conversationId: adapter.getConversationId(),
+    title: adapter.getConversationTitle(),
+    participants: adapter.getParticipants()
+  }
+}
+
+/**
+ * Name of the person the user is replying to in a one-to-one chat, for the {{contactName}} prompt variable
+ * Group chats have none: the model hears who wrote each message instead
+ * @param {{title: string|null, participants: Array<string>}} conversation - From getConversation
+ * @returns {string|null}
+ */
+export function getContactName(conversation) {
+  if (conversation.participants.length > 1) return null
+  return conversation.title || conversation.participants[0] || null
+}
+
+/**
+ * Call back when the user switches to another conversation
+ * The chat apps are single-page apps, so this watches URL and DOM changes rather than page loads.
+ * Moments where no conversation can be identified (while a chat is loading) are ignored
+ * @param {Object} adapter - Platform adapter object
+ * @param {Function} callback - Receives (conversation, previousConversationId)
+ * @param {Object} [options] - { debounceMs } to wait for the DOM to settle
+ * @returns {Function} Stops watching
+ */
+export function onConversationChange(adapter, callback, { debounceMs = 300 } = {}) {
+  let currentId = adapter.getConversationId()
+  let timer = null
+  
+  const check = () => {
+    timer = null
+    const conversationId = adapter.getConversationId()
+    if (!conversationId || conversationId === currentId) return
+    
+    const previousId = currentId
+    currentId = conversationId
+    callback(getConversation(adapter), previousId)
+  }
+  
+  const schedule = () => {
+    if (!timer) timer = setTimeout(check, debounceMs)
+  }
+  
+  const observer = new MutationObserver(schedule)
+  observer.observe(document.body, { childList: true, subtree: true })
+  window.addEventListener('popstate', schedule)
+  window.addEventListener('hashchange', schedule)
+  
+  return () => {
+    observer.disconnect()
+    window.removeEventListener('popstate', schedule)
+    window.removeEventListener('hashchange', schedule)
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Prompt Templates for AI Consul Lite
+ * The suggestion system prompt is a template with {{placeholders}} that users can edit in the options page
+ */
+
+/**
+ * Placeholders available in templates, with the value used when nothing better is known
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: 'tone', description: 'Selected tone, e.g. "friendly"', fallback: 'semi-formal' },
+  { name: 'toneGuide', description: 'Description, emoji and length rules and example replies of the tone profile', fallback: '' },
+  { name: 'groupChat', description: 'Who is in a group chat and which message to reply to (group chats only)', fallback: '' },
+  { name: 'writingStyle', description: 'How you write on this platform, learned from your messages (if enabled)', fallback: '' },
+  { name: 'language', description: 'Reply language from the settings', fallback: 'the EXACT SAME language as the last message' },
+  { name: 'platform', description: 'Chat platform, e.g. "WhatsApp"', fallback: 'a chat app' },
+  { name: 'contactName', description: 'Name of the person you are replying to', fallback: 'the other person' },
+  { name: 'count', description: 'Number of suggestions to generate', fallback: '3' }
+]
+
+export const DEFAULT_SUGGESTION_TEMPLATE = `You are a helpful assistant that generates reply suggestions for chat conversations on {{platform}}.
+
+IMPORTANT: The last message in the conversation is from {{contactName}} and is what you need to reply to. Generate REPLY suggestions, NOT continuations.
+
+CRITICAL RULES:
+1. ALWAYS respond in {{language}}
+2. Generate exactly {{count}} diverse REPLY suggestions (not continuations of your own message)
+3. Follow the length given for the tone below, or keep each suggestion to 1-2 sentences
+4. Provide one suggestion that agrees/confirms with the last message (intent "agree")
+5. Provide one suggestion that disagrees or offers an alternative perspective (intent "disagree")
+6. Provide one suggestion that is neutral, asks a question, or seeks clarification (intent "clarify")
+7. Use a {{tone}} tone, as described below
+8. DO NOT include the word "suggestion" or any explanation in the reply text
+9. ONLY output JSON, with no text before or after it
+
+{{groupChat}}
+
+{{toneGuide}}
+
+{{writingStyle}}
+
+Example:
+If last message is: "Спасибо" (Thank you)
+Good replies: "Не за что" / "Пожалуйста" / "Рад был помочь"
+Bad: "за понимание" (this is a continuation, not a reply)
+
+Format:
+{"suggestions": [
+  {"text": "<reply>", "intent": "agree", "language": "<ISO 639-1 code of the reply>"},
+  {"text": "<reply>", "intent": "disagree", "language": "<code>"},
+  {"text": "<reply>", "intent": "clarify", "language": "<code>"}
+]}`
+
+/**
+ * Conversation used for the live preview in the options page
+ */
+export const SAMPLE_CONVERSATION = {
+  platform: 'WhatsApp',
+  contactName: 'Anna',
+  messages: [
+    { role: 'assistant', content: 'Hi Anna, did you get a chance to look at the draft?' },
+    { role: 'user', content: 'Yes! Looks good overall. Can we move the review to Thursday?' }
+  ]
+}
+
+/**
+ * Fill in {{placeholders}}; empty values use the variable's fallback and unknown placeholders are left as typed
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, variables = {}) {
+  const rendered = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const value = variables[name]
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value)
+    }
+    const variable = TEMPLATE_VARIABLES.find(v => v.name === name)
+    return variable ? variable.fallback : placeholder
+  })
+  // Empty guides (a bare tone, no learned style) leave blank lines behind
+  return rendered.replace(/\n{3,}/g, '\n\n')
+}
+
+/**
+ * List placeholders in a template that aren't in TEMPLATE_VARIABLES, to flag typos in the editor
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unknown placeholder names
+ */
+export function findUnknownPlaceholders(template) {
+  const known = TEMPLATE_VARIABLES.map(v => v.name)
+  const names = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])
+  return names.filter((name, index) => !known.includes(name) && names.indexOf(name) === index)
+}
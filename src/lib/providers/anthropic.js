@@ -0,0 +1,177 @@
+/**
+ * Anthropic provider for AI Consul Lite
+ */
+
+import { readSSE } from '../streaming.js'
+import { fetchWithRetry } from '../retry.js'
+
+const ANTHROPIC_MESSAGES_URL = 'https://api.anthropic.com/v1/messages'
+const ANTHROPIC_MODELS_URL = 'https://api.anthropic.com/v1/models'
+
+// Claude has no JSON mode; starting its answer with "{" keeps it to a JSON object
+const JSON_PREFILL = '{'
+
+/**
+ * Anthropic only accepts user/assistant roles; the system prompt goes in its own field
+ * For JSON responses the assistant turn is prefilled, and the reply continues after the prefill
+ */
+function buildMessages(context, responseFormat) {
+  const messages = context.map(msg => ({
+    role: msg.role === 'assistant' ? 'assistant' : 'user',
+    content: msg.content
+  }))
+  return responseFormat === 'json' ? [...messages, { role: 'assistant', content: JSON_PREFILL }] : messages
+}
+
+/**
+ * Put the prefill back in front of the reply, unless the model ignored it and answered in plain text
+ */
+function restorePrefill(text) {
+  return /^\s*[^\s"}]/.test(text) ? text : JSON_PREFILL + text
+}
+
+function buildHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey,
+    'Content-Type': 'application/json',
+    'anthropic-version': '2023-06-01'
+  }
+}
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  label: 'Anthropic (Claude)',
+  requiresKey: true,
+  defaultModel: 'claude-3-5-sonnet-20241022',
+  charsPerToken: 3.5,
+
+  contextWindow() {
+    return 200000
+  },
+
+  mapError(status, errorData) {
+    if (status === 401) {
+      return 'Invalid API key. Please check your Anthropic API key.'
+    }
+    if (status === 429) {
+      return 'Rate limit exceeded. Please try again later.'
+    }
+    return errorData.error?.message || `Anthropic API error (${status})`
+  },
+
+  mapNetworkError(error) {
+    return `Network error: ${error.message}`
+  },
+
+  async listModels({ apiKey }) {
+    try {
+      const response = await fetch(`${ANTHROPIC_MODELS_URL}?limit=100`, {
+        headers: buildHeaders(apiKey)
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+      return { success: true, models: (data.data || []).map(model => model.id) }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  async call({ context, systemPrompt, apiKey, model, maxTokens, temperature, signal, retry, responseFormat }) {
+    try {
+      const response = await fetchWithRetry(ANTHROPIC_MESSAGES_URL, {
+        method: 'POST',
+        headers: buildHeaders(apiKey),
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          system: systemPrompt,
+          messages: buildMessages(context, responseFormat)
+        }),
+        signal
+      }, retry)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+      const content = data.content?.[0]?.text
+
+      if (!content) {
+        return { success: false, error: 'No response content received from Anthropic' }
+      }
+
+      return { success: true, data: responseFormat === 'json' ? restorePrefill(content) : content }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  async stream({ context, systemPrompt, apiKey, model, maxTokens, temperature, onChunk, signal, retry, responseFormat }) {
+    try {
+      const response = await fetchWithRetry(ANTHROPIC_MESSAGES_URL, {
+        method: 'POST',
+        headers: buildHeaders(apiKey),
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          system: systemPrompt,
+          messages: buildMessages(context, responseFormat),
+          stream: true
+        }),
+        signal
+      }, retry)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      let streamError = null
+      let prefillPending = responseFormat === 'json'
+
+      await readSSE(response, ({ event, data }) => {
+        let json
+        try {
+          json = JSON.parse(data)
+        } catch (e) {
+          console.error('Error parsing Anthropic stream:', e)
+          return
+        }
+
+        const type = json.type || event
+        if (type === 'content_block_delta' && json.delta?.text) {
+          if (prefillPending) {
+            prefillPending = false
+            onChunk(restorePrefill(json.delta.text))
+          } else {
+            onChunk(json.delta.text)
+          }
+        } else if (type === 'error') {
+          // e.g. overloaded_error partway through a response
+          streamError = json.error?.message || 'Anthropic stream error'
+          return false
+        } else if (type === 'message_stop') {
+          return false
+        }
+      })
+
+      if (streamError) {
+        return { success: false, error: streamError }
+      }
+
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  }
+}
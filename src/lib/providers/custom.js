@@ -0,0 +1,165 @@
+/**
+ * Custom OpenAI-compatible provider for AI Consul Lite
+ * Any server that speaks `/v1/chat/completions` (vLLM, LM Studio, llama.cpp, ...)
+ */
+
+import { getCustomProviderSettings } from '../storage.js'
+import { isLocalhostUrl } from '../local_only.js'
+import { buildChatMessages, jsonResponseFormat, postChatCompletion, streamChatCompletion } from './openai_compatible.js'
+
+/**
+ * Turn a user-entered base URL into the chat completions endpoint.
+ * Accepts `http://host:port`, `http://host:port/v1` or the full endpoint.
+ * @param {string} baseUrl - Base URL as entered in the options page
+ * @returns {string} Chat completions URL, or '' if no base URL is set
+ */
+export function resolveChatCompletionsUrl(baseUrl) {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '')
+  if (!trimmed) return ''
+  if (trimmed.endsWith('/chat/completions')) return trimmed
+  if (/\/v\d+$/.test(trimmed)) return `${trimmed}/chat/completions`
+  return `${trimmed}/v1/chat/completions`
+}
+
+/**
+ * Parse "Header-Name: value" lines into a headers object
+ * @param {string} text - One header per line
+ * @returns {Object} Headers object
+ */
+export function parseHeaderLines(text) {
+  const headers = {}
+  for (const line of (text || '').split('\n')) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+    const name = line.slice(0, separator).trim()
+    const value = line.slice(separator + 1).trim()
+    if (name) {
+      headers[name] = value
+    }
+  }
+  return headers
+}
+
+/**
+ * Inverse of parseHeaderLines, for showing stored headers in a textarea
+ * @param {Object} headers - Headers object
+ * @returns {string} One "Header-Name: value" per line
+ */
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n')
+}
+
+function buildRequest({ context, systemPrompt, apiKey, model, maxTokens, temperature, baseUrl, headers, retry, responseFormat }) {
+  return {
+    url: resolveChatCompletionsUrl(baseUrl),
+    headers: {
+      ...headers,
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    },
+    model,
+    retry,
+    body: {
+      messages: buildChatMessages(context, systemPrompt),
+      max_tokens: maxTokens,
+      temperature,
+      // vLLM, LM Studio and llama.cpp all accept response_format
+      ...jsonResponseFormat(responseFormat)
+    }
+  }
+}
+
+export const customProvider = {
+  id: 'custom',
+  name: 'Custom endpoint',
+  label: 'Custom OpenAI-compatible endpoint',
+  requiresKey: false,
+  keyOptional: true,
+  defaultModel: '',
+  charsPerToken: 3.5,
+
+  // Unknown server and model, so assume a small window
+  contextWindow() {
+    return 8192
+  },
+
+  // LM Studio, llama.cpp etc. on this machine; anything else may be a hosted service
+  runsLocally({ baseUrl } = {}) {
+    return isLocalhostUrl(resolveChatCompletionsUrl(baseUrl))
+  },
+
+  async resolveModel() {
+    const { model } = await getCustomProviderSettings()
+    return model || this.defaultModel
+  },
+
+  /**
+   * Endpoint settings that are passed through to call/stream
+   * @returns {Promise<{baseUrl: string, headers: Object}>}
+   */
+  async resolveSettings() {
+    const { baseUrl, headers } = await getCustomProviderSettings()
+    return { baseUrl, headers }
+  },
+
+  async listModels({ apiKey, baseUrl, headers }) {
+    const chatUrl = resolveChatCompletionsUrl(baseUrl)
+    if (!chatUrl) {
+      return { success: false, error: 'No base URL configured for the custom endpoint. Set one in the options page.' }
+    }
+
+    try {
+      const response = await fetch(chatUrl.replace(/\/chat\/completions$/, '/models'), {
+        headers: {
+          ...headers,
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+      return { success: true, models: (data.data || []).map(model => model.id).sort() }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  mapError(status, errorData, { model } = {}) {
+    if (status === 401 || status === 403) {
+      return 'The endpoint rejected the request. Check the API key and extra headers.'
+    }
+    if (status === 404) {
+      return `Endpoint or model not found. Check the base URL and model name: ${model}`
+    }
+    if (status === 429) {
+      return 'Rate limit exceeded. Please try again later.'
+    }
+    return errorData.error?.message || `Custom endpoint error (HTTP ${status})`
+  },
+
+  mapNetworkError(error) {
+    if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
+      return 'Connection refused. Is your OpenAI-compatible server running at the configured base URL?'
+    }
+    return `Custom endpoint network error: ${error.message}`
+  },
+
+  async call(request) {
+    if (!resolveChatCompletionsUrl(request.baseUrl)) {
+      return { success: false, error: 'No base URL configured for the custom endpoint. Set one in the options page.' }
+    }
+    return postChatCompletion(this, { ...buildRequest(request), signal: request.signal })
+  },
+
+  async stream(request) {
+    if (!resolveChatCompletionsUrl(request.baseUrl)) {
+      return { success: false, error: 'No base URL configured for the custom endpoint. Set one in the options page.' }
+    }
+    return streamChatCompletion(this, { ...buildRequest(request), signal: request.signal }, request.onChunk)
+  }
+}
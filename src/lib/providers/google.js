@@ -0,0 +1,192 @@
+/**
+ * Google Gemini provider for AI Consul Lite
+ */
+
+import { readSSE } from '../streaming.js'
+import { fetchWithRetry } from '../retry.js'
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models'
+
+/**
+ * Gemini requires alternating user/model roles and has no system role,
+ * so the system prompt is sent as a primed first exchange
+ */
+function buildContents(context, systemPrompt) {
+  const contents = []
+
+  if (systemPrompt) {
+    contents.push({ role: 'user', parts: [{ text: systemPrompt }] })
+    contents.push({ role: 'model', parts: [{ text: 'Okay, I understand the instructions.' }] })
+  }
+
+  context.forEach(msg => {
+    contents.push({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: msg.content }]
+    })
+  })
+
+  return contents
+}
+
+/**
+ * responseMimeType switches on Gemini's JSON mode
+ */
+function buildGenerationConfig({ maxTokens, temperature, responseFormat }) {
+  return {
+    maxOutputTokens: maxTokens,
+    temperature,
+    ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+  }
+}
+
+export const googleProvider = {
+  id: 'google',
+  name: 'Google Gemini',
+  label: 'Google (Gemini)',
+  requiresKey: true,
+  defaultModel: 'gemini-1.5-flash-latest',
+  charsPerToken: 4,
+
+  contextWindow(model) {
+    return /^gemini-1\.0|^gemini-pro$/.test(model) ? 32760 : 1000000
+  },
+
+  mapError(status, errorData) {
+    if (status === 400) {
+      return 'Invalid API key. Please check your Google AI API key.'
+    }
+    if (status === 429) {
+      return 'Rate limit exceeded. Please try again later.'
+    }
+    return errorData.error?.message || `Google API error (${status})`
+  },
+
+  mapNetworkError(error) {
+    return `Google API Network error: ${error.message}`
+  },
+
+  async listModels({ apiKey }) {
+    try {
+      const response = await fetch(`${GEMINI_BASE_URL}?key=${apiKey}&pageSize=1000`)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+      // Only models that can generate text; names come back as "models/<id>"
+      const models = (data.models || [])
+        .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+        .map(model => model.name.replace(/^models\//, ''))
+        .sort()
+
+      return { success: true, models }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  async call({ context, systemPrompt, apiKey, model, maxTokens, temperature, signal, retry, responseFormat }) {
+    try {
+      const response = await fetchWithRetry(`${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          contents: buildContents(context, systemPrompt),
+          generationConfig: buildGenerationConfig({ maxTokens, temperature, responseFormat })
+        }),
+        signal
+      }, retry)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+
+      // Handle potential safety blocks
+      if (data.candidates?.[0]?.finishReason === 'SAFETY') {
+        return { success: false, error: 'Google API blocked the response due to safety settings.' }
+      }
+
+      const content = data.candidates?.[0]?.content?.parts?.[0]?.text
+
+      if (!content) {
+        return { success: false, error: 'No response content received from Google Gemini' }
+      }
+
+      return { success: true, data: content }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  async stream({ context, systemPrompt, apiKey, model, maxTokens, temperature, onChunk, signal, retry, responseFormat }) {
+    try {
+      // Without alt=sse the endpoint streams one big JSON array rather than events
+      const response = await fetchWithRetry(`${GEMINI_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          contents: buildContents(context, systemPrompt),
+          generationConfig: buildGenerationConfig({ maxTokens, temperature, responseFormat })
+        }),
+        signal
+      }, retry)
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      let streamError = null
+
+      await readSSE(response, ({ data }) => {
+        let json
+        try {
+          json = JSON.parse(data)
+        } catch (e) {
+          console.error('Error parsing Google stream:', e)
+          return
+        }
+
+        if (json.error) {
+          streamError = json.error.message || 'Google API stream error'
+          return false
+        }
+
+        if (json.promptFeedback?.blockReason) {
+          streamError = 'Google API blocked the response due to safety settings.'
+          return false
+        }
+
+        const candidate = json.candidates?.[0]
+        const text = candidate?.content?.parts?.map(part => part.text || '').join('')
+        if (text) {
+          onChunk(text)
+        }
+
+        // Handle safety blocks partway through a response
+        if (candidate?.finishReason === 'SAFETY') {
+          streamError = 'Google API blocked the response due to safety settings.'
+          return false
+        }
+      })
+
+      if (streamError) {
+        return { success: false, error: streamError }
+      }
+
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  }
+}
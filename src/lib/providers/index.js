@@ -0,0 +1,69 @@
+/**
+ * Provider Registry for AI Consul Lite
+ * Single source of truth for every LLM provider the extension can talk to.
+ *
+ * A provider is a plain object:
+ *   id, name, label       - identifiers and display strings
+ *   requiresKey           - whether an API key must be configured
+ *   keyOptional           - optional; send a stored key if there is one
+ *   defaultModel          - model used when nothing else is configured
+ *   charsPerToken         - optional; average characters per token of the provider's tokenizer,
+ *                           for estimating how much conversation fits (see ../context_budget.js)
+ *   contextWindow(model)  - optional; tokens the model accepts, prompt and reply together
+ *   runsLocally(settings) - optional; true when requests stay on this machine, so personal details
+ *                           don't need to be redacted (see ../redaction.js). Cloud is assumed otherwise
+ *   resolveModel()        - optional async model lookup; otherwise the user's
+ *                           per-provider model preference or defaultModel is used
+ *   resolveSettings()     - optional async extra request fields (e.g. baseUrl, headers)
+ *   listModels(request)   - optional; resolves { success, models, error } for the options page
+ *   mapError(status, errorData, { model }) - HTTP error -> user-facing message
+ *   mapNetworkError(error)                 - fetch failure -> user-facing message
+ *   call(request)         - non-streaming call, resolves { success, data, error }
+ *   stream(request)       - streaming call, feeds request.onChunk, resolves { success, error }
+ *
+ * Both must pass request.signal to fetch so the request can be cancelled
+ *
+ * call and stream should send requests through fetchWithRetry (../retry.js) with request.retry,
+ * and switch on the provider's JSON mode when request.responseFormat is 'json' (if it has one;
+ * suggestion parsing falls back to free text otherwise)
+ */
+
+import { openaiProvider } from './openai.js'
+import { anthropicProvider } from './anthropic.js'
+import { googleProvider } from './google.js'
+import { localProvider } from './local.js'
+import { customProvider } from './custom.js'
+
+const providers = new Map()
+
+/**
+ * Register a provider definition
+ * @param {Object} provider - Provider definition
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider)
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id (openai, anthropic, google, local, ...)
+ * @returns {Object|null} Provider definition or null if unsupported
+ */
+export function getProvider(id) {
+  if (typeof id !== 'string') return null
+  return providers.get(id.toLowerCase()) || null
+}
+
+/**
+ * List all registered providers in registration order
+ * @returns {Array<Object>}
+ */
+export function listProviders() {
+  return Array.from(providers.values())
+}
+
+registerProvider(openaiProvider)
+registerProvider(anthropicProvider)
+registerProvider(googleProvider)
+registerProvider(localProvider)
+registerProvider(customProvider)
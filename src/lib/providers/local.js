@@ -0,0 +1,115 @@
+/**
+ * Local LLM (Ollama) provider for AI Consul Lite
+ * Talks to Ollama's OpenAI-compatible endpoint, no API key required
+ */
+
+import { buildChatMessages, jsonResponseFormat, postChatCompletion, streamChatCompletion } from './openai_compatible.js'
+
+const OLLAMA_CHAT_URL = 'http://localhost:11434/v1/chat/completions'
+const OLLAMA_TAGS_URL = 'http://localhost:11434/api/tags'
+
+export const localProvider = {
+  id: 'local',
+  name: 'Local LLM',
+  label: 'Local LLM (Ollama)',
+  requiresKey: false,
+  defaultModel: 'llama3:latest',
+  charsPerToken: 3.5,
+
+  // Ollama's default num_ctx; anything beyond it is silently cut from the start of the prompt
+  contextWindow() {
+    return 2048
+  },
+
+  runsLocally() {
+    return true
+  },
+
+  /**
+   * Resolve model preference: session override -> default -> fallback
+   * @returns {Promise<string>}
+   */
+  async resolveModel() {
+    try {
+      const { defaultLocalModel } = await chrome.storage.sync.get(['defaultLocalModel'])
+      const localStore = await chrome.storage.local.get(['sessionLocalModel'])
+      return localStore?.sessionLocalModel || defaultLocalModel || this.defaultModel
+    } catch (e) {
+      // Ignore storage errors and keep fallback model
+      return this.defaultModel
+    }
+  },
+
+  async listModels() {
+    try {
+      const response = await fetch(OLLAMA_TAGS_URL, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' },
+        mode: 'cors'
+      })
+
+      if (!response.ok) {
+        return { success: false, error: this.mapError(response.status, {}) }
+      }
+
+      const data = await response.json()
+      const models = data.models?.map(model => model.name) || []
+      return { success: true, models: models.sort() }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  mapError(status, errorData, { model } = {}) {
+    if (status === 403) {
+      return 'Ollama blocked the request due to CORS. Try: OLLAMA_ORIGINS="*" ollama serve'
+    }
+    if (status === 404 || status === 400) {
+      return `Model not found. Check the model name: ${model}`
+    }
+    return errorData.error?.message || `Local LLM API error (HTTP ${status})`
+  },
+
+  mapNetworkError(error) {
+    // Triggers when the server isn't running at all
+    if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
+      return 'Connection refused. Is your local LLM server (Ollama) running at http://localhost:11434?'
+    }
+    if (error.message.includes('CORS') || error.message.includes('cors')) {
+      return 'CORS error. Try: OLLAMA_ORIGINS="*" ollama serve'
+    }
+    return `Local LLM Network error: ${error.message}`
+  },
+
+  async call({ context, systemPrompt, model, maxTokens, temperature, signal, retry, responseFormat }) {
+    return postChatCompletion(this, {
+      url: OLLAMA_CHAT_URL,
+      headers: {},
+      model,
+      signal,
+      retry,
+      body: {
+        messages: buildChatMessages(context, systemPrompt),
+        max_tokens: maxTokens,
+        temperature,
+        ...jsonResponseFormat(responseFormat)
+      }
+    })
+  },
+
+  async stream({ context, systemPrompt, model, maxTokens, temperature, onChunk, signal, retry, responseFormat }) {
+    return streamChatCompletion(this, {
+      url: OLLAMA_CHAT_URL,
+      headers: {},
+      model,
+      signal,
+      retry,
+      body: {
+        messages: buildChatMessages(context, systemPrompt),
+        max_tokens: maxTokens,
+        temperature,
+        ...jsonResponseFormat(responseFormat)
+      }
+    }, onChunk)
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * OpenAI provider for AI Consul Lite
+ */
+
+import { buildChatMessages, jsonResponseFormat, postChatCompletion, streamChatCompletion } from './openai_compatible.js'
+
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions'
+const OPENAI_MODELS_URL = 'https://api.openai.com/v1/models'
+
+// The models endpoint also returns embedding, audio and image models
+const CHAT_MODEL_PATTERN = /^(gpt-|chatgpt-|o\d)/
+
+export const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  label: 'OpenAI',
+  requiresKey: true,
+  defaultModel: 'gpt-4o',
+  charsPerToken: 4,
+
+  contextWindow(model) {
+    if (/^gpt-3\.5/.test(model)) return 16385
+    if (/^gpt-4(-\d|$)/.test(model)) return 8192
+    return 128000
+  },
+
+  mapError(status, errorData) {
+    if (status === 401) {
+      return 'Invalid API key. Please check your OpenAI API key.'
+    }
+    if (status === 429) {
+      return 'Rate limit exceeded. Please try again later.'
+    }
+    return errorData.error?.message || `OpenAI API error (${status})`
+  },
+
+  mapNetworkError(error) {
+    return `Network error: ${error.message}`
+  },
+
+  async listModels({ apiKey }) {
+    try {
+      const response = await fetch(OPENAI_MODELS_URL, {
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        return { success: false, error: this.mapError(response.status, errorData) }
+      }
+
+      const data = await response.json()
+      const models = (data.data || [])
+        .map(model => model.id)
+        .filter(id => CHAT_MODEL_PATTERN.test(id))
+        .sort()
+
+      return { success: true, models }
+    } catch (error) {
+      return { success: false, error: this.mapNetworkError(error) }
+    }
+  },
+
+  async call({ context, systemPrompt, apiKey, model, maxTokens, temperature, signal, retry, responseFormat }) {
+    return postChatCompletion(this, {
+      url: OPENAI_CHAT_URL,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      model,
+      signal,
+      retry,
+      body: {
+        messages: buildChatMessages(context, systemPrompt),
+        max_tokens: maxTokens,
+        temperature,
+        ...jsonResponseFormat(responseFormat)
+      }
+    })
+  },
+
+  async stream({ context, systemPrompt, apiKey, model, maxTokens, temperature, onChunk, signal, retry, responseFormat }) {
+    return streamChatCompletion(this, {
+      url: OPENAI_CHAT_URL,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      model,
+      signal,
+      retry,
+      body: {
+        messages: buildChatMessages(context, systemPrompt),
+        max_tokens: maxTokens,
+        temperature,
+        ...jsonResponseFormat(responseFormat)
+      }
+    }, onChunk)
+  }
+}
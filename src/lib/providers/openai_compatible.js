@@ -0,0 +1,126 @@
+/**
+ * OpenAI-compatible Chat Completions helpers for AI Consul Lite
+ * Shared by every provider that speaks `/v1/chat/completions`
+ */
+
+import { readSSE } from '../streaming.js'
+import { fetchWithRetry } from '../retry.js'
+
+/**
+ * Build the message list with the system prompt first
+ * @param {Array} context - Array of message objects with role and content
+ * @param {string} systemPrompt - System prompt for the LLM
+ * @returns {Array} Chat Completions messages
+ */
+export function buildChatMessages(context, systemPrompt) {
+  return [
+    { role: 'system', content: systemPrompt },
+    ...context
+  ]
+}
+
+/**
+ * Body fields that switch on JSON mode when the caller asked for JSON output
+ * @param {string} [responseFormat] - 'json' for a JSON object response
+ * @returns {Object}
+ */
+export function jsonResponseFormat(responseFormat) {
+  return responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {}
+}
+
+/**
+ * Non-streaming Chat Completions request
+ * @param {Object} provider - Provider definition (used for error mapping)
+ * @param {Object} request - { url, headers, body, model, signal, retry }
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function postChatCompletion(provider, { url, headers, body, model, signal, retry }) {
+  try {
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      mode: 'cors',
+      body: JSON.stringify({ ...body, model, stream: false }),
+      signal
+    }, retry)
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      return { success: false, error: provider.mapError(response.status, errorData, { model }) }
+    }
+
+    const data = await response.json()
+    const content = data.choices?.[0]?.message?.content
+
+    if (!content) {
+      return { success: false, error: `No response content received from ${provider.name}` }
+    }
+
+    return { success: true, data: content }
+  } catch (error) {
+    return { success: false, error: provider.mapNetworkError(error) }
+  }
+}
+
+/**
+ * Streaming Chat Completions request
+ * @param {Object} provider - Provider definition (used for error mapping)
+ * @param {Object} request - { url, headers, body, model, signal, retry }
+ * @param {Function} onChunk - Callback for each text chunk
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function streamChatCompletion(provider, { url, headers, body, model, signal, retry }, onChunk) {
+  try {
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      mode: 'cors',
+      body: JSON.stringify({ ...body, model, stream: true }),
+      signal
+    }, retry)
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      return { success: false, error: provider.mapError(response.status, errorData, { model }) }
+    }
+
+    let streamError = null
+
+    await readSSE(response, ({ data }) => {
+      if (data === '[DONE]') return false
+
+      let json
+      try {
+        json = JSON.parse(data)
+      } catch (e) {
+        console.error(`Error parsing ${provider.name} stream:`, e)
+        return
+      }
+
+      // Errors after the 200 status arrive as a data payload
+      if (json.error) {
+        streamError = json.error.message || `${provider.name} stream error`
+        return false
+      }
+
+      const content = json.choices?.[0]?.delta?.content
+      if (content) {
+        onChunk(content)
+      }
+    })
+
+    if (streamError) {
+      return { success: false, error: streamError }
+    }
+
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: provider.mapNetworkError(error) }
+  }
+}
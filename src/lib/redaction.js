@@ -0,0 +1,173 @@
+/**
+ * PII Redaction for AI Consul Lite
+ * Replaces emails, phone numbers, IBANs, card numbers, street addresses and the user's own terms
+ * with placeholders before text goes to a cloud provider, and puts the originals back in the reply
+ */
+
+const PLACEHOLDER = /\[(EMAIL|IBAN|CARD|ADDRESS|PHONE|TERM)_(\d+)\]/g
+
+// A placeholder cut off at the end of a streamed chunk, e.g. "[EMA" or "[PHONE_1"
+const PARTIAL_PLACEHOLDER = /\[[A-Z]*_?\d*$/
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq'
+
+// Checked in this order, so card and account numbers aren't taken for phone numbers
+const DETECTORS = [
+  { type: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: isValidIban },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, valid: isValidCardNumber },
+  { type: 'ADDRESS', pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][\\w'.-]*\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?`, 'g') },
+  { type: 'ADDRESS', pattern: /\b[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|str\.|weg|gasse|platz|allee)\s+\d{1,4}[a-z]?\b/g },
+  { type: 'PHONE', pattern: /(?<![\w+])\+?\(?\d[\d ().-]{5,}\d(?!\w)/g, valid: isPhoneNumber }
+]
+
+/**
+ * Mod-97 check of an IBAN
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '')
+  if (iban.length < 15 || iban.length > 34) return false
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`
+    .split('')
+    .map(char => /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char)
+    .join('')
+  let remainder = 0
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97
+  }
+  return remainder === 1
+}
+
+/**
+ * Luhn check of a card number
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '')
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Enough digits for a phone number, and not a date
+ */
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '').length
+  if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(value)) return false
+  return digits <= 15 && digits >= (value.startsWith('+') ? 7 : 8)
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Create a redactor for one request
+ * The same value always gets the same placeholder, so the model can still tell who and what is meant
+ * @param {Object} [options] - { terms } user-defined words or names to hide, matched case-insensitively
+ * @returns {{redact: Function, redactMessages: Function, restore: Function, getReplacements: Function}}
+ */
+export function createRedactor(options = {}) {
+  const terms = (options.terms || []).map(term => term.trim()).filter(Boolean)
+  const placeholders = new Map() // original -> placeholder
+  const originals = new Map() // placeholder -> original
+  const counts = {}
+
+  const placeholderFor = (type, value) => {
+    const key = type === 'TERM' ? `TERM:${value.toLowerCase()}` : value
+    if (!placeholders.has(key)) {
+      counts[type] = (counts[type] || 0) + 1
+      const placeholder = `[${type}_${counts[type]}]`
+      placeholders.set(key, placeholder)
+      originals.set(placeholder, value)
+    }
+    return placeholders.get(key)
+  }
+
+  // Terms go last so a name inside an email address doesn't split it,
+  // and longest first so "Anna Smith" wins over "Anna"
+  const detectors = terms.length > 0
+    ? [...DETECTORS, {
+        type: 'TERM',
+        pattern: new RegExp(`(?<![\\w])(?:${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\w])`, 'gi')
+      }]
+    : DETECTORS
+
+  /**
+   * Replace personal details in a text
+   * @param {string} text
+   * @returns {string}
+   */
+  const redact = (text) => {
+    if (!text) return text
+    return detectors.reduce((result, { type, pattern, valid }) => result.replace(pattern, match =>
+      valid && !valid(match) ? match : placeholderFor(type, match)), text)
+  }
+
+  return {
+    redact,
+
+    /**
+     * Redact the text and sender of context messages
+     * @param {Array} messages - Messages with content (or text) and sender
+     * @returns {Array} Copies of the messages
+     */
+    redactMessages(messages) {
+      return messages.map(msg => ({
+        ...msg,
+        ...(msg.content !== undefined ? { content: redact(msg.content) } : {}),
+        ...(msg.text !== undefined ? { text: redact(msg.text) } : {}),
+        ...(msg.sender ? { sender: redact(msg.sender) } : {})
+      }))
+    },
+
+    /**
+     * Put the originals back; placeholders the model made up are left alone
+     * @param {string} text
+     * @returns {string}
+     */
+    restore(text) {
+      if (!text) return text
+      return text.replace(PLACEHOLDER, placeholder => originals.get(placeholder) ?? placeholder)
+    },
+
+    /**
+     * What was hidden, for debugging and the tests
+     * @returns {Array<{placeholder: string, original: string}>}
+     */
+    getReplacements() {
+      return [...originals].map(([placeholder, original]) => ({ placeholder, original }))
+    }
+  }
+}
+
+/**
+ * Restore placeholders in streamed text, holding back a placeholder split across chunks
+ * @param {Object} redactor - From createRedactor
+ * @returns {{push: Function, flush: Function}} push(chunk) and flush() return the text ready to show
+ */
+export function createStreamRestorer(redactor) {
+  let pending = ''
+
+  return {
+    push(chunk) {
+      const text = pending + chunk
+      const cut = text.search(PARTIAL_PLACEHOLDER)
+      pending = cut >= 0 ? text.slice(cut) : ''
+      return redactor.restore(cut >= 0 ? text.slice(0, cut) : text)
+    },
+
+    flush() {
+      const rest = redactor.restore(pending)
+      pending = ''
+      return rest
+    }
+  }
+}
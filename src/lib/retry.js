@@ -0,0 +1,126 @@
+/**
+ * Retry layer for AI Consul Lite
+ * Retries rate-limited (429) and server error (5xx) responses with jittered
+ * exponential backoff, honouring Retry-After when the provider sends it
+ */
+
+export const DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 10000
+}
+
+/**
+ * Whether a failed response is worth trying again
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status !== 501)
+}
+
+/**
+ * Read how long the server wants us to wait before retrying
+ * Supports `retry-after-ms` (OpenAI) and `Retry-After` as seconds or an HTTP date
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - Current time, for HTTP dates
+ * @returns {number|null} Delay in milliseconds, or null if the server didn't say
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers?.get) return null
+
+  const retryAfterMs = headers.get('retry-after-ms')
+  if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+    return Math.max(0, Number(retryAfterMs))
+  }
+
+  const retryAfter = headers.get('retry-after')?.trim()
+  if (!retryAfter) return null
+
+  if (/^\d+(\.\d+)?$/.test(retryAfter)) {
+    return Number(retryAfter) * 1000
+  }
+
+  const date = Date.parse(retryAfter)
+  return isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay below min(cap, base * 2^attempt)
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} settings - { baseDelayMs, maxDelayMs }
+ * @param {Function} [random] - Random source, for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+}
+
+/**
+ * Wait, but give up as soon as the request is cancelled
+ */
+function sleep(ms, signal) {
+  const abortError = () => signal.reason || new DOMException('The operation was aborted.', 'AbortError')
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * fetch() that retries 429/5xx responses.
+ * Only the request is retried: once a response is returned the caller owns its body,
+ * so a stream that fails after emitting output is never replayed.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options; init.signal also cancels the wait between attempts
+ * @param {Object} [retry] - { maxRetries, baseDelayMs, maxDelayMs, onRetry }
+ * @returns {Promise<Response>} The last response, successful or not
+ */
+export async function fetchWithRetry(url, init = {}, retry = {}) {
+  const settings = { ...DEFAULT_RETRY_SETTINGS, ...retry }
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, init)
+
+    if (response.ok || !isRetryableStatus(response.status) || attempt >= settings.maxRetries) {
+      return response
+    }
+
+    // If the server wants a longer wait than the cap, let the caller (and the fallback chain) handle it
+    const retryAfter = parseRetryAfter(response.headers)
+    if (retryAfter !== null && retryAfter > settings.maxDelayMs) {
+      return response
+    }
+
+    const delayMs = retryAfter ?? getBackoffDelay(attempt, settings)
+    console.warn(`HTTP ${response.status}, retrying in ${delayMs}ms (retry ${attempt + 1} of ${settings.maxRetries})`)
+
+    if (settings.onRetry) {
+      settings.onRetry({
+        retry: attempt + 1,
+        maxRetries: settings.maxRetries,
+        status: response.status,
+        delayMs
+      })
+    }
+
+    // Release the failed response before trying again
+    response.body?.cancel().catch(() => {})
+
+    await sleep(delayMs, init.signal)
+  }
+}
@@ -1,8 +1,14 @@
 /**
  * Storage module for AI Consul Lite
- * Handles chrome.storage.local (API keys) and chrome.storage.sync (preferences)
+ * Handles chrome.storage.local (API keys) and chrome.storage.sync (preferences);
+ * transcripts live in IndexedDB (see transcript_store.js)
  */
 
+import { DEFAULT_RETRY_SETTINGS } from './retry.js'
+import { DEFAULT_CONTEXT_BUDGET, MIN_CONTEXT_BUDGET, MAX_CONTEXT_BUDGET } from './context_budget.js'
+import { BUILT_IN_TONE_PROFILES } from './tone_profiles.js'
+import { addTranscriptSegment, getTranscriptSegments, clearTranscriptStore } from './transcript_store.js'
+
 // API Keys - stored in chrome.storage.local (encrypted on disk)
 export async function saveKey(provider, key) {
   try {
@@ -75,6 +81,41 @@ export async function setDefaultTone(tone) {
   return await savePref('defaultTone', tone)
 }
 
+// Tone Profiles
+// The built-in profiles live in tone_profiles.js; user-defined ones are stored as an array
+export async function getCustomToneProfiles() {
+  return await getPref('toneProfiles', [])
+}
+
+export async function getToneProfiles() {
+  return [...BUILT_IN_TONE_PROFILES, ...(await getCustomToneProfiles())]
+}
+
+export async function saveToneProfile(profile) {
+  if (BUILT_IN_TONE_PROFILES.some(p => p.id === profile.id)) {
+    return { success: false, error: 'Built-in tones cannot be changed' }
+  }
+  const profiles = await getCustomToneProfiles()
+  const index = profiles.findIndex(p => p.id === profile.id)
+  const stored = { ...profile, builtIn: false }
+  if (index === -1) {
+    profiles.push(stored)
+  } else {
+    profiles[index] = stored
+  }
+  return await savePref('toneProfiles', profiles)
+}
+
+export async function deleteToneProfile(id) {
+  const profiles = await getCustomToneProfiles()
+  const result = await savePref('toneProfiles', profiles.filter(p => p.id !== id))
+  // Don't leave the default pointing at a profile that no longer exists
+  if (result.success && (await getDefaultTone()) === id) {
+    await setDefaultTone('semi-formal')
+  }
+  return result
+}
+
 // Provider Management
 export async function getDefaultProvider() {
   return await getPref('defaultProvider', 'openai')
@@ -84,46 +125,322 @@ export async function setDefaultProvider(provider) {
   return await savePref('defaultProvider', provider)
 }
 
-// Voice Transcription State
-export async function getVoiceEnabled() {
-  return await getPref('voiceEnabled', true)
+// Model Selection
+// Mirrors defaultLocalModel / sessionLocalModel for every other provider:
+// a session override in chrome.storage.local wins over the synced default
+export async function getModelPreference(provider) {
+  try {
+    const defaultModels = await getPref('defaultModels', {})
+    const localStore = await chrome.storage.local.get('sessionModels')
+    const sessionModels = localStore?.sessionModels || {}
+    return sessionModels[provider] || defaultModels[provider] || null
+  } catch (error) {
+    console.error('Failed to get model preference:', error)
+    return null
+  }
 }
 
-export async function setVoiceEnabled(enabled) {
-  return await savePref('voiceEnabled', enabled)
+export async function setDefaultModel(provider, model) {
+  const defaultModels = await getPref('defaultModels', {})
+  if (model) {
+    defaultModels[provider] = model
+  } else {
+    delete defaultModels[provider]
+  }
+  return await savePref('defaultModels', defaultModels)
 }
 
-// Recent Transcripts (for context merging)
-export async function saveRecentTranscript(transcript, timestamp = Date.now()) {
+// Provider Fallback
+// Ordered provider ids to try when the selected provider fails
+export async function getFallbackProviders() {
+  return await getPref('fallbackProviders', [])
+}
+
+export async function setFallbackProviders(providers) {
+  return await savePref('fallbackProviders', providers)
+}
+
+// Retries for rate-limited and failing provider requests
+export async function getRetrySettings() {
+  const settings = await getPref('retrySettings', {})
+  return {
+    maxRetries: settings.maxRetries ?? DEFAULT_RETRY_SETTINGS.maxRetries,
+    maxDelayMs: settings.maxDelayMs ?? DEFAULT_RETRY_SETTINGS.maxDelayMs
+  }
+}
+
+export async function setRetrySettings(settings) {
+  return await savePref('retrySettings', {
+    maxRetries: settings.maxRetries,
+    maxDelayMs: settings.maxDelayMs
+  })
+}
+
+// Suggestion prompt template (see prompt_templates.js); null means the built-in default
+export async function getPromptTemplate() {
+  return await getPref('promptTemplate', null)
+}
+
+export async function setPromptTemplate(template) {
+  return await savePref('promptTemplate', template && template.trim() ? template : null)
+}
+
+// Tokens of conversation sent with a suggestion request (see context_budget.js)
+export async function getContextBudget() {
+  return await getPref('contextBudget', DEFAULT_CONTEXT_BUDGET)
+}
+
+export async function setContextBudget(budget) {
+  const tokens = Math.round(Number(budget)) || DEFAULT_CONTEXT_BUDGET
+  return await savePref('contextBudget', Math.min(MAX_CONTEXT_BUDGET, Math.max(MIN_CONTEXT_BUDGET, tokens)))
+}
+
+// Language replies are written in; empty means the language of the last message
+export async function getReplyLanguage() {
+  return await getPref('replyLanguage', '')
+}
+
+export async function setReplyLanguage(language) {
+  return await savePref('replyLanguage', language ? language.trim() : '')
+}
+
+// Writing style learned from the user's own messages (see style_profile.js)
+// Opt-in; the per-platform counters stay in chrome.storage.local and never sync
+export async function getStyleLearningEnabled() {
+  return await getPref('styleLearningEnabled', false)
+}
+
+export async function setStyleLearningEnabled(enabled) {
+  return await savePref('styleLearningEnabled', enabled)
+}
+
+export async function getStyleProfiles() {
+  try {
+    const result = await chrome.storage.local.get('styleProfiles')
+    return result?.styleProfiles || {}
+  } catch (error) {
+    console.error('Failed to get style profiles:', error)
+    return {}
+  }
+}
+
+export async function getStyleProfile(platform) {
+  return (await getStyleProfiles())[platform] || null
+}
+
+export async function saveStyleProfile(platform, stats) {
+  try {
+    const profiles = await getStyleProfiles()
+    profiles[platform] = stats
+    await chrome.storage.local.set({ styleProfiles: profiles })
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to save style profile:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function clearStyleProfiles() {
+  try {
+    await chrome.storage.local.remove('styleProfiles')
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to clear style profiles:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Notes about contacts, keyed by platform + conversation (see conversation_memory.js)
+// Kept in chrome.storage.local so personal notes never sync
+export async function getConversationMemory() {
+  try {
+    const result = await chrome.storage.local.get('conversationMemory')
+    return result?.conversationMemory || {}
+  } catch (error) {
+    console.error('Failed to get conversation memory:', error)
+    return {}
+  }
+}
+
+export async function saveConversationMemory(memory) {
   try {
-    const transcripts = await getPref('recentTranscripts', [])
-    transcripts.unshift({ transcript, timestamp })
-    // Keep only last 10 transcripts
-    const trimmed = transcripts.slice(0, 10)
-    await savePref('recentTranscripts', trimmed)
+    await chrome.storage.local.set({ conversationMemory: memory })
     return { success: true }
   } catch (error) {
-    console.error('Failed to save transcript:', error)
+    console.error('Failed to save conversation memory:', error)
     return { success: false, error: error.message }
   }
 }
 
-export async function getRecentTranscripts(maxAge = 300000) { // 5 minutes default
+// Running summaries of messages too old for the token budget (see conversation_summary.js)
+// Opt-in; the summaries stay in chrome.storage.local like the memory notes
+export async function getSummarizeOlderMessages() {
+  return await getPref('summarizeOlderMessages', false)
+}
+
+export async function setSummarizeOlderMessages(enabled) {
+  return await savePref('summarizeOlderMessages', enabled)
+}
+
+export async function getConversationSummaries() {
+  try {
+    const result = await chrome.storage.local.get('conversationSummaries')
+    return result?.conversationSummaries || {}
+  } catch (error) {
+    console.error('Failed to get conversation summaries:', error)
+    return {}
+  }
+}
+
+export async function saveConversationSummaries(summaries) {
   try {
-    const transcripts = await getPref('recentTranscripts', [])
-    const cutoff = Date.now() - maxAge
-    return transcripts.filter(t => t.timestamp > cutoff)
+    await chrome.storage.local.set({ conversationSummaries: summaries })
+    return { success: true }
   } catch (error) {
-    console.error('Failed to get recent transcripts:', error)
+    console.error('Failed to save conversation summaries:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+export async function clearConversationSummaries() {
+  try {
+    await chrome.storage.local.remove('conversationSummaries')
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to clear conversation summaries:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Local-only mode: nothing is sent beyond this machine (see local_only.js)
+export async function getLocalOnlyMode() {
+  return await getPref('localOnlyMode', false)
+}
+
+export async function setLocalOnlyMode(enabled) {
+  return await savePref('localOnlyMode', enabled)
+}
+
+// Personal details are replaced with placeholders before context goes to a cloud provider (see redaction.js)
+// On by default; the user's own terms are private, so they stay in chrome.storage.local
+export async function getRedactionEnabled() {
+  return await getPref('redactionEnabled', true)
+}
+
+export async function setRedactionEnabled(enabled) {
+  return await savePref('redactionEnabled', enabled)
+}
+
+export async function getRedactionTerms() {
+  try {
+    const result = await chrome.storage.local.get('redactionTerms')
+    return result?.redactionTerms || []
+  } catch (error) {
+    console.error('Failed to get redaction terms:', error)
     return []
   }
 }
 
+export async function saveRedactionTerms(terms) {
+  try {
+    const cleaned = [...new Set((terms || []).map(term => term.trim()).filter(Boolean))]
+    await chrome.storage.local.set({ redactionTerms: cleaned })
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to save redaction terms:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Custom OpenAI-compatible endpoint (vLLM, LM Studio, llama.cpp, ...)
+// Base URL and model sync; the optional bearer key (api_key_custom) and the extra headers,
+// which often carry credentials too, stay in local storage
+export async function getCustomProviderSettings() {
+  const settings = await getPref('customProvider', {})
+  let headers = {}
+  try {
+    const result = await chrome.storage.local.get('customProviderHeaders')
+    headers = result?.customProviderHeaders || {}
+  } catch (error) {
+    console.error('Failed to get custom endpoint headers:', error)
+  }
+
+  // Earlier versions synced the headers; move them off sync storage
+  if (settings.headers && Object.keys(settings.headers).length > 0) {
+    headers = { ...settings.headers, ...headers }
+    await setCustomProviderSettings({ ...settings, headers })
+  }
+
+  return {
+    baseUrl: settings.baseUrl || '',
+    model: settings.model || '',
+    headers
+  }
+}
+
+export async function setCustomProviderSettings(settings) {
+  try {
+    await chrome.storage.local.set({ customProviderHeaders: settings.headers || {} })
+  } catch (error) {
+    console.error('Failed to save custom endpoint headers:', error)
+    return { success: false, error: error.message }
+  }
+  return await savePref('customProvider', {
+    baseUrl: settings.baseUrl || '',
+    model: settings.model || ''
+  })
+}
+
+// Voice Transcription State
+export async function getVoiceEnabled() {
+  return await getPref('voiceEnabled', true)
+}
+
+export async function setVoiceEnabled(enabled) {
+  return await savePref('voiceEnabled', enabled)
+}
+
+// Recent Transcripts (for context merging)
+// Kept in the local transcript store - sync storage is too small for them, and they shouldn't leave the device
+export async function saveRecentTranscript(transcript, timestamp = Date.now(), source = {}) {
+  const result = await addTranscriptSegment({
+    text: transcript,
+    timestamp,
+    duration: source.duration,
+    sessionId: source.sessionId,
+    tabId: source.tabId
+  })
+  return result.success ? { success: true } : result
+}
+
+// Pass a sessionId to get only that capture's transcript
+export async function getRecentTranscripts(maxAge = 300000, { sessionId } = {}) { // 5 minutes default
+  const segments = await getTranscriptSegments({ since: Date.now() - maxAge, sessionId })
+  return segments.map(segment => ({
+    transcript: segment.text,
+    timestamp: segment.timestamp,
+    sessionId: segment.sessionId,
+    tabId: segment.tabId
+  }))
+}
+
+// Older versions kept the last transcripts in sync storage
+export async function clearLegacyTranscripts() {
+  try {
+    await chrome.storage.sync.remove('recentTranscripts')
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to clear legacy transcripts:', error)
+    return { success: false, error: error.message }
+  }
+}
+
 // Clear all data (for debugging/reset)
 export async function clearAllData() {
   try {
     await chrome.storage.local.clear()
     await chrome.storage.sync.clear()
+    await clearTranscriptStore()
     return { success: true }
   } catch (error) {
     console.error('Failed to clear data:', error)
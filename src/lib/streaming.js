@@ -1,291 +1,171 @@
 /**
  * Streaming Protocol for AI Consul Lite
- * Handles streaming LLM responses via port-based communication
+ * Incremental Server-Sent Events and NDJSON parsers for streamed LLM responses
  */
 
+// SSE lines end in CRLF, LF or a lone CR
+const LINE_BREAK = /\r\n|\r|\n/
+
 /**
- * Streaming call to OpenAI API
- * @param {Array} context - Message context
- * @param {string} systemPrompt - System prompt
- * @param {string} apiKey - API key
- * @param {Function} onChunk - Callback for each chunk
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Create an incremental Server-Sent Events parser
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation)
+ * @param {Function} onEvent - Called with { event, data, id } for each event; return false to stop parsing
+ * @returns {{push: Function, end: Function}} push(text) feeds decoded text and returns false once
+ *   parsing has been stopped; end() flushes a final event the server didn't terminate
  */
-export async function streamOpenAI(context, systemPrompt, apiKey, onChunk) {
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ]
+export function createSSEParser(onEvent) {
+  let buffer = ''
+  let started = false
+  let stopped = false
+  let dataLines = []
+  let eventType = ''
+  let lastEventId = ''
+
+  function dispatch() {
+    if (dataLines.length > 0 && !stopped) {
+      const event = { event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId }
+      if (onEvent(event) === false) {
+        stopped = true
+      }
+    }
+    dataLines = []
+    eventType = ''
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch()
+      return
+    }
+    if (line.startsWith(':')) return // Comment / keep-alive
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: messages,
-        max_tokens: 500,
-        temperature: 0.7,
-        stream: true
-      })
-    })
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value.startsWith(' ')) {
+      value = value.slice(1)
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      return { success: false, error: `OpenAI API error (${response.status}): ${errorData.error?.message || response.statusText}` }
+    if (field === 'data') {
+      dataLines.push(value)
+    } else if (field === 'event') {
+      eventType = value
+    } else if (field === 'id' && !value.includes('\0')) {
+      lastEventId = value
     }
+    // `retry` only matters to EventSource reconnection; unknown fields are ignored
+  }
 
-    const reader = response.body.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
+  return {
+    push(text) {
+      if (stopped) return false
 
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
+      buffer += text
+      if (!started && buffer) {
+        buffer = buffer.replace(/^\uFEFF/, '') // Strip a byte order mark
+        started = true
+      }
 
-      buffer += decoder.decode(value, { stream: true })
-      const lines = buffer.split('\n')
-      buffer = lines.pop()
+      // A trailing CR may be the first half of a CRLF split across chunks
+      const holdCR = buffer.endsWith('\r')
+      const lines = (holdCR ? buffer.slice(0, -1) : buffer).split(LINE_BREAK)
+      buffer = lines.pop() + (holdCR ? '\r' : '')
 
       for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6)
-          if (data === '[DONE]') continue
-          
-          try {
-            const json = JSON.parse(data)
-            const content = json.choices?.[0]?.delta?.content
-            if (content) {
-              onChunk(content)
-            }
-          } catch (e) {
-            console.error('Error parsing OpenAI stream:', e)
-          }
-        }
+        processLine(line)
+        if (stopped) return false
+      }
+      return true
+    },
+
+    end() {
+      // Be lenient with servers that close without the final blank line
+      if (buffer) {
+        processLine(buffer.replace(/\r$/, ''))
+        buffer = ''
       }
+      dispatch()
     }
-
-    return { success: true }
-  } catch (error) {
-    return { success: false, error: `OpenAI streaming error: ${error.message}` }
   }
 }
 
 /**
- * Streaming call to Anthropic API
+ * Create an incremental newline-delimited JSON parser
+ * @param {Function} onValue - Called with each parsed value; return false to stop parsing
+ * @returns {{push: Function, end: Function}} Same contract as createSSEParser;
+ *   malformed lines throw so a broken stream is reported instead of silently skipped
  */
-export async function streamAnthropic(context, systemPrompt, apiKey, onChunk) {
-  try {
-    const messages = context.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }))
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: messages,
-        stream: true
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      return { success: false, error: `Anthropic API error (${response.status}): ${errorData.error?.message || response.statusText}` }
+export function createNDJSONParser(onValue) {
+  let buffer = ''
+  let stopped = false
+
+  function processLine(line) {
+    const trimmed = line.trim()
+    if (!trimmed || stopped) return
+    if (onValue(JSON.parse(trimmed)) === false) {
+      stopped = true
     }
+  }
 
-    const reader = response.body.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
-
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
+  return {
+    push(text) {
+      if (stopped) return false
 
-      buffer += decoder.decode(value, { stream: true })
+      buffer += text
       const lines = buffer.split('\n')
       buffer = lines.pop()
 
       for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6)
-          if (data === '[DONE]') continue
-          
-          try {
-            const json = JSON.parse(data)
-            if (json.type === 'content_block_delta' && json.delta?.text) {
-              onChunk(json.delta.text)
-            }
-          } catch (e) {
-            console.error('Error parsing Anthropic stream:', e)
-          }
-        }
+        processLine(line)
+        if (stopped) return false
       }
-    }
+      return true
+    },
 
-    return { success: true }
-  } catch (error) {
-    return { success: false, error: `Anthropic streaming error: ${error.message}` }
+    end() {
+      processLine(buffer)
+      buffer = ''
+    }
   }
 }
 
 /**
- * Streaming call to Google Gemini API
+ * Decode a response body and feed it to a parser, cancelling the body if the parser stops early
  */
-export async function streamGoogle(context, systemPrompt, apiKey, onChunk) {
-  try {
-    const contents = []
-    
-    if (systemPrompt) {
-      contents.push({ role: "user", parts: [{ text: systemPrompt }] })
-      contents.push({ role: "model", parts: [{ text: "Okay, I understand the instructions." }] })
-    }
-
-    context.forEach(msg => {
-      contents.push({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      })
-    })
-
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:streamGenerateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents,
-        generationConfig: {
-          maxOutputTokens: 500,
-          temperature: 0.7
-        }
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      return { success: false, error: `Google API error (${response.status}): ${errorData.error?.message || response.statusText}` }
-    }
+async function feedParser(response, parser) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
 
-    const reader = response.body.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
 
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-
-      buffer += decoder.decode(value, { stream: true })
-      
-      // Gemini returns chunks in a specific format
-      const parts = buffer.split('\n')
-      buffer = parts.pop()
-
-      for (const part of parts) {
-        if (!part.trim()) continue
-        
-        try {
-          const json = JSON.parse(part)
-          const text = json.candidates?.[0]?.content?.parts?.[0]?.text
-          if (text) {
-            onChunk(text)
-          }
-        } catch (e) {
-          // Not a JSON line, skip
-        }
-      }
+    if (parser.push(decoder.decode(value, { stream: true })) === false) {
+      await reader.cancel().catch(() => {})
+      return
     }
-
-    return { success: true }
-  } catch (error) {
-    return { success: false, error: `Google streaming error: ${error.message}` }
   }
+
+  parser.push(decoder.decode())
+  parser.end()
 }
 
 /**
- * Streaming call to Local LLM (Ollama) API
+ * Read a Server-Sent Events response body
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Called with { event, data, id }; return false to stop reading
+ * @returns {Promise<void>}
  */
-export async function streamLocalLLM(context, systemPrompt, modelName, onChunk) {
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ]
-
-    const response = await fetch('http://localhost:11434/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      mode: 'cors',
-      body: JSON.stringify({
-        model: modelName || 'llama3:latest',
-        messages: messages,
-        max_tokens: 500,
-        temperature: 0.9,
-        stream: true
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      let errorMessage = `Local LLM API error (HTTP ${response.status})`
-      
-      if (response.status === 403) {
-        errorMessage = 'Ollama blocked the request due to CORS. Try: OLLAMA_ORIGINS="*" ollama serve'
-      } else if (response.status === 404 || response.status === 400) {
-        errorMessage = `Model not found. Check the model name: ${modelName}`
-      } else if (errorData.error?.message) {
-        errorMessage = errorData.error.message
-      }
-      
-      return { success: false, error: errorMessage }
-    }
-
-    const reader = response.body.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
-
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-
-      buffer += decoder.decode(value, { stream: true })
-      const lines = buffer.split('\n')
-      buffer = lines.pop()
-
-      for (const line of lines) {
-        if (!line.trim()) continue
-        
-        try {
-          const json = JSON.parse(line)
-          const content = json.choices?.[0]?.delta?.content
-          if (content) {
-            onChunk(content)
-          }
-        } catch (e) {
-          // Not a JSON line, skip
-        }
-      }
-    }
-
-    return { success: true }
-  } catch (error) {
-    if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
-      return { success: false, error: 'Connection refused. Is your local LLM server (Ollama) running at http://localhost:11434?' }
-    }
-    return { success: false, error: `Local LLM Network error: ${error.message}` }
-  }
+export async function readSSE(response, onEvent) {
+  await feedParser(response, createSSEParser(onEvent))
 }
 
+/**
+ * Read a newline-delimited JSON response body
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onValue - Called with each parsed value; return false to stop reading
+ * @returns {Promise<void>}
+ */
+export async function readNDJSON(response, onValue) {
+  await feedParser(response, createNDJSONParser(onValue))
+}
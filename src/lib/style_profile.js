@@ -0,0 +1,247 @@
+/**
+ * Writing Style Profile for AI Consul Lite
+ * Learns how the user writes from their own outgoing messages, per platform, so suggestions
+ * sound like them. Only aggregate counts are stored, never the messages themselves
+ */
+
+import { getStyleLearningEnabled, getStyleProfile, saveStyleProfile } from './storage.js'
+
+// Below this many messages the traits are too noisy to put in the prompt
+export const MIN_STYLE_SAMPLES = 10
+
+// Hashes of recently counted messages, so re-reading the same chat doesn't count them twice
+const MAX_SEEN_HASHES = 300
+
+const GREETINGS = [
+  'hi', 'hey', 'hello', 'yo', 'hiya', 'morning', 'evening', 'dear', 'greetings',
+  'привет', 'здравствуйте', 'hola', 'hallo', 'moin', 'bonjour', 'salut', 'ciao', 'olá', 'oi', 'cześć', 'hej'
+]
+
+const SCRIPTS = {
+  Latin: /\p{Script=Latin}/gu,
+  Cyrillic: /\p{Script=Cyrillic}/gu,
+  Greek: /\p{Script=Greek}/gu,
+  Arabic: /\p{Script=Arabic}/gu,
+  Hebrew: /\p{Script=Hebrew}/gu,
+  Devanagari: /\p{Script=Devanagari}/gu,
+  CJK: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu
+}
+
+const EMOJI = /\p{Extended_Pictographic}/gu
+
+/**
+ * Empty counters for a platform
+ */
+export function createStyleStats() {
+  return {
+    messages: 0,
+    words: 0,
+    endPeriod: 0,
+    endExclamation: 0,
+    endQuestion: 0,
+    lowercaseStart: 0,
+    emojiMessages: 0,
+    emoji: {},
+    greetings: {},
+    scripts: {},
+    seen: [],
+    updatedAt: null
+  }
+}
+
+/**
+ * Small string hash for de-duplicating messages without storing them
+ */
+function hashText(text) {
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0
+  }
+  return hash.toString(36)
+}
+
+/**
+ * The script most of a message's letters are written in
+ */
+function dominantScript(text) {
+  let best = null
+  let bestCount = 0
+  for (const [script, pattern] of Object.entries(SCRIPTS)) {
+    const count = (text.match(pattern) || []).length
+    if (count > bestCount) {
+      best = script
+      bestCount = count
+    }
+  }
+  return best
+}
+
+/**
+ * Add the user's outgoing messages to the counters
+ * @param {Object} stats - Counters from createStyleStats (not modified)
+ * @param {Array<string>} texts - Message texts written by the user
+ * @returns {Object} Updated counters
+ */
+export function addStyleSamples(stats, texts) {
+  const next = {
+    ...stats,
+    emoji: { ...stats.emoji },
+    greetings: { ...stats.greetings },
+    scripts: { ...stats.scripts },
+    seen: [...stats.seen]
+  }
+
+  for (const raw of texts) {
+    const text = (raw || '').trim()
+    if (!text) continue
+
+    const hash = hashText(text)
+    if (next.seen.includes(hash)) continue
+    next.seen.push(hash)
+
+    next.messages++
+    next.words += text.split(/\s+/).length
+
+    const last = text.replace(EMOJI, '').trim().slice(-1)
+    if (last === '.') next.endPeriod++
+    if (last === '!') next.endExclamation++
+    if (last === '?') next.endQuestion++
+
+    const firstLetter = text.match(/\p{L}/u)?.[0]
+    if (firstLetter && firstLetter !== firstLetter.toUpperCase()) next.lowercaseStart++
+
+    const emoji = text.match(EMOJI) || []
+    if (emoji.length > 0) next.emojiMessages++
+    emoji.forEach(e => { next.emoji[e] = (next.emoji[e] || 0) + 1 })
+
+    const firstWord = text.split(/\s+/)[0].toLowerCase().replace(/[^\p{L}]/gu, '')
+    if (GREETINGS.includes(firstWord)) {
+      next.greetings[firstWord] = (next.greetings[firstWord] || 0) + 1
+    }
+
+    const script = dominantScript(text)
+    if (script) next.scripts[script] = (next.scripts[script] || 0) + 1
+  }
+
+  next.seen = next.seen.slice(-MAX_SEEN_HASHES)
+  next.updatedAt = Date.now()
+  return next
+}
+
+/**
+ * Most frequent keys of a counter object
+ */
+function topKeys(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => key)
+}
+
+/**
+ * How often something happens, in words
+ */
+function frequency(rate) {
+  if (rate >= 0.7) return 'usually'
+  if (rate >= 0.3) return 'often'
+  if (rate >= 0.1) return 'sometimes'
+  return 'rarely'
+}
+
+/**
+ * Derive the stable traits from the counters
+ * @param {Object} stats - Counters from addStyleSamples
+ * @returns {Object|null} Traits, or null until there are MIN_STYLE_SAMPLES messages
+ */
+export function deriveStyleTraits(stats) {
+  if (!stats || stats.messages < MIN_STYLE_SAMPLES) return null
+
+  const n = stats.messages
+  const averageWords = Math.round(stats.words / n)
+  const scripts = Object.entries(stats.scripts)
+    .map(([script, count]) => ({ script, share: count / n }))
+    .filter(({ share }) => share >= 0.1)
+    .sort((a, b) => b.share - a.share)
+
+  return {
+    sampleSize: n,
+    averageWords,
+    length: averageWords <= 5 ? 'very short' : averageWords <= 12 ? 'short' : averageWords <= 25 ? 'medium' : 'long',
+    endPeriod: stats.endPeriod / n,
+    endExclamation: stats.endExclamation / n,
+    endQuestion: stats.endQuestion / n,
+    lowercaseStart: stats.lowercaseStart / n,
+    emojiRate: stats.emojiMessages / n,
+    topEmoji: topKeys(stats.emoji, 3),
+    greetings: topKeys(stats.greetings, 3),
+    scripts
+  }
+}
+
+/**
+ * Describe the user's style for the system prompt
+ * @param {Object|null} traits - From deriveStyleTraits
+ * @param {string} [platform] - Platform name, e.g. "WhatsApp"
+ * @returns {string} Empty when there is nothing learned yet
+ */
+export function describeWritingStyle(traits, platform) {
+  if (!traits) return ''
+
+  const lines = [
+    `How the user writes${platform ? ` on ${platform}` : ''} (learned from ${traits.sampleSize} of their messages). Make the replies sound like them:`,
+    `- Message length: ${traits.length} (about ${traits.averageWords} words)`,
+    `- ${frequency(traits.lowercaseStart)} starts messages with a lowercase letter`,
+    `- ${frequency(traits.endPeriod)} ends messages with a period, ${frequency(traits.endExclamation)} with "!", ${frequency(traits.endQuestion)} with "?"`
+  ]
+
+  if (traits.greetings.length > 0) {
+    lines.push(`- Greets with: ${traits.greetings.map(g => `"${g}"`).join(', ')}`)
+  }
+
+  lines.push(traits.emojiRate < 0.05
+    ? '- Almost never uses emoji'
+    : `- Uses emoji in about ${Math.round(traits.emojiRate * 100)}% of messages${traits.topEmoji.length > 0 ? `, mostly ${traits.topEmoji.join(' ')}` : ''}`)
+
+  if (traits.scripts.length > 1) {
+    lines.push(`- Mixes scripts: ${traits.scripts.map(({ script, share }) => `${script} ${Math.round(share * 100)}%`).join(', ')}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Count the user's own messages in a conversation, if style learning is switched on
+ * @param {string} platform - Platform name
+ * @param {Array} context - Messages with role and content (or text); role 'assistant' is the user
+ * @returns {Promise<void>}
+ */
+export async function learnWritingStyle(platform, context) {
+  try {
+    if (!platform || !(await getStyleLearningEnabled())) return
+
+    const texts = context
+      .filter(msg => msg.role === 'assistant' && msg.source !== 'voice')
+      .map(msg => msg.content || msg.text)
+    if (texts.length === 0) return
+
+    const stats = (await getStyleProfile(platform)) || createStyleStats()
+    await saveStyleProfile(platform, addStyleSamples(stats, texts))
+  } catch (error) {
+    console.error('Failed to learn writing style:', error)
+  }
+}
+
+/**
+ * The style description for a platform, if style learning is on and has enough samples
+ * @param {string} platform - Platform name
+ * @returns {Promise<string>}
+ */
+export async function getWritingStyleGuide(platform) {
+  try {
+    if (!platform || !(await getStyleLearningEnabled())) return ''
+    return describeWritingStyle(deriveStyleTraits(await getStyleProfile(platform)), platform)
+  } catch (error) {
+    console.error('Failed to load writing style:', error)
+    return ''
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Suggestion format for AI Consul Lite
+ * Builds the suggestion prompt and parses model output into structured suggestions
+ */
+
+import { DEFAULT_SUGGESTION_TEMPLATE, renderPromptTemplate } from './prompt_templates.js'
+import { findToneProfile, describeToneProfile } from './tone_profiles.js'
+
+export const SUGGESTION_INTENTS = ['agree', 'disagree', 'clarify']
+
+const MAX_SUGGESTIONS = 3
+
+// Guides that are appended when a user's template doesn't place them itself
+const GUIDE_PLACEHOLDERS = ['groupChat', 'toneGuide', 'writingStyle']
+
+/**
+ * System prompt asking for reply suggestions as JSON, from the user's template or the default one
+ * @param {string|Object} tone - Tone profile, or a bare tone name
+ * @param {Object} [options] - { template, language, platform, contactName, groupChat, writingStyle };
+ *   empty values use the placeholder fallbacks
+ * @returns {string}
+ */
+export function buildSuggestionSystemPrompt(tone, options = {}) {
+  const { template, language, platform, contactName, groupChat, writingStyle } = options
+  const profile = typeof tone === 'object' && tone ? tone : findToneProfile(tone)
+  const source = template || DEFAULT_SUGGESTION_TEMPLATE
+  const variables = {
+    tone: profile.name.toLowerCase(),
+    toneGuide: describeToneProfile(profile),
+    groupChat,
+    writingStyle,
+    language,
+    platform,
+    contactName,
+    count: MAX_SUGGESTIONS
+  }
+
+  // Templates written without {{groupChat}}, {{toneGuide}} or {{writingStyle}} still get them
+  const appended = GUIDE_PLACEHOLDERS
+    .filter(name => variables[name] && !new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(source))
+    .map(name => variables[name])
+
+  return [renderPromptTemplate(source, variables), ...appended].join('\n\n')
+}
+
+/**
+ * Normalize one suggestion; intent defaults to the position the prompt asked for
+ */
+function toSuggestion(item, index) {
+  const text = typeof item === 'string' ? item : item?.text || item?.reply || ''
+  const intent = typeof item === 'object' && SUGGESTION_INTENTS.includes(item?.intent?.toLowerCase?.())
+    ? item.intent.toLowerCase()
+    : SUGGESTION_INTENTS[index] || 'clarify'
+  const language = typeof item === 'object' && typeof item?.language === 'string' && item.language
+    ? item.language.toLowerCase()
+    : null
+
+  return { text: text.trim(), intent, language }
+}
+
+/**
+ * Find and parse the JSON in a model response, tolerating code fences and preambles
+ * @returns {Array|null} Suggestion items, or null if the text holds no usable JSON
+ */
+function parseJsonSuggestions(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '')
+  const start = unfenced.search(/[[{]/)
+  if (start === -1) return null
+
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'))
+  if (end <= start) return null
+
+  try {
+    const json = JSON.parse(unfenced.slice(start, end + 1))
+    const items = Array.isArray(json) ? json : json.suggestions || json.replies
+    return Array.isArray(items) ? items : null
+  } catch (e) {
+    return null
+  }
+}
+
+// "1. ", "2) ", "- ", "* ", "• "
+const LIST_MARKER = /^\s*(?:\d+[.)]|[-*•])\s+/
+// "Agree: ", "**Disagree** - "
+const INTENT_LABEL = /^\s*\**\s*(agree|disagree|clarify)\s*\**\s*[:\-–]\s*/i
+
+/**
+ * Split free text into suggestions for models that ignore the JSON instruction
+ */
+function parseTextSuggestions(text) {
+  let parts
+  if (/^\s*-{3,}\s*$/m.test(text)) {
+    // Separator lines, the original format
+    parts = text.split(/^\s*-{3,}\s*$/m)
+  } else if (text.split('\n').filter(line => LIST_MARKER.test(line)).length >= 2) {
+    // Numbered or bulleted list; anything before the first item is a preamble
+    parts = text.split('\n').filter(line => LIST_MARKER.test(line))
+  } else if (/\s---\s|[^-]---[^-]/.test(text)) {
+    // Inline "a---b---c"
+    parts = text.split(/\s*---\s*/)
+  } else {
+    parts = text.split('\n')
+  }
+
+  return parts
+    .map(part => part.trim())
+    // Drop preambles like "Here are three replies:"
+    .filter(part => part.length > 0 && !/:$/.test(part))
+    .map(part => {
+      const unlisted = part.replace(LIST_MARKER, '')
+      const label = unlisted.match(INTENT_LABEL)
+      const cleaned = unlisted
+        .replace(INTENT_LABEL, '')
+        .replace(/^["“](.*)["”]$/s, '$1')
+        .trim()
+      return label ? { text: cleaned, intent: label[1] } : cleaned
+    })
+}
+
+/**
+ * Parse a model response into suggestions
+ * Accepts the JSON format from buildSuggestionSystemPrompt and falls back to
+ * separator lines, lists, inline '---' or plain lines for models without JSON mode
+ * @param {string} text - Raw model output
+ * @returns {Array<{text: string, intent: string, language: string|null}>}
+ */
+export function parseSuggestions(text) {
+  if (!text || !text.trim()) return []
+
+  const items = parseJsonSuggestions(text) || parseTextSuggestions(text)
+
+  return items
+    .map(toSuggestion)
+    .filter(suggestion => suggestion.text.length > 0)
+    .slice(0, MAX_SUGGESTIONS)
+}
+
+/**
+ * Parse one array element; a malformed item becomes empty and is dropped like any blank reply
+ */
+function parseItem(json) {
+  try {
+    return JSON.parse(json)
+  } catch (e) {
+    return ''
+  }
+}
+
+/**
+ * Find the suggestion items whose JSON is already complete in a partially streamed response
+ * Walks the first array in the text, skipping brackets inside strings
+ * @returns {Array} Parsed items, in order
+ */
+function findCompleteJsonItems(text) {
+  const items = []
+  let arrayStart = -1
+  let itemStart = -1
+  let depth = 0
+  let inString = false
+  let escaped = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inString) {
+      if (escaped) {
+        escaped = false
+      } else if (char === '\\') {
+        escaped = true
+      } else if (char === '"') {
+        inString = false
+        // A string element of the array, e.g. ["Yes", "No"]
+        if (arrayStart !== -1 && depth === 1 && itemStart !== -1) {
+          items.push(parseItem(text.slice(itemStart, i + 1)))
+          itemStart = -1
+        }
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inString = true
+      if (arrayStart !== -1 && depth === 1) itemStart = i
+    } else if (char === '[' || char === '{') {
+      if (arrayStart === -1 && char === '[') {
+        arrayStart = i
+        depth = 0
+      }
+      if (arrayStart !== -1) {
+        if (depth === 1) itemStart = i
+        depth++
+      }
+    } else if (char === ']' || char === '}') {
+      if (arrayStart === -1) continue
+      depth--
+      if (depth === 0) break // End of the array
+      if (depth === 1 && itemStart !== -1) {
+        items.push(parseItem(text.slice(itemStart, i + 1)))
+        itemStart = -1
+      }
+    }
+  }
+
+  return items
+}
+
+function isSameSuggestion(a, b) {
+  return a.text === b.text && a.intent === b.intent && a.language === b.language
+}
+
+// The last "---" line and everything before it
+const THROUGH_LAST_SEPARATOR = /^[\s\S]*^\s*-{3,}\s*$/m
+
+/**
+ * Create an incremental detector that reports each suggestion as soon as it is complete,
+ * so the panel can show cards while later suggestions are still generating
+ * Once the stream has finished, a suggestion that the final parse reads differently is
+ * reported again with the same index, so the caller replaces that card
+ * @param {Function} onSuggestion - Called with (suggestion, index)
+ * @returns {{push: Function, end: Function}} push(chunk) feeds streamed text;
+ *   end() reports the final suggestions once the stream has finished
+ */
+export function createSuggestionStreamParser(onSuggestion) {
+  let text = ''
+  let reported = []
+
+  function emit(items, { final = false } = {}) {
+    const suggestions = items
+      .map(toSuggestion)
+      .filter(suggestion => suggestion.text.length > 0)
+      .slice(0, MAX_SUGGESTIONS)
+
+    suggestions.forEach((suggestion, index) => {
+      if (index < reported.length && (!final || isSameSuggestion(reported[index], suggestion))) return
+      onSuggestion(suggestion, index)
+    })
+    if (final || suggestions.length > reported.length) {
+      reported = suggestions
+    }
+  }
+
+  return {
+    push(chunk) {
+      text += chunk
+      if (reported.length >= MAX_SUGGESTIONS) return
+
+      if (/^\s*(```(json)?\s*)?[[{]/.test(text)) {
+        emit(findCompleteJsonItems(text.replace(/```(?:json)?/gi, '')))
+      } else {
+        // Only the blocks closed by a separator line are certain. Lists and plain lines can
+        // still turn out to be a preamble or part of a longer reply, so they wait for end()
+        const closed = text.match(THROUGH_LAST_SEPARATOR)
+        if (closed) {
+          emit(parseTextSuggestions(closed[0]))
+        }
+      }
+    },
+
+    end() {
+      emit(parseJsonSuggestions(text) || parseTextSuggestions(text), { final: true })
+    }
+  }
+}
+
+/**
+ * Pull the reply texts out of a partially streamed JSON response, for the progress display
+ * @param {string} text - JSON streamed so far
+ * @param {number} [skip] - Number of leading suggestions to leave out (already shown as cards)
+ * @returns {string} Texts seen so far, one per line, or the raw text if it isn't JSON
+ */
+export function formatStreamingPreview(text, skip = 0) {
+  if (!/^\s*(```(json)?\s*)?[[{]/.test(text)) {
+    return text
+  }
+
+  const texts = []
+  const pattern = /"text"\s*:\s*"((?:[^"\\]|\\.)*)/g
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    // Drop a dangling escape at the end of an unfinished string
+    const raw = match[1].replace(/\\u?[0-9a-fA-F]{0,3}$/, '').replace(/\\$/, '')
+    try {
+      texts.push(JSON.parse(`"${raw}"`))
+    } catch (e) {
+      texts.push(raw)
+    }
+  }
+  return texts.slice(skip).join('\n\n')
+}
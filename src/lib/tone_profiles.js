@@ -0,0 +1,112 @@
+/**
+ * Tone Profiles for AI Consul Lite
+ * A tone is a named profile with a description, example replies, emoji policy, length target
+ * and temperature; the examples are given to the model as few-shot samples
+ */
+
+export const EMOJI_POLICIES = {
+  none: 'Do not use emoji',
+  sparing: 'Use at most one emoji, only where it fits naturally',
+  liberal: 'Emoji are welcome'
+}
+
+export const LENGTH_TARGETS = {
+  short: 'Keep each reply to one short sentence',
+  medium: 'Keep each reply to 1-2 sentences',
+  long: 'Replies may be 2-4 sentences when the message calls for detail'
+}
+
+export const DEFAULT_TEMPERATURE = 0.7
+
+export const BUILT_IN_TONE_PROFILES = [
+  {
+    id: 'formal',
+    name: 'Formal',
+    description: 'Polite and precise, suitable for clients and senior colleagues',
+    examples: ['Thank you for the update. I will review the document and reply by Friday.', 'Certainly, I am available on Tuesday at 10:00.'],
+    emoji: 'none',
+    length: 'medium',
+    temperature: 0.5,
+    builtIn: true
+  },
+  {
+    id: 'semi-formal',
+    name: 'Semi-formal',
+    description: 'Friendly but professional, for everyday work conversations',
+    examples: ['Thanks, that works for me. I will send the notes after the call.', 'Good point, could we go over it tomorrow?'],
+    emoji: 'none',
+    length: 'medium',
+    temperature: 0.7,
+    builtIn: true
+  },
+  {
+    id: 'friendly',
+    name: 'Friendly',
+    description: 'Warm and relaxed, like talking to a friend',
+    examples: ['Sounds great, see you there!', 'Haha no worries, happens to everyone 😄'],
+    emoji: 'sparing',
+    length: 'short',
+    temperature: 0.8,
+    builtIn: true
+  },
+  {
+    id: 'slang',
+    name: 'Slang',
+    description: 'Very casual, with informal words and abbreviations',
+    examples: ['lol yeah totally', 'omw, brb in 5'],
+    emoji: 'liberal',
+    length: 'short',
+    temperature: 0.9,
+    builtIn: true
+  }
+]
+
+/**
+ * Find a tone profile by id, falling back to a bare profile named after the id
+ * so older tone strings ("professional", "casual") keep working
+ * @param {string} toneId - Profile id
+ * @param {Array} profiles - Available profiles
+ * @returns {Object} Tone profile
+ */
+export function findToneProfile(toneId, profiles = BUILT_IN_TONE_PROFILES) {
+  const profile = profiles.find(p => p.id === toneId)
+  if (profile) return profile
+
+  const name = toneId || 'semi-formal'
+  return { id: name, name, description: '', examples: [], emoji: null, length: null, temperature: DEFAULT_TEMPERATURE }
+}
+
+/**
+ * Describe a tone profile for the system prompt, with its examples as few-shot samples
+ * @param {Object} profile - Tone profile
+ * @returns {string} Empty for a bare profile that has nothing beyond its name
+ */
+export function describeToneProfile(profile) {
+  const lines = []
+  if (profile.description) lines.push(`Tone "${profile.name}": ${profile.description}`)
+  if (EMOJI_POLICIES[profile.emoji]) lines.push(`Emoji: ${EMOJI_POLICIES[profile.emoji]}`)
+  if (LENGTH_TARGETS[profile.length]) lines.push(`Length: ${LENGTH_TARGETS[profile.length]}`)
+
+  const examples = (profile.examples || []).filter(example => example && example.trim())
+  if (examples.length > 0) {
+    lines.push('Example replies in this tone (match their style, not their content):')
+    examples.forEach(example => lines.push(`- "${example.trim()}"`))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Turn a profile name into an id that doesn't clash with the existing profiles
+ * @param {string} name - Profile name
+ * @param {Array} profiles - Existing profiles
+ * @returns {string}
+ */
+export function createToneProfileId(name, profiles) {
+  const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tone'
+  let id = base
+  for (let n = 2; profiles.some(p => p.id === id); n++) {
+    id = `${base}-${n}`
+  }
+  return id
+}
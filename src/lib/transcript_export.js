@@ -0,0 +1,169 @@
+/**
+ * Transcript Export for AI Consul Lite
+ * Turns a stored capture session into plain text, Markdown, SRT or WebVTT subtitles, or JSON
+ */
+
+import { getSessionDuration } from './transcript_store.js'
+
+export const EXPORT_FORMATS = {
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+  md: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  srt: { label: 'SRT subtitles', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT subtitles', extension: 'vtt', mimeType: 'text/vtt' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+}
+
+// Segments saved without a length (older versions) are shown this long, or until the next one starts
+const DEFAULT_SEGMENT_DURATION = 2000
+
+/**
+ * Start and end of each segment, in ms from the start of the session
+ * A segment never runs into the next one, so subtitles don't overlap
+ * @param {Object} session - { startedAt }
+ * @param {Array} segments - Stored segments, oldest first
+ * @returns {Array<{start: number, end: number, text: string, timestamp: number}>}
+ */
+export function getSegmentTimings(session, segments) {
+  return segments.map((segment, i) => {
+    const start = Math.max(0, segment.timestamp - session.startedAt)
+    const next = segments[i + 1]
+    let end = start + (segment.duration || DEFAULT_SEGMENT_DURATION)
+    if (next) end = Math.min(end, Math.max(start, next.timestamp - session.startedAt))
+    return { start, end, text: segment.text, timestamp: segment.timestamp }
+  })
+}
+
+/**
+ * "hh:mm:ss" plus milliseconds after the given separator, as subtitle formats want it
+ */
+function formatTimecode(ms, separator) {
+  const total = Math.max(0, Math.round(ms))
+  const hours = Math.floor(total / 3600000)
+  const minutes = Math.floor(total / 60000) % 60
+  const seconds = Math.floor(total / 1000) % 60
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`
+}
+
+/**
+ * Position in the call, e.g. "04:12" or "1:04:12"
+ * @param {number} ms - Since the start of the session
+ * @returns {string}
+ */
+export function formatOffset(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000))
+  const hours = Math.floor(seconds / 3600)
+  const clock = `${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`
+  return hours > 0 ? `${hours}:${clock}` : clock
+}
+
+/**
+ * Length of a call, e.g. "40 s", "12 min" or "1 h 05 min"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds} s`
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+}
+
+function describeSession(session, segments) {
+  return {
+    name: session.name || session.title || 'Call transcript',
+    date: new Date(session.startedAt).toLocaleString(),
+    duration: formatDuration(getSessionDuration(session, segments[segments.length - 1]?.timestamp))
+  }
+}
+
+function toText(session, segments) {
+  const { name, date, duration } = describeSession(session, segments)
+  const lines = [name, `${date} (${duration})`]
+  if (session.url) lines.push(session.url)
+  lines.push('')
+  for (const { start, text } of getSegmentTimings(session, segments)) {
+    lines.push(`[${formatOffset(start)}] ${text}`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+function toMarkdown(session, segments) {
+  const { name, date, duration } = describeSession(session, segments)
+  const lines = [`# ${name}`, '', `- **Date:** ${date}`, `- **Duration:** ${duration}`]
+  if (session.url) lines.push(`- **Source:** <${session.url}>`)
+  lines.push('', '## Transcript', '')
+  for (const { start, text } of getSegmentTimings(session, segments)) {
+    lines.push(`**[${formatOffset(start)}]** ${text}`, '')
+  }
+  return lines.join('\n')
+}
+
+function toSrt(session, segments) {
+  return getSegmentTimings(session, segments)
+    .map(({ start, end, text }, i) => `${i + 1}\n${formatTimecode(start, ',')} --> ${formatTimecode(end, ',')}\n${text}\n`)
+    .join('\n')
+}
+
+function toWebVtt(session, segments) {
+  const cues = getSegmentTimings(session, segments)
+    .map(({ start, end, text }) => `${formatTimecode(start, '.')} --> ${formatTimecode(end, '.')}\n${text}\n`)
+  // "-->" isn't allowed in a note
+  const note = `NOTE ${describeSession(session, segments).name.replace(/-->/g, '->')}\n`
+  return ['WEBVTT\n', note, ...cues].join('\n')
+}
+
+function toJson(session, segments) {
+  return `${JSON.stringify({
+    session: {
+      id: session.id,
+      name: session.name,
+      title: session.title,
+      url: session.url,
+      startedAt: new Date(session.startedAt).toISOString(),
+      endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+      duration: getSessionDuration(session, segments[segments.length - 1]?.timestamp) / 1000
+    },
+    // Seconds from the start of the call, like Whisper's own chunk timestamps
+    segments: getSegmentTimings(session, segments).map(({ start, end, text, timestamp }) => ({
+      start: start / 1000,
+      end: end / 1000,
+      text,
+      timestamp: new Date(timestamp).toISOString()
+    }))
+  }, null, 2)}\n`
+}
+
+const FORMATTERS = { txt: toText, md: toMarkdown, srt: toSrt, vtt: toWebVtt, json: toJson }
+
+/**
+ * Render a session in one of the export formats
+ * @param {Object} session - From the transcript store
+ * @param {Array} segments - The session's segments, oldest first
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function exportTranscript(session, segments, format) {
+  const formatter = FORMATTERS[format]
+  if (!formatter) throw new Error(`Unknown export format: ${format}`)
+  return formatter(session, segments)
+}
+
+/**
+ * File name for an export, e.g. "weekly-sync-2024-05-12.srt"
+ * @param {Object} session
+ * @param {string} format
+ * @returns {string}
+ */
+export function getExportFilename(session, format) {
+  const slug = (session.name || session.title || 'transcript')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'transcript'
+  const date = new Date(session.startedAt).toISOString().slice(0, 10)
+  return `${slug}-${date}.${EXPORT_FORMATS[format].extension}`
+}
@@ -0,0 +1,449 @@
+/**
+ * Transcript Store for AI Consul Lite
+ * Keeps call transcripts on this device in IndexedDB: one session per capture, holding
+ * the timestamped segments and the tab they were captured from
+ */
+
+const DB_NAME = 'ai-consul-transcripts'
+const DB_VERSION = 1
+
+// Quota management - whatever is over these limits goes, oldest first
+export const MAX_STORED_SEGMENTS = 20000
+export const MAX_TRANSCRIPT_AGE = 30 * 24 * 60 * 60 * 1000 // 30 days
+// Share of the browser's storage quota the extension may fill before old transcripts are pruned
+const MAX_QUOTA_USAGE = 0.8
+
+let dbPromise = null
+
+/**
+ * Name for a new session: the tab title, else the site it was captured from
+ * @param {Object} source - { title, url }
+ * @returns {string}
+ */
+export function defaultSessionName(source = {}) {
+  if (source.title?.trim()) return source.title.trim()
+  try {
+    return `Call on ${new URL(source.url).hostname}`
+  } catch {
+    return 'Untitled call'
+  }
+}
+
+/**
+ * How long a session lasted; one that never got an end time (e.g. the browser closed) lasts until its last segment
+ * @param {Object} session - { startedAt, endedAt }
+ * @param {number} [lastSegmentAt] - Timestamp of its newest segment
+ * @returns {number} Milliseconds
+ */
+export function getSessionDuration(session, lastSegmentAt) {
+  const end = session.endedAt ?? lastSegmentAt ?? session.startedAt
+  return Math.max(0, end - session.startedAt)
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase|null>} null where IndexedDB isn't available
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true })
+        sessions.createIndex('startedAt', 'startedAt')
+        const segments = db.createObjectStore('segments', { keyPath: 'id', autoIncrement: true })
+        segments.createIndex('timestamp', 'timestamp')
+        segments.createIndex('sessionId', 'sessionId')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      // Let the next call try again
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Delete the oldest segments until at most `keep` are left
+ */
+async function deleteOldestSegments(db, keep) {
+  const transaction = db.transaction('segments', 'readwrite')
+  const store = transaction.objectStore('segments')
+  let excess = await promisify(store.count()) - keep
+  if (excess > 0) {
+    const request = store.index('timestamp').openCursor()
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor || excess <= 0) return
+      cursor.delete()
+      excess--
+      cursor.continue()
+    }
+  }
+  await transactionDone(transaction)
+}
+
+/**
+ * Delete segments and sessions older than the cutoff
+ */
+async function deleteOlderThan(db, cutoff) {
+  const transaction = db.transaction(['sessions', 'segments'], 'readwrite')
+  const range = IDBKeyRange.upperBound(cutoff, true)
+  const segments = transaction.objectStore('segments').index('timestamp').openCursor(range)
+  segments.onsuccess = () => {
+    const cursor = segments.result
+    if (!cursor) return
+    cursor.delete()
+    cursor.continue()
+  }
+  const sessions = transaction.objectStore('sessions').index('startedAt').openCursor(range)
+  sessions.onsuccess = () => {
+    const cursor = sessions.result
+    if (!cursor) return
+    // Running sessions, and those that ended after the cutoff, stay even if they started before it
+    if (cursor.value.endedAt && cursor.value.endedAt < cutoff) cursor.delete()
+    cursor.continue()
+  }
+  await transactionDone(transaction)
+}
+
+async function countSegments(db) {
+  return await promisify(db.transaction('segments').objectStore('segments').count())
+}
+
+async function isOverQuota() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate()
+    return quota > 0 && usage / quota > MAX_QUOTA_USAGE
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Drop transcripts past the age and size limits
+ * @param {Object} [options] - { now, maxAge, maxSegments }, defaulting to the limits above
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function pruneTranscripts(options = {}) {
+  const { now = Date.now(), maxAge = MAX_TRANSCRIPT_AGE, maxSegments = MAX_STORED_SEGMENTS } = options
+  try {
+    const db = await openDatabase()
+    if (!db) return { success: true }
+    await deleteOlderThan(db, now - maxAge)
+    await deleteOldestSegments(db, maxSegments)
+    if (await isOverQuota()) {
+      // Still too big: give up the older half
+      await deleteOldestSegments(db, Math.floor(await countSegments(db) / 2))
+    }
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to prune transcripts:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Start a session for a new capture; old transcripts are pruned first
+ * @param {Object} source - { tabId, title, url } of the captured tab
+ * @param {number} [startedAt]
+ * @returns {Promise<{success: boolean, session?: Object, error?: string}>}
+ */
+export async function startTranscriptSession(source = {}, startedAt = Date.now()) {
+  try {
+    const db = await openDatabase()
+    if (!db) return { success: false, error: 'IndexedDB is not available' }
+    await pruneTranscripts({ now: startedAt })
+
+    const session = {
+      name: defaultSessionName(source),
+      tabId: source.tabId ?? null,
+      title: source.title || '',
+      url: source.url || '',
+      startedAt,
+      endedAt: null
+    }
+    const transaction = db.transaction('sessions', 'readwrite')
+    session.id = await promisify(transaction.objectStore('sessions').add(session))
+    await transactionDone(transaction)
+    return { success: true, session }
+  } catch (error) {
+    console.error('Failed to start transcript session:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Change a stored session
+ * @param {number} sessionId
+ * @param {Function} update - Gets the session, returns the new one (or null to leave it)
+ * @returns {Promise<boolean>} Whether the session exists
+ */
+async function updateSession(sessionId, update) {
+  const db = await openDatabase()
+  if (!db) throw new Error('IndexedDB is not available')
+
+  const transaction = db.transaction('sessions', 'readwrite')
+  const store = transaction.objectStore('sessions')
+  const session = await promisify(store.get(sessionId))
+  const updated = session ? update(session) : null
+  if (updated) store.put(updated)
+  await transactionDone(transaction)
+  return !!session
+}
+
+/**
+ * Mark a session as ended
+ * @param {number} sessionId
+ * @param {number} [endedAt]
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function endTranscriptSession(sessionId, endedAt = Date.now()) {
+  try {
+    await updateSession(sessionId, session => session.endedAt ? null : { ...session, endedAt })
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to end transcript session:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Rename a session; an empty name goes back to the default one
+ * @param {number} sessionId
+ * @param {string} name
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function renameTranscriptSession(sessionId, name) {
+  try {
+    const found = await updateSession(sessionId, session => ({
+      ...session,
+      name: name?.trim() || defaultSessionName(session)
+    }))
+    return found ? { success: true } : { success: false, error: 'Session not found' }
+  } catch (error) {
+    console.error('Failed to rename transcript session:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Keep a meeting summary with its session, replacing an earlier one
+ * @param {number} sessionId
+ * @param {Object} summary - From summarizeMeeting (see meeting_summary.js)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function saveTranscriptSessionSummary(sessionId, summary) {
+  try {
+    const found = await updateSession(sessionId, session => ({ ...session, summary }))
+    return found ? { success: true } : { success: false, error: 'Session not found' }
+  } catch (error) {
+    console.error('Failed to save meeting summary:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Delete a session and its segments
+ * @param {number} sessionId
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteTranscriptSession(sessionId) {
+  try {
+    const db = await openDatabase()
+    if (!db) return { success: false, error: 'IndexedDB is not available' }
+
+    const transaction = db.transaction(['sessions', 'segments'], 'readwrite')
+    transaction.objectStore('sessions').delete(sessionId)
+    const segments = transaction.objectStore('segments').index('sessionId').openCursor(IDBKeyRange.only(sessionId))
+    segments.onsuccess = () => {
+      const cursor = segments.result
+      if (!cursor) return
+      cursor.delete()
+      cursor.continue()
+    }
+    await transactionDone(transaction)
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to delete transcript session:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Store a transcribed chunk
+ * When the browser's quota is full the older half of the transcripts is dropped and the write retried once
+ * @param {Object} segment - { text, timestamp, duration, sessionId, tabId }; timestamp is when the audio
+ *   started and duration its length in ms, when the recorder knows them
+ * @returns {Promise<{success: boolean, segment?: Object, error?: string}>}
+ */
+export async function addTranscriptSegment(segment) {
+  const text = (segment.text || '').trim()
+  if (!text) return { success: false, error: 'Empty transcript' }
+
+  const record = {
+    sessionId: segment.sessionId ?? null,
+    tabId: segment.tabId ?? null,
+    text,
+    timestamp: segment.timestamp ?? Date.now(),
+    duration: Number.isFinite(segment.duration) ? segment.duration : null
+  }
+  const write = async (db) => {
+    const transaction = db.transaction('segments', 'readwrite')
+    const id = await promisify(transaction.objectStore('segments').add(record))
+    await transactionDone(transaction)
+    return { ...record, id }
+  }
+
+  try {
+    const db = await openDatabase()
+    if (!db) return { success: false, error: 'IndexedDB is not available' }
+    try {
+      return { success: true, segment: await write(db) }
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error
+      await deleteOldestSegments(db, Math.floor(await countSegments(db) / 2))
+      return { success: true, segment: await write(db) }
+    }
+  } catch (error) {
+    console.error('Failed to save transcript:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Segments, oldest first
+ * @param {Object} [filter] - { since } timestamp and/or { sessionId }
+ * @returns {Promise<Array<{id: number, sessionId: number|null, tabId: number|null, text: string, timestamp: number, duration: number|null}>>}
+ */
+export async function getTranscriptSegments(filter = {}) {
+  try {
+    const db = await openDatabase()
+    if (!db) return []
+
+    const store = db.transaction('segments').objectStore('segments')
+    if (filter.sessionId !== undefined) {
+      const segments = await promisify(store.index('sessionId').getAll(filter.sessionId))
+      return segments
+        .filter(segment => filter.since === undefined || segment.timestamp > filter.since)
+        .sort((a, b) => a.timestamp - b.timestamp)
+    }
+    const range = filter.since !== undefined ? IDBKeyRange.lowerBound(filter.since, true) : undefined
+    return await promisify(store.index('timestamp').getAll(range))
+  } catch (error) {
+    console.error('Failed to get transcript segments:', error)
+    return []
+  }
+}
+
+/**
+ * All sessions, newest first
+ * @returns {Promise<Array<{id: number, name: string, tabId: number|null, title: string, url: string, startedAt: number, endedAt: number|null}>>}
+ */
+export async function getTranscriptSessions() {
+  try {
+    const db = await openDatabase()
+    if (!db) return []
+
+    const sessions = await promisify(db.transaction('sessions').objectStore('sessions').index('startedAt').getAll())
+    // Sessions from before they could be renamed have no name yet
+    return sessions.reverse().map(session => session.name ? session : { ...session, name: defaultSessionName(session) })
+  } catch (error) {
+    console.error('Failed to get transcript sessions:', error)
+    return []
+  }
+}
+
+/**
+ * One session
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getTranscriptSession(sessionId) {
+  try {
+    const db = await openDatabase()
+    if (!db) return null
+
+    const session = await promisify(db.transaction('sessions').objectStore('sessions').get(sessionId))
+    if (!session) return null
+    return session.name ? session : { ...session, name: defaultSessionName(session) }
+  } catch (error) {
+    console.error('Failed to get transcript session:', error)
+    return null
+  }
+}
+
+/**
+ * Sessions for the history view, newest first, with their length and segment count
+ * A query matches the name, tab title, URL, saved meeting summary or what was said; for the latter the matching segment is returned as `match`
+ * @param {string} [query]
+ * @returns {Promise<Array<Object>>} Sessions plus { duration, segmentCount, match }
+ */
+export async function searchTranscriptSessions(query = '') {
+  const needle = query.trim().toLowerCase()
+  const sessions = await getTranscriptSessions()
+  const bySession = new Map()
+  for (const segment of await getTranscriptSegments()) {
+    if (!bySession.has(segment.sessionId)) bySession.set(segment.sessionId, [])
+    bySession.get(segment.sessionId).push(segment)
+  }
+
+  const results = []
+  for (const session of sessions) {
+    const segments = bySession.get(session.id) || []
+    const details = {
+      ...session,
+      duration: getSessionDuration(session, segments[segments.length - 1]?.timestamp),
+      segmentCount: segments.length,
+      match: null
+    }
+    const fields = [session.name, session.title, session.url, session.summary?.summary]
+    if (!needle || fields.some(field => field?.toLowerCase().includes(needle))) {
+      results.push(details)
+      continue
+    }
+    const match = segments.find(segment => segment.text.toLowerCase().includes(needle))
+    if (match) results.push({ ...details, match })
+  }
+  return results
+}
+
+/**
+ * Delete every session and segment
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function clearTranscriptStore() {
+  try {
+    const db = await openDatabase()
+    if (!db) return { success: true }
+
+    const transaction = db.transaction(['sessions', 'segments'], 'readwrite')
+    transaction.objectStore('sessions').clear()
+    transaction.objectStore('segments').clear()
+    await transactionDone(transaction)
+    return { success: true }
+  } catch (error) {
+    console.error('Failed to clear transcripts:', error)
+    return { success: false, error: error.message }
+  }
+}
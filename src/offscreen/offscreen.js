@@ -70,7 +70,9 @@ async function startCapture(streamId) {
           // Received transcription
           chrome.runtime.sendMessage({
             type: 'TRANSCRIPT_READY',
-            transcript: e.data.text
+            transcript: e.data.text,
+            startedAt: e.data.startedAt,
+            duration: e.data.duration
           })
         }
         if (e.data.status === 'model_loading') {
@@ -89,6 +91,8 @@ async function startCapture(streamId) {
 
     mediaRecorder.ondataavailable = async (event) => {
       if (event.data.size > 0) {
+        // The slice ends now; decoding tells how long it is, so the transcript can be timed
+        const endedAt = Date.now()
         const arrayBuffer = await event.data.arrayBuffer()
         
         // We must use a *new* context to decode, as the main audioContext
@@ -103,7 +107,8 @@ async function startCapture(streamId) {
         // ---------------------------------
 
         // Send the *resampled* audio to the worker
-        whisperWorker.postMessage({ audio: resampledPcm }, [resampledPcm.buffer])
+        const duration = Math.round(audioBuffer.duration * 1000)
+        whisperWorker.postMessage({ audio: resampledPcm, startedAt: endedAt - duration, duration }, [resampledPcm.buffer])
       }
     }
 
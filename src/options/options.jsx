@@ -4,8 +4,315 @@
  */
 
 import React, { useState, useEffect } from 'react'
+import { getProvider, listProviders } from '../lib/providers/index.js'
+import { formatHeaderLines, parseHeaderLines, resolveChatCompletionsUrl } from '../lib/providers/custom.js'
+import {
+  getCustomProviderSettings, setCustomProviderSettings, getRetrySettings, setRetrySettings,
+  getContextBudget, setContextBudget,
+  getSummarizeOlderMessages, setSummarizeOlderMessages, clearConversationSummaries,
+  getRedactionEnabled, setRedactionEnabled, getRedactionTerms, saveRedactionTerms,
+  getLocalOnlyMode, setLocalOnlyMode,
+  getPromptTemplate, setPromptTemplate, getReplyLanguage, setReplyLanguage,
+  getToneProfiles, saveToneProfile, deleteToneProfile,
+  getStyleLearningEnabled, setStyleLearningEnabled, getStyleProfiles, clearStyleProfiles
+} from '../lib/storage.js'
+import { DEFAULT_CONTEXT_BUDGET, MIN_CONTEXT_BUDGET, MAX_CONTEXT_BUDGET } from '../lib/context_budget.js'
+import { MIN_STYLE_SAMPLES, deriveStyleTraits, describeWritingStyle } from '../lib/style_profile.js'
+import { buildSuggestionSystemPrompt } from '../lib/suggestions.js'
+import { DEFAULT_SUGGESTION_TEMPLATE, SAMPLE_CONVERSATION, TEMPLATE_VARIABLES, findUnknownPlaceholders } from '../lib/prompt_templates.js'
+import {
+  BUILT_IN_TONE_PROFILES, EMOJI_POLICIES, LENGTH_TARGETS, DEFAULT_TEMPERATURE,
+  findToneProfile, createToneProfileId
+} from '../lib/tone_profiles.js'
+import {
+  searchTranscriptSessions, getTranscriptSegments, renameTranscriptSession, deleteTranscriptSession,
+  saveTranscriptSessionSummary
+} from '../lib/transcript_store.js'
+import { EXPORT_FORMATS, exportTranscript, getExportFilename, formatDuration, formatOffset } from '../lib/transcript_export.js'
 import './options.css'
 
+/**
+ * Editable form values for a tone profile; examples are edited one per line
+ */
+function toToneDraft(profile) {
+  return {
+    id: profile?.id || null,
+    name: profile?.name || '',
+    description: profile?.description || '',
+    examples: (profile?.examples || []).join('\n'),
+    emoji: profile?.emoji || 'sparing',
+    length: profile?.length || 'medium',
+    temperature: profile?.temperature ?? DEFAULT_TEMPERATURE
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Meeting summary saved with a session, from the reply panel or the session list
+ */
+function MeetingSummary({ summary }) {
+  return (
+    <div className="meeting-summary">
+      <h4>Summary</h4>
+      <p>{summary.summary}</p>
+      {summary.decisions.length > 0 && (
+        <>
+          <h4>Decisions</h4>
+          <ul>{summary.decisions.map((decision, i) => <li key={i}>{decision}</li>)}</ul>
+        </>
+      )}
+      {summary.actionItems.length > 0 && (
+        <>
+          <h4>Action items</h4>
+          <ul>
+            {summary.actionItems.map((item, i) => (
+              <li key={i}>
+                {item.task} <small>({[item.owner || 'No owner named', item.due && `due ${item.due}`].filter(Boolean).join(', ')})</small>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {summary.openQuestions.length > 0 && (
+        <>
+          <h4>Open questions</h4>
+          <ul>{summary.openQuestions.map((question, i) => <li key={i}>{question}</li>)}</ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Past capture sessions from the transcript store: browse, search, summarise, rename and delete
+ */
+function TranscriptHistory({ showStatus }) {
+  const [query, setQuery] = useState('')
+  const [sessions, setSessions] = useState([])
+  const [openSession, setOpenSession] = useState(null) // { id, segments }
+  const [renaming, setRenaming] = useState(null) // { id, name }
+  const [summarizingId, setSummarizingId] = useState(null)
+
+  const loadSessions = async (search = query) => {
+    setSessions(await searchTranscriptSessions(search))
+  }
+
+  useEffect(() => {
+    loadSessions(query)
+  }, [query])
+
+  const handleToggleSession = async (session) => {
+    if (openSession?.id === session.id) {
+      setOpenSession(null)
+      return
+    }
+    setOpenSession({ id: session.id, segments: await getTranscriptSegments({ sessionId: session.id }) })
+  }
+
+  const handleExportSession = (session, format) => {
+    const { mimeType } = EXPORT_FORMATS[format]
+    const url = URL.createObjectURL(new Blob([exportTranscript(session, openSession.segments, format)], { type: mimeType }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getExportFilename(session, format)
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleCopySession = async (session) => {
+    try {
+      await navigator.clipboard.writeText(exportTranscript(session, openSession.segments, 'md'))
+      showStatus('Transcript copied successfully as Markdown', 'success')
+    } catch (error) {
+      showStatus(`Failed to copy transcript: ${error.message}`, 'error')
+    }
+  }
+
+  const handleRenameSession = async () => {
+    const result = await renameTranscriptSession(renaming.id, renaming.name)
+    if (result.success) {
+      setRenaming(null)
+      await loadSessions()
+      showStatus('Session renamed successfully', 'success')
+    } else {
+      showStatus(`Failed to rename session: ${result.error}`, 'error')
+    }
+  }
+
+  // Same request as "Summarise meeting" in the panel, in the provider selected for suggestions
+  const handleSummarizeSession = async (session) => {
+    setSummarizingId(session.id)
+    try {
+      const { defaultProvider } = await chrome.storage.sync.get('defaultProvider')
+      const response = await chrome.runtime.sendMessage({
+        type: 'SUMMARIZE_MEETING',
+        sessionId: session.id,
+        provider: defaultProvider || 'openai'
+      })
+      if (!response?.success) {
+        showStatus(`Failed to summarise meeting: ${response?.error || 'Service worker not available'}`, 'error')
+        return
+      }
+      const result = await saveTranscriptSessionSummary(session.id, response.summary)
+      if (result.success) {
+        await loadSessions()
+        showStatus(`Summary of "${session.name}" saved successfully`, 'success')
+      } else {
+        showStatus(`Failed to save meeting summary: ${result.error}`, 'error')
+      }
+    } catch (error) {
+      showStatus(`Failed to summarise meeting: ${error.message}`, 'error')
+    } finally {
+      setSummarizingId(null)
+    }
+  }
+
+  const handleDeleteSession = async (session) => {
+    if (!confirm(`Delete the transcript "${session.name}"?`)) return
+
+    const result = await deleteTranscriptSession(session.id)
+    if (result.success) {
+      if (openSession?.id === session.id) setOpenSession(null)
+      await loadSessions()
+      showStatus(`Transcript "${session.name}" deleted successfully`, 'success')
+    } else {
+      showStatus(`Failed to delete transcript: ${result.error}`, 'error')
+    }
+  }
+
+  return (
+    <section className="settings-section">
+      <h2>Call Transcripts</h2>
+      <div className="form-group">
+        <label htmlFor="transcript-search">Search</label>
+        <input
+          type="search"
+          id="transcript-search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Name, site or something that was said"
+        />
+        <small className="help-text">Every time you start and stop capturing a call, its transcript is saved here. It stays on this device and is deleted after 30 days.</small>
+      </div>
+      {sessions.length === 0 ? (
+        <p className="help-text">{query.trim() ? 'No transcripts match your search.' : 'No call transcripts yet.'}</p>
+      ) : (
+        <ul className="transcript-sessions">
+          {sessions.map(session => (
+            <li key={session.id}>
+              <div className="transcript-session-header">
+                {renaming?.id === session.id ? (
+                  <div>
+                    <input
+                      type="text"
+                      className="transcript-name-input"
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleRenameSession()
+                        if (e.key === 'Escape') setRenaming(null)
+                      }}
+                      autoFocus
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <strong>{session.name}</strong>
+                    <small className="help-text">
+                      {new Date(session.startedAt).toLocaleString()} · {formatDuration(session.duration)}
+                      {' · '}{session.segmentCount} {session.segmentCount === 1 ? 'segment' : 'segments'}
+                      {hostOf(session.url) && ` · ${hostOf(session.url)}`}
+                    </small>
+                    {session.match && <small className="help-text transcript-match">“{session.match.text}”</small>}
+                  </div>
+                )}
+                {renaming?.id === session.id ? (
+                  <>
+                    <button className="secondary-button" onClick={handleRenameSession}>Save</button>
+                    <button className="secondary-button" onClick={() => setRenaming(null)}>Cancel</button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      className="icon-button"
+                      onClick={() => handleToggleSession(session)}
+                      title={openSession?.id === session.id ? 'Hide the transcript' : 'Show the transcript'}
+                    >
+                      {openSession?.id === session.id ? '▾' : '▸'}
+                    </button>
+                    <button
+                      className="icon-button"
+                      onClick={() => setRenaming({ id: session.id, name: session.name })}
+                      title="Rename this session"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      className="icon-button"
+                      onClick={() => handleSummarizeSession(session)}
+                      disabled={session.segmentCount === 0 || summarizingId !== null}
+                      title={session.summary ? 'Summarise this meeting again' : 'Summarise this meeting'}
+                    >
+                      {summarizingId === session.id ? '⏳' : '📝'}
+                    </button>
+                    <button
+                      className="icon-button"
+                      onClick={() => handleDeleteSession(session)}
+                      title="Delete this transcript"
+                    >
+                      ×
+                    </button>
+                  </>
+                )}
+              </div>
+              {openSession?.id === session.id && session.summary && <MeetingSummary summary={session.summary} />}
+              {openSession?.id === session.id && (
+                openSession.segments.length > 0 ? (
+                  <>
+                    <ol className="transcript-segments">
+                      {openSession.segments.map(segment => (
+                        <li key={segment.id}>
+                          <time>{formatOffset(segment.timestamp - session.startedAt)}</time>
+                          {segment.text}
+                        </li>
+                      ))}
+                    </ol>
+                    <div className="transcript-export">
+                      <span>Export:</span>
+                      {Object.entries(EXPORT_FORMATS).map(([format, { label, extension }]) => (
+                        <button
+                          key={format}
+                          className="secondary-button"
+                          onClick={() => handleExportSession(session, format)}
+                          title={`Download as ${label}`}
+                        >
+                          .{extension}
+                        </button>
+                      ))}
+                      <button className="secondary-button" onClick={() => handleCopySession(session)}>
+                        Copy as Markdown
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <p className="help-text">Nothing was transcribed in this session.</p>
+                )
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
 /**
  * Options page component
  */
@@ -15,20 +322,42 @@ function OptionsPage() {
     apiKey: '',
     defaultTone: 'semi-formal',
     defaultLocalModel: 'llama3:latest',
+    customBaseUrl: '',
+    customModel: '',
+    customHeaders: '',
+    providerModels: {},
+    fallbackProviders: [],
+    maxRetries: 2,
+    maxRetryDelaySeconds: 10,
+    contextBudget: DEFAULT_CONTEXT_BUDGET,
+    summarizeOlderMessages: false,
+    promptTemplate: DEFAULT_SUGGESTION_TEMPLATE,
+    replyLanguage: '',
+    styleLearningEnabled: false,
+    redactionEnabled: true,
+    redactionTerms: '',
+    localOnlyMode: false,
     voiceEnabled: true,
     extensionEnabled: true
   })
+  const [styleProfiles, setStyleProfiles] = useState({})
   const [statusMessage, setStatusMessage] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [hasApiKey, setHasApiKey] = useState(false)
   const [isTestingConnection, setIsTestingConnection] = useState(false)
   const [availableModels, setAvailableModels] = useState([])
   const [isLoadingModels, setIsLoadingModels] = useState(false)
+  const [toneProfiles, setToneProfiles] = useState(BUILT_IN_TONE_PROFILES)
+  const [toneDraft, setToneDraft] = useState(null)
 
   // Load settings on mount
   useEffect(() => {
     loadSettings()
-    // Load models if Local provider is selected
+  }, [])
+
+  // Model lists are per provider; Ollama needs no key so its list loads straight away
+  useEffect(() => {
+    setAvailableModels([])
     if (settings.provider === 'local') {
       loadAvailableModels()
     }
@@ -40,6 +369,8 @@ function OptionsPage() {
         'defaultProvider',
         'defaultTone',
         'defaultLocalModel',
+        'defaultModels',
+        'fallbackProviders',
         'voiceEnabled',
         'extensionEnabled'
       ])
@@ -48,12 +379,39 @@ function OptionsPage() {
       const provider = result.defaultProvider || 'openai'
       const apiKeyResult = await chrome.storage.local.get(`api_key_${provider}`)
       const hasKey = !!apiKeyResult[`api_key_${provider}`]
+      const customProvider = await getCustomProviderSettings()
+      const retrySettings = await getRetrySettings()
+      const contextBudget = await getContextBudget()
+      const summarizeOlderMessages = await getSummarizeOlderMessages()
+      const promptTemplate = await getPromptTemplate()
+      const replyLanguage = await getReplyLanguage()
+      setToneProfiles(await getToneProfiles())
+      const styleLearningEnabled = await getStyleLearningEnabled()
+      setStyleProfiles(await getStyleProfiles())
+      const redactionEnabled = await getRedactionEnabled()
+      const redactionTerms = await getRedactionTerms()
+      const localOnlyMode = await getLocalOnlyMode()
       
       setSettings(prev => ({
         ...prev,
         provider: provider,
         defaultTone: result.defaultTone || 'semi-formal',
         defaultLocalModel: result.defaultLocalModel || 'llama3:latest',
+        customBaseUrl: customProvider.baseUrl,
+        customModel: customProvider.model,
+        customHeaders: formatHeaderLines(customProvider.headers),
+        providerModels: result.defaultModels || {},
+        fallbackProviders: (result.fallbackProviders || []).filter(id => id !== provider),
+        maxRetries: retrySettings.maxRetries,
+        maxRetryDelaySeconds: retrySettings.maxDelayMs / 1000,
+        contextBudget,
+        summarizeOlderMessages,
+        promptTemplate: promptTemplate || DEFAULT_SUGGESTION_TEMPLATE,
+        replyLanguage,
+        styleLearningEnabled,
+        redactionEnabled,
+        redactionTerms: redactionTerms.join('\n'),
+        localOnlyMode,
         voiceEnabled: result.voiceEnabled !== false,
         extensionEnabled: result.extensionEnabled !== false
       }))
@@ -68,35 +426,91 @@ function OptionsPage() {
   const loadAvailableModels = async () => {
     setIsLoadingModels(true)
     try {
-      const response = await fetch('http://localhost:11434/api/tags', {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' },
-        mode: 'cors'
+      // Use the key typed into the form if there is one, otherwise the saved key
+      const { listProviderModels } = await import('../lib/llm_service.js')
+      const result = await listProviderModels(settings.provider, {
+        apiKey: settings.apiKey.trim() || undefined,
+        settings: settings.provider === 'custom'
+          ? { baseUrl: settings.customBaseUrl.trim(), headers: parseHeaderLines(settings.customHeaders) }
+          : undefined
       })
 
-      if (response.ok) {
-        const data = await response.json()
-        const models = data.models?.map(model => model.name) || []
-        setAvailableModels(models.sort())
+      if (result.success) {
+        setAvailableModels(result.models)
       } else {
-        console.log('Could not load models:', response.status)
+        console.log('Could not load models:', result.error)
+        if (settings.provider !== 'local') {
+          showStatus(`Could not load models: ${result.error}`, 'error')
+        }
       }
     } catch (error) {
-      console.log('Could not load models from Ollama:', error.message)
+      console.log('Could not load models:', error.message)
     } finally {
       setIsLoadingModels(false)
     }
   }
 
+  const addFallbackProvider = (providerId) => {
+    if (!providerId) return
+    setSettings(prev => ({
+      ...prev,
+      fallbackProviders: [...prev.fallbackProviders, providerId]
+    }))
+  }
+
+  const removeFallbackProvider = (providerId) => {
+    setSettings(prev => ({
+      ...prev,
+      fallbackProviders: prev.fallbackProviders.filter(id => id !== providerId)
+    }))
+  }
+
+  const moveFallbackProvider = (index, direction) => {
+    setSettings(prev => {
+      const fallbackProviders = [...prev.fallbackProviders]
+      const target = index + direction
+      if (target < 0 || target >= fallbackProviders.length) return prev
+      ;[fallbackProviders[index], fallbackProviders[target]] = [fallbackProviders[target], fallbackProviders[index]]
+      return { ...prev, fallbackProviders }
+    })
+  }
+
+  const handleProviderModelChange = (model) => {
+    setSettings(prev => ({
+      ...prev,
+      providerModels: { ...prev.providerModels, [prev.provider]: model }
+    }))
+  }
+
   const handleInputChange = (field, value) => {
     setSettings(prev => ({
       ...prev,
-      [field]: value
+      [field]: value,
+      // The selected provider is always tried first, so it can't also be a fallback
+      ...(field === 'provider' ? { fallbackProviders: prev.fallbackProviders.filter(id => id !== value) } : {})
     }))
     
-    // Load models when switching to local provider
-    if (field === 'provider' && value === 'local') {
-      loadAvailableModels()
+    // Refresh the saved-key indicator for the newly selected provider
+    if (field === 'provider') {
+      chrome.storage.local.get(`api_key_${value}`)
+        .then(result => setHasApiKey(!!result[`api_key_${value}`]))
+        .catch(() => setHasApiKey(false))
+    }
+  }
+
+  /**
+   * Ask for access to the custom endpoint's origin so the service worker can reach it
+   * Chrome only shows the prompt during the click, so call this before awaiting anything else
+   */
+  const requestCustomEndpointPermission = async () => {
+    const url = resolveChatCompletionsUrl(settings.customBaseUrl)
+    if (!url) return true
+    try {
+      const origin = `${new URL(url).origin}/*`
+      return await chrome.permissions.request({ origins: [origin] })
+    } catch (error) {
+      console.error('Failed to request endpoint permission:', error)
+      return false
     }
   }
 
@@ -105,6 +519,8 @@ function OptionsPage() {
     setStatusMessage('')
 
     try {
+      const endpointGranted = settings.provider === 'custom' ? await requestCustomEndpointPermission() : true
+
       // Save API key if provided
       if (settings.apiKey.trim()) {
         await chrome.storage.local.set({ [`api_key_${settings.provider}`]: settings.apiKey.trim() })
@@ -115,10 +531,40 @@ function OptionsPage() {
         defaultProvider: settings.provider,
         defaultTone: settings.defaultTone,
         defaultLocalModel: settings.defaultLocalModel || 'llama3:latest',
+        defaultModels: Object.fromEntries(
+          Object.entries(settings.providerModels).filter(([, model]) => model && model.trim())
+        ),
+        fallbackProviders: settings.fallbackProviders,
         voiceEnabled: settings.voiceEnabled,
         extensionEnabled: settings.extensionEnabled
       })
 
+      await setRetrySettings({
+        maxRetries: Math.max(0, Math.round(Number(settings.maxRetries) || 0)),
+        maxDelayMs: Math.max(1, Number(settings.maxRetryDelaySeconds) || 1) * 1000
+      })
+      await setContextBudget(settings.contextBudget)
+      await setSummarizeOlderMessages(settings.summarizeOlderMessages)
+
+      // An unchanged default isn't stored, so later improvements to it reach the user
+      await setPromptTemplate(settings.promptTemplate === DEFAULT_SUGGESTION_TEMPLATE ? null : settings.promptTemplate)
+      await setReplyLanguage(settings.replyLanguage)
+      await setStyleLearningEnabled(settings.styleLearningEnabled)
+      await setRedactionEnabled(settings.redactionEnabled)
+      await saveRedactionTerms(settings.redactionTerms.split('\n'))
+      await setLocalOnlyMode(settings.localOnlyMode)
+
+      await setCustomProviderSettings({
+        baseUrl: settings.customBaseUrl.trim(),
+        model: settings.customModel.trim(),
+        headers: parseHeaderLines(settings.customHeaders)
+      })
+
+      if (!endpointGranted) {
+        showStatus('Settings saved, but access to the custom endpoint was not granted', 'error')
+        return
+      }
+
       showStatus('Settings saved successfully!', 'success')
     } catch (error) {
       console.error('Failed to save settings:', error)
@@ -129,8 +575,8 @@ function OptionsPage() {
   }
 
   const handleTestConnection = async () => {
-    // For local LLM, we don't need an API key
-    if (settings.provider !== 'local' && !settings.apiKey.trim()) {
+    // Providers like the local LLM don't need an API key
+    if (getProvider(settings.provider)?.requiresKey && !settings.apiKey.trim()) {
       showStatus('Please enter an API key first', 'error')
       return
     }
@@ -144,6 +590,22 @@ function OptionsPage() {
       if (settings.provider === 'local') {
         // Test local LLM connection directly
         result = await testLocalConnection()
+      } else if (settings.provider === 'custom') {
+        if (!resolveChatCompletionsUrl(settings.customBaseUrl)) {
+          showStatus('Please enter a base URL first', 'error')
+          return
+        }
+        if (!(await requestCustomEndpointPermission())) {
+          showStatus('Access to the custom endpoint was not granted', 'error')
+          return
+        }
+        // Test with the values currently in the form, falling back to the saved key
+        const { testApiKey } = await import('../lib/llm_service.js')
+        result = await testApiKey('custom', settings.apiKey.trim() || undefined, {
+          baseUrl: settings.customBaseUrl.trim(),
+          model: settings.customModel.trim(),
+          headers: parseHeaderLines(settings.customHeaders)
+        })
       } else {
         // Import test function dynamically for other providers
         const { testApiKey } = await import('../lib/llm_service.js')
@@ -229,6 +691,76 @@ function OptionsPage() {
     }
   }
 
+  const handleToneDraftChange = (field, value) => {
+    setToneDraft(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSaveToneProfile = async () => {
+    const name = toneDraft.name.trim()
+    if (!name) {
+      showStatus('Please give the tone a name', 'error')
+      return
+    }
+
+    const temperature = Number(toneDraft.temperature)
+    const profile = {
+      id: toneDraft.id || createToneProfileId(name, toneProfiles),
+      name,
+      description: toneDraft.description.trim(),
+      examples: toneDraft.examples.split('\n').map(line => line.trim()).filter(Boolean),
+      emoji: toneDraft.emoji,
+      length: toneDraft.length,
+      temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : DEFAULT_TEMPERATURE
+    }
+
+    const result = await saveToneProfile(profile)
+    if (result.success) {
+      setToneProfiles(await getToneProfiles())
+      setToneDraft(null)
+      showStatus(`Tone "${name}" saved successfully`, 'success')
+    } else {
+      showStatus(`Failed to save tone: ${result.error}`, 'error')
+    }
+  }
+
+  const handleDeleteToneProfile = async (profile) => {
+    if (!confirm(`Delete the tone "${profile.name}"?`)) return
+
+    const result = await deleteToneProfile(profile.id)
+    if (result.success) {
+      setToneProfiles(await getToneProfiles())
+      if (settings.defaultTone === profile.id) {
+        handleInputChange('defaultTone', 'semi-formal')
+      }
+      showStatus(`Tone "${profile.name}" deleted successfully`, 'success')
+    } else {
+      showStatus(`Failed to delete tone: ${result.error}`, 'error')
+    }
+  }
+
+  const handleForgetStyle = async () => {
+    if (!confirm('Forget the writing style learned from your messages?')) return
+
+    const result = await clearStyleProfiles()
+    if (result.success) {
+      setStyleProfiles({})
+      showStatus('Learned writing style cleared successfully', 'success')
+    } else {
+      showStatus(`Failed to clear writing style: ${result.error}`, 'error')
+    }
+  }
+
+  const handleClearSummaries = async () => {
+    if (!confirm('Delete the saved summaries of older messages?')) return
+
+    const result = await clearConversationSummaries()
+    if (result.success) {
+      showStatus('Conversation summaries cleared successfully', 'success')
+    } else {
+      showStatus(`Failed to clear summaries: ${result.error}`, 'error')
+    }
+  }
+
   const handleReset = async () => {
     if (confirm('Are you sure you want to reset all settings to defaults?')) {
       try {
@@ -239,10 +771,19 @@ function OptionsPage() {
           provider: 'openai',
           apiKey: '',
           defaultTone: 'semi-formal',
+          contextBudget: DEFAULT_CONTEXT_BUDGET,
+          summarizeOlderMessages: false,
+          promptTemplate: DEFAULT_SUGGESTION_TEMPLATE,
+          replyLanguage: '',
+          styleLearningEnabled: false,
+          redactionEnabled: true,
+          redactionTerms: '',
+          localOnlyMode: false,
           voiceEnabled: true,
           extensionEnabled: true
         })
         
+        setStyleProfiles({})
         showStatus('Settings reset to defaults', 'success')
       } catch (error) {
         console.error('Failed to reset settings:', error)
@@ -274,11 +815,123 @@ function OptionsPage() {
               onChange={(e) => handleInputChange('provider', e.target.value)}
               disabled={isLoading}
             >
-              <option value="openai">OpenAI (GPT-4o)</option>
-              <option value="anthropic">Anthropic (Claude 3.5 Sonnet)</option>
-              <option value="google">Google (Gemini Pro)</option>
-              <option value="local">Local LLM (Ollama)</option>
+              {listProviders().map(provider => (
+                <option key={provider.id} value={provider.id}>{provider.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="fallback-add-select">Fallback providers:</label>
+            {settings.fallbackProviders.length > 0 && (
+              <ol className="fallback-list">
+                {settings.fallbackProviders.map((id, index) => (
+                  <li key={id}>
+                    <span>{getProvider(id)?.label || id}</span>
+                    <button
+                      className="icon-button"
+                      onClick={() => moveFallbackProvider(index, -1)}
+                      disabled={isLoading || index === 0}
+                      title="Try earlier"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className="icon-button"
+                      onClick={() => moveFallbackProvider(index, 1)}
+                      disabled={isLoading || index === settings.fallbackProviders.length - 1}
+                      title="Try later"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="icon-button"
+                      onClick={() => removeFallbackProvider(id)}
+                      disabled={isLoading}
+                      title="Remove from the fallback chain"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            <select
+              id="fallback-add-select"
+              value=""
+              onChange={(e) => addFallbackProvider(e.target.value)}
+              disabled={isLoading}
+            >
+              <option value="">Add a fallback provider...</option>
+              {listProviders()
+                .filter(provider => provider.id !== settings.provider && !settings.fallbackProviders.includes(provider.id))
+                .map(provider => (
+                  <option key={provider.id} value={provider.id}>{provider.label}</option>
+                ))}
             </select>
+            <small className="help-text">
+              If the selected provider fails or is rate limited, these are tried in order. Each one needs its own API key or setup.
+            </small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="max-retries-input">Retries per provider:</label>
+            <input
+              type="number"
+              id="max-retries-input"
+              min="0"
+              max="5"
+              value={settings.maxRetries}
+              onChange={(e) => handleInputChange('maxRetries', e.target.value)}
+              disabled={isLoading}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="max-retry-delay-input">Longest wait before a retry (seconds):</label>
+            <input
+              type="number"
+              id="max-retry-delay-input"
+              min="1"
+              max="60"
+              value={settings.maxRetryDelaySeconds}
+              onChange={(e) => handleInputChange('maxRetryDelaySeconds', e.target.value)}
+              disabled={isLoading}
+            />
+            <small className="help-text">
+              Rate-limited and server errors are retried with increasing, randomised waits. If the provider asks for a longer wait than this, the next fallback is used instead.
+            </small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="context-budget-input">Conversation context (tokens):</label>
+            <input
+              type="number"
+              id="context-budget-input"
+              min={MIN_CONTEXT_BUDGET}
+              max={MAX_CONTEXT_BUDGET}
+              step="100"
+              value={settings.contextBudget}
+              onChange={(e) => handleInputChange('contextBudget', e.target.value)}
+              disabled={isLoading}
+            />
+            <small className="help-text">
+              The newest messages are sent until this many tokens are used, and very long messages are shortened. Models with a smaller window, like a local Ollama model, get less. A bigger budget gives more context but costs more per request.
+            </small>
+          </div>
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                id="summarize-older-messages"
+                checked={settings.summarizeOlderMessages}
+                onChange={(e) => handleInputChange('summarizeOlderMessages', e.target.checked)}
+                disabled={isLoading}
+              />
+              Summarise older messages that don't fit
+            </label>
+            <small className="help-text">
+              Messages left out by the budget are summarised by the selected provider and the summary is sent with every request for that chat, so earlier promises and decisions aren't lost. Each chat's summary is kept on this device and only new messages are added to it, which costs one extra request when the chat has moved on.
+            </small>
+            <button id="clear-summaries-button" className="secondary-button" onClick={handleClearSummaries} disabled={isLoading}>
+              Clear Saved Summaries
+            </button>
           </div>
         </section>
 
@@ -356,7 +1009,76 @@ function OptionsPage() {
           </section>
         )}
 
-        {settings.provider !== 'local' && (
+        {settings.provider === 'custom' && (
+          <section className="settings-section">
+            <h2>Custom OpenAI-compatible Endpoint</h2>
+            <div className="form-group">
+              <small className="help-text">
+                Works with any server that implements <code>/v1/chat/completions</code>, such as vLLM, LM Studio or the llama.cpp server.
+              </small>
+            </div>
+            <div className="form-group">
+              <label htmlFor="custom-base-url">Base URL</label>
+              <input
+                type="text"
+                id="custom-base-url"
+                value={settings.customBaseUrl}
+                onChange={(e) => handleInputChange('customBaseUrl', e.target.value)}
+                placeholder="http://localhost:8000/v1"
+                disabled={isLoading}
+              />
+              <small className="help-text">
+                {resolveChatCompletionsUrl(settings.customBaseUrl)
+                  ? `Requests go to ${resolveChatCompletionsUrl(settings.customBaseUrl)}`
+                  : 'The server address, with or without /v1'}
+              </small>
+            </div>
+            <div className="form-group">
+              <label htmlFor="custom-model">Model name</label>
+              <input
+                type="text"
+                id="custom-model"
+                value={settings.customModel}
+                onChange={(e) => handleInputChange('customModel', e.target.value)}
+                placeholder="e.g. meta-llama/Meta-Llama-3-8B-Instruct"
+                disabled={isLoading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="custom-api-key">API key (optional)</label>
+              <input
+                type="password"
+                id="custom-api-key"
+                value={settings.apiKey}
+                onChange={(e) => handleInputChange('apiKey', e.target.value)}
+                placeholder={hasApiKey ? "•••••••• (API key saved)" : "Sent as a Bearer token if set"}
+                disabled={isLoading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="custom-headers">Extra headers (optional)</label>
+              <textarea
+                id="custom-headers"
+                value={settings.customHeaders}
+                onChange={(e) => handleInputChange('customHeaders', e.target.value)}
+                placeholder={'X-Api-Version: 2\nX-Team: support'}
+                rows={3}
+                disabled={isLoading}
+              />
+              <small className="help-text">One <code>Header-Name: value</code> per line</small>
+            </div>
+            <button
+              id="test-custom-button"
+              className="secondary-button"
+              onClick={handleTestConnection}
+              disabled={isLoading || isTestingConnection}
+            >
+              {isTestingConnection ? 'Testing...' : 'Test Connection'}
+            </button>
+          </section>
+        )}
+
+        {getProvider(settings.provider)?.requiresKey && (
           <section className="settings-section">
             <h2>API Key</h2>
             <div className="form-group">
@@ -384,6 +1106,58 @@ function OptionsPage() {
           </section>
         )}
 
+        {getProvider(settings.provider)?.requiresKey && (
+          <section className="settings-section">
+            <h2>Model</h2>
+            <div className="form-group">
+              <label htmlFor="provider-model-select">Available models</label>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <select
+                  id="provider-model-select"
+                  value={availableModels.includes(settings.providerModels[settings.provider]) ? settings.providerModels[settings.provider] : ''}
+                  onChange={(e) => handleProviderModelChange(e.target.value)}
+                  disabled={isLoading || isLoadingModels || availableModels.length === 0}
+                  style={{ flex: 1 }}
+                >
+                  <option value="">
+                    {availableModels.length > 0 ? 'Select a model...' : 'Load models to choose from a list'}
+                  </option>
+                  {availableModels.map(model => (
+                    <option key={model} value={model}>{model}</option>
+                  ))}
+                </select>
+                <button
+                  className="secondary-button"
+                  onClick={loadAvailableModels}
+                  disabled={isLoadingModels || (!hasApiKey && !settings.apiKey.trim())}
+                  title="Load models from the provider's models endpoint"
+                >
+                  {isLoadingModels ? 'Loading...' : 'Load models'}
+                </button>
+              </div>
+              <small className="help-text">
+                {!hasApiKey && !settings.apiKey.trim()
+                  ? 'Enter or save an API key to load the model list.'
+                  : availableModels.length > 0
+                    ? `Found ${availableModels.length} model(s).`
+                    : 'Click "Load models" to fetch the models your key can use.'}
+              </small>
+            </div>
+            <div className="form-group">
+              <label htmlFor="provider-model-input">Model name override</label>
+              <input
+                type="text"
+                id="provider-model-input"
+                value={settings.providerModels[settings.provider] || ''}
+                onChange={(e) => handleProviderModelChange(e.target.value)}
+                placeholder={`Default: ${getProvider(settings.provider).defaultModel}`}
+                disabled={isLoading}
+              />
+              <small className="help-text">Leave empty to use the default model.</small>
+            </div>
+          </section>
+        )}
+
         <section className="settings-section">
           <h2>Default Settings</h2>
           <div className="form-group">
@@ -394,14 +1168,237 @@ function OptionsPage() {
               onChange={(e) => handleInputChange('defaultTone', e.target.value)}
               disabled={isLoading}
             >
-              <option value="formal">Formal</option>
-              <option value="semi-formal">Semi-formal</option>
-              <option value="friendly">Friendly</option>
-              <option value="slang">Slang</option>
+              {toneProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
             </select>
           </div>
         </section>
 
+        <section className="settings-section">
+          <h2>Tone Profiles</h2>
+          <ul className="tone-list">
+            {toneProfiles.map(profile => (
+              <li key={profile.id}>
+                <div>
+                  <strong>{profile.name}</strong>
+                  {profile.builtIn && <span className="tone-badge">Built-in</span>}
+                  {profile.description && <small className="help-text">{profile.description}</small>}
+                </div>
+                <button
+                  className="icon-button"
+                  onClick={() => setToneDraft(toToneDraft(profile.builtIn ? { ...profile, id: null, name: `${profile.name} (copy)` } : profile))}
+                  title={profile.builtIn ? 'Start a new tone from this one' : 'Edit this tone'}
+                >
+                  {profile.builtIn ? '⧉' : '✎'}
+                </button>
+                {!profile.builtIn && (
+                  <button
+                    className="icon-button"
+                    onClick={() => handleDeleteToneProfile(profile)}
+                    title="Delete this tone"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {toneDraft ? (
+            <div className="tone-editor">
+              <div className="form-group">
+                <label htmlFor="tone-name-input">Name</label>
+                <input
+                  type="text"
+                  id="tone-name-input"
+                  value={toneDraft.name}
+                  onChange={(e) => handleToneDraftChange('name', e.target.value)}
+                  placeholder="e.g. Customer support"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="tone-description-input">Description</label>
+                <input
+                  type="text"
+                  id="tone-description-input"
+                  value={toneDraft.description}
+                  onChange={(e) => handleToneDraftChange('description', e.target.value)}
+                  placeholder="e.g. Patient and reassuring, always offers a next step"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="tone-examples-input">Example replies</label>
+                <textarea
+                  id="tone-examples-input"
+                  value={toneDraft.examples}
+                  onChange={(e) => handleToneDraftChange('examples', e.target.value)}
+                  rows={4}
+                  placeholder={'Thanks for reaching out! Let me check that for you.\nHappy to help, what is your order number?'}
+                />
+                <small className="help-text">One per line. They are shown to the model as samples of the style to write in.</small>
+              </div>
+              <div className="form-group">
+                <label htmlFor="tone-emoji-select">Emoji</label>
+                <select
+                  id="tone-emoji-select"
+                  value={toneDraft.emoji}
+                  onChange={(e) => handleToneDraftChange('emoji', e.target.value)}
+                >
+                  {Object.entries(EMOJI_POLICIES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="tone-length-select">Length</label>
+                <select
+                  id="tone-length-select"
+                  value={toneDraft.length}
+                  onChange={(e) => handleToneDraftChange('length', e.target.value)}
+                >
+                  {Object.entries(LENGTH_TARGETS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="tone-temperature-input">Temperature</label>
+                <input
+                  type="number"
+                  id="tone-temperature-input"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={toneDraft.temperature}
+                  onChange={(e) => handleToneDraftChange('temperature', e.target.value)}
+                />
+                <small className="help-text">Lower is more predictable, higher is more varied.</small>
+              </div>
+              <div className="actions">
+                <button id="save-tone-button" className="primary-button" onClick={handleSaveToneProfile}>
+                  Save Tone
+                </button>
+                <button className="secondary-button" onClick={() => setToneDraft(null)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              id="add-tone-button"
+              className="secondary-button"
+              onClick={() => setToneDraft(toToneDraft(null))}
+              disabled={isLoading}
+            >
+              Add Tone
+            </button>
+          )}
+        </section>
+
+        <section className="settings-section">
+          <h2>Prompt Template</h2>
+          <div className="form-group">
+            <label htmlFor="reply-language-input">Reply language:</label>
+            <input
+              type="text"
+              id="reply-language-input"
+              value={settings.replyLanguage}
+              onChange={(e) => handleInputChange('replyLanguage', e.target.value)}
+              placeholder="Same as the last message"
+              disabled={isLoading}
+            />
+            <small className="help-text">Used for <code>{'{{language}}'}</code>. Leave empty to reply in the language of the last message.</small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="prompt-template-input">System prompt for suggestions:</label>
+            <textarea
+              id="prompt-template-input"
+              value={settings.promptTemplate}
+              onChange={(e) => handleInputChange('promptTemplate', e.target.value)}
+              rows={14}
+              disabled={isLoading}
+            />
+            <ul className="template-variables">
+              {TEMPLATE_VARIABLES.map(variable => (
+                <li key={variable.name}>
+                  <code>{`{{${variable.name}}}`}</code> {variable.description}
+                </li>
+              ))}
+            </ul>
+            {findUnknownPlaceholders(settings.promptTemplate).length > 0 && (
+              <small className="help-text template-warning">
+                Unknown placeholders are sent as typed: {findUnknownPlaceholders(settings.promptTemplate).map(name => `{{${name}}}`).join(', ')}
+              </small>
+            )}
+            <small className="help-text">
+              Used by every provider. Keep asking for JSON in the format shown in the default so suggestions get their intent labels.
+            </small>
+          </div>
+          <div className="form-group">
+            <label>Preview with a sample conversation:</label>
+            <div className="template-preview">
+              <pre>{buildSuggestionSystemPrompt(findToneProfile(settings.defaultTone, toneProfiles), {
+                template: settings.promptTemplate,
+                language: settings.replyLanguage,
+                platform: SAMPLE_CONVERSATION.platform,
+                contactName: SAMPLE_CONVERSATION.contactName
+              })}</pre>
+              {SAMPLE_CONVERSATION.messages.map((message, index) => (
+                <div key={index} className={`template-preview-message ${message.role}`}>
+                  <strong>{message.role === 'assistant' ? 'You' : SAMPLE_CONVERSATION.contactName}:</strong> {message.content}
+                </div>
+              ))}
+            </div>
+          </div>
+          <button
+            id="reset-template-button"
+            className="secondary-button"
+            onClick={() => handleInputChange('promptTemplate', DEFAULT_SUGGESTION_TEMPLATE)}
+            disabled={isLoading || settings.promptTemplate === DEFAULT_SUGGESTION_TEMPLATE}
+          >
+            Reset Template to Default
+          </button>
+        </section>
+
+        <section className="settings-section">
+          <h2>Writing Style</h2>
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                id="style-learning-enabled"
+                checked={settings.styleLearningEnabled}
+                onChange={(e) => handleInputChange('styleLearningEnabled', e.target.checked)}
+                disabled={isLoading}
+              />
+              Learn my writing style from my own messages
+            </label>
+            <small className="help-text">
+              When you ask for suggestions, the messages you sent in that chat are analysed for length, punctuation, greetings, emoji and language mix, separately for each platform. Only these counts are kept, on this device; the messages themselves are not stored.
+            </small>
+          </div>
+          {Object.keys(styleProfiles).length > 0 && (
+            <div className="form-group">
+              <ul className="style-profiles">
+                {Object.entries(styleProfiles).map(([platform, stats]) => {
+                  const traits = deriveStyleTraits(stats)
+                  return (
+                    <li key={platform}>
+                      <strong>{platform}</strong>
+                      {traits
+                        ? <pre>{describeWritingStyle(traits, platform)}</pre>
+                        : <small className="help-text">Learning: {stats.messages} of {MIN_STYLE_SAMPLES} messages so far</small>}
+                    </li>
+                  )
+                })}
+              </ul>
+              <button id="forget-style-button" className="secondary-button" onClick={handleForgetStyle} disabled={isLoading}>
+                Forget Learned Style
+              </button>
+            </div>
+          )}
+        </section>
+
         <section className="settings-section">
           <h2>Voice Transcription</h2>
           <div className="form-group">
@@ -419,6 +1416,8 @@ function OptionsPage() {
           </div>
         </section>
 
+        <TranscriptHistory showStatus={showStatus} />
+
         <section className="settings-section">
           <h2>Privacy</h2>
           <div className="form-group">
@@ -434,6 +1433,53 @@ function OptionsPage() {
             </label>
             <small className="help-text">Master toggle to enable/disable the extension</small>
           </div>
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                id="local-only-mode"
+                checked={settings.localOnlyMode}
+                onChange={(e) => handleInputChange('localOnlyMode', e.target.checked)}
+                disabled={isLoading}
+              />
+              Local only: never send conversations off this device
+            </label>
+            <small className="help-text">
+              Only Ollama and custom endpoints on localhost are used; OpenAI, Anthropic and Google requests are refused, including fallbacks, and the background page can't reach any other server.
+            </small>
+            {settings.localOnlyMode && !getProvider(settings.provider)?.runsLocally?.({ baseUrl: settings.customBaseUrl }) && (
+              <small className="help-text privacy-warning">
+                {getProvider(settings.provider)?.name || 'This provider'} is not local, so suggestions will fail until you pick a local provider above.
+              </small>
+            )}
+          </div>
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                id="redaction-enabled"
+                checked={settings.redactionEnabled}
+                onChange={(e) => handleInputChange('redactionEnabled', e.target.checked)}
+                disabled={isLoading}
+              />
+              Hide personal details from cloud providers
+            </label>
+            <small className="help-text">
+              Email addresses, phone numbers, IBANs, card numbers and street addresses are replaced with placeholders like <code>[EMAIL_1]</code> before the conversation is sent to OpenAI, Anthropic, Google or a remote custom endpoint. The suggestions you see have the real details put back. Ollama and custom endpoints on localhost get the text unchanged.
+            </small>
+          </div>
+          <div className="form-group">
+            <label htmlFor="redaction-terms">Also hide these words and names</label>
+            <textarea
+              id="redaction-terms"
+              value={settings.redactionTerms}
+              onChange={(e) => handleInputChange('redactionTerms', e.target.value)}
+              placeholder={'Project Falcon\nAcme Corp'}
+              rows={3}
+              disabled={isLoading || !settings.redactionEnabled}
+            />
+            <small className="help-text">One per line, matched regardless of case. Kept on this device only.</small>
+          </div>
         </section>
 
         <div className="actions">
@@ -13,15 +13,19 @@ function PopupPage() {
   const [settings, setSettings] = useState({
     extensionEnabled: true,
     siteEnabled: true,
-    voiceEnabled: true
+    voiceEnabled: true,
+    localOnlyMode: false
   })
   const [currentSite, setCurrentSite] = useState('Loading...')
+  // Live transcript forwarding to this tab: { tabId, forwarding, capturing, source }
+  const [transcriptForwarding, setTranscriptForwarding] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
 
   // Load settings and current tab info on mount
   useEffect(() => {
     loadSettings()
     loadCurrentTab()
+    loadTranscriptForwarding()
     
     // Listen for storage changes to update UI live
     const handleStorageChange = (changes, namespace) => {
@@ -42,7 +46,7 @@ function PopupPage() {
   const loadSettings = async () => {
     try {
       const [extensionResult, voiceResult] = await Promise.all([
-        chrome.storage.sync.get(['extensionEnabled', 'siteStates']),
+        chrome.storage.sync.get(['extensionEnabled', 'siteStates', 'localOnlyMode']),
         chrome.storage.sync.get('voiceEnabled')
       ])
 
@@ -62,7 +66,8 @@ function PopupPage() {
       setSettings({
         extensionEnabled: extensionResult.extensionEnabled !== false,
         siteEnabled: siteEnabled,
-        voiceEnabled: voiceResult.voiceEnabled !== false
+        voiceEnabled: voiceResult.voiceEnabled !== false,
+        localOnlyMode: extensionResult.localOnlyMode === true
       })
     } catch (error) {
       console.error('Failed to load settings:', error)
@@ -91,12 +96,36 @@ function PopupPage() {
     }
   }
 
+  const loadTranscriptForwarding = async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      if (!tab) return
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TRANSCRIPT_FORWARDING', tabId: tab.id })
+      if (response?.success) {
+        setTranscriptForwarding({ ...response, tabId: tab.id })
+      }
+    } catch (error) {
+      console.warn('Could not get transcript forwarding:', error)
+    }
+  }
+
+  const handleTranscriptForwarding = async (enabled) => {
+    try {
+      await chrome.runtime.sendMessage({ type: 'SET_TRANSCRIPT_FORWARDING', tabId: transcriptForwarding.tabId, enabled })
+      setTranscriptForwarding(prev => ({ ...prev, forwarding: enabled }))
+    } catch (error) {
+      console.error('Failed to update transcript forwarding:', error)
+    }
+  }
+
   const handleToggle = async (setting, value) => {
     try {
       if (setting === 'extensionEnabled') {
         await chrome.storage.sync.set({ extensionEnabled: value })
       } else if (setting === 'voiceEnabled') {
         await chrome.storage.sync.set({ voiceEnabled: value })
+      } else if (setting === 'localOnlyMode') {
+        await chrome.storage.sync.set({ localOnlyMode: value })
       } else if (setting === 'siteEnabled') {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
         if (tab && tab.url) {
@@ -164,6 +193,11 @@ function PopupPage() {
           <span className="status-dot"></span>
           <span className="status-text">{getStatusText()}</span>
         </div>
+        {settings.localOnlyMode && (
+          <div className="local-only-badge" title="Cloud providers are blocked; only Ollama and localhost endpoints are used">
+            Local only: nothing leaves this device
+          </div>
+        )}
       </header>
 
       <main>
@@ -205,6 +239,36 @@ function PopupPage() {
           </label>
         </div>
 
+        <div className="toggle-section">
+          <label className="toggle-label">
+            <input 
+              type="checkbox" 
+              checked={settings.localOnlyMode}
+              onChange={(e) => handleToggle('localOnlyMode', e.target.checked)}
+            />
+            <span className="toggle-slider"></span>
+            <span className="toggle-text">Local only</span>
+          </label>
+        </div>
+
+        {transcriptForwarding && transcriptForwarding.source?.tabId !== transcriptForwarding.tabId && (
+          <div className="toggle-section">
+            <label className="toggle-label">
+              <input 
+                type="checkbox" 
+                checked={transcriptForwarding.forwarding}
+                onChange={(e) => handleTranscriptForwarding(e.target.checked)}
+                disabled={!settings.extensionEnabled}
+              />
+              <span className="toggle-slider"></span>
+              <span className="toggle-text">Show live call transcript here</span>
+            </label>
+            {transcriptForwarding.capturing && transcriptForwarding.source?.title && (
+              <small className="toggle-hint">From: {transcriptForwarding.source.title}</small>
+            )}
+          </div>
+        )}
+
         <div className="current-site">
           <span className="site-label">Current site:</span>
           <span className="site-name">{currentSite}</span>
@@ -1,5 +1,8 @@
 /**
  * Main App Component for AI Consul Lite UI
+ *
+ * @deprecated Only used by the React content script (src/content/content.js), which the manifest
+ * doesn't load; new panel features go into content/content-simple.js.
  */
 
 import React, { useState, useEffect } from 'react'
@@ -9,7 +12,7 @@ import './styles.css'
 /**
  * Main App component
  */
-function App({ onGenerate, onClose, onInsert }) {
+function App({ onGenerate, onGenerateStreaming, onCancelStreaming, onClose, onInsert }) {
   const [isVisible, setIsVisible] = useState(true)
 
   const handleClose = () => {
@@ -27,6 +30,8 @@ function App({ onGenerate, onClose, onInsert }) {
     <div className="ai-consul-app">
       <ReplyPanel 
         onGenerate={onGenerate}
+        onGenerateStreaming={onGenerateStreaming}
+        onCancelStreaming={onCancelStreaming}
         onClose={handleClose}
         onInsert={onInsert}
       />
@@ -1,26 +1,63 @@
 /**
  * Reply Panel Component for AI Consul Lite
  * Main UI component with tone selector and suggestion display
+ *
+ * @deprecated Only used by the React content script (src/content/content.js), which the manifest
+ * doesn't load; new panel features go into content/content-simple.js.
  */
 
 import React, { useState, useEffect } from 'react'
+import { getToneProfiles } from '../lib/storage.js'
+import { BUILT_IN_TONE_PROFILES } from '../lib/tone_profiles.js'
+
+/**
+ * "Answered by OpenAI (fallback, 2 attempts)"
+ */
+function describeAnsweredBy({ providerName, fallback, attempts }) {
+  const notes = []
+  if (fallback) notes.push('fallback')
+  if (attempts > 1) notes.push(`${attempts} attempts`)
+  return notes.length > 0
+    ? `Answered by ${providerName} (${notes.join(', ')})`
+    : `Answered by ${providerName}`
+}
+
+/**
+ * Suggestions are { text, intent, language }; hosts may still pass plain strings
+ */
+function normalizeSuggestions(suggestions) {
+  return (suggestions || []).map(suggestion =>
+    typeof suggestion === 'string' ? { text: suggestion, intent: null, language: null } : suggestion
+  )
+}
 
 /**
  * Reply Panel component
  */
-function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
+function ReplyPanel({ onGenerate, onGenerateStreaming, onCancelStreaming, onClose, onInsert }) {
   const [selectedTone, setSelectedTone] = useState('semi-formal')
+  const [toneProfiles, setToneProfiles] = useState(BUILT_IN_TONE_PROFILES)
   const [suggestions, setSuggestions] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [isStreaming, setIsStreaming] = useState(false)
   const [streamingProgress, setStreamingProgress] = useState('')
   const [error, setError] = useState('')
+  const [answeredBy, setAnsweredBy] = useState(null)
 
-  // Load default tone from storage on mount
+  // Load the tone profiles and default tone from storage on mount
   useEffect(() => {
+    loadToneProfiles()
     loadDefaultTone()
   }, [])
 
+  const loadToneProfiles = async () => {
+    try {
+      setToneProfiles(await getToneProfiles())
+    } catch (error) {
+      console.error('Failed to load tone profiles:', error)
+    }
+  }
+
   const loadDefaultTone = async () => {
     try {
       const result = await chrome.storage.sync.get('defaultTone')
@@ -58,7 +95,7 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
 
       try {
         const newSuggestions = await onGenerate(selectedTone)
-        setSuggestions(newSuggestions || [])
+        setSuggestions(normalizeSuggestions(newSuggestions))
       } catch (error) {
         setError(error.message || 'Failed to generate suggestions')
       } finally {
@@ -75,14 +112,27 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
     setError('')
     setSuggestions([])
     setStreamingProgress('')
+    setAnsweredBy(null)
 
     try {
       await onGenerateStreaming(selectedTone, {
         onChunk: (chunk, accumulated) => {
           setStreamingProgress(accumulated)
         },
-        onComplete: (finalSuggestions) => {
-          setSuggestions(finalSuggestions || [])
+        onSuggestion: (suggestion, index) => {
+          // Cards appear one by one while later suggestions are still generating
+          setSuggestions(previous => {
+            const next = [...previous]
+            next[index] = suggestion
+            return normalizeSuggestions(next.filter(Boolean))
+          })
+        },
+        onRetry: (retry) => {
+          setStreamingProgress(`${retry.providerName} is busy (HTTP ${retry.status}), retrying in ${Math.ceil(retry.delayMs / 1000)}s (retry ${retry.retry} of ${retry.maxRetries})...`)
+        },
+        onComplete: (finalSuggestions, info) => {
+          setSuggestions(normalizeSuggestions(finalSuggestions))
+          setAnsweredBy(info?.providerName ? info : null)
           setStreamingProgress('')
           setIsStreaming(false)
         },
@@ -99,6 +149,24 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
     }
   }
 
+  const handleStop = () => {
+    // The host aborts the provider request; the partial output is discarded
+    if (onCancelStreaming) {
+      onCancelStreaming()
+    }
+    setIsStreaming(false)
+    setStreamingProgress('')
+  }
+
+  const handleClose = () => {
+    if (isStreaming) {
+      handleStop()
+    }
+    if (onClose) {
+      onClose()
+    }
+  }
+
   const handleCopy = async (text) => {
     try {
       await navigator.clipboard.writeText(text)
@@ -118,7 +186,7 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
     <div className="reply-panel">
       <div className="panel-header">
         <h3>AI Consul Lite</h3>
-        <button className="close-button" onClick={onClose}>×</button>
+        <button className="close-button" onClick={handleClose}>×</button>
       </div>
 
       <div className="panel-content">
@@ -130,10 +198,9 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
             onChange={handleToneChange}
             disabled={isLoading}
           >
-            <option value="formal">Formal</option>
-            <option value="semi-formal">Semi-formal</option>
-            <option value="friendly">Friendly</option>
-            <option value="slang">Slang</option>
+            {toneProfiles.map(profile => (
+              <option key={profile.id} value={profile.id} title={profile.description}>{profile.name}</option>
+            ))}
           </select>
         </div>
 
@@ -145,6 +212,16 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
           {isStreaming ? 'Streaming...' : isLoading ? 'Generating...' : 'Generate Suggestions'}
         </button>
 
+        {isStreaming && onCancelStreaming && (
+          <button
+            className="stop-button"
+            onClick={handleStop}
+            title="Stop generating"
+          >
+            Stop
+          </button>
+        )}
+
         {isStreaming && streamingProgress && (
           <div className="streaming-progress">
             <div className="streaming-text">{streamingProgress}</div>
@@ -175,18 +252,23 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
             <h4>Suggestions:</h4>
             {suggestions.map((suggestion, index) => (
               <div key={index} className="suggestion-item">
-                <div className="suggestion-text">{suggestion}</div>
+                <div className="suggestion-text">
+                  {suggestion.intent && (
+                    <span className={`suggestion-intent intent-${suggestion.intent}`}>{suggestion.intent}</span>
+                  )}
+                  {suggestion.text}
+                </div>
                 <div className="suggestion-actions">
                   <button 
                     className="action-button copy-button"
-                    onClick={() => handleCopy(suggestion)}
+                    onClick={() => handleCopy(suggestion.text)}
                     title="Copy to clipboard"
                   >
                     📋
                   </button>
                   <button 
                     className="action-button insert-button"
-                    onClick={() => handleInsert(suggestion)}
+                    onClick={() => handleInsert(suggestion.text)}
                     title="Insert into chat"
                   >
                     ➤
@@ -194,6 +276,11 @@ function ReplyPanel({ onGenerate, onGenerateStreaming, onClose, onInsert }) {
                 </div>
               </div>
             ))}
+            {answeredBy && (
+              <div className="provider-info">
+                {describeAnsweredBy(answeredBy)}
+              </div>
+            )}
           </div>
         )}
       </div>
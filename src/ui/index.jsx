@@ -1,6 +1,9 @@
 /**
  * UI Entry Point for AI Consul Lite
  * Handles Shadow DOM mounting and React app initialization
+ *
+ * @deprecated Only used by the React content script (src/content/content.js), which the manifest
+ * doesn't load; new panel features go into content/content-simple.js.
  */
 
 import React from 'react'
@@ -39,7 +39,8 @@ class WhisperPipeline {
 
 // Listen for messages from offscreen.js
 self.onmessage = async (event) => {
-  const { audio } = event.data // Receives Float32Array
+  // Receives Float32Array, plus when the slice started and how long it is (ms), passed back with the text
+  const { audio, startedAt, duration } = event.data
 
   try {
     const transcriber = await WhisperPipeline.getInstance()
@@ -56,9 +57,9 @@ self.onmessage = async (event) => {
 
     // Send the result back to offscreen.js
     if (transcript && transcript.text) {
-      self.postMessage({ text: transcript.text.trim() })
+      self.postMessage({ text: transcript.text.trim(), startedAt, duration })
     } else {
-      self.postMessage({ text: '' })
+      self.postMessage({ text: '', startedAt, duration })
     }
   } catch (error) {
     console.error('Transcription error:', error)
@@ -0,0 +1,129 @@
+/**
+ * Tests for the token-budgeted context window
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  DEFAULT_CONTEXT_BUDGET,
+  TRUNCATION_MARKER,
+  estimateTokens,
+  resolveTokenBudget,
+  truncateToTokens,
+  buildContextWindow
+} from '../src/lib/context_budget.js'
+import { getProvider } from '../src/lib/providers/index.js'
+import { fitContextToProvider } from '../src/lib/llm_service.js'
+import { setContextBudget } from '../src/lib/storage.js'
+
+/**
+ * A message of about the given number of tokens at 4 characters per token
+ */
+function message(tokens, label = 'x', extra = {}) {
+  return { role: 'user', content: label.padEnd(tokens * 4, '.'), ...extra }
+}
+
+describe('Context Budget', () => {
+  describe('estimateTokens', () => {
+    it('should use the tokenizer ratio for ASCII text', () => {
+      expect(estimateTokens('a'.repeat(40))).toBe(10)
+      expect(estimateTokens('a'.repeat(35), 3.5)).toBe(10)
+      expect(estimateTokens('')).toBe(0)
+    })
+
+    it('should count ideographs and other non-ASCII text more heavily', () => {
+      expect(estimateTokens('你好世界')).toBe(4)
+      expect(estimateTokens('привет')).toBe(3)
+    })
+  })
+
+  describe('resolveTokenBudget', () => {
+    it('should cap the budget at what fits the model', () => {
+      expect(resolveTokenBudget(2000, getProvider('openai'), 'gpt-4o')).toBe(2000)
+      expect(resolveTokenBudget(8000, getProvider('local'), 'llama3:latest')).toBe(1048)
+      expect(resolveTokenBudget(8000, getProvider('openai'), 'gpt-4')).toBe(7192)
+    })
+
+    it('should use the budget as is for unknown providers', () => {
+      expect(resolveTokenBudget(5000, undefined)).toBe(5000)
+    })
+  })
+
+  describe('truncateToTokens', () => {
+    it('should shorten long text and mark it', () => {
+      const text = truncateToTokens('word '.repeat(200), 50)
+
+      expect(text.endsWith(TRUNCATION_MARKER)).toBe(true)
+      expect(estimateTokens(text)).toBeLessThanOrEqual(50)
+    })
+
+    it('should leave text that fits alone', () => {
+      expect(truncateToTokens('short', 50)).toBe('short')
+    })
+  })
+
+  describe('buildContextWindow', () => {
+    it('should keep the newest messages that fit, without gaps', () => {
+      const messages = [message(100, 'oldest'), message(100, 'middle'), message(10, 'small'), message(100, 'newest')]
+
+      const window = buildContextWindow(messages, { budget: 200 })
+
+      expect(window.messages.map(m => m.content.split('.')[0])).toEqual(['small', 'newest'])
+      expect(window).toMatchObject({ included: 2, total: 4, truncated: 0, budget: 200 })
+      expect(window.tokens).toBe(118)
+    })
+
+    it('should shorten messages longer than a quarter of the budget', () => {
+      const window = buildContextWindow([message(10, 'first'), message(900, 'long')], { budget: 1000 })
+
+      expect(window.included).toBe(2)
+      expect(window.truncated).toBe(1)
+      expect(window.messages[1]).toMatchObject({ truncated: true })
+      expect(window.messages[1].content.endsWith(TRUNCATION_MARKER)).toBe(true)
+      expect(estimateTokens(window.messages[1].content)).toBeLessThanOrEqual(250)
+    })
+
+    it('should always keep memory notes and the newest message', () => {
+      const memory = message(400, 'memory', { source: 'memory' })
+
+      const window = buildContextWindow([message(50, 'older'), memory, message(100, 'newest')], { budget: 300 })
+
+      expect(window.messages[0]).toBe(memory)
+      expect(window.messages[1].content.startsWith('newest')).toBe(true)
+      expect(window).toMatchObject({ included: 1, total: 2, truncated: 1 })
+    })
+
+    it('should default to the default budget', () => {
+      expect(buildContextWindow([]).budget).toBe(DEFAULT_CONTEXT_BUDGET)
+    })
+  })
+
+  describe('fitContextToProvider', () => {
+    let syncData
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      syncData = {}
+      global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+        typeof key === 'string' ? { [key]: syncData[key] } : {}
+      ))
+      global.chrome.storage.sync.set.mockImplementation(items => {
+        Object.assign(syncData, items)
+        return Promise.resolve()
+      })
+      global.chrome.storage.local.get.mockResolvedValue({})
+    })
+
+    it('should use the stored budget, limited by the provider', async () => {
+      await setContextBudget(100000)
+      const messages = Array.from({ length: 50 }, (_, i) => message(100, `m${i}`))
+
+      const openai = await fitContextToProvider(messages, 'openai')
+      const local = await fitContextToProvider(messages, 'local')
+
+      expect(syncData.contextBudget).toBe(32000)
+      expect(openai.included).toBe(50)
+      expect(local.budget).toBe(1048)
+      expect(local.included).toBeLessThan(12)
+    })
+  })
+})
@@ -0,0 +1,137 @@
+/**
+ * Tests for per-conversation memory notes and their injection into the context
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  getMemoryKey,
+  getMemoryNotes,
+  addMemoryNote,
+  removeMemoryNote,
+  formatMemoryForContext
+} from '../src/lib/conversation_memory.js'
+import { mergeContext } from '../src/lib/context_merger.js'
+import { buildContextWindow } from '../src/lib/context_budget.js'
+import { saveRecentTranscript } from '../src/lib/storage.js'
+
+const anna = { platform: 'WhatsApp', conversationId: 'chat:Anna', title: 'Anna' }
+const ben = { platform: 'WhatsApp', conversationId: 'chat:Ben' }
+
+describe('Conversation Memory', () => {
+  let localData
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localData = {}
+    global.chrome.storage.local.get.mockImplementation(key => Promise.resolve({ [key]: localData[key] }))
+    global.chrome.storage.local.set.mockImplementation(items => {
+      Object.assign(localData, items)
+      return Promise.resolve()
+    })
+    global.chrome.storage.sync.get.mockImplementation(() => Promise.resolve({}))
+  })
+
+  describe('getMemoryKey', () => {
+    it('should combine platform and conversation id', () => {
+      expect(getMemoryKey('Telegram', '/k/#123')).toBe('Telegram:/k/#123')
+    })
+
+    it('should return null when the conversation is unknown', () => {
+      expect(getMemoryKey('WhatsApp', null)).toBeNull()
+      expect(getMemoryKey(null, 'chat:Anna')).toBeNull()
+    })
+  })
+
+  describe('notes', () => {
+    it('should save notes per conversation', async () => {
+      await addMemoryNote(anna, '  Prefers Spanish  ', 'language')
+      await addMemoryNote(ben, 'Old school friend', 'relationship')
+
+      const notes = await getMemoryNotes(anna)
+      expect(notes).toHaveLength(1)
+      expect(notes[0]).toMatchObject({ text: 'Prefers Spanish', category: 'language' })
+      expect(localData.conversationMemory['WhatsApp:chat:Anna'].title).toBe('Anna')
+      expect(await getMemoryNotes(ben)).toHaveLength(1)
+    })
+
+    it('should fall back to the note category for unknown categories', async () => {
+      const result = await addMemoryNote(anna, 'Likes cats', 'hobby')
+
+      expect(result.note.category).toBe('note')
+    })
+
+    it('should reject empty notes and unidentified conversations', async () => {
+      expect((await addMemoryNote(anna, '   ')).success).toBe(false)
+      expect((await addMemoryNote({ platform: 'WhatsApp' }, 'Likes cats')).success).toBe(false)
+      expect(chrome.storage.local.set).not.toHaveBeenCalled()
+    })
+
+    it('should keep only the newest 30 notes of 500 characters', async () => {
+      for (let i = 0; i < 32; i++) {
+        await addMemoryNote(anna, `Fact ${i}`)
+      }
+      await addMemoryNote(anna, 'x'.repeat(600))
+
+      const notes = await getMemoryNotes(anna)
+      expect(notes).toHaveLength(30)
+      expect(notes[0].text).toBe('Fact 3')
+      expect(notes[29].text).toHaveLength(500)
+    })
+
+    it('should remove a note and drop empty conversations', async () => {
+      const { note } = await addMemoryNote(anna, 'Owes me the report by Friday', 'commitment')
+
+      await removeMemoryNote(anna, note.id)
+
+      expect(await getMemoryNotes(anna)).toEqual([])
+      expect(localData.conversationMemory).not.toHaveProperty('WhatsApp:chat:Anna')
+    })
+  })
+
+  describe('formatMemoryForContext', () => {
+    it('should list notes with their category', () => {
+      const message = formatMemoryForContext([
+        { id: '1', text: 'Prefers Spanish', category: 'language' },
+        { id: '2', text: 'Sister', category: 'relationship' }
+      ])
+
+      expect(message.role).toBe('user')
+      expect(message.source).toBe('memory')
+      expect(message.content).toContain('- Preferred language: Prefers Spanish')
+      expect(message.content).toContain('- Relationship: Sister')
+    })
+
+    it('should return null without notes', () => {
+      expect(formatMemoryForContext([])).toBeNull()
+    })
+  })
+
+  describe('mergeContext', () => {
+    it('should add the notes of the matching conversation only', async () => {
+      await addMemoryNote(anna, 'Prefers Spanish', 'language')
+      const messages = [{ role: 'user', text: 'Hola!' }]
+
+      const withMemory = await mergeContext(messages, undefined, anna)
+      const otherChat = await mergeContext(messages, undefined, ben)
+
+      expect(withMemory).toHaveLength(2)
+      expect(withMemory[0].content).toContain('Prefers Spanish')
+      expect(withMemory[1]).toMatchObject({ role: 'user', content: 'Hola!' })
+      expect(otherChat).toEqual([{ role: 'user', text: 'Hola!', content: 'Hola!' }])
+    })
+
+    it('should keep the notes when the messages are trimmed to the budget', async () => {
+      await addMemoryNote(anna, 'Sister', 'relationship')
+      await saveRecentTranscript('Call me back', Date.now(), { sessionId: 1 })
+      const messages = Array.from({ length: 12 }, (_, i) => ({ role: 'user', content: `Message ${i} `.repeat(20) }))
+
+      const merged = await mergeContext(messages, undefined, anna, { transcriptSessionId: 1 })
+      const window = buildContextWindow(merged, { budget: 300 })
+
+      expect(merged).toHaveLength(14)
+      expect(window.included).toBeLessThan(13)
+      expect(window.messages[0].source).toBe('memory')
+    })
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * Tests for the running summary of messages older than the token budget
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  formatSummaryForContext,
+  fingerprintMessage,
+  refreshConversationSummary
+} from '../src/lib/conversation_summary.js'
+import { buildContextWindow } from '../src/lib/context_budget.js'
+import { mergeContext } from '../src/lib/context_merger.js'
+
+const anna = { platform: 'WhatsApp', conversationId: 'chat:Anna', title: 'Anna' }
+
+const thread = Array.from({ length: 8 }, (_, i) => ({
+  role: i % 2 ? 'assistant' : 'user',
+  content: `Message ${i} `.repeat(40),
+  sender: i % 2 ? undefined : 'Anna',
+  sentAt: 1715500000000 + i * 60000
+}))
+
+function replyWith(text) {
+  global.fetch = vi.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { content: text } }] })
+  })
+}
+
+function requestText() {
+  const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body)
+  return messages[messages.length - 1].content
+}
+
+describe('Conversation Summary', () => {
+  let localData
+  let syncData
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localData = { api_key_openai: 'test-openai-key' }
+    syncData = { summarizeOlderMessages: true }
+    global.chrome.storage.local.get.mockImplementation(key => Promise.resolve(
+      typeof key === 'string' ? { [key]: localData[key] } : {}
+    ))
+    global.chrome.storage.local.set.mockImplementation(items => {
+      Object.assign(localData, items)
+      return Promise.resolve()
+    })
+    global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+      typeof key === 'string' ? { [key]: syncData[key] } : {}
+    ))
+    replyWith('- Anna asked me to send the report by Friday')
+  })
+
+  describe('formatSummaryForContext', () => {
+    it('should make a pinned context message', () => {
+      const message = formatSummaryForContext({ summary: '- Owes Anna the report' })
+
+      expect(message).toMatchObject({ role: 'user', source: 'summary' })
+      expect(message.content).toContain('- Owes Anna the report')
+      expect(formatSummaryForContext(null)).toBeNull()
+    })
+
+    it('should always be kept by the context window', () => {
+      const summary = formatSummaryForContext({ summary: '- Owes Anna the report' })
+
+      const window = buildContextWindow([summary, ...thread], { budget: 300 })
+
+      expect(window.messages[0]).toBe(summary)
+      expect(window.total).toBe(8)
+    })
+  })
+
+  describe('fingerprintMessage', () => {
+    it('should ignore gap-filled timestamps', () => {
+      const msg = { role: 'user', content: 'See you', sender: 'Anna' }
+
+      expect(fingerprintMessage({ ...msg, timestamp: 1 })).toBe(fingerprintMessage({ ...msg, timestamp: 2 }))
+      expect(fingerprintMessage(msg)).not.toBe(fingerprintMessage({ ...msg, content: 'See you!' }))
+    })
+  })
+
+  describe('refreshConversationSummary', () => {
+    it('should summarise the messages that did not fit', async () => {
+      const changed = await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai')
+
+      expect(changed).toBe(true)
+      const text = requestText()
+      expect(text).toContain('(none yet)')
+      expect(text).toContain('Anna: Message 0')
+      expect(text).toContain('Me: Message 1')
+      expect(text).toContain('Anna: Message 4')
+      expect(text).not.toContain('Message 5')
+      expect(localData.conversationSummaries['WhatsApp:chat:Anna']).toMatchObject({
+        title: 'Anna',
+        summary: '- Anna asked me to send the report by Friday',
+        lastMessage: fingerprintMessage(thread[4]),
+        messageCount: 5
+      })
+    })
+
+    it('should only send messages newer than the summary', async () => {
+      await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai')
+      replyWith('- Report due Friday\n- Dinner on Saturday')
+      const longer = [...thread, { role: 'user', content: 'Dinner on Saturday?', sender: 'Anna' }]
+
+      await refreshConversationSummary(anna, longer, { included: 3, total: 9 }, 'openai')
+
+      const text = requestText()
+      expect(text).toContain('Current summary:\n- Anna asked me to send the report by Friday')
+      expect(text).toContain('Message 5')
+      expect(text).not.toContain('Message 4')
+      expect(localData.conversationSummaries['WhatsApp:chat:Anna'].messageCount).toBe(6)
+    })
+
+    it('should abort the provider request when cancelled', async () => {
+      // Answers only once aborted, like fetch does
+      global.fetch = vi.fn((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')))
+      }))
+      const controller = new AbortController()
+
+      const refresh = refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai', { signal: controller.signal })
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled())
+      controller.abort()
+
+      expect(await refresh).toBe(false)
+      expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(localData.conversationSummaries).toBeUndefined()
+    })
+
+    it('should not call the provider when the summary is up to date', async () => {
+      await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai')
+      global.fetch.mockClear()
+
+      expect(await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai')).toBe(false)
+      expect(await refreshConversationSummary(anna, thread, { included: 5, total: 8 }, 'openai')).toBe(false)
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should summarise with a local Ollama model', async () => {
+      await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'local')
+
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions')
+      expect(localData.conversationSummaries).toHaveProperty('WhatsApp:chat:Anna')
+    })
+
+    it('should keep the old summary when the provider fails', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: false,
+        status: 401,
+        json: () => Promise.resolve({ error: { message: 'Invalid API key' } })
+      })
+
+      expect(await refreshConversationSummary(anna, thread, { included: 3, total: 8 }, 'openai')).toBe(false)
+      expect(localData.conversationSummaries).toBeUndefined()
+    })
+
+    it('should skip unidentified conversations and windows without dropped messages', async () => {
+      expect(await refreshConversationSummary({ platform: 'WhatsApp' }, thread, { included: 3, total: 8 }, 'openai')).toBe(false)
+      expect(await refreshConversationSummary(anna, thread, { included: 8, total: 8 }, 'openai')).toBe(false)
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('mergeContext', () => {
+    beforeEach(() => {
+      localData.conversationMemory = {
+        'WhatsApp:chat:Anna': { notes: [{ id: '1', text: 'Sister', category: 'relationship' }] }
+      }
+      localData.conversationSummaries = {
+        'WhatsApp:chat:Anna': { summary: '- Owes Anna the report', lastMessage: 'x', messageCount: 4, updatedAt: 1 }
+      }
+    })
+
+    it('should put the summary after the memory notes', async () => {
+      const merged = await mergeContext([{ role: 'user', content: 'Hi' }], undefined, anna)
+
+      expect(merged.map(msg => msg.source)).toEqual(['memory', 'summary', undefined])
+    })
+
+    it('should leave the summary out when summarising is off', async () => {
+      syncData.summarizeOlderMessages = false
+
+      const merged = await mergeContext([{ role: 'user', content: 'Hi' }], undefined, anna)
+
+      expect(merged.map(msg => msg.source)).toEqual(['memory', undefined])
+    })
+  })
+})
@@ -0,0 +1,154 @@
+/**
+ * Tests for the custom OpenAI-compatible provider
+ * Runs against a local stub server instead of a mocked fetch
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest'
+import { createServer } from 'http'
+import { getLLMSuggestions, streamLLMSuggestions, testApiKey } from '../src/lib/llm_service.js'
+import { resolveChatCompletionsUrl, parseHeaderLines, formatHeaderLines, customProvider } from '../src/lib/providers/custom.js'
+
+describe('Custom OpenAI-compatible Provider', () => {
+  let server
+  let baseUrl
+  let requests
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : {}
+        requests.push({ url: req.url, headers: req.headers, body: json })
+
+        if (req.url !== '/v1/chat/completions') {
+          res.writeHead(404, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: { message: 'not found' } }))
+          return
+        }
+
+        if (json.model === 'missing-model') {
+          res.writeHead(404, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: { message: 'model not found' } }))
+          return
+        }
+
+        if (json.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: {"choices":[{"delta":{"content":"First"}}]}\n\n')
+          res.write('data: {"choices":[{"delta":{"content":"---Second"}}]}\n\n')
+          res.end('data: [DONE]\n\n')
+          return
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({
+          choices: [{ message: { content: 'Stub one---Stub two' } }]
+        }))
+      })
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    requests = []
+    global.fetch = global.nativeFetch
+
+    global.chrome.storage.local.get.mockResolvedValue({ api_key_custom: 'stub-key' })
+    global.chrome.storage.sync.get.mockResolvedValue({
+      customProvider: {
+        baseUrl: `${baseUrl}/v1/`,
+        model: 'stub-model',
+        headers: { 'X-Team': 'support' }
+      }
+    })
+  })
+
+  describe('URL and header helpers', () => {
+    it('should resolve the chat completions endpoint from a base URL', () => {
+      expect(resolveChatCompletionsUrl('http://localhost:8000')).toBe('http://localhost:8000/v1/chat/completions')
+      expect(resolveChatCompletionsUrl('http://localhost:8000/v1/')).toBe('http://localhost:8000/v1/chat/completions')
+      expect(resolveChatCompletionsUrl('http://host/api/v1/chat/completions')).toBe('http://host/api/v1/chat/completions')
+      expect(resolveChatCompletionsUrl('  ')).toBe('')
+    })
+
+    it('should round-trip extra header lines', () => {
+      const headers = parseHeaderLines('X-Team: support\nnot a header\nX-Trace: a:b')
+      expect(headers).toEqual({ 'X-Team': 'support', 'X-Trace': 'a:b' })
+      expect(formatHeaderLines(headers)).toBe('X-Team: support\nX-Trace: a:b')
+    })
+
+    it('should treat only endpoints on this machine as local', () => {
+      expect(customProvider.runsLocally({ baseUrl: 'http://127.0.0.1:1234' })).toBe(true)
+      expect(customProvider.runsLocally({ baseUrl: 'https://llm.example.com/v1' })).toBe(false)
+      expect(customProvider.runsLocally({ baseUrl: 'http://localhost:8000' })).toBe(true)
+      expect(customProvider.runsLocally({ baseUrl: '' })).toBe(false)
+    })
+  })
+
+  describe('against a stub server', () => {
+    it('should get suggestions with the configured model, key and headers', async () => {
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hello' }], 'friendly', 'custom')
+
+      expect(result.success).toBe(true)
+      expect(result.suggestions.map(suggestion => suggestion.text)).toEqual(['Stub one', 'Stub two'])
+      expect(requests[0].body.model).toBe('stub-model')
+      expect(requests[0].body.stream).toBe(false)
+      expect(requests[0].body.response_format).toEqual({ type: 'json_object' })
+      expect(requests[0].headers.authorization).toBe('Bearer stub-key')
+      expect(requests[0].headers['x-team']).toBe('support')
+    })
+
+    it('should stream suggestions from the stub server', async () => {
+      const chunks = []
+      const result = await streamLLMSuggestions(
+        [{ role: 'user', text: 'Hello' }],
+        'friendly',
+        'custom',
+        chunk => chunks.push(chunk)
+      )
+
+      expect(result.success).toBe(true)
+      expect(chunks.join('')).toBe('First---Second')
+      expect(requests[0].body.stream).toBe(true)
+    })
+
+    it('should work without an API key', async () => {
+      global.chrome.storage.local.get.mockResolvedValue({})
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hello' }], 'friendly', 'custom')
+
+      expect(result.success).toBe(true)
+      expect(requests[0].headers.authorization).toBeUndefined()
+    })
+
+    it('should test unsaved settings from the options page', async () => {
+      const result = await testApiKey('custom', undefined, {
+        baseUrl,
+        model: 'missing-model',
+        headers: {}
+      })
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('missing-model')
+    })
+
+    it('should report a missing base URL', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({})
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hello' }], 'friendly', 'custom')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('No base URL configured')
+      expect(requests).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Tests for group chat detection and the multi-party prompt
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getSpeakers, isGroupConversation, describeGroupConversation } from '../src/lib/group_chat.js'
+import { buildSuggestionSystemPrompt } from '../src/lib/suggestions.js'
+import { getLLMSuggestions } from '../src/lib/llm_service.js'
+
+const groupContext = [
+  { role: 'user', content: 'Who is bringing snacks?', sender: 'Anna' },
+  { role: 'assistant', content: 'I can bring chips' },
+  { role: 'user', content: 'Can someone pick me up at 7?', sender: 'Ben' },
+  { role: 'user', content: '[VOICE TRANSCRIPT] see you later', source: 'voice' },
+  { role: 'user', content: 'Great, thanks!', sender: 'Anna' }
+]
+
+describe('Group Chat', () => {
+  describe('isGroupConversation', () => {
+    it('should count the other speakers', () => {
+      expect(getSpeakers(groupContext)).toEqual(['Anna', 'Ben'])
+      expect(isGroupConversation(groupContext)).toBe(true)
+      expect(isGroupConversation([{ role: 'user', content: 'Hi', sender: 'Anna' }])).toBe(false)
+    })
+
+    it('should trust the participants from the page', () => {
+      expect(isGroupConversation([{ role: 'user', content: 'Hi', sender: 'Anna' }], ['Anna', 'Ben'])).toBe(true)
+    })
+  })
+
+  describe('describeGroupConversation', () => {
+    it('should answer the latest message from someone else by default', () => {
+      const guide = describeGroupConversation(groupContext, { participants: ['Anna', 'Ben', 'Carla'] })
+
+      expect(guide).toContain('group chat between the user and Anna, Ben, Carla')
+      expect(guide).toContain('Reply to this message from Anna, even if it is not the last one: "Great, thanks!"')
+    })
+
+    it('should answer the message picked in the panel', () => {
+      const guide = describeGroupConversation(groupContext, {
+        replyTo: { sender: 'Ben', text: 'Can someone pick me up at 7?' }
+      })
+
+      expect(guide).toContain('Reply to this message from Ben, even if it is not the last one: "Can someone pick me up at 7?"')
+      expect(guide).toContain('Mention Ben by name')
+    })
+
+    it('should be empty for one-to-one chats', () => {
+      expect(describeGroupConversation([{ role: 'user', content: 'Hi', sender: 'Anna' }])).toBe('')
+    })
+  })
+
+  describe('system prompt', () => {
+    it('should put the group guide before the tone guide', () => {
+      const prompt = buildSuggestionSystemPrompt('friendly', { groupChat: 'GROUP GUIDE' })
+
+      expect(prompt).toContain('GROUP GUIDE')
+      expect(prompt.indexOf('GROUP GUIDE')).toBeLessThan(prompt.indexOf('Tone "Friendly"'))
+    })
+
+    it('should append the group guide to templates without the placeholder', () => {
+      const prompt = buildSuggestionSystemPrompt('casual', { template: 'Reply in a {{tone}} tone.', groupChat: 'GROUP GUIDE' })
+
+      expect(prompt).toBe('Reply in a casual tone.\n\nGROUP GUIDE')
+    })
+  })
+
+  describe('getLLMSuggestions', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: 'Sure, I can' } }] })
+      })
+      global.chrome.storage.sync.get.mockImplementation(() => Promise.resolve({}))
+      global.chrome.storage.local.get.mockResolvedValue({ api_key_openai: 'test-openai-key' })
+    })
+
+    it('should address the picked sender in the system prompt', async () => {
+      await getLLMSuggestions(groupContext, 'friendly', 'openai', {
+        platform: 'WhatsApp',
+        replyTo: { sender: 'Ben', text: 'Can someone pick me up at 7?' }
+      })
+
+      const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body)
+      expect(messages[0].content).toContain('The last message in the conversation is from Ben')
+      expect(messages[0].content).toContain('Reply to this message from Ben')
+      expect(messages[3].content).toBe('Ben: Can someone pick me up at 7?')
+    })
+  })
+})
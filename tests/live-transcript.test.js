@@ -0,0 +1,51 @@
+/**
+ * Tests for the rolling live transcript shown in the panel
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_LIVE_SEGMENTS,
+  MAX_LIVE_CHARACTERS,
+  appendLiveSegment,
+  formatLiveTranscript
+} from '../src/lib/live_transcript.js'
+
+describe('Live Transcript', () => {
+  it('should accumulate chunks instead of replacing them', () => {
+    let segments = appendLiveSegment([], ' Hello everyone ', 1000)
+    segments = appendLiveSegment(segments, 'let us start', 3000)
+
+    expect(segments).toEqual([
+      { text: 'Hello everyone', timestamp: 1000 },
+      { text: 'let us start', timestamp: 3000 }
+    ])
+    expect(formatLiveTranscript(segments)).toBe('Hello everyone let us start')
+  })
+
+  it('should ignore empty chunks', () => {
+    const segments = [{ text: 'Hello', timestamp: 1 }]
+
+    expect(appendLiveSegment(segments, '   ')).toBe(segments)
+    expect(appendLiveSegment(segments, undefined)).toBe(segments)
+  })
+
+  it('should keep only the newest segments', () => {
+    let segments = []
+    for (let i = 0; i < MAX_LIVE_SEGMENTS + 5; i++) {
+      segments = appendLiveSegment(segments, `chunk ${i}`, i)
+    }
+
+    expect(segments).toHaveLength(MAX_LIVE_SEGMENTS)
+    expect(segments[0].text).toBe('chunk 5')
+  })
+
+  it('should drop old text beyond the character limit but keep the latest chunk', () => {
+    const long = 'x'.repeat(MAX_LIVE_CHARACTERS / 2)
+    let segments = appendLiveSegment([], long, 1)
+    segments = appendLiveSegment(segments, long, 2)
+    segments = appendLiveSegment(segments, 'short', 3)
+
+    expect(segments.map(segment => segment.timestamp)).toEqual([2, 3])
+    expect(appendLiveSegment([], 'y'.repeat(MAX_LIVE_CHARACTERS + 1))).toHaveLength(1)
+  })
+})
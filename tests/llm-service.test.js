@@ -41,9 +41,27 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(3)
-      expect(result.suggestions[0]).toBe('Test suggestion 1')
-      expect(result.suggestions[1]).toBe('Test suggestion 2')
-      expect(result.suggestions[2]).toBe('Test suggestion 3')
+      expect(result.suggestions[0].text).toBe('Test suggestion 1')
+      expect(result.suggestions[1].text).toBe('Test suggestion 2')
+      expect(result.suggestions[2].text).toBe('Test suggestion 3')
+    })
+
+    it('should send the time and sender shown on the page', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: 'Sure' } }] })
+      })
+
+      await getLLMSuggestions([
+        { role: 'user', content: 'Lunch?', sender: 'Anna', sentAt: new Date(2024, 4, 12, 9, 5).getTime() },
+        { role: 'assistant', content: 'Maybe', sender: 'Me', sentAt: null, timestamp: Date.now() }
+      ], 'professional', 'openai')
+
+      const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body)
+      expect(messages.slice(1)).toEqual([
+        { role: 'user', content: '[2024-05-12 09:05] Anna: Lunch?' },
+        { role: 'assistant', content: 'Maybe' }
+      ])
     })
 
     it('should get suggestions from Anthropic', async () => {
@@ -66,8 +84,8 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(2)
-      expect(result.suggestions[0]).toBe('Test suggestion 1')
-      expect(result.suggestions[1]).toBe('Test suggestion 2')
+      expect(result.suggestions[0].text).toBe('Test suggestion 1')
+      expect(result.suggestions[1].text).toBe('Test suggestion 2')
     })
 
     it('should get suggestions from Google', async () => {
@@ -94,8 +112,8 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(2)
-      expect(result.suggestions[0]).toBe('Test suggestion 1')
-      expect(result.suggestions[1]).toBe('Test suggestion 2')
+      expect(result.suggestions[0].text).toBe('Test suggestion 1')
+      expect(result.suggestions[1].text).toBe('Test suggestion 2')
     })
 
     it('should handle API errors', async () => {
@@ -143,10 +161,7 @@ describe('LLM Service', () => {
     })
 
     it('should handle unsupported provider', async () => {
-      global.chrome.storage.local.get.mockResolvedValueOnce({
-        api_key_unsupported: 'test-key'
-      })
-
+      // The registry rejects unknown providers before any key lookup
       const result = await getLLMSuggestions(
         [{ role: 'user', content: 'Hello' }],
         'professional',
@@ -179,9 +194,9 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(3)
-      expect(result.suggestions[0]).toBe('Test suggestion 1')
-      expect(result.suggestions[1]).toBe('Test suggestion 2')
-      expect(result.suggestions[2]).toBe('Test suggestion 3')
+      expect(result.suggestions[0].text).toBe('Test suggestion 1')
+      expect(result.suggestions[1].text).toBe('Test suggestion 2')
+      expect(result.suggestions[2].text).toBe('Test suggestion 3')
     })
 
     it('should handle Local LLM connection errors', async () => {
@@ -421,9 +436,9 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(3)
-      expect(result.suggestions[0]).toBe('Suggestion 1')
-      expect(result.suggestions[1]).toBe('Suggestion 2')
-      expect(result.suggestions[2]).toBe('Suggestion 3')
+      expect(result.suggestions[0].text).toBe('Suggestion 1')
+      expect(result.suggestions[1].text).toBe('Suggestion 2')
+      expect(result.suggestions[2].text).toBe('Suggestion 3')
     })
 
     it('should parse Anthropic response with multiple suggestions', async () => {
@@ -446,8 +461,8 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(2)
-      expect(result.suggestions[0]).toBe('Suggestion 1')
-      expect(result.suggestions[1]).toBe('Suggestion 2')
+      expect(result.suggestions[0].text).toBe('Suggestion 1')
+      expect(result.suggestions[1].text).toBe('Suggestion 2')
     })
 
     it('should parse Google response with multiple suggestions', async () => {
@@ -474,8 +489,8 @@ describe('LLM Service', () => {
 
       expect(result.success).toBe(true)
       expect(result.suggestions).toHaveLength(2)
-      expect(result.suggestions[0]).toBe('Suggestion 1')
-      expect(result.suggestions[1]).toBe('Suggestion 2')
+      expect(result.suggestions[0].text).toBe('Suggestion 1')
+      expect(result.suggestions[1].text).toBe('Suggestion 2')
     })
 
     it('should handle empty response', async () => {
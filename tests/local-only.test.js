@@ -0,0 +1,129 @@
+/**
+ * Tests for local-only mode: no conversation data may reach a cloud endpoint
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { isLocalhostUrl, isAllowedInLocalOnlyMode, installLocalOnlyFetchGuard } from '../src/lib/local_only.js'
+import { getLLMSuggestions, streamLLMSuggestions, callProvider, listProviderModels } from '../src/lib/llm_service.js'
+
+const context = [{ role: 'user', content: 'Are we still on for Friday?' }]
+
+const CLOUD_HOSTS = ['api.openai.com', 'api.anthropic.com', 'generativelanguage.googleapis.com']
+
+function calledHosts() {
+  return global.fetch.mock.calls.map(([url]) => new URL(url).host)
+}
+
+describe('Local-only Mode', () => {
+  let syncData
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    syncData = { localOnlyMode: true }
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: '{"suggestions":[{"text":"Yes!","intent":"agree"}]}' } }] })
+    })
+    global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+      typeof key === 'string' ? { [key]: syncData[key] } : {}
+    ))
+    global.chrome.storage.local.get.mockResolvedValue({
+      api_key_openai: 'test-openai-key',
+      api_key_anthropic: 'test-anthropic-key',
+      api_key_google: 'test-google-key'
+    })
+  })
+
+  describe('URL checks', () => {
+    it('should only allow this machine and extension-internal URLs', () => {
+      expect(isLocalhostUrl('http://127.0.0.1:1234/v1/chat/completions')).toBe(true)
+      expect(isLocalhostUrl('http://[::1]:8080/v1')).toBe(true)
+      expect(isLocalhostUrl('https://llm.example.com/v1')).toBe(false)
+      expect(isAllowedInLocalOnlyMode('chrome-extension://abc/models/tiny.bin')).toBe(true)
+      expect(isAllowedInLocalOnlyMode('https://api.openai.com/v1/chat/completions')).toBe(false)
+    })
+  })
+
+  describe('llm_service', () => {
+    it.each(['openai', 'anthropic', 'google'])('should refuse %s without calling it', async (provider) => {
+      const result = await getLLMSuggestions(context, 'friendly', provider)
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Local-only mode is on')
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should skip cloud fallbacks and answer with Ollama', async () => {
+      syncData.fallbackProviders = ['anthropic', 'local']
+
+      const result = await getLLMSuggestions(context, 'friendly', 'openai')
+
+      expect(result).toMatchObject({ success: true, provider: 'local', fallback: true })
+      expect(calledHosts()).toEqual(['localhost:11434'])
+    })
+
+    it('should refuse cloud providers when streaming', async () => {
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions(context, 'friendly', 'google', onChunk)
+
+      expect(result.success).toBe(false)
+      expect(onChunk).not.toHaveBeenCalled()
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should only allow a custom endpoint on localhost', async () => {
+      syncData.customProvider = { baseUrl: 'https://llm.example.com', model: 'm' }
+      expect((await callProvider('custom', context, 'Reply')).success).toBe(false)
+
+      syncData.customProvider = { baseUrl: 'http://127.0.0.1:8000', model: 'm' }
+      expect((await callProvider('custom', context, 'Reply')).success).toBe(true)
+
+      expect(calledHosts()).toEqual(['127.0.0.1:8000'])
+    })
+
+    it('should not list cloud models', async () => {
+      await listProviderModels('openai')
+
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should use cloud providers again once it is off', async () => {
+      syncData.localOnlyMode = false
+
+      await getLLMSuggestions(context, 'friendly', 'openai')
+
+      expect(calledHosts()).toEqual(['api.openai.com'])
+    })
+  })
+
+  describe('installLocalOnlyFetchGuard', () => {
+    let scope
+    let originalFetch
+
+    beforeEach(() => {
+      originalFetch = vi.fn().mockResolvedValue({ ok: true })
+      scope = { fetch: originalFetch, location: { href: 'chrome-extension://abc/background/service-worker.js' } }
+      installLocalOnlyFetchGuard(scope)
+    })
+
+    it.each(CLOUD_HOSTS)('should block %s', async (host) => {
+      await expect(scope.fetch(`https://${host}/v1/anything`, { method: 'POST' })).rejects.toThrow('Blocked by local-only mode')
+      expect(originalFetch).not.toHaveBeenCalled()
+    })
+
+    it('should let localhost and extension resources through', async () => {
+      await scope.fetch('http://localhost:11434/api/tags')
+      await scope.fetch('/offscreen.html')
+
+      expect(await scope.fetch(new Request('http://127.0.0.1:8000/v1/models'))).toEqual({ ok: true })
+      expect(originalFetch).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not block anything when the mode is off', async () => {
+      syncData.localOnlyMode = false
+
+      await expect(scope.fetch('https://api.openai.com/v1/models')).resolves.toEqual({ ok: true })
+    })
+  })
+})
@@ -0,0 +1,153 @@
+/**
+ * Tests for meeting summaries of captured calls
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  MEETING_SUMMARY_SYSTEM_PROMPT,
+  formatMeetingTranscript,
+  parseMeetingSummary,
+  summarizeMeeting
+} from '../src/lib/meeting_summary.js'
+import {
+  startTranscriptSession,
+  addTranscriptSegment,
+  saveTranscriptSessionSummary,
+  getTranscriptSession,
+  searchTranscriptSessions,
+  clearTranscriptStore
+} from '../src/lib/transcript_store.js'
+
+const answer = {
+  summary: 'The team moved the release to Monday.',
+  decisions: ['Release on Monday'],
+  actionItems: [{ task: 'Tell support about the new date', owner: 'Priya', due: 'Friday' }],
+  openQuestions: ['Do we need a hotfix branch?']
+}
+
+function replyWith(text) {
+  global.fetch = vi.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { content: text } }] })
+  })
+}
+
+describe('Meeting Summary', () => {
+  let syncData
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    syncData = {}
+    global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+      typeof key === 'string' ? { [key]: syncData[key] } : {}
+    ))
+    global.chrome.storage.local.get.mockResolvedValue({ api_key_openai: 'test-openai-key' })
+    replyWith(JSON.stringify(answer))
+    await clearTranscriptStore()
+  })
+
+  describe('formatMeetingTranscript', () => {
+    const session = { startedAt: 0 }
+    const segments = Array.from({ length: 10 }, (_, i) => ({ text: `Point number ${i} `.repeat(5).trim(), timestamp: i * 65000 }))
+
+    it('should list the segments with their offsets', () => {
+      expect(formatMeetingTranscript(session, segments.slice(0, 2))).toBe(
+        `[00:00] ${segments[0].text}\n[01:05] ${segments[1].text}`
+      )
+    })
+
+    it('should keep the start and the end of long calls', () => {
+      const text = formatMeetingTranscript(session, segments, 100)
+
+      expect(text).toContain('Point number 0')
+      expect(text).toContain('Point number 9')
+      expect(text).not.toContain('Point number 5')
+      expect(text).toMatch(/\[\.\.\. \d+ parts of the call left out \.\.\.\]/)
+    })
+  })
+
+  describe('parseMeetingSummary', () => {
+    it('should read JSON wrapped in a code fence', () => {
+      expect(parseMeetingSummary(`Here you go:\n\`\`\`json\n${JSON.stringify(answer)}\n\`\`\``)).toEqual(answer)
+    })
+
+    it('should tidy up missing owners, string action items and missing lists', () => {
+      const summary = parseMeetingSummary(JSON.stringify({
+        summary: ' Short call ',
+        actionItems: ['Send the notes', { task: 'Book a room', owner: 'null', due: '' }, { owner: 'Sam' }]
+      }))
+
+      expect(summary).toEqual({
+        summary: 'Short call',
+        decisions: [],
+        actionItems: [
+          { task: 'Send the notes', owner: null, due: null },
+          { task: 'Book a room', owner: null, due: null }
+        ],
+        openQuestions: []
+      })
+    })
+
+    it('should return null without a JSON object', () => {
+      expect(parseMeetingSummary('The meeting was about the release.')).toBeNull()
+      expect(parseMeetingSummary('{ not json }')).toBeNull()
+    })
+  })
+
+  describe('summarizeMeeting', () => {
+    let session
+
+    beforeEach(async () => {
+      session = (await startTranscriptSession({ tabId: 3, title: 'Release sync', url: 'https://meet.google.com/abc' }, 1000)).session
+      await addTranscriptSegment({ sessionId: session.id, text: 'Release moves to Monday', timestamp: 3000 })
+      await addTranscriptSegment({ sessionId: session.id, text: 'Priya tells support by Friday', timestamp: 64000 })
+    })
+
+    it('should send the session transcript with the meeting prompt', async () => {
+      const result = await summarizeMeeting(session.id, 'openai')
+
+      expect(result.success).toBe(true)
+      expect(result.summary).toMatchObject({ ...answer, provider: 'openai', createdAt: expect.any(Number) })
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+      expect(body.response_format).toEqual({ type: 'json_object' })
+      expect(body.messages[0]).toEqual({ role: 'system', content: MEETING_SUMMARY_SYSTEM_PROMPT })
+      expect(body.messages[1].content).toBe(
+        'Meeting: Release sync\n\nTranscript:\n[00:02] Release moves to Monday\n[01:03] Priya tells support by Friday'
+      )
+    })
+
+    it('should summarise with a local Ollama model', async () => {
+      const result = await summarizeMeeting(session.id, 'local')
+
+      expect(result.success).toBe(true)
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions')
+    })
+
+    it('should report provider failures and unusable answers', async () => {
+      syncData.localOnlyMode = true
+      expect((await summarizeMeeting(session.id, 'openai')).error).toContain('Local-only mode is on')
+
+      syncData.localOnlyMode = false
+      replyWith('Sorry, I can only chat.')
+      expect((await summarizeMeeting(session.id, 'openai')).error).toContain('did not return a summary')
+    })
+
+    it('should not call the provider for missing or empty sessions', async () => {
+      const empty = (await startTranscriptSession({ title: 'Silent call' }, 2000)).session
+
+      expect((await summarizeMeeting(999, 'openai')).success).toBe(false)
+      expect((await summarizeMeeting(empty.id, 'openai')).error).toContain('Nothing has been transcribed')
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should save the summary with the session', async () => {
+      const { summary } = await summarizeMeeting(session.id, 'openai')
+
+      expect((await saveTranscriptSessionSummary(session.id, summary)).success).toBe(true)
+      expect((await getTranscriptSession(session.id)).summary).toEqual(summary)
+      expect((await searchTranscriptSessions('moved the release')).map(result => result.id)).toEqual([session.id])
+      expect((await saveTranscriptSessionSummary(999, summary)).success).toBe(false)
+    })
+  })
+})
@@ -2,8 +2,8 @@
  * Tests for Platform Adapter
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { getAdapter, getRecentMessages, hasChatInterface } from '../src/lib/platform_adapter.js'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getAdapter, getRecentMessages, hasChatInterface, getConversation, getContactName, onConversationChange } from '../src/lib/platform_adapter.js'
 
 describe('Platform Adapter', () => {
   beforeEach(() => {
@@ -237,6 +237,63 @@ describe('Platform Adapter', () => {
       expect(messages[1].role).toBe('user')
     })
 
+    it('should read the time and sender from WhatsApp messages', () => {
+      document.body.innerHTML = `
+        <div class="message-in"><div class="copyable-text" data-pre-plain-text="[9:41 PM, 5/13/2024] Anna: ">
+          <span>See you tomorrow</span>
+        </div></div>
+        <div class="message-in"><div class="copyable-text" data-pre-plain-text="[08:15, 14.05.2024] Ben: ">
+          <span>Morning all</span>
+        </div></div>
+      `
+
+      const messages = getRecentMessages(getAdapter('web.whatsapp.com'), 5)
+
+      expect(messages[0]).toMatchObject({ sender: 'Anna', sentAt: new Date(2024, 4, 13, 21, 41).getTime() })
+      expect(messages[1]).toMatchObject({ sender: 'Ben', sentAt: new Date(2024, 4, 14, 8, 15).getTime() })
+      expect(messages[1].timestamp).toBe(messages[1].sentAt)
+    })
+
+    it('should carry names and times through runs of messages from one person', () => {
+      document.body.innerHTML = `
+        <div data-qa="virtual-list">
+          <div data-qa="message_container"><span data-qa="message_text">Before</span></div>
+          <div data-qa="message_container">
+            <span data-qa="message_sender_name">Anna</span><a data-ts="1715509930.000100"></a>
+            <span data-qa="message_text">First</span>
+          </div>
+          <div data-qa="message_container"><span data-qa="message_text">Second</span></div>
+        </div>
+      `
+
+      const messages = getRecentMessages(getAdapter('app.slack.com'), 5)
+
+      expect(messages.map(m => [m.sender, m.sentAt, m.timestamp])).toEqual([
+        [null, null, 1715509930000],
+        ['Anna', 1715509930000, 1715509930000],
+        ['Anna', null, 1715509930000]
+      ])
+    })
+
+    it('should read Discord times and stamp messages without any time with now', () => {
+      document.body.innerHTML = `
+        <ol id="chat-messages-1">
+          <li id="chat-messages-1-1">
+            <span id="message-username-1">ben</span><time datetime="2024-05-12T10:32:10.000Z"></time>
+            <div id="message-content-1">Deploying now</div>
+          </li>
+        </ol>
+        <div class="message-in"><span class="copyable-text"><span dir="ltr">No time here</span></span></div>
+      `
+
+      const [discord] = getRecentMessages(getAdapter('discord.com'), 5)
+      const [whatsapp] = getRecentMessages(getAdapter('web.whatsapp.com'), 5)
+
+      expect(discord).toMatchObject({ sender: 'ben', sentAt: Date.parse('2024-05-12T10:32:10.000Z') })
+      expect(whatsapp.sentAt).toBeNull()
+      expect(whatsapp.timestamp).toBeCloseTo(Date.now(), -3)
+    })
+
     it('should limit messages to specified count', () => {
       // Create multiple message elements
       for (let i = 0; i < 5; i++) {
@@ -283,4 +340,125 @@ describe('Platform Adapter', () => {
       expect(hasInterface).toBe(false)
     })
   })
+
+  describe('getConversation', () => {
+    afterEach(() => {
+      window.happyDOM.setURL('http://localhost:3000/')
+    })
+
+    it('should identify WhatsApp chats by the header title', () => {
+      document.body.innerHTML = `
+        <div id="main"><header>
+          <span title="Book club">Book club</span>
+          <span title="Anna, Ben, You">Anna, Ben, You</span>
+        </header></div>
+      `
+
+      expect(getConversation(getAdapter('web.whatsapp.com'))).toEqual({
+        platform: 'WhatsApp',
+        conversationId: 'chat:Book club',
+        title: 'Book club',
+        participants: ['Anna', 'Ben']
+      })
+    })
+
+    it('should identify URL-based chats and list message senders', () => {
+      window.happyDOM.setURL('https://app.slack.com/client/T0123/C0456')
+      document.body.innerHTML = `
+        <span data-qa="channel_name">design</span>
+        <span data-qa="message_sender_name">Anna</span>
+        <span data-qa="message_sender_name">Ben</span>
+        <span data-qa="message_sender_name">Anna</span>
+      `
+
+      expect(getConversation(getAdapter('app.slack.com'))).toEqual({
+        platform: 'Slack',
+        conversationId: 'T0123/C0456',
+        title: 'design',
+        participants: ['Anna', 'Ben']
+      })
+    })
+
+    it('should read conversation ids from the URL for every other platform', () => {
+      const cases = [
+        ['web.telegram.org', '/k/#-1001234567', '-1001234567'],
+        ['discord.com', '/channels/@me/98765', '@me/98765'],
+        ['www.linkedin.com', '/messaging/thread/2-abcDEF==/', '2-abcDEF=='],
+        ['www.messenger.com', '/e2ee/t/1234567/', '1234567'],
+        ['chat.google.com', '/u/0/room/AAAAbcd', 'room/AAAAbcd']
+      ]
+
+      for (const [hostname, path, expected] of cases) {
+        window.happyDOM.setURL(`https://${hostname}${path}`)
+        expect(getAdapter(hostname).getConversationId()).toBe(expected)
+      }
+    })
+
+    it('should fall back to the title for participants and null without a chat', () => {
+      document.body.innerHTML = '<div class="chat-info"><span class="peer-title">Anna</span></div>'
+      const adapter = getAdapter('web.telegram.org')
+
+      expect(adapter.getParticipants()).toEqual(['Anna'])
+      expect(adapter.getConversationId()).toBeNull()
+    })
+
+    it('should name the contact in one-to-one chats only', () => {
+      document.body.innerHTML = '<div id="main"><header><span title="Anna">Anna</span></header></div>'
+      expect(getContactName(getConversation(getAdapter('web.whatsapp.com')))).toBe('Anna')
+
+      document.body.innerHTML = `
+        <div id="main"><header>
+          <span title="Book club">Book club</span>
+          <span title="Anna, Ben, You">Anna, Ben, You</span>
+        </header></div>
+      `
+      expect(getContactName(getConversation(getAdapter('web.whatsapp.com')))).toBeNull()
+      expect(getContactName({ title: null, participants: [] })).toBeNull()
+    })
+  })
+
+  describe('onConversationChange', () => {
+    const header = title => `<div id="main"><header><span title="${title}">${title}</span></header></div>`
+
+    // MutationObserver is mocked in the test setup, so DOM changes are announced with popstate
+    const switchTo = async html => {
+      document.body.innerHTML = html
+      window.dispatchEvent(new Event('popstate'))
+      await vi.advanceTimersByTimeAsync(300)
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should call back once per chat switch', async () => {
+      document.body.innerHTML = header('Anna')
+      const callback = vi.fn()
+      const stop = onConversationChange(getAdapter('web.whatsapp.com'), callback)
+
+      await switchTo(header('Ben'))
+      await switchTo(header('Ben'))
+
+      expect(callback).toHaveBeenCalledTimes(1)
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ conversationId: 'chat:Ben', title: 'Ben' }), 'chat:Anna')
+      stop()
+    })
+
+    it('should ignore moments without a conversation and stop when asked', async () => {
+      document.body.innerHTML = header('Anna')
+      const callback = vi.fn()
+      const stop = onConversationChange(getAdapter('web.whatsapp.com'), callback)
+
+      await switchTo('<div>Loading…</div>')
+      await switchTo(header('Anna'))
+      stop()
+      await switchTo(header('Ben'))
+
+      expect(callback).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,118 @@
+/**
+ * Tests for user-editable suggestion prompt templates
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  DEFAULT_SUGGESTION_TEMPLATE,
+  renderPromptTemplate,
+  findUnknownPlaceholders
+} from '../src/lib/prompt_templates.js'
+import { buildSuggestionSystemPrompt } from '../src/lib/suggestions.js'
+import { setPromptTemplate } from '../src/lib/storage.js'
+import { getLLMSuggestions, streamLLMSuggestions } from '../src/lib/llm_service.js'
+
+describe('Prompt Templates', () => {
+  describe('renderPromptTemplate', () => {
+    it('should fill in placeholders, tolerating spaces inside the braces', () => {
+      expect(renderPromptTemplate('Reply to {{contactName}} on {{ platform }} in a {{tone}} tone', {
+        contactName: 'Anna',
+        platform: 'Slack',
+        tone: 'friendly'
+      })).toBe('Reply to Anna on Slack in a friendly tone')
+    })
+
+    it('should use fallbacks for empty values and keep unknown placeholders', () => {
+      expect(renderPromptTemplate('{{language}} / {{contactName}} / {{mood}}', { language: '  ' }))
+        .toBe('the EXACT SAME language as the last message / the other person / {{mood}}')
+    })
+
+    it('should flag unknown placeholders once each', () => {
+      expect(findUnknownPlaceholders('{{tone}} {{mood}} {{Tone}} {{mood}}')).toEqual(['mood', 'Tone'])
+      expect(findUnknownPlaceholders(DEFAULT_SUGGESTION_TEMPLATE)).toEqual([])
+    })
+  })
+
+  describe('buildSuggestionSystemPrompt', () => {
+    it('should render the default template with the suggestion count', () => {
+      const prompt = buildSuggestionSystemPrompt('formal', { platform: 'Telegram', language: 'German' })
+
+      expect(prompt).toContain('chat conversations on Telegram')
+      expect(prompt).toContain('ALWAYS respond in German')
+      expect(prompt).toContain('exactly 3 diverse')
+      expect(prompt).not.toContain('{{')
+    })
+
+    it('should use a custom template', () => {
+      // 'casual' isn't a profile, so there is no tone guide to append
+      expect(buildSuggestionSystemPrompt('casual', { template: 'Be {{tone}}, give {{count}}' })).toBe('Be casual, give 3')
+    })
+  })
+
+  describe('provider requests', () => {
+    const context = [{ role: 'user', content: 'Lunch?' }]
+    let syncData
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.fetch = vi.fn()
+      syncData = {
+        promptTemplate: 'Answer {{contactName}} on {{platform}} in {{language}}, {{tone}}',
+        replyLanguage: 'French'
+      }
+      global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+        typeof key === 'string' ? { [key]: syncData[key] } : {}
+      ))
+      global.chrome.storage.local.get.mockResolvedValue({ api_key_openai: 'test-openai-key' })
+    })
+
+    it('should send the stored template from getLLMSuggestions', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: '["Oui"]' } }] })
+      })
+
+      await getLLMSuggestions(context, 'casual', 'openai', { platform: 'WhatsApp', contactName: 'Anna' })
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.messages[0]).toEqual({ role: 'system', content: 'Answer Anna on WhatsApp in French, casual' })
+    })
+
+    it('should name the contact of a one-to-one chat in the default template', async () => {
+      delete syncData.promptTemplate
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: '["Oui"]' } }] })
+      })
+
+      await getLLMSuggestions(context, 'casual', 'openai', { platform: 'WhatsApp', contactName: 'Anna', participants: ['Anna'] })
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.messages[0].content).toContain('The last message in the conversation is from Anna')
+      expect(body.messages[0].content).not.toContain('the other person')
+    })
+
+    it('should send the same prompt from streamLLMSuggestions', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"[\\"Oui\\"]"}}]}\n\n'))
+            controller.close()
+          }
+        })
+      })
+
+      await streamLLMSuggestions(context, 'casual', 'openai', vi.fn(), { platform: 'WhatsApp' })
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.messages[0].content).toBe('Answer the other person on WhatsApp in French, casual')
+    })
+
+    it('should store an empty template as the default', async () => {
+      await setPromptTemplate('   ')
+
+      expect(global.chrome.storage.sync.set).toHaveBeenCalledWith({ promptTemplate: null })
+    })
+  })
+})
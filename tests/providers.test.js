@@ -0,0 +1,448 @@
+/**
+ * Tests for the Provider Registry
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getProvider, listProviders, registerProvider } from '../src/lib/providers/index.js'
+import { streamLLMSuggestions, getLLMSuggestions, listProviderModels } from '../src/lib/llm_service.js'
+
+/**
+ * Build a fetch response whose body streams the given text chunks
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder()
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)))
+        controller.close()
+      }
+    })
+  }
+}
+
+describe('Provider Registry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    global.fetch = vi.fn()
+
+    global.chrome.storage.local.get.mockResolvedValue({
+      api_key_openai: 'test-openai-key',
+      api_key_anthropic: 'test-anthropic-key',
+      api_key_google: 'test-google-key'
+    })
+  })
+
+  describe('lookup', () => {
+    it('should register the built-in providers', () => {
+      const ids = listProviders().map(provider => provider.id)
+      expect(ids).toEqual(expect.arrayContaining(['openai', 'anthropic', 'google', 'local']))
+    })
+
+    it('should look up providers case-insensitively', () => {
+      expect(getProvider('OpenAI')).toBe(getProvider('openai'))
+    })
+
+    it('should return null for unknown providers', () => {
+      expect(getProvider('unsupported')).toBeNull()
+      expect(getProvider(undefined)).toBeNull()
+    })
+
+    it('should declare key requirements and default models', () => {
+      expect(getProvider('openai').requiresKey).toBe(true)
+      expect(getProvider('local').requiresKey).toBe(false)
+      expect(getProvider('anthropic').defaultModel).toBe('claude-3-5-sonnet-20241022')
+    })
+  })
+
+  describe('custom providers', () => {
+    it('should route getLLMSuggestions to a newly registered provider', async () => {
+      const call = vi.fn().mockResolvedValue({ success: true, data: 'One---Two' })
+      registerProvider({
+        id: 'echo',
+        name: 'Echo',
+        label: 'Echo',
+        requiresKey: false,
+        defaultModel: 'echo-1',
+        mapError: () => 'error',
+        mapNetworkError: () => 'network error',
+        call,
+        stream: vi.fn()
+      })
+
+      const result = await getLLMSuggestions([{ role: 'user', text: 'Hi' }], 'friendly', 'echo')
+
+      expect(result.suggestions.map(suggestion => suggestion.text)).toEqual(['One', 'Two'])
+      expect(call).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'echo-1',
+        context: [{ role: 'user', content: 'Hi' }]
+      }))
+    })
+  })
+
+  describe('streaming', () => {
+    it('should stream OpenAI deltas split across network chunks', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n'
+      ]))
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', onChunk)
+
+      expect(result.success).toBe(true)
+      expect(onChunk.mock.calls.map(call => call[0])).toEqual(['Hel', 'lo'])
+    })
+
+    it('should stream Anthropic content_block_delta events', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hi there"}}\n\n'
+      ]))
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'anthropic', onChunk)
+
+      expect(result.success).toBe(true)
+      expect(onChunk).toHaveBeenCalledWith('Hi there')
+    })
+
+    it('should stream from the local provider without an API key', async () => {
+      global.chrome.storage.local.get.mockResolvedValue({})
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Local"}}]}\n\n'
+      ]))
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'local', onChunk)
+
+      expect(result.success).toBe(true)
+      expect(onChunk).toHaveBeenCalledWith('Local')
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:11434/v1/chat/completions', expect.any(Object))
+    })
+
+    it('should use the provider error mapping for streaming failures', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({ retrySettings: { maxRetries: 0 } })
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        json: () => Promise.resolve({})
+      })
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', vi.fn())
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Rate limit exceeded')
+    })
+
+    it('should reject unsupported providers', async () => {
+      const result = await streamLLMSuggestions([], 'friendly', 'unsupported', vi.fn())
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('Unsupported provider')
+    })
+  })
+
+  describe('cancellation', () => {
+    /**
+     * Fetch mock that sends one chunk and then holds the body open until the request is aborted
+     */
+    function mockHangingStream(firstChunk) {
+      global.fetch.mockImplementationOnce((url, options) => {
+        const encoder = new TextEncoder()
+        return Promise.resolve({
+          ok: true,
+          body: new ReadableStream({
+            start(controller) {
+              controller.enqueue(encoder.encode(firstChunk))
+              options.signal.addEventListener('abort', () => {
+                controller.error(new DOMException('The operation was aborted.', 'AbortError'))
+              })
+            }
+          })
+        })
+      })
+    }
+
+    it.each([
+      ['openai', 'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n'],
+      ['anthropic', 'data: {"type":"content_block_delta","delta":{"text":"Partial"}}\n\n'],
+      ['google', 'data: {"candidates":[{"content":{"parts":[{"text":"Partial"}]}}]}\r\n\r\n'],
+      ['local', 'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n']
+    ])('should abort the %s request when the signal fires', async (provider, firstChunk) => {
+      mockHangingStream(firstChunk)
+      const controller = new AbortController()
+      const onChunk = vi.fn(() => controller.abort())
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', provider, onChunk, {
+        signal: controller.signal
+      })
+
+      expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal)
+      expect(onChunk).toHaveBeenCalledTimes(1)
+      expect(result).toEqual({ success: false, cancelled: true, error: 'Request cancelled' })
+    })
+
+    it('should not report cancellation for a stream that finished normally', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Done"}}]}\n\n'
+      ]))
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', vi.fn(), {
+        signal: new AbortController().signal
+      })
+
+      expect(result).toEqual({
+        success: true,
+        provider: 'openai',
+        providerName: 'OpenAI',
+        fallback: false,
+        attempts: 1,
+        suggestions: [{ text: 'Done', intent: 'agree', language: null }]
+      })
+    })
+  })
+
+  describe('model selection', () => {
+    it('should use the saved default model for cloud providers', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({ defaultModels: { openai: 'gpt-4o-mini' } })
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: 'Hello' } }] })
+      })
+
+      await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+      expect(body.model).toBe('gpt-4o-mini')
+    })
+
+    it('should prefer a session model override over the default', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({ defaultModels: { google: 'gemini-1.5-pro' } })
+      global.chrome.storage.local.get.mockResolvedValue({
+        api_key_google: 'test-google-key',
+        sessionModels: { google: 'gemini-2.0-flash' }
+      })
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: 'Hello' }] } }] })
+      })
+
+      await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'google')
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/models/gemini-2.0-flash:generateContent')
+    })
+
+    it('should fall back to the provider default model', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({})
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ content: [{ text: 'Hello' }] })
+      })
+
+      await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'anthropic')
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+      expect(body.model).toBe('claude-3-5-sonnet-20241022')
+    })
+
+    it('should list only OpenAI chat models', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          data: [{ id: 'whisper-1' }, { id: 'gpt-4o' }, { id: 'text-embedding-3-small' }, { id: 'o1-mini' }]
+        })
+      })
+
+      const result = await listProviderModels('openai')
+
+      expect(result).toEqual({ success: true, models: ['gpt-4o', 'o1-mini'] })
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer test-openai-key')
+    })
+
+    it('should list Gemini models that support generateContent', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          models: [
+            { name: 'models/gemini-1.5-pro', supportedGenerationMethods: ['generateContent'] },
+            { name: 'models/embedding-001', supportedGenerationMethods: ['embedContent'] }
+          ]
+        })
+      })
+
+      const result = await listProviderModels('google', { apiKey: 'typed-key' })
+
+      expect(result).toEqual({ success: true, models: ['gemini-1.5-pro'] })
+      expect(global.fetch.mock.calls[0][0]).toContain('key=typed-key')
+    })
+  })
+
+  describe('fallback chain', () => {
+    const rateLimited = () => ({ ok: false, status: 429, json: () => Promise.resolve({}) })
+
+    beforeEach(() => {
+      global.chrome.storage.sync.get.mockResolvedValue({
+        fallbackProviders: ['anthropic', 'local'],
+        retrySettings: { maxRetries: 0 }
+      })
+    })
+
+    it('should answer from the next provider when the first one is rate limited', async () => {
+      global.fetch
+        .mockResolvedValueOnce(rateLimited())
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ content: [{ text: 'From Claude' }] })
+        })
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      expect(result).toMatchObject({
+        success: true,
+        suggestions: [{ text: 'From Claude', intent: 'agree', language: null }],
+        provider: 'anthropic',
+        providerName: 'Anthropic',
+        fallback: true
+      })
+      expect(global.fetch.mock.calls[1][0]).toBe('https://api.anthropic.com/v1/messages')
+    })
+
+    it('should fall back when the network is down', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('Failed to fetch'))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ content: [{ text: 'Still here' }] })
+        })
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      expect(result.success).toBe(true)
+      expect(result.provider).toBe('anthropic')
+    })
+
+    it('should not try the selected provider twice', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({
+        fallbackProviders: ['openai', 'anthropic'],
+        retrySettings: { maxRetries: 0 }
+      })
+      global.fetch.mockResolvedValue(rateLimited())
+
+      await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should report every failure when the whole chain fails', async () => {
+      global.fetch.mockResolvedValue(rateLimited())
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('All providers failed')
+      expect(result.error).toContain('OpenAI: Rate limit exceeded')
+      expect(result.error).toContain('Local LLM:')
+      expect(global.fetch).toHaveBeenCalledTimes(3)
+    })
+
+    it('should fall back while streaming if nothing has been emitted yet', async () => {
+      global.fetch
+        .mockResolvedValueOnce(rateLimited())
+        .mockResolvedValueOnce(createStreamResponse([
+          'data: {"type":"content_block_delta","delta":{"text":"Fallback"}}\n\n'
+        ]))
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', onChunk)
+
+      expect(result).toMatchObject({ success: true, provider: 'anthropic', fallback: true })
+      expect(onChunk.mock.calls.map(call => call[0])).toEqual(['Fallback'])
+    })
+
+    it('should not switch providers after streaming output has been emitted', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Half"}}]}\n\n'))
+          },
+          pull(controller) {
+            // Only fail once the first chunk has been read
+            if (controller.desiredSize > 0) {
+              controller.error(new Error('connection reset'))
+            }
+          }
+        })
+      })
+      const onChunk = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', onChunk)
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('connection reset')
+      expect(onChunk).toHaveBeenCalledWith('Half')
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('retries', () => {
+    beforeEach(() => {
+      global.chrome.storage.sync.get.mockResolvedValue({ retrySettings: { maxRetries: 2, maxDelayMs: 50 } })
+    })
+
+    it('should retry a rate-limited request and report the attempt count', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 429, headers: new Headers({ 'retry-after-ms': '5' }), json: () => Promise.resolve({}) })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ choices: [{ message: { content: 'Hello' } }] })
+        })
+
+      const result = await getLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai')
+
+      expect(result).toMatchObject({ success: true, suggestions: [{ text: 'Hello' }], attempts: 2 })
+    })
+
+    it('should tell the caller about retries while streaming', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 503, json: () => Promise.resolve({}) })
+        .mockResolvedValueOnce(createStreamResponse([
+          'data: {"type":"content_block_delta","delta":{"text":"Back"}}\n\n'
+        ]))
+      const onRetry = vi.fn()
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'anthropic', vi.fn(), { onRetry })
+
+      expect(result).toMatchObject({ success: true, attempts: 2 })
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({
+        retry: 1,
+        maxRetries: 2,
+        status: 503,
+        provider: 'anthropic',
+        providerName: 'Anthropic'
+      }))
+    })
+
+    it('should not retry once streaming output has been emitted', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Half"}}]}\n\n'))
+          },
+          pull(controller) {
+            if (controller.desiredSize > 0) {
+              controller.error(new Error('connection reset'))
+            }
+          }
+        })
+      })
+
+      const result = await streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', 'openai', vi.fn())
+
+      expect(result.success).toBe(false)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+})
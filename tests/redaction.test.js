@@ -0,0 +1,143 @@
+/**
+ * Tests for PII redaction before cloud provider calls
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createRedactor, createStreamRestorer } from '../src/lib/redaction.js'
+import { getLLMSuggestions, streamLLMSuggestions } from '../src/lib/llm_service.js'
+
+const context = [
+  { role: 'user', content: 'Mail me at anna.smith@example.com or call +49 30 1234567', sender: 'Anna Smith' },
+  { role: 'assistant', content: 'Will do' },
+  { role: 'user', content: 'Send it to anna.smith@example.com, not to Project Falcon', sender: 'Anna Smith' }
+]
+
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder()
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)))
+        controller.close()
+      }
+    })
+  }
+}
+
+describe('Redaction', () => {
+  describe('createRedactor', () => {
+    it('should replace emails, phone numbers, IBANs, cards and addresses', () => {
+      const redactor = createRedactor()
+
+      const text = redactor.redact(
+        'Write to jo@mail.io, call (555) 123-4567, pay DE89 3704 0044 0532 0130 00 ' +
+        'with 4111 1111 1111 1111 and ship to 221B Baker Street or Hauptstraße 5'
+      )
+
+      expect(text).toBe('Write to [EMAIL_1], call [PHONE_1], pay [IBAN_1] with [CARD_1] and ship to [ADDRESS_1] or [ADDRESS_2]')
+    })
+
+    it('should leave dates, times, short numbers and invalid account numbers alone', () => {
+      const redactor = createRedactor()
+      const text = 'Meet on 2024-05-12 at 10:30, room 42, ref 4111 1111 1111 1112, DE00 1234 5678 9012 3456'
+
+      expect(redactor.redact(text)).toBe(text)
+    })
+
+    it('should give the same value the same placeholder', () => {
+      const redactor = createRedactor({ terms: ['Anna Smith', 'Anna'] })
+
+      const messages = redactor.redactMessages(context)
+
+      expect(messages[0].content).toBe('Mail me at [EMAIL_1] or call [PHONE_1]')
+      expect(messages[0].sender).toBe('[TERM_1]')
+      expect(messages[2].content).toBe('Send it to [EMAIL_1], not to Project Falcon')
+      expect(redactor.redact('anna and ANNA')).toBe('[TERM_2] and [TERM_2]')
+      expect(context[0].content).toContain('anna.smith@example.com')
+    })
+
+    it('should restore only known placeholders', () => {
+      const redactor = createRedactor({ terms: ['Project Falcon'] })
+      redactor.redact('About Project Falcon, mail jo@mail.io')
+
+      expect(redactor.restore('Sure, [TERM_1] goes to [EMAIL_1], cc [EMAIL_2]'))
+        .toBe('Sure, Project Falcon goes to jo@mail.io, cc [EMAIL_2]')
+      expect(redactor.getReplacements()).toEqual([
+        { placeholder: '[EMAIL_1]', original: 'jo@mail.io' },
+        { placeholder: '[TERM_1]', original: 'Project Falcon' }
+      ])
+    })
+  })
+
+  describe('createStreamRestorer', () => {
+    it('should wait for placeholders split across chunks', () => {
+      const redactor = createRedactor()
+      redactor.redact('jo@mail.io')
+      const restorer = createStreamRestorer(redactor)
+
+      expect(restorer.push('Mail [EM')).toBe('Mail ')
+      expect(restorer.push('AIL_1] now [')).toBe('jo@mail.io now ')
+      expect(restorer.flush()).toBe('[')
+    })
+  })
+
+  describe('provider calls', () => {
+    let syncData
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      syncData = {}
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: '{"suggestions":[{"text":"Sent to [EMAIL_1]","intent":"agree"}]}' } }] })
+      })
+      global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+        typeof key === 'string' ? { [key]: syncData[key] } : {}
+      ))
+      global.chrome.storage.local.get.mockImplementation(key => Promise.resolve(
+        key === 'redactionTerms' ? { redactionTerms: ['Project Falcon'] } : { api_key_openai: 'test-openai-key' }
+      ))
+    })
+
+    it('should send placeholders to cloud providers and restore them in the suggestions', async () => {
+      const result = await getLLMSuggestions(context, 'friendly', 'openai', { platform: 'WhatsApp' })
+
+      const body = global.fetch.mock.calls[0][1].body
+      expect(body).not.toContain('anna.smith@example.com')
+      expect(body).not.toContain('1234567')
+      expect(body).not.toContain('Project Falcon')
+      expect(body).toContain('[EMAIL_1]')
+      expect(result.suggestions[0].text).toBe('Sent to anna.smith@example.com')
+    })
+
+    it('should send the original text to local models', async () => {
+      await getLLMSuggestions(context, 'friendly', 'local', { platform: 'WhatsApp' })
+
+      expect(global.fetch.mock.calls[0][1].body).toContain('anna.smith@example.com')
+    })
+
+    it('should send the original text when redaction is off', async () => {
+      syncData.redactionEnabled = false
+
+      await getLLMSuggestions(context, 'friendly', 'openai', { platform: 'WhatsApp' })
+
+      expect(global.fetch.mock.calls[0][1].body).toContain('anna.smith@example.com')
+    })
+
+    it('should restore placeholders in streamed suggestions', async () => {
+      global.fetch = vi.fn().mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"{\\"suggestions\\":[{\\"text\\":\\"Sent to [EMA"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"IL_1]\\",\\"intent\\":\\"agree\\"}]}"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]))
+      const chunks = []
+
+      const result = await streamLLMSuggestions(context, 'friendly', 'openai', chunk => chunks.push(chunk), { platform: 'WhatsApp' })
+
+      expect(chunks.join('')).toContain('Sent to anna.smith@example.com')
+      expect(chunks.join('')).not.toContain('[EMA')
+      expect(result.suggestions[0].text).toBe('Sent to anna.smith@example.com')
+    })
+  })
+})
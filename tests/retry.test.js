@@ -0,0 +1,139 @@
+/**
+ * Tests for the retry layer
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { fetchWithRetry, getBackoffDelay, isRetryableStatus, parseRetryAfter } from '../src/lib/retry.js'
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Headers(headers)
+})
+
+describe('Retry Layer', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    global.fetch = vi.fn()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('isRetryableStatus', () => {
+    it('should retry rate limits and server errors only', () => {
+      expect(isRetryableStatus(429)).toBe(true)
+      expect(isRetryableStatus(503)).toBe(true)
+      expect(isRetryableStatus(408)).toBe(true)
+      expect(isRetryableStatus(501)).toBe(false)
+      expect(isRetryableStatus(401)).toBe(false)
+      expect(isRetryableStatus(400)).toBe(false)
+    })
+  })
+
+  describe('parseRetryAfter', () => {
+    it('should read Retry-After in seconds', () => {
+      expect(parseRetryAfter(new Headers({ 'Retry-After': '3' }))).toBe(3000)
+    })
+
+    it('should read Retry-After as an HTTP date', () => {
+      const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT')
+      expect(parseRetryAfter(new Headers({ 'Retry-After': 'Mon, 19 Oct 2026 10:00:05 GMT' }), now)).toBe(5000)
+    })
+
+    it('should prefer retry-after-ms', () => {
+      expect(parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'Retry-After': '1' }))).toBe(250)
+    })
+
+    it('should return null when the header is missing or unreadable', () => {
+      expect(parseRetryAfter(new Headers())).toBeNull()
+      expect(parseRetryAfter(new Headers({ 'Retry-After': 'soon' }))).toBeNull()
+      expect(parseRetryAfter(undefined)).toBeNull()
+    })
+  })
+
+  describe('getBackoffDelay', () => {
+    const settings = { baseDelayMs: 500, maxDelayMs: 4000 }
+
+    it('should grow exponentially up to the cap', () => {
+      const max = () => 0.999999
+      expect(getBackoffDelay(0, settings, max)).toBe(499)
+      expect(getBackoffDelay(2, settings, max)).toBe(1999)
+      expect(getBackoffDelay(5, settings, max)).toBe(3999)
+    })
+
+    it('should jitter between zero and the ceiling', () => {
+      expect(getBackoffDelay(3, settings, () => 0)).toBe(0)
+      expect(getBackoffDelay(3, settings, () => 0.5)).toBe(2000)
+    })
+  })
+
+  describe('fetchWithRetry', () => {
+    it('should return a successful response without retrying', async () => {
+      global.fetch.mockResolvedValueOnce(response(200))
+
+      const result = await fetchWithRetry('https://example.com', {})
+
+      expect(result.status).toBe(200)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not retry client errors', async () => {
+      global.fetch.mockResolvedValueOnce(response(401))
+
+      const result = await fetchWithRetry('https://example.com', {})
+
+      expect(result.status).toBe(401)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should wait for Retry-After before retrying', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(429, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(response(200))
+      const onRetry = vi.fn()
+
+      const pending = fetchWithRetry('https://example.com', {}, { onRetry })
+      await vi.advanceTimersByTimeAsync(1999)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      await vi.advanceTimersByTimeAsync(1)
+
+      expect((await pending).status).toBe(200)
+      expect(onRetry).toHaveBeenCalledWith({ retry: 1, maxRetries: 2, status: 429, delayMs: 2000 })
+    })
+
+    it('should give up after maxRetries and return the last response', async () => {
+      global.fetch.mockResolvedValue(response(503))
+
+      const pending = fetchWithRetry('https://example.com', {}, { maxRetries: 3, maxDelayMs: 100 })
+      await vi.runAllTimersAsync()
+
+      expect((await pending).status).toBe(503)
+      expect(global.fetch).toHaveBeenCalledTimes(4)
+    })
+
+    it('should not wait longer than the cap when Retry-After asks for more', async () => {
+      global.fetch.mockResolvedValueOnce(response(429, { 'Retry-After': '120' }))
+
+      const result = await fetchWithRetry('https://example.com', {}, { maxDelayMs: 10000 })
+
+      expect(result.status).toBe(429)
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stop waiting when the request is aborted', async () => {
+      global.fetch.mockResolvedValue(response(429, { 'Retry-After': '5' }))
+      const controller = new AbortController()
+
+      const pending = fetchWithRetry('https://example.com', { signal: controller.signal })
+      const assertion = expect(pending).rejects.toThrow()
+      await vi.advanceTimersByTimeAsync(100)
+      controller.abort()
+
+      await assertion
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -111,6 +111,9 @@ global.navigator = {
   }
 }
 
+// Keep the real fetch for tests that talk to a local stub server
+global.nativeFetch = global.fetch
+
 // Mock fetch for API calls
 global.fetch = vi.fn()
 
@@ -2,6 +2,7 @@
  * Tests for Storage Functions
  */
 
+import 'fake-indexeddb/auto'
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import {
   saveKey,
@@ -18,10 +19,14 @@ import {
   setDefaultProvider,
   getVoiceEnabled,
   setVoiceEnabled,
+  getCustomProviderSettings,
+  setCustomProviderSettings,
   saveRecentTranscript,
   getRecentTranscripts,
+  clearLegacyTranscripts,
   clearAllData
 } from '../src/lib/storage.js'
+import { clearTranscriptStore } from '../src/lib/transcript_store.js'
 
 describe('Storage Functions', () => {
   beforeEach(() => {
@@ -37,11 +42,7 @@ describe('Storage Functions', () => {
         siteStates: {
           'web.whatsapp.com': true,
           'web.telegram.org': false
-        },
-        recentTranscripts: [
-          { transcript: 'Hello world', timestamp: Date.now() - 1000 },
-          { transcript: 'How are you?', timestamp: Date.now() - 500 }
-        ]
+        }
       }
       
       if (typeof keys === 'string') {
@@ -249,64 +250,65 @@ describe('Storage Functions', () => {
         voiceEnabled: false
       })
     })
-  })
 
-  describe('Transcript Functions', () => {
-    it('should save transcript with timestamp', async () => {
-      const result = await saveRecentTranscript('New transcript')
-      
+    it('should keep custom endpoint headers out of sync storage', async () => {
+      const result = await setCustomProviderSettings({
+        baseUrl: 'https://llm.example.com',
+        model: 'm',
+        headers: { 'X-API-Key': 'secret' }
+      })
+
       expect(result.success).toBe(true)
-      expect(global.chrome.storage.sync.get).toHaveBeenCalledWith('recentTranscripts')
+      expect(global.chrome.storage.local.set).toHaveBeenCalledWith({ customProviderHeaders: { 'X-API-Key': 'secret' } })
       expect(global.chrome.storage.sync.set).toHaveBeenCalledWith({
-        recentTranscripts: expect.arrayContaining([
-          expect.objectContaining({
-            transcript: 'New transcript',
-            timestamp: expect.any(Number)
-          })
-        ])
+        customProvider: { baseUrl: 'https://llm.example.com', model: 'm' }
       })
     })
 
-    it('should limit transcripts to 10 entries', async () => {
-      // Mock existing transcripts (15 entries)
-      const existingTranscripts = Array.from({ length: 15 }, (_, i) => ({
-        transcript: `Transcript ${i}`,
-        timestamp: Date.now() - (15 - i) * 1000
-      }))
-      
-      global.chrome.storage.sync.get.mockResolvedValueOnce({
-        recentTranscripts: existingTranscripts
+    it('should move headers synced by earlier versions to local storage', async () => {
+      global.chrome.storage.sync.get.mockResolvedValue({
+        customProvider: { baseUrl: 'https://llm.example.com', model: 'm', headers: { Authorization: 'Bearer old' } }
       })
-      
-      const result = await saveRecentTranscript('New transcript')
+
+      const settings = await getCustomProviderSettings()
+
+      expect(settings.headers).toEqual({ Authorization: 'Bearer old' })
+      expect(global.chrome.storage.local.set).toHaveBeenCalledWith({ customProviderHeaders: { Authorization: 'Bearer old' } })
+      expect(global.chrome.storage.sync.set).toHaveBeenCalledWith({
+        customProvider: { baseUrl: 'https://llm.example.com', model: 'm' }
+      })
+    })
+  })
+
+  describe('Transcript Functions', () => {
+    beforeEach(async () => {
+      await clearTranscriptStore()
+    })
+
+    it('should save transcripts to the transcript store, not sync storage', async () => {
+      const result = await saveRecentTranscript('New transcript', Date.now(), { sessionId: 1, tabId: 7 })
       
       expect(result.success).toBe(true)
-      const setCall = global.chrome.storage.sync.set.mock.calls[0][0]
-      expect(setCall.recentTranscripts).toHaveLength(10)
-      expect(setCall.recentTranscripts[0].transcript).toBe('New transcript')
+      expect(global.chrome.storage.sync.set).not.toHaveBeenCalled()
+      expect(await getRecentTranscripts()).toEqual([
+        { transcript: 'New transcript', timestamp: expect.any(Number), sessionId: 1, tabId: 7 }
+      ])
     })
 
-    it('should retrieve recent transcripts', async () => {
+    it('should retrieve recent transcripts oldest first', async () => {
+      await saveRecentTranscript('How are you?', Date.now() - 500)
+      await saveRecentTranscript('Hello world', Date.now() - 1000)
+      
       const transcripts = await getRecentTranscripts()
       
-      expect(global.chrome.storage.sync.get).toHaveBeenCalledWith('recentTranscripts')
       expect(transcripts).toHaveLength(2)
       expect(transcripts[0].transcript).toBe('Hello world')
       expect(transcripts[1].transcript).toBe('How are you?')
     })
 
     it('should filter out old transcripts', async () => {
-      // Clear the default mock for this test
-      global.chrome.storage.sync.get.mockClear()
-      
-      const oldTranscripts = [
-        { transcript: 'Old transcript', timestamp: Date.now() - 25 * 60 * 1000 }, // 25 minutes ago
-        { transcript: 'Recent transcript', timestamp: Date.now() - 5 * 60 * 1000 }  // 5 minutes ago
-      ]
-      
-      global.chrome.storage.sync.get.mockResolvedValueOnce({
-        recentTranscripts: oldTranscripts
-      })
+      await saveRecentTranscript('Old transcript', Date.now() - 25 * 60 * 1000) // 25 minutes ago
+      await saveRecentTranscript('Recent transcript', Date.now() - 5 * 60 * 1000) // 5 minutes ago
       
       // Use maxAge of 20 minutes (20 * 60 * 1000 ms)
       const transcripts = await getRecentTranscripts(20 * 60 * 1000)
@@ -315,22 +317,24 @@ describe('Storage Functions', () => {
       expect(transcripts[0].transcript).toBe('Recent transcript')
     })
 
-    it('should limit transcripts to 10 entries', async () => {
-      const manyTranscripts = Array.from({ length: 15 }, (_, i) => ({
-        transcript: `Transcript ${i}`,
-        timestamp: Date.now() - (15 - i) * 1000
-      }))
-      
-      global.chrome.storage.sync.get.mockResolvedValueOnce({
-        recentTranscripts: manyTranscripts
-      })
+    it('should not limit recent transcripts to 10 entries', async () => {
+      for (let i = 0; i < 15; i++) {
+        await saveRecentTranscript(`Transcript ${i}`, Date.now() - (15 - i) * 1000)
+      }
       
       const transcripts = await getRecentTranscripts()
       
       expect(transcripts).toHaveLength(15) // getRecentTranscripts doesn't limit, just filters by age
-      expect(transcripts[0].transcript).toBe('Transcript 0') // All transcripts are recent
+      expect(transcripts[0].transcript).toBe('Transcript 0')
       expect(transcripts[14].transcript).toBe('Transcript 14')
     })
+
+    it('should remove transcripts left in sync storage by older versions', async () => {
+      const result = await clearLegacyTranscripts()
+      
+      expect(result.success).toBe(true)
+      expect(global.chrome.storage.sync.remove).toHaveBeenCalledWith('recentTranscripts')
+    })
   })
 
   describe('clearAllData', () => {
@@ -348,6 +352,14 @@ describe('Storage Functions', () => {
       expect(global.chrome.storage.local.clear).toHaveBeenCalled()
     })
 
+    it('should clear the transcript store', async () => {
+      await saveRecentTranscript('Hello world')
+      
+      await clearAllData()
+      
+      expect(await getRecentTranscripts()).toEqual([])
+    })
+
     it('should handle storage errors gracefully', async () => {
       global.chrome.storage.local.clear.mockResolvedValueOnce(undefined)
       global.chrome.storage.sync.clear.mockRejectedValueOnce(new Error('Sync error'))
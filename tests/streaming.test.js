@@ -0,0 +1,220 @@
+/**
+ * Tests for the SSE / NDJSON streaming parsers and the providers built on them
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createSSEParser, createNDJSONParser, readSSE, readNDJSON } from '../src/lib/streaming.js'
+import { streamLLMSuggestions } from '../src/lib/llm_service.js'
+
+/**
+ * Build a fetch response whose body streams the given text chunks
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder()
+  return {
+    ok: true,
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)))
+        controller.close()
+      }
+    })
+  }
+}
+
+/**
+ * Feed the chunks to a fresh SSE parser and collect the events
+ */
+function parseSSE(chunks) {
+  const events = []
+  const parser = createSSEParser(event => { events.push(event) })
+  chunks.forEach(chunk => parser.push(chunk))
+  parser.end()
+  return events
+}
+
+describe('Streaming Parsers', () => {
+  describe('createSSEParser', () => {
+    it('should parse named events', () => {
+      expect(parseSSE(['event: ping\ndata: {}\n\n'])).toEqual([{ event: 'ping', data: '{}', id: '' }])
+    })
+
+    it('should default the event type to message', () => {
+      expect(parseSSE(['data: hello\n\n'])[0].event).toBe('message')
+    })
+
+    it('should join multi-line data fields with newlines', () => {
+      expect(parseSSE(['data: first\ndata: second\ndata:third\n\n'])[0].data).toBe('first\nsecond\nthird')
+    })
+
+    it('should handle CRLF and CR line endings, including CRLF split across chunks', () => {
+      expect(parseSSE(['data: a\r', '\ndata: b\r\n\r\n', 'data: c\r\r']).map(e => e.data)).toEqual(['a\nb', 'c'])
+    })
+
+    it('should reassemble events split across chunks', () => {
+      expect(parseSSE(['da', 'ta: {"a"', ':1}\n', '\n']).map(e => e.data)).toEqual(['{"a":1}'])
+    })
+
+    it('should ignore comments, unknown fields and events without data', () => {
+      expect(parseSSE([': keep-alive\n\nretry: 1000\nfoo: bar\n\nevent: empty\n\ndata: x\n\n'])).toEqual([
+        { event: 'message', data: 'x', id: '' }
+      ])
+    })
+
+    it('should only strip a single leading space from values', () => {
+      expect(parseSSE(['data:  indented\n\n'])[0].data).toBe(' indented')
+    })
+
+    it('should track the last event id', () => {
+      expect(parseSSE(['id: 7\ndata: a\n\ndata: b\n\n']).map(e => e.id)).toEqual(['7', '7'])
+    })
+
+    it('should strip a leading byte order mark', () => {
+      expect(parseSSE(['\uFEFFdata: a\n\n'])[0].data).toBe('a')
+    })
+
+    it('should flush a final event the server did not terminate', () => {
+      expect(parseSSE(['data: last']).map(e => e.data)).toEqual(['last'])
+    })
+
+    it('should stop when the handler returns false', () => {
+      const seen = []
+      const parser = createSSEParser(event => {
+        seen.push(event.data)
+        if (event.data === 'stop') return false
+      })
+
+      expect(parser.push('data: a\n\ndata: stop\n\ndata: b\n\n')).toBe(false)
+      parser.end()
+
+      expect(seen).toEqual(['a', 'stop'])
+    })
+  })
+
+  describe('createNDJSONParser', () => {
+    it('should parse one JSON value per line across chunks', () => {
+      const values = []
+      const parser = createNDJSONParser(value => { values.push(value) })
+
+      parser.push('{"a":1}\n{"b"')
+      parser.push(':2}\n\n')
+      parser.push('{"c":3}')
+      parser.end()
+
+      expect(values).toEqual([{ a: 1 }, { b: 2 }, { c: 3 }])
+    })
+
+    it('should throw on malformed lines', () => {
+      const parser = createNDJSONParser(() => {})
+      expect(() => parser.push('{"a":\n')).toThrow()
+    })
+  })
+
+  describe('readSSE / readNDJSON', () => {
+    it('should read events from a response body', async () => {
+      const events = []
+      await readSSE(createStreamResponse(['data: one\n\n', 'data: two\n\n']), event => { events.push(event.data) })
+      expect(events).toEqual(['one', 'two'])
+    })
+
+    it('should cancel the body when the handler stops early', async () => {
+      const cancel = vi.fn()
+      const response = {
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: stop\n\n'))
+          },
+          cancel
+        })
+      }
+
+      await readSSE(response, () => false)
+
+      expect(cancel).toHaveBeenCalled()
+    })
+
+    it('should read NDJSON values from a response body', async () => {
+      const values = []
+      await readNDJSON(createStreamResponse(['{"n":1}\n{"n":', '2}\n']), value => { values.push(value.n) })
+      expect(values).toEqual([1, 2])
+    })
+  })
+
+  describe('provider streams', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.fetch = vi.fn()
+      global.chrome.storage.sync.get.mockResolvedValue({ retrySettings: { maxRetries: 0 } })
+      global.chrome.storage.local.get.mockResolvedValue({
+        api_key_openai: 'test-openai-key',
+        api_key_anthropic: 'test-anthropic-key',
+        api_key_google: 'test-google-key'
+      })
+    })
+
+    const stream = (provider, onChunk = vi.fn()) =>
+      streamLLMSuggestions([{ role: 'user', content: 'Hi' }], 'friendly', provider, onChunk)
+
+    it('should request SSE from Gemini and read its events', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\r\n\r\n',
+        'data: {"candidates":[{"content":{"parts":[{"text":"lo"}]},"finishReason":"STOP"}]}\r\n\r\n'
+      ]))
+      const onChunk = vi.fn()
+
+      const result = await stream('google', onChunk)
+
+      expect(result.success).toBe(true)
+      expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&')
+      expect(onChunk.mock.calls.map(call => call[0])).toEqual(['Hel', 'lo'])
+    })
+
+    it('should fail when Gemini blocks the response partway through', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"candidates":[{"content":{"parts":[{"text":"Par"}]},"finishReason":"SAFETY"}]}\n\n'
+      ]))
+
+      const result = await stream('google')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('safety settings')
+    })
+
+    it('should fail on an Anthropic error event', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+        'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'
+      ]))
+
+      const result = await stream('anthropic')
+
+      expect(result).toMatchObject({ success: false, error: 'Overloaded' })
+    })
+
+    it('should stop reading at Anthropic message_stop', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Done"}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Extra"}}\n\n'
+      ]))
+      const onChunk = vi.fn()
+
+      const result = await stream('anthropic', onChunk)
+
+      expect(result.success).toBe(true)
+      expect(onChunk.mock.calls.map(call => call[0])).toEqual(['Done'])
+    })
+
+    it('should fail on an OpenAI error payload mid-stream', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+        'data: {"error":{"message":"The server had an error while processing your request."}}\n\n'
+      ]))
+
+      const result = await stream('openai')
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('The server had an error')
+    })
+  })
+})
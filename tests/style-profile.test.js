@@ -0,0 +1,141 @@
+/**
+ * Tests for the writing style learned from the user's own messages
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  MIN_STYLE_SAMPLES,
+  createStyleStats,
+  addStyleSamples,
+  deriveStyleTraits,
+  describeWritingStyle,
+  learnWritingStyle
+} from '../src/lib/style_profile.js'
+import { buildSuggestionSystemPrompt } from '../src/lib/suggestions.js'
+import { getLLMSuggestions } from '../src/lib/llm_service.js'
+
+/**
+ * Counters for n distinct short messages in the given style
+ */
+function statsFor(n, format) {
+  return addStyleSamples(createStyleStats(), Array.from({ length: n }, (_, i) => format(i)))
+}
+
+describe('Writing Style Profile', () => {
+  describe('addStyleSamples', () => {
+    it('should count each message once', () => {
+      const stats = addStyleSamples(addStyleSamples(createStyleStats(), ['hey there!', 'ok']), ['ok', '  '])
+
+      expect(stats.messages).toBe(2)
+      expect(stats.words).toBe(3)
+    })
+
+    it('should count punctuation, lowercase starts, greetings, emoji and scripts', () => {
+      const stats = addStyleSamples(createStyleStats(), ['hey, see you at 5! 😂', 'Привет, как дела?', 'Done.'])
+
+      expect(stats).toMatchObject({
+        endExclamation: 1,
+        endQuestion: 1,
+        endPeriod: 1,
+        lowercaseStart: 1,
+        emojiMessages: 1,
+        emoji: { '😂': 1 },
+        greetings: { hey: 1, привет: 1 },
+        scripts: { Latin: 2, Cyrillic: 1 }
+      })
+    })
+
+    it('should not modify the counters it was given', () => {
+      const stats = createStyleStats()
+      addStyleSamples(stats, ['hello'])
+
+      expect(stats.messages).toBe(0)
+    })
+  })
+
+  describe('deriveStyleTraits', () => {
+    it('should wait for enough messages', () => {
+      expect(deriveStyleTraits(statsFor(MIN_STYLE_SAMPLES - 1, i => `msg ${i}`))).toBeNull()
+    })
+
+    it('should derive rates and mixed languages', () => {
+      const traits = deriveStyleTraits(statsFor(10, i => i < 7 ? `hey ok ${i} 👍` : `Да, конечно ${i}.`))
+
+      expect(traits).toMatchObject({ sampleSize: 10, averageWords: 4, length: 'very short', topEmoji: ['👍'], greetings: ['hey'] })
+      expect(traits.emojiRate).toBeCloseTo(0.7)
+      expect(traits.scripts.map(({ script }) => script)).toEqual(['Latin', 'Cyrillic'])
+    })
+  })
+
+  describe('describeWritingStyle', () => {
+    it('should describe the traits for the prompt', () => {
+      const description = describeWritingStyle(deriveStyleTraits(statsFor(10, i => `hey ok ${i} 👍`)), 'WhatsApp')
+
+      expect(description).toContain('How the user writes on WhatsApp (learned from 10 of their messages)')
+      expect(description).toContain('- usually starts messages with a lowercase letter')
+      expect(description).toContain('- Greets with: "hey"')
+      expect(description).toContain('mostly 👍')
+      expect(description).not.toContain('Mixes scripts')
+    })
+
+    it('should be empty without traits', () => {
+      expect(describeWritingStyle(null)).toBe('')
+    })
+  })
+
+  it('should append the style to templates without {{writingStyle}}', () => {
+    expect(buildSuggestionSystemPrompt('casual', { template: 'Reply', writingStyle: 'Short' })).toBe('Reply\n\nShort')
+  })
+
+  describe('learning from requests', () => {
+    let syncData
+    let localData
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.fetch = vi.fn()
+      syncData = { styleLearningEnabled: true }
+      localData = { api_key_openai: 'test-openai-key', styleProfiles: { WhatsApp: statsFor(9, i => `yo ${i}`) } }
+      global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+        typeof key === 'string' ? { [key]: syncData[key] } : {}
+      ))
+      global.chrome.storage.local.get.mockImplementation(key => Promise.resolve({ [key]: localData[key] }))
+      global.chrome.storage.local.set.mockImplementation(values => {
+        Object.assign(localData, values)
+        return Promise.resolve()
+      })
+    })
+
+    it('should only learn from the user\'s own text messages', async () => {
+      await learnWritingStyle('WhatsApp', [
+        { role: 'user', text: 'Are you coming?' },
+        { role: 'assistant', text: 'yo on my way' },
+        { role: 'assistant', content: '[VOICE TRANSCRIPT] hello', source: 'voice' }
+      ])
+
+      expect(localData.styleProfiles.WhatsApp.messages).toBe(10)
+    })
+
+    it('should not learn anything unless enabled', async () => {
+      syncData.styleLearningEnabled = false
+
+      await learnWritingStyle('WhatsApp', [{ role: 'assistant', text: 'yo on my way' }])
+
+      expect(global.chrome.storage.local.set).not.toHaveBeenCalled()
+    })
+
+    it('should put the learned style into the prompt once there are enough messages', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content: '["yo sure"]' } }] })
+      })
+
+      await getLLMSuggestions([{ role: 'assistant', text: 'yo brb' }, { role: 'user', text: 'Lunch?' }], 'casual', 'openai', {
+        platform: 'WhatsApp'
+      })
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.messages[0].content).toContain('How the user writes on WhatsApp (learned from 10 of their messages)')
+    })
+  })
+})
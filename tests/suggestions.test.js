@@ -0,0 +1,266 @@
+/**
+ * Tests for structured suggestion parsing and JSON mode requests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { parseSuggestions, formatStreamingPreview, buildSuggestionSystemPrompt, createSuggestionStreamParser } from '../src/lib/suggestions.js'
+import { getLLMSuggestions, streamLLMSuggestions } from '../src/lib/llm_service.js'
+
+describe('Suggestions', () => {
+  describe('parseSuggestions', () => {
+    it('should parse the JSON format', () => {
+      const text = JSON.stringify({
+        suggestions: [
+          { text: 'Sounds good!', intent: 'agree', language: 'en' },
+          { text: 'Maybe not today.', intent: 'disagree', language: 'en' },
+          { text: 'What time?', intent: 'clarify', language: 'EN' }
+        ]
+      })
+
+      expect(parseSuggestions(text)).toEqual([
+        { text: 'Sounds good!', intent: 'agree', language: 'en' },
+        { text: 'Maybe not today.', intent: 'disagree', language: 'en' },
+        { text: 'What time?', intent: 'clarify', language: 'en' }
+      ])
+    })
+
+    it('should parse fenced JSON after a preamble', () => {
+      const text = 'Here you go:\n```json\n[{"text": "Да", "intent": "agree", "language": "ru"}]\n```'
+
+      expect(parseSuggestions(text)).toEqual([{ text: 'Да', intent: 'agree', language: 'ru' }])
+    })
+
+    it('should default missing or unknown intents to the prompt order', () => {
+      const text = '{"suggestions": [{"text": "A"}, {"text": "B", "intent": "maybe"}, "C"]}'
+
+      expect(parseSuggestions(text).map(suggestion => suggestion.intent)).toEqual(['agree', 'disagree', 'clarify'])
+    })
+
+    it('should fall back to separator lines', () => {
+      expect(parseSuggestions('One\n---\nTwo\n---\nThree').map(suggestion => suggestion.text))
+        .toEqual(['One', 'Two', 'Three'])
+    })
+
+    it('should fall back to inline separators', () => {
+      expect(parseSuggestions('One --- Two --- Three').map(suggestion => suggestion.text))
+        .toEqual(['One', 'Two', 'Three'])
+    })
+
+    it('should parse a numbered list and drop the preamble', () => {
+      const text = 'Here are three replies:\n1. "Sure thing"\n2. No thanks\n3) Which one?'
+
+      expect(parseSuggestions(text).map(suggestion => suggestion.text))
+        .toEqual(['Sure thing', 'No thanks', 'Which one?'])
+    })
+
+    it('should read intent labels in plain text', () => {
+      const text = '- Clarify: When?\n- Agree: Yes\n- **Disagree** - No'
+
+      expect(parseSuggestions(text)).toEqual([
+        { text: 'When?', intent: 'clarify', language: null },
+        { text: 'Yes', intent: 'agree', language: null },
+        { text: 'No', intent: 'disagree', language: null }
+      ])
+    })
+
+    it('should return at most three suggestions', () => {
+      expect(parseSuggestions('a\nb\nc\nd')).toHaveLength(3)
+    })
+
+    it('should return an empty list for empty output', () => {
+      expect(parseSuggestions('')).toEqual([])
+      expect(parseSuggestions('   ')).toEqual([])
+    })
+  })
+
+  describe('formatStreamingPreview', () => {
+    it('should show the reply texts from partial JSON', () => {
+      const partial = '{"suggestions": [{"text": "Sounds \\"good\\"", "intent": "agree"}, {"text": "Not re'
+
+      expect(formatStreamingPreview(partial)).toBe('Sounds "good"\n\nNot re')
+    })
+
+    it('should pass plain text through', () => {
+      expect(formatStreamingPreview('One\n---\nTw')).toBe('One\n---\nTw')
+    })
+
+    it('should leave out suggestions that are already shown', () => {
+      expect(formatStreamingPreview('{"suggestions": [{"text": "Yes"}, {"text": "No', 1)).toBe('No')
+    })
+  })
+
+  describe('createSuggestionStreamParser', () => {
+    /**
+     * Feed the chunks one by one and record which suggestions were ready after each
+     */
+    function feed(chunks) {
+      const ready = []
+      const afterChunk = []
+      const parser = createSuggestionStreamParser((suggestion, index) => ready.push({ ...suggestion, index }))
+      chunks.forEach(chunk => {
+        parser.push(chunk)
+        afterChunk.push(ready.length)
+      })
+      parser.end()
+      return { ready, afterChunk }
+    }
+
+    it('should report each JSON suggestion as soon as its object closes', () => {
+      const { ready, afterChunk } = feed([
+        '{"suggestions": [{"text": "Yes {really}", "intent": "agree", "language": "en"},',
+        ' {"text": "No \\"way\\"", "intent": "disagree"',
+        '}, {"text": "When?"',
+        '}]}'
+      ])
+
+      expect(afterChunk).toEqual([1, 1, 2, 3])
+      expect(ready).toEqual([
+        { text: 'Yes {really}', intent: 'agree', language: 'en', index: 0 },
+        { text: 'No "way"', intent: 'disagree', language: null, index: 1 },
+        { text: 'When?', intent: 'clarify', language: null, index: 2 }
+      ])
+    })
+
+    it('should handle fenced arrays of strings', () => {
+      const { ready, afterChunk } = feed(['```json\n["One", "Tw', 'o"]\n```'])
+
+      expect(afterChunk).toEqual([1, 2])
+      expect(ready.map(suggestion => suggestion.text)).toEqual(['One', 'Two'])
+    })
+
+    it('should wait for the next separator in the text format and flush the last one at the end', () => {
+      const { ready, afterChunk } = feed(['One\n---\nTw', 'o\n---\n', 'Three'])
+
+      expect(afterChunk).toEqual([1, 2, 2])
+      expect(ready.map(suggestion => suggestion.text)).toEqual(['One', 'Two', 'Three'])
+    })
+
+    it('should hold back lists and plain lines until the stream ends', () => {
+      const { ready, afterChunk } = feed(['Here are some replies:\n1. Sure,', ' see you at 6\n2. Can we make it 7?\n', '3. Where?'])
+
+      expect(afterChunk).toEqual([0, 0, 0])
+      expect(ready.map(suggestion => suggestion.text)).toEqual(['Sure, see you at 6', 'Can we make it 7?', 'Where?'])
+    })
+
+    it('should replace streamed suggestions that the final parse reads differently', () => {
+      const chunks = ['Draft\n---\n', 'Second draft\n---\n', '```json\n["A", "B", "C"]\n```']
+
+      const { ready, afterChunk } = feed(chunks)
+
+      expect(afterChunk).toEqual([1, 2, 2])
+      expect(ready.map(({ text, index }) => `${index}:${text}`)).toEqual(['0:Draft', '1:Second draft', '0:A', '1:B', '2:C'])
+      expect(parseSuggestions(chunks.join('')).map(suggestion => suggestion.text)).toEqual(['A', 'B', 'C'])
+    })
+
+    it('should stop after three suggestions', () => {
+      const { ready } = feed(['["a1", "b2", "c3", "d4"]'])
+
+      expect(ready.map(suggestion => suggestion.index)).toEqual([0, 1, 2])
+    })
+  })
+
+  describe('buildSuggestionSystemPrompt', () => {
+    it('should ask for JSON in the requested tone', () => {
+      const prompt = buildSuggestionSystemPrompt('friendly')
+
+      expect(prompt).toContain('friendly tone')
+      expect(prompt).toContain('"suggestions"')
+    })
+  })
+
+  describe('JSON mode requests', () => {
+    const context = [{ role: 'user', content: 'Lunch?' }]
+    const content = '{"suggestions": [{"text": "Yes!", "intent": "agree", "language": "en"}]}'
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      global.fetch = vi.fn()
+      global.chrome.storage.local.get.mockResolvedValue({
+        api_key_openai: 'test-openai-key',
+        api_key_anthropic: 'test-anthropic-key',
+        api_key_google: 'test-google-key'
+      })
+    })
+
+    it('should request a JSON object from OpenAI', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ choices: [{ message: { content } }] })
+      })
+
+      const result = await getLLMSuggestions(context, 'friendly', 'openai')
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.response_format).toEqual({ type: 'json_object' })
+      expect(result.suggestions).toEqual([{ text: 'Yes!', intent: 'agree', language: 'en' }])
+    })
+
+    it('should report streamed suggestions one by one', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            const encoder = new TextEncoder()
+            const delta = (text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`
+            controller.enqueue(encoder.encode(delta('{"suggestions": [{"text": "Yes!", "intent": "agree"},')))
+            controller.enqueue(encoder.encode(delta(' {"text": "No.", "intent": "disagree"}]}')))
+            controller.close()
+          }
+        })
+      })
+      const events = []
+
+      const result = await streamLLMSuggestions(context, 'friendly', 'openai', () => events.push('chunk'), {
+        onSuggestion: (suggestion, index) => events.push(`${index}:${suggestion.text}`)
+      })
+
+      expect(result.success).toBe(true)
+      expect(events).toEqual(['0:Yes!', 'chunk', '1:No.', 'chunk'])
+    })
+
+    it('should request a JSON response from Google', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: content }] } }] })
+      })
+
+      const result = await getLLMSuggestions(context, 'friendly', 'google')
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.generationConfig.responseMimeType).toBe('application/json')
+      expect(result.suggestions[0].text).toBe('Yes!')
+    })
+
+    it('should prefill Claude\'s answer with the start of a JSON object', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ content: [{ text: content.slice(1) }] })
+      })
+
+      const result = await getLLMSuggestions(context, 'friendly', 'anthropic')
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+      expect(body.messages[body.messages.length - 1]).toEqual({ role: 'assistant', content: '{' })
+      expect(result.suggestions).toEqual([{ text: 'Yes!', intent: 'agree', language: 'en' }])
+    })
+
+    it('should stream Claude\'s prefilled JSON answer', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: new ReadableStream({
+          start(controller) {
+            const delta = { type: 'content_block_delta', delta: { text: content.slice(1) } }
+            controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(delta)}\n\n`))
+            controller.close()
+          }
+        })
+      })
+      const chunks = []
+
+      const result = await streamLLMSuggestions(context, 'friendly', 'anthropic', chunk => chunks.push(chunk))
+
+      expect(chunks.join('')).toBe(content)
+      expect(result.suggestions[0].text).toBe('Yes!')
+    })
+  })
+})
@@ -0,0 +1,129 @@
+/**
+ * Tests for tone profiles and how they reach the prompt
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  BUILT_IN_TONE_PROFILES,
+  findToneProfile,
+  describeToneProfile,
+  createToneProfileId
+} from '../src/lib/tone_profiles.js'
+import { buildSuggestionSystemPrompt } from '../src/lib/suggestions.js'
+import { getToneProfiles, saveToneProfile, deleteToneProfile } from '../src/lib/storage.js'
+import { getLLMSuggestions } from '../src/lib/llm_service.js'
+
+const support = {
+  id: 'support',
+  name: 'Support',
+  description: 'Patient and reassuring',
+  examples: ['Happy to help!', '  ', 'Let me check that for you.'],
+  emoji: 'none',
+  length: 'short',
+  temperature: 0.3
+}
+
+describe('Tone Profiles', () => {
+  let syncData
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    global.fetch = vi.fn()
+    syncData = { toneProfiles: [support], defaultTone: 'support' }
+    global.chrome.storage.sync.get.mockImplementation(key => Promise.resolve(
+      typeof key === 'string' ? { [key]: syncData[key] } : {}
+    ))
+    global.chrome.storage.sync.set.mockImplementation(values => {
+      Object.assign(syncData, values)
+      return Promise.resolve()
+    })
+    global.chrome.storage.local.get.mockResolvedValue({ api_key_openai: 'test-openai-key' })
+  })
+
+  describe('findToneProfile', () => {
+    it('should find built-in profiles', () => {
+      expect(findToneProfile('slang').temperature).toBe(0.9)
+    })
+
+    it('should turn unknown tone strings into bare profiles', () => {
+      expect(findToneProfile('professional')).toMatchObject({ name: 'professional', examples: [] })
+    })
+  })
+
+  describe('describeToneProfile', () => {
+    it('should list the rules and the non-empty examples', () => {
+      expect(describeToneProfile(support)).toBe([
+        'Tone "Support": Patient and reassuring',
+        'Emoji: Do not use emoji',
+        'Length: Keep each reply to one short sentence',
+        'Example replies in this tone (match their style, not their content):',
+        '- "Happy to help!"',
+        '- "Let me check that for you."'
+      ].join('\n'))
+    })
+
+    it('should describe nothing for a bare profile', () => {
+      expect(describeToneProfile(findToneProfile('casual'))).toBe('')
+    })
+  })
+
+  describe('buildSuggestionSystemPrompt', () => {
+    it('should put the tone guide into the default template', () => {
+      const prompt = buildSuggestionSystemPrompt(support)
+
+      expect(prompt).toContain('Use a support tone')
+      expect(prompt).toContain('- "Happy to help!"')
+      expect(prompt).not.toMatch(/\n{3,}/)
+    })
+
+    it('should append the tone guide to templates without {{toneGuide}}', () => {
+      expect(buildSuggestionSystemPrompt(support, { template: 'Be {{tone}}' }))
+        .toBe(`Be support\n\n${describeToneProfile(support)}`)
+    })
+  })
+
+  describe('storage', () => {
+    it('should list built-in profiles before custom ones', async () => {
+      const ids = (await getToneProfiles()).map(profile => profile.id)
+
+      expect(ids).toEqual([...BUILT_IN_TONE_PROFILES.map(profile => profile.id), 'support'])
+    })
+
+    it('should update a custom profile in place', async () => {
+      await saveToneProfile({ ...support, temperature: 1 })
+
+      expect(syncData.toneProfiles).toEqual([{ ...support, temperature: 1, builtIn: false }])
+    })
+
+    it('should refuse to overwrite built-in profiles', async () => {
+      const result = await saveToneProfile({ ...support, id: 'formal' })
+
+      expect(result.success).toBe(false)
+      expect(global.chrome.storage.sync.set).not.toHaveBeenCalled()
+    })
+
+    it('should reset the default tone when its profile is deleted', async () => {
+      await deleteToneProfile('support')
+
+      expect(syncData.toneProfiles).toEqual([])
+      expect(syncData.defaultTone).toBe('semi-formal')
+    })
+
+    it('should create ids that do not clash', () => {
+      expect(createToneProfileId('Support!', [support])).toBe('support-2')
+    })
+  })
+
+  it('should send the profile temperature and examples to the provider', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: '["Sure"]' } }] })
+    })
+
+    await getLLMSuggestions([{ role: 'user', content: 'Help?' }], 'support', 'openai')
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body)
+
+    expect(body.temperature).toBe(0.3)
+    expect(body.messages[0].content).toContain('- "Let me check that for you."')
+  })
+})
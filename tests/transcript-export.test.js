@@ -0,0 +1,105 @@
+/**
+ * Tests for exporting capture sessions as text, Markdown, subtitles and JSON
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  EXPORT_FORMATS,
+  exportTranscript,
+  getExportFilename,
+  getSegmentTimings,
+  formatDuration
+} from '../src/lib/transcript_export.js'
+
+const startedAt = Date.UTC(2024, 4, 12, 9, 0, 0)
+
+const session = {
+  id: 1,
+  name: 'Weekly sync',
+  title: 'Weekly sync - Google Meet',
+  url: 'https://meet.google.com/abc-defg-hij',
+  startedAt,
+  endedAt: startedAt + 3725000
+}
+
+const segments = [
+  { id: 1, text: 'Morning everyone', timestamp: startedAt + 1000, duration: 2000 },
+  { id: 2, text: 'The release slips to Monday', timestamp: startedAt + 2500, duration: 2000 },
+  { id: 3, text: 'Thanks, bye', timestamp: startedAt + 3723000, duration: null }
+]
+
+describe('Transcript Export', () => {
+  describe('getSegmentTimings', () => {
+    it('should time segments from the session start without overlapping the next one', () => {
+      expect(getSegmentTimings(session, segments)).toEqual([
+        { start: 1000, end: 2500, text: 'Morning everyone', timestamp: startedAt + 1000 },
+        { start: 2500, end: 4500, text: 'The release slips to Monday', timestamp: startedAt + 2500 },
+        { start: 3723000, end: 3725000, text: 'Thanks, bye', timestamp: startedAt + 3723000 }
+      ])
+    })
+  })
+
+  describe('exportTranscript', () => {
+    it('should write plain text with offsets', () => {
+      const text = exportTranscript(session, segments, 'txt')
+
+      expect(text.split('\n')[0]).toBe('Weekly sync')
+      expect(text).toContain('(1 h 02 min)')
+      expect(text).toContain('[00:01] Morning everyone\n[00:02] The release slips to Monday\n[1:02:03] Thanks, bye\n')
+    })
+
+    it('should write Markdown with headings', () => {
+      const markdown = exportTranscript(session, segments, 'md')
+
+      expect(markdown).toMatch(/^# Weekly sync\n/)
+      expect(markdown).toContain('- **Source:** <https://meet.google.com/abc-defg-hij>')
+      expect(markdown).toContain('## Transcript\n\n**[00:01]** Morning everyone\n')
+    })
+
+    it('should write SRT cues', () => {
+      expect(exportTranscript(session, segments, 'srt')).toBe(
+        '1\n00:00:01,000 --> 00:00:02,500\nMorning everyone\n\n' +
+        '2\n00:00:02,500 --> 00:00:04,500\nThe release slips to Monday\n\n' +
+        '3\n01:02:03,000 --> 01:02:05,000\nThanks, bye\n'
+      )
+    })
+
+    it('should write WebVTT cues', () => {
+      const vtt = exportTranscript({ ...session, name: 'A --> B' }, segments.slice(0, 1), 'vtt')
+
+      expect(vtt).toBe('WEBVTT\n\nNOTE A -> B\n\n00:00:01.000 --> 00:00:03.000\nMorning everyone\n')
+    })
+
+    it('should write JSON with times in seconds', () => {
+      const data = JSON.parse(exportTranscript(session, segments, 'json'))
+
+      expect(data.session).toMatchObject({ name: 'Weekly sync', startedAt: '2024-05-12T09:00:00.000Z', duration: 3725 })
+      expect(data.segments[1]).toEqual({
+        start: 2.5,
+        end: 4.5,
+        text: 'The release slips to Monday',
+        timestamp: '2024-05-12T09:00:02.500Z'
+      })
+    })
+
+    it('should reject unknown formats', () => {
+      expect(() => exportTranscript(session, segments, 'docx')).toThrow('Unknown export format')
+    })
+  })
+
+  describe('getExportFilename', () => {
+    it('should build a file name from the session name and date', () => {
+      expect(getExportFilename({ ...session, name: 'Café: Q2 review!' }, 'srt')).toBe('cafe-q2-review-2024-05-12.srt')
+      expect(Object.keys(EXPORT_FORMATS).map(format => getExportFilename(session, format).split('.').pop()))
+        .toEqual(['txt', 'md', 'srt', 'vtt', 'json'])
+    })
+  })
+
+  describe('formatDuration', () => {
+    it('should use seconds, minutes or hours', () => {
+      expect(formatDuration(40000)).toBe('40 s')
+      expect(formatDuration(12 * 60000)).toBe('12 min')
+      expect(formatDuration(65 * 60000)).toBe('1 h 05 min')
+    })
+  })
+})
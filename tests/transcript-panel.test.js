@@ -0,0 +1,101 @@
+/**
+ * Tests for the transcript-only panel the content script shows on pages without a chat adapter
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const forwardedUpdate = {
+  type: 'LIVE_TRANSCRIPT_UPDATE',
+  transcript: 'Welcome everyone <b>and</b> thanks for joining',
+  segments: [
+    { text: 'Welcome everyone', timestamp: 1000 },
+    { text: '<b>and</b> thanks for joining', timestamp: 4000 }
+  ],
+  source: { tabId: 7, title: 'Weekly sync - Google Meet', sessionId: 3 },
+  latest: '<b>and</b> thanks for joining'
+}
+
+/**
+ * Load the content script fresh and return its runtime.onMessage listener
+ */
+async function loadContentScript() {
+  vi.resetModules()
+  await import('../src/content/content-simple.js')
+  await new Promise(resolve => setTimeout(resolve, 0))
+  return chrome.runtime.onMessage.addListener.mock.calls.at(-1)[0]
+}
+
+function transcriptPanelRoot() {
+  return document.getElementById('ai-consul-transcript-panel')?.shadowRoot ?? null
+}
+
+describe('Transcript-only panel', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    chrome.storage.sync.get.mockResolvedValue({})
+    chrome.runtime.sendMessage.mockResolvedValue({ success: true })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+  })
+
+  it('should render a forwarded transcript update on a page without a chat adapter', async () => {
+    const onMessage = await loadContentScript()
+    expect(transcriptPanelRoot()).toBeNull()
+
+    const sendResponse = vi.fn()
+    onMessage(forwardedUpdate, {}, sendResponse)
+
+    const root = transcriptPanelRoot()
+    expect(root).not.toBeNull()
+    expect(sendResponse).toHaveBeenCalledWith({ success: true })
+    expect(root.getElementById('transcript-section').style.display).toBe('block')
+    expect(root.getElementById('transcript-source').textContent).toBe('Voice Transcription · Weekly sync - Google Meet')
+    const text = root.getElementById('transcript-text')
+    expect(text.textContent).toContain('Welcome everyone')
+    expect(text.textContent).toContain('<b>and</b> thanks for joining')
+    expect(text.querySelector('b')).toBeNull()
+    expect(root.getElementById('summarize-meeting-btn').style.display).toBe('inline-block')
+  })
+
+  it('should summarise the session the forwarded transcript belongs to', async () => {
+    const onMessage = await loadContentScript()
+    onMessage(forwardedUpdate, {}, vi.fn())
+    chrome.storage.sync.get.mockResolvedValue({ defaultProvider: 'anthropic' })
+    chrome.runtime.sendMessage.mockResolvedValue({
+      success: true,
+      summary: { summary: 'Kick-off', decisions: [], actionItems: [], openQuestions: [] }
+    })
+
+    const root = transcriptPanelRoot()
+    root.getElementById('summarize-meeting-btn').click()
+    await vi.waitFor(() => expect(root.getElementById('meeting-summary').style.display).toBe('block'))
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SUMMARIZE_MEETING', sessionId: 3, provider: 'anthropic' })
+    expect(root.getElementById('meeting-summary').textContent).toContain('Kick-off')
+    expect(root.getElementById('save-meeting-summary-btn').style.display).toBe('inline-block')
+  })
+
+  it('should stay closed for the session once the user closes it', async () => {
+    const onMessage = await loadContentScript()
+    onMessage(forwardedUpdate, {}, vi.fn())
+    transcriptPanelRoot().getElementById('close-btn').click()
+    expect(transcriptPanelRoot()).toBeNull()
+
+    onMessage({ ...forwardedUpdate, latest: 'next chunk' }, {}, vi.fn())
+    expect(transcriptPanelRoot()).toBeNull()
+
+    onMessage({ ...forwardedUpdate, source: { ...forwardedUpdate.source, sessionId: 4 } }, {}, vi.fn())
+    expect(transcriptPanelRoot()).not.toBeNull()
+  })
+
+  it('should not open without transcript text', async () => {
+    const onMessage = await loadContentScript()
+    onMessage({ ...forwardedUpdate, segments: [], transcript: '' }, {}, vi.fn())
+
+    expect(transcriptPanelRoot()).toBeNull()
+  })
+})
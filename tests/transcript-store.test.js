@@ -0,0 +1,218 @@
+/**
+ * Tests for the IndexedDB transcript store and the voice context built on it
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  startTranscriptSession,
+  endTranscriptSession,
+  addTranscriptSegment,
+  getTranscriptSegments,
+  getTranscriptSessions,
+  getTranscriptSession,
+  renameTranscriptSession,
+  deleteTranscriptSession,
+  searchTranscriptSessions,
+  getSessionDuration,
+  pruneTranscripts,
+  clearTranscriptStore,
+  MAX_TRANSCRIPT_AGE
+} from '../src/lib/transcript_store.js'
+import { saveRecentTranscript } from '../src/lib/storage.js'
+import { mergeContext, isVoiceActive } from '../src/lib/context_merger.js'
+
+const meetTab = { tabId: 7, title: 'Weekly sync - Google Meet', url: 'https://meet.google.com/abc-defg-hij' }
+
+describe('Transcript Store', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    global.chrome.storage.sync.get.mockResolvedValue({})
+    global.chrome.storage.local.get.mockResolvedValue({})
+    await clearTranscriptStore()
+  })
+
+  describe('sessions', () => {
+    it('should record the source tab and when the capture started and ended', async () => {
+      const { session } = await startTranscriptSession(meetTab, 1000)
+
+      await endTranscriptSession(session.id, 5000)
+
+      expect(await getTranscriptSessions()).toEqual([
+        {
+          id: session.id,
+          name: 'Weekly sync - Google Meet',
+          tabId: 7,
+          title: 'Weekly sync - Google Meet',
+          url: meetTab.url,
+          startedAt: 1000,
+          endedAt: 5000
+        }
+      ])
+    })
+
+    it('should list the newest session first', async () => {
+      await startTranscriptSession({ title: 'Monday' }, 1000)
+      await startTranscriptSession({ title: 'Tuesday' }, 2000)
+
+      expect((await getTranscriptSessions()).map(session => session.title)).toEqual(['Tuesday', 'Monday'])
+    })
+  })
+
+  describe('history', () => {
+    let standup
+    let review
+
+    beforeEach(async () => {
+      standup = (await startTranscriptSession({ tabId: 3, title: 'Standup', url: 'https://meet.google.com/abc' }, 1000)).session
+      await addTranscriptSegment({ sessionId: standup.id, text: 'The release slips to Monday', timestamp: 2000 })
+      await addTranscriptSegment({ sessionId: standup.id, text: 'Anything else?', timestamp: 61000 })
+      await endTranscriptSession(standup.id, 65000)
+      review = (await startTranscriptSession({ tabId: 4, title: '', url: 'https://zoom.us/j/42' }, 100000)).session
+      await addTranscriptSegment({ sessionId: review.id, text: 'Budget looks fine', timestamp: 130000 })
+    })
+
+    it('should name sessions after the tab, or its site when the tab has no title', async () => {
+      expect(standup.name).toBe('Standup')
+      expect(review.name).toBe('Call on zoom.us')
+    })
+
+    it('should report duration and segment count, using the last segment for unfinished sessions', async () => {
+      const sessions = await searchTranscriptSessions()
+
+      expect(sessions.map(({ name, duration, segmentCount }) => ({ name, duration, segmentCount }))).toEqual([
+        { name: 'Call on zoom.us', duration: 30000, segmentCount: 1 },
+        { name: 'Standup', duration: 64000, segmentCount: 2 }
+      ])
+      expect(getSessionDuration({ startedAt: 1000, endedAt: null })).toBe(0)
+    })
+
+    it('should search names, URLs and what was said', async () => {
+      expect((await searchTranscriptSessions('STAND')).map(session => session.name)).toEqual(['Standup'])
+      expect((await searchTranscriptSessions('zoom.us/j')).map(session => session.name)).toEqual(['Call on zoom.us'])
+
+      const [result] = await searchTranscriptSessions('release')
+      expect(result.name).toBe('Standup')
+      expect(result.match.text).toBe('The release slips to Monday')
+      expect(await searchTranscriptSessions('nothing like this')).toEqual([])
+    })
+
+    it('should rename a session, falling back to the default name when cleared', async () => {
+      await renameTranscriptSession(standup.id, '  Team standup 12 May ')
+      expect((await getTranscriptSession(standup.id)).name).toBe('Team standup 12 May')
+
+      await renameTranscriptSession(standup.id, '')
+      expect((await getTranscriptSession(standup.id)).name).toBe('Standup')
+
+      expect((await renameTranscriptSession(999, 'Nope')).success).toBe(false)
+    })
+
+    it('should delete a session with its segments', async () => {
+      const result = await deleteTranscriptSession(standup.id)
+
+      expect(result.success).toBe(true)
+      expect(await getTranscriptSession(standup.id)).toBeNull()
+      expect((await getTranscriptSegments()).map(segment => segment.text)).toEqual(['Budget looks fine'])
+    })
+  })
+
+  describe('segments', () => {
+    it('should keep segments per session with their timestamps', async () => {
+      const { session } = await startTranscriptSession(meetTab, 1000)
+      await addTranscriptSegment({ sessionId: session.id, tabId: 7, text: ' Second ', timestamp: 3000, duration: 1800 })
+      await addTranscriptSegment({ sessionId: session.id, tabId: 7, text: 'First', timestamp: 2000 })
+      await addTranscriptSegment({ text: 'Other capture', timestamp: 2500 })
+
+      const segments = await getTranscriptSegments({ sessionId: session.id })
+
+      expect(segments.map(segment => segment.text)).toEqual(['First', 'Second'])
+      expect(segments[0]).toMatchObject({ sessionId: session.id, tabId: 7, timestamp: 2000, duration: null })
+      expect(segments[1].duration).toBe(1800)
+      expect(await getTranscriptSegments({ since: 2000 })).toHaveLength(2)
+    })
+
+    it('should ignore empty chunks', async () => {
+      expect((await addTranscriptSegment({ text: '  ' })).success).toBe(false)
+      expect(await getTranscriptSegments()).toEqual([])
+    })
+  })
+
+  describe('pruneTranscripts', () => {
+    afterEach(() => {
+      delete navigator.storage
+    })
+
+    it('should drop transcripts and ended sessions past the age limit', async () => {
+      const now = 100 * 24 * 60 * 60 * 1000
+      const old = now - MAX_TRANSCRIPT_AGE - 1000
+      const { session: ended } = await startTranscriptSession({ title: 'Old call' }, old)
+      await endTranscriptSession(ended.id, old + 500)
+      const { session: running } = await startTranscriptSession({ title: 'Long call' }, old)
+      await addTranscriptSegment({ sessionId: running.id, text: 'Way back', timestamp: old })
+      await addTranscriptSegment({ sessionId: running.id, text: 'Just now', timestamp: now })
+
+      await pruneTranscripts({ now })
+
+      expect((await getTranscriptSessions()).map(session => session.title)).toEqual(['Long call'])
+      expect((await getTranscriptSegments()).map(segment => segment.text)).toEqual(['Just now'])
+    })
+
+    it('should keep only the newest segments over the size limit', async () => {
+      for (let i = 0; i < 5; i++) {
+        await addTranscriptSegment({ text: `Chunk ${i}`, timestamp: 1000 + i })
+      }
+
+      await pruneTranscripts({ now: 2000, maxSegments: 2 })
+
+      expect((await getTranscriptSegments()).map(segment => segment.text)).toEqual(['Chunk 3', 'Chunk 4'])
+    })
+
+    it('should give up the older half when the storage quota is nearly full', async () => {
+      Object.defineProperty(navigator, 'storage', {
+        value: { estimate: () => Promise.resolve({ usage: 95, quota: 100 }) },
+        configurable: true
+      })
+      for (let i = 0; i < 4; i++) {
+        await addTranscriptSegment({ text: `Chunk ${i}`, timestamp: 1000 + i })
+      }
+
+      await pruneTranscripts({ now: 2000 })
+
+      expect((await getTranscriptSegments()).map(segment => segment.text)).toEqual(['Chunk 2', 'Chunk 3'])
+    })
+  })
+
+  describe('voice context', () => {
+    it('should merge recent segments of the given capture session into the chat context', async () => {
+      const { session } = await startTranscriptSession(meetTab)
+      await saveRecentTranscript('Can you send the deck?', Date.now() - 1000, { sessionId: session.id })
+      await saveRecentTranscript('Too old', Date.now() - 10 * 60 * 1000, { sessionId: session.id })
+      await saveRecentTranscript('Another call', Date.now() - 1000, { sessionId: session.id + 1 })
+
+      const merged = await mergeContext([{ role: 'user', content: 'Hi', timestamp: Date.now() - 2000 }], undefined, null, {
+        transcriptSessionId: session.id
+      })
+
+      expect(merged.map(msg => msg.content)).toEqual(['Hi', '[VOICE TRANSCRIPT] Can you send the deck?'])
+      expect(merged[1].source).toBe('voice')
+      expect(global.chrome.storage.sync.get).not.toHaveBeenCalledWith('recentTranscripts')
+    })
+
+    it('should leave voice out of chats the call transcript does not belong to', async () => {
+      const { session } = await startTranscriptSession(meetTab)
+      await saveRecentTranscript('Can you send the deck?', Date.now() - 1000, { sessionId: session.id })
+
+      const merged = await mergeContext([{ role: 'user', content: 'Hi', timestamp: Date.now() - 2000 }])
+
+      expect(merged.map(msg => msg.content)).toEqual(['Hi'])
+    })
+
+    it('should report voice as active only after a recent segment', async () => {
+      expect(await isVoiceActive()).toBe(false)
+
+      await saveRecentTranscript('Hello everyone')
+
+      expect(await isVoiceActive()).toBe(true)
+    })
+  })
+})